@@ -50,7 +50,10 @@ export default {
   
   // JWT
   jwtSecret: process.env.JWT_SECRET,
-  jwtExpiry: process.env.JWT_EXPIRY || '7d',
+  // Access token lifetime; clients renew with their refresh token. Deployments that still
+  // serve app builds unable to call /api/auth/refresh can opt out with JWT_EXPIRY=7d
+  jwtExpiry: process.env.JWT_EXPIRY || '15m',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10),
   
   // CORS
   allowedOrigins: process.env.ALLOWED_ORIGINS?.split(',') || [
@@ -70,15 +73,76 @@ export default {
   
   // OTP
   otpExpiryMinutes: parseInt(process.env.OTP_EXPIRY_MINUTES || '5', 10),
+  // How codes reach users: outbox (local file/console sink), sms, email or webhook
+  otpDelivery: {
+    provider: process.env.OTP_PROVIDER || 'outbox',
+    timeoutMs: parseInt(process.env.OTP_DELIVERY_TIMEOUT_MS || '10000', 10),
+    outbox: {
+      file: process.env.OTP_OUTBOX_FILE
+    },
+    sms: {
+      url: process.env.OTP_SMS_URL,
+      apiKey: process.env.OTP_SMS_API_KEY,
+      from: process.env.OTP_SMS_FROM
+    },
+    email: {
+      url: process.env.OTP_EMAIL_URL,
+      apiKey: process.env.OTP_EMAIL_API_KEY,
+      from: process.env.OTP_EMAIL_FROM
+    },
+    webhook: {
+      url: process.env.OTP_WEBHOOK_URL,
+      secret: process.env.OTP_WEBHOOK_SECRET
+    }
+  },
+  
+  // Two-factor authentication: name shown in authenticator apps, and how long
+  // a login has to complete its second factor
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Messenger',
+    challengeTtlSeconds: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS || '300', 10)
+  },
   
-  // Redis (optional)
+  // Redis (optional): shares presence, typing and call state and Socket.IO broadcasts between instances
   redisUrl: process.env.REDIS_URL,
+  redisKeyPrefix: process.env.REDIS_KEY_PREFIX || 'messenger:',
   
-  // Call Configuration
-  callTimeoutMs: 40000, // 40 seconds
+  // Instances heartbeat this often; one silent for the timeout is treated as gone,
+  // and the others clean up its sockets and calls
+  instanceHeartbeatMs: parseInt(process.env.INSTANCE_HEARTBEAT_MS || '10000', 10),
+  instanceTimeoutMs: parseInt(process.env.INSTANCE_TIMEOUT_MS || '30000', 10),
+  
+  // Call Configuration: how long a call rings before it is missed (40 seconds)
+  callTimeoutMs: parseInt(process.env.CALL_RING_TIMEOUT_MS || '40000', 10),
+  
+  // ICE servers handed to call clients. TURN credentials are short-lived and signed with
+  // the secret shared with the TURN server (TURN REST scheme, coturn's use-auth-secret)
+  iceServers: {
+    stunUrls: process.env.STUN_URLS?.split(',').map(url => url.trim()).filter(Boolean) || ['stun:stun.l.google.com:19302'],
+    turnUrls: process.env.TURN_URLS?.split(',').map(url => url.trim()).filter(Boolean) || [],
+    turnSecret: process.env.TURN_SECRET,
+    turnCredentialTtlSeconds: parseInt(process.env.TURN_CREDENTIAL_TTL_SECONDS || '86400', 10)
+  },
   
   // Message Limits
   maxMessageLength: 4000,
+  maxCiphertextLength: parseInt(process.env.MAX_CIPHERTEXT_LENGTH || '65536', 10),
   messagesPerPage: 50,
+
+  // Scheduled messages: how often the scheduler looks for due sends
+  scheduledMessagePollMs: parseInt(process.env.SCHEDULED_MESSAGE_POLL_MS || '10000', 10),
+
+  // Sync: how far before a device's cursor each page re-reads, for writes that committed late
+  syncOverlapMs: parseInt(process.env.SYNC_OVERLAP_MS || '5000', 10),
+
+  // Disappearing messages: how often expired messages are removed
+  disappearingMessagesSweepMs: parseInt(process.env.DISAPPEARING_MESSAGES_SWEEP_MS || '60000', 10),
+
+  // Account deletion: days a requested deletion can still be cancelled, and how often due ones run
+  accountDeletionGraceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30', 10),
+  accountDeletionSweepMs: parseInt(process.env.ACCOUNT_DELETION_SWEEP_MS || '3600000', 10),
+
+  // Group calls are a full mesh, so every participant uploads a stream to every other one
+  groupCallMaxParticipants: parseInt(process.env.GROUP_CALL_MAX_PARTICIPANTS || '8', 10),
 };
 
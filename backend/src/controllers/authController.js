@@ -1,39 +1,92 @@
 import User from '../models/User.js';
 import Otp from '../models/Otp.js';
-import Session from '../models/Session.js';
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
-import { v4 as uuidv4 } from 'uuid';
 import config from '../config/index.js';
-import { normalizePhone } from '../utils/phoneNormalizer.js';
+import { normalizePhone, isValidPhone } from '../utils/phoneNormalizer.js';
+import { checkPasswordStrength, hashPassword } from '../utils/password.js';
+import { sendLocked, checkOtp } from '../utils/otpResponses.js';
+import { verifyRecentAuth } from '../utils/reauth.js';
 
 const generateOTP = () => {
   return crypto.randomInt(100000, 999999).toString();
 };
 
-const signToken = (userId, sessionId = null, deviceInfo = {}) => {
-  const payload = {
-    uid: String(userId),
-    id: String(userId),
-    userId: String(userId),
-    _id: String(userId)
-  };
-  
-  if (sessionId) {
-    payload.sessionId = sessionId;
-  }
-  if (deviceInfo.device) {
-    payload.device = deviceInfo.device;
+/**
+ * Helper: Device details recorded on the session
+ */
+const getDeviceInfo = (req) => ({
+  device: req.get('X-Device-Name') || req.get('User-Agent')?.split(' ')[0] || 'Unknown',
+  ip: req.ip || req.connection.remoteAddress || 'Unknown',
+  userAgent: req.get('User-Agent') || 'Unknown'
+});
+
+/**
+ * Helper: Hand a stored code to the configured delivery provider
+ * A code that never reached the user is deleted rather than left to be guessed
+ */
+const deliverOtp = async (req, res, storedOtp, delivery) => {
+  try {
+    await req.app.get('otpDeliveryService').deliver(delivery);
+    return true;
+  } catch (error) {
+    console.error('❌ OTP delivery error:', error.message);
+    await Otp.deleteOne({ _id: storedOtp._id });
+    res.status(502).json({
+      success: false,
+      error: 'otp_delivery_failed',
+      message: 'Could not deliver the verification code'
+    });
+    return false;
   }
-  if (deviceInfo.ip) {
-    payload.ip = deviceInfo.ip;
+};
+
+/**
+ * Helper: Users with 2FA get a challenge instead of a session once their first
+ * factor checks out; returns true if the challenge was sent
+ */
+const sendTwoFactorChallenge = async (req, res, user) => {
+  const twoFactorService = req.app.get('twoFactorService');
+  if (!twoFactorService.isRequired(user)) return false;
+  
+  const challenge = await twoFactorService.createChallenge(user._id, getDeviceInfo(req));
+  res.status(200).json({
+    success: true,
+    twoFactorRequired: true,
+    ...challenge,
+    message: 'Two-factor authentication code required'
+  });
+  return true;
+};
+
+/**
+ * Helper: Respond for a TwoFactorService error; returns false if it is not one
+ */
+const sendTwoFactorError = (res, error) => {
+  const responses = {
+    'User not found': [404, 'user_not_found'],
+    'Two-factor code is required': [400, 'missing'],
+    'Two-factor authentication is already enabled': [409, 'two_factor_enabled'],
+    'Two-factor authentication is not enabled': [400, 'two_factor_not_enabled'],
+    'Two-factor setup has not been started': [400, 'two_factor_setup_required'],
+    'Invalid two-factor code': [401, 'invalid_2fa_code'],
+    'Invalid or expired challenge': [401, 'invalid_challenge']
+  };
+  if (error.message === 'Too many failed attempts') {
+    sendLocked(res, error.retryAfter, 'two_factor_locked');
+    return true;
   }
   
-  return jwt.sign(payload, config.jwtSecret, {
-    algorithm: 'HS256',
-    expiresIn: config.jwtExpiry
+  const response = responses[error.message];
+  if (!response) return false;
+  
+  res.status(response[0]).json({
+    success: false,
+    error: response[1],
+    message: error.message,
+    ...(error.attemptsLeft !== undefined && { attemptsLeft: error.attemptsLeft })
   });
+  return true;
 };
 
 /**
@@ -62,6 +115,12 @@ export const sendOtp = async (req, res) => {
       });
     }
     
+    // No new codes for a locked-out number
+    const lockedUntil = await req.app.get('otpAttemptService').lockedUntil(normalizedPhone);
+    if (lockedUntil) {
+      return sendLocked(res, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+    }
+    
     // Check if phone number already registered
     const exists = await User.findOne({ phone: normalizedPhone });
     if (exists) {
@@ -78,27 +137,25 @@ export const sendOtp = async (req, res) => {
     const expiresAt = new Date(Date.now() + config.otpExpiryMinutes * 60 * 1000);
     
     // Store OTP in database (not in-memory)
-    await Otp.create({
+    const storedOtp = await Otp.create({
       phone: normalizedPhone,
       otp,
       sessionId,
       expiresAt,
-      isLogin: false
+      isLogin: false,
+      purpose: 'register'
     });
     
-    // Log OTP for development (remove in production)
-    if (config.nodeEnv !== 'production') {
-      console.log('═══════════════════════════════════════════════════');
-      console.log('📱 OTP GENERATED FOR REGISTRATION');
-      console.log('═══════════════════════════════════════════════════');
-      console.log('Phone Number:', normalizedPhone);
-      console.log('Session ID:', sessionId);
-      console.log('OTP Code:', otp);
-      console.log('Expires At:', expiresAt.toISOString());
-      console.log('═══════════════════════════════════════════════════');
-    }
+    // Registration proves ownership of the phone, so the code never goes to a caller-chosen address
+    const delivered = await deliverOtp(req, res, storedOtp, {
+      phone: normalizedPhone,
+      code: otp,
+      purpose: 'register',
+      sessionId,
+      expiresAt
+    });
+    if (!delivered) return;
     
-    // TODO: In production, send OTP via SMS service (Twilio, AWS SNS, etc.)
     res.status(200).json({
       success: true,
       sessionId,
@@ -141,31 +198,25 @@ export const verifyOtpRegister = async (req, res) => {
     
     const normalizedPhone = normalizePhone(phone);
     
-    // Get stored OTP from database
-    const storedOtp = await Otp.findOne({
+    // Reject a weak password before the code is spent
+    if (password) {
+      const weakness = checkPasswordStrength(password.toString(), { phone: normalizedPhone, name });
+      if (weakness) {
+        return res.status(400).json({
+          success: false,
+          error: 'weak_password',
+          message: weakness
+        });
+      }
+    }
+    
+    // Check the code (attempt limits and lockouts apply)
+    const storedOtp = await checkOtp(req, res, otp, {
       sessionId,
       phone: normalizedPhone,
-      isLogin: false,
-      used: false,
-      expiresAt: { $gt: new Date() }
+      purpose: 'register'
     });
-    
-    if (!storedOtp) {
-      return res.status(400).json({
-        success: false,
-        error: 'invalid_otp',
-        message: 'Invalid or expired OTP'
-      });
-    }
-    
-    // Verify OTP code
-    if (storedOtp.otp !== otp) {
-      return res.status(400).json({
-        success: false,
-        error: 'invalid_otp',
-        message: 'Invalid OTP code'
-      });
-    }
+    if (!storedOtp) return;
     
     // Check if user already exists
     const existingUser = await User.findOne({ phone: normalizedPhone });
@@ -187,8 +238,9 @@ export const verifyOtpRegister = async (req, res) => {
     };
     
     // Hash password if provided
-    if (password && password.toString().trim().length >= 6) {
-      userPayload.passwordHash = await bcrypt.hash(password.toString().trim(), 10);
+    if (password) {
+      userPayload.passwordHash = await hashPassword(password.toString());
+      userPayload.passwordChangedAt = new Date();
     }
     
     // Create user
@@ -197,32 +249,16 @@ export const verifyOtpRegister = async (req, res) => {
     // Mark OTP as used
     await Otp.findByIdAndUpdate(storedOtp._id, { used: true });
     
-    // Create session (optional - for Backend compatibility)
-    const sessionIdForToken = uuidv4();
-    const deviceInfo = {
-      device: req.get('X-Device-Name') || req.get('User-Agent')?.split(' ')[0] || 'Unknown',
-      ip: req.ip || req.connection.remoteAddress || 'Unknown',
-      userAgent: req.get('User-Agent') || 'Unknown'
-    };
-    
-    // Generate JWT token (supports both formats)
-    const token = signToken(user._id, sessionIdForToken, deviceInfo);
-    
-    // Create session record (for Backend compatibility)
-    await Session.create({
-      userId: user._id,
-      sessionId: sessionIdForToken,
-      device: deviceInfo.device,
-      ip: deviceInfo.ip,
-      token,
-      userAgent: deviceInfo.userAgent,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-      valid: true
-    });
+    // Create the device session and its token pair
+    const sessionService = req.app.get('sessionService');
+    const { token, refreshToken, expiresIn, sessionId: sessionIdForToken } =
+      await sessionService.createSession(user._id, getDeviceInfo(req));
     
     res.status(201).json({
       success: true,
       token,
+      refreshToken,
+      expiresIn,
       sessionId: sessionIdForToken,
       isNewUser: true,
       user: {
@@ -291,6 +327,12 @@ export const sendOtpLogin = async (req, res) => {
       });
     }
     
+    // No new codes for a locked-out number
+    const lockedUntil = await req.app.get('otpAttemptService').lockedUntil(normalizedPhone);
+    if (lockedUntil) {
+      return sendLocked(res, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+    }
+    
     // Find or create user
     let user = await User.findOne({ phone: normalizedPhone });
     
@@ -303,10 +345,16 @@ export const sendOtpLogin = async (req, res) => {
     } else {
       // Create new user if doesn't exist
       const userName = (name && name.trim()) || normalizedPhone;
-      user = await User.create({
-        name: userName,
-        phone: normalizedPhone
-      });
+      try {
+        user = await User.create({
+          name: userName,
+          phone: normalizedPhone
+        });
+      } catch (createError) {
+        // A concurrent request created the same user first
+        if (createError.code !== 11000) throw createError;
+        user = await User.findOne({ phone: normalizedPhone });
+      }
     }
     
     // Generate OTP and session ID
@@ -315,27 +363,25 @@ export const sendOtpLogin = async (req, res) => {
     const expiresAt = new Date(Date.now() + config.otpExpiryMinutes * 60 * 1000);
     
     // Store OTP in database
-    await Otp.create({
+    const storedOtp = await Otp.create({
       phone: normalizedPhone,
       otp,
       sessionId,
       userId: user._id,
       expiresAt,
-      isLogin: true
+      isLogin: true,
+      purpose: 'login'
     });
     
-    // Log OTP for development
-    if (config.nodeEnv !== 'production') {
-      console.log('═══════════════════════════════════════════════════');
-      console.log('📱 LOGIN OTP GENERATED');
-      console.log('═══════════════════════════════════════════════════');
-      console.log('User:', user.name);
-      console.log('Phone Number:', normalizedPhone);
-      console.log('Session ID:', sessionId);
-      console.log('OTP Code:', otp);
-      console.log('Expires At:', expiresAt.toISOString());
-      console.log('═══════════════════════════════════════════════════');
-    }
+    const delivered = await deliverOtp(req, res, storedOtp, {
+      phone: normalizedPhone,
+      email: user.email,
+      code: otp,
+      purpose: 'login',
+      sessionId,
+      expiresAt
+    });
+    if (!delivered) return;
     
     res.status(200).json({
       success: true,
@@ -386,30 +432,9 @@ export const verifyOtpLogin = async (req, res) => {
       });
     }
     
-    // Get stored OTP from database
-    const storedOtp = await Otp.findOne({
-      sessionId,
-      isLogin: true,
-      used: false,
-      expiresAt: { $gt: new Date() }
-    });
-    
-    if (!storedOtp) {
-      return res.status(400).json({
-        success: false,
-        error: 'invalid_otp',
-        message: 'Invalid or expired OTP'
-      });
-    }
-    
-    // Verify OTP code
-    if (storedOtp.otp !== otp) {
-      return res.status(400).json({
-        success: false,
-        error: 'invalid_otp',
-        message: 'Invalid OTP code'
-      });
-    }
+    // Check the code (attempt limits and lockouts apply)
+    const storedOtp = await checkOtp(req, res, otp, { sessionId, purpose: 'login' });
+    if (!storedOtp) return;
     
     // Get user
     const user = await User.findById(storedOtp.userId);
@@ -424,37 +449,23 @@ export const verifyOtpLogin = async (req, res) => {
     // Mark OTP as used
     await Otp.findByIdAndUpdate(storedOtp._id, { used: true });
     
+    if (await sendTwoFactorChallenge(req, res, user)) return;
+    
     // Update user online status
     user.isOnline = true;
     user.lastSeen = new Date();
     await user.save();
     
-    // Create session
-    const sessionIdForToken = uuidv4();
-    const deviceInfo = {
-      device: req.get('X-Device-Name') || req.get('User-Agent')?.split(' ')[0] || 'Unknown',
-      ip: req.ip || req.connection.remoteAddress || 'Unknown',
-      userAgent: req.get('User-Agent') || 'Unknown'
-    };
-    
-    // Generate JWT token
-    const token = signToken(user._id, sessionIdForToken, deviceInfo);
-    
-    // Create session record
-    await Session.create({
-      userId: user._id,
-      sessionId: sessionIdForToken,
-      device: deviceInfo.device,
-      ip: deviceInfo.ip,
-      token,
-      userAgent: deviceInfo.userAgent,
-      expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-      valid: true
-    });
+    // Create the device session and its token pair
+    const sessionService = req.app.get('sessionService');
+    const { token, refreshToken, expiresIn, sessionId: sessionIdForToken } =
+      await sessionService.createSession(user._id, getDeviceInfo(req));
     
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
+      expiresIn,
       sessionId: sessionIdForToken,
       user: {
         id: String(user._id),
@@ -523,17 +534,24 @@ export const login = async (req, res) => {
       });
     }
     
+    if (await sendTwoFactorChallenge(req, res, user)) return;
+    
     // Update online status
     user.isOnline = true;
     user.lastSeen = new Date();
     await user.save();
     
-    // Generate token (simple format - Backend1 style)
-    const token = signToken(user._id);
+    // Password logins get a device session like OTP logins, so they can refresh
+    const sessionService = req.app.get('sessionService');
+    const { token, refreshToken, expiresIn, sessionId } =
+      await sessionService.createSession(user._id, getDeviceInfo(req));
     
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
+      expiresIn,
+      sessionId,
       user: {
         id: String(user._id),
         uid: String(user._id),
@@ -558,13 +576,41 @@ export const login = async (req, res) => {
 };
 
 /**
- * Get current user
+ * Helper: Respond 400 weak_password; returns true if the password was rejected
  */
-export const getMe = async (req, res) => {
+const rejectWeakPassword = (res, password, user) => {
+  const weakness = checkPasswordStrength(password, { phone: user.phone, name: user.name });
+  if (!weakness) return false;
+  res.status(400).json({
+    success: false,
+    error: 'weak_password',
+    message: weakness
+  });
+  return true;
+};
+
+/**
+ * Send a password OTP: to the signed-in user, or to { phone } for a forgotten password
+ */
+export const sendPasswordOtp = async (req, res) => {
   try {
-    const userId = req.user.id || req.user.uid || req.user.userId;
-    const user = await User.findById(userId).select('-password -passwordHash').lean();
+    const normalizedPhone = req.user ? req.user.phone : normalizePhone(req.body.phone);
+    
+    if (!normalizedPhone) {
+      return res.status(400).json({
+        success: false,
+        error: 'missing',
+        message: 'Phone number is required'
+      });
+    }
+    
+    // No new codes for a locked-out number
+    const lockedUntil = await req.app.get('otpAttemptService').lockedUntil(normalizedPhone);
+    if (lockedUntil) {
+      return sendLocked(res, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+    }
     
+    const user = await User.findOne({ phone: normalizedPhone });
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -573,8 +619,112 @@ export const getMe = async (req, res) => {
       });
     }
     
-    res.json({
+    const otp = generateOTP();
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + config.otpExpiryMinutes * 60 * 1000);
+    
+    const storedOtp = await Otp.create({
+      phone: normalizedPhone,
+      otp,
+      sessionId,
+      userId: user._id,
+      expiresAt,
+      isLogin: false,
+      purpose: 'password'
+    });
+    
+    const delivered = await deliverOtp(req, res, storedOtp, {
+      phone: normalizedPhone,
+      email: user.email,
+      code: otp,
+      purpose: 'password',
+      sessionId,
+      expiresAt
+    });
+    if (!delivered) return;
+    
+    res.status(200).json({
+      success: true,
+      sessionId,
+      message: 'OTP sent successfully',
+      ...(config.nodeEnv !== 'production' && { otp }) // Only return OTP in dev
+    });
+  } catch (error) {
+    console.error('❌ Send password OTP error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Reset a forgotten password with a password OTP
+ * Signs out every device and returns a fresh session
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { phone, sessionId, otp, newPassword } = req.body;
+    
+    if (!phone || !sessionId || !otp || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'missing',
+        message: 'Phone, sessionId, OTP and newPassword are required'
+      });
+    }
+    
+    if (!/^\d{6}$/.test(otp)) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_otp_format',
+        message: 'OTP must be 6 digits'
+      });
+    }
+    
+    const normalizedPhone = normalizePhone(phone);
+    const user = await User.findOne({ phone: normalizedPhone });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'user_not_found',
+        message: 'User not found'
+      });
+    }
+    
+    if (rejectWeakPassword(res, newPassword.toString(), user)) return;
+    
+    const storedOtp = await checkOtp(req, res, otp, {
+      sessionId,
+      phone: normalizedPhone,
+      purpose: 'password'
+    });
+    if (!storedOtp) return;
+    
+    await Otp.findByIdAndUpdate(storedOtp._id, { used: true });
+    
+    user.passwordHash = await hashPassword(newPassword.toString());
+    user.passwordChangedAt = new Date();
+    await user.save();
+    
+    // Whoever knew the old password is signed out everywhere
+    const sessionService = req.app.get('sessionService');
+    const revokedSessions = await sessionService.revokeOthers(user._id, null);
+    
+    // A reset proves the phone, not the second factor
+    if (await sendTwoFactorChallenge(req, res, user)) return;
+    
+    const { token, refreshToken, expiresIn, sessionId: sessionIdForToken } =
+      await sessionService.createSession(user._id, getDeviceInfo(req));
+    
+    res.status(200).json({
       success: true,
+      token,
+      refreshToken,
+      expiresIn,
+      sessionId: sessionIdForToken,
+      revokedSessions,
       user: {
         id: String(user._id),
         uid: String(user._id),
@@ -589,7 +739,669 @@ export const getMe = async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('❌ Get me error:', error);
+    console.error('❌ Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Set or change the signed-in user's password
+ * Proven like other sensitive actions (see verifyRecentAuth), so setting a first
+ * password needs the OTP and 2FA users also give a code. Other sessions are revoked.
+ */
+export const changePassword = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const { newPassword } = req.body;
+    
+    if (!newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'missing',
+        message: 'newPassword is required'
+      });
+    }
+    
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'user_not_found',
+        message: 'User not found'
+      });
+    }
+    
+    if (rejectWeakPassword(res, newPassword.toString(), user)) return;
+    
+    if (!await verifyRecentAuth(req, res, user)) return;
+    
+    const hadPassword = Boolean(user.passwordHash);
+    user.passwordHash = await hashPassword(newPassword.toString());
+    user.passwordChangedAt = new Date();
+    await user.save();
+    
+    const revokedSessions = await req.app.get('sessionService').revokeOthers(userId, req.user.sessionId);
+    
+    res.json({
+      success: true,
+      message: hadPassword ? 'Password changed' : 'Password set',
+      revokedSessions
+    });
+  } catch (error) {
+    console.error('❌ Change password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Start a phone number change: { newPhone }
+ * One code goes to the current number and one to the new number; both are needed
+ */
+export const sendPhoneChangeOtp = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const { newPhone } = req.body;
+    
+    if (!newPhone) {
+      return res.status(400).json({
+        success: false,
+        error: 'missing',
+        message: 'newPhone is required'
+      });
+    }
+    
+    const normalizedPhone = normalizePhone(newPhone);
+    if (!isValidPhone(normalizedPhone)) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_phone',
+        message: 'Invalid phone number format'
+      });
+    }
+    
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'user_not_found',
+        message: 'User not found'
+      });
+    }
+    
+    if (normalizedPhone === user.phone) {
+      return res.status(400).json({
+        success: false,
+        error: 'same_phone',
+        message: 'This is already your phone number'
+      });
+    }
+    
+    // No new codes while either number is locked out
+    const otpAttemptService = req.app.get('otpAttemptService');
+    for (const phone of [user.phone, normalizedPhone]) {
+      const lockedUntil = await otpAttemptService.lockedUntil(phone);
+      if (lockedUntil) {
+        return sendLocked(res, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+      }
+    }
+    
+    if (await User.exists({ phone: normalizedPhone })) {
+      return res.status(409).json({
+        success: false,
+        error: 'phone_taken',
+        message: 'Phone number is already registered'
+      });
+    }
+    
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + config.otpExpiryMinutes * 60 * 1000);
+    const codes = { old: generateOTP(), new: generateOTP() };
+    
+    const [oldOtp, newOtp] = await Otp.create([
+      { phone: user.phone, otp: codes.old, sessionId: `${sessionId}:old`, userId: user._id, expiresAt, purpose: 'phone_change' },
+      { phone: normalizedPhone, otp: codes.new, sessionId: `${sessionId}:new`, userId: user._id, expiresAt, purpose: 'phone_change' }
+    ]);
+    
+    const deliveredOld = await deliverOtp(req, res, oldOtp, {
+      phone: user.phone,
+      email: user.email,
+      code: codes.old,
+      purpose: 'phone_change',
+      sessionId,
+      expiresAt
+    });
+    if (!deliveredOld) {
+      await Otp.deleteOne({ _id: newOtp._id });
+      return;
+    }
+    
+    const deliveredNew = await deliverOtp(req, res, newOtp, {
+      phone: normalizedPhone,
+      code: codes.new,
+      purpose: 'phone_change',
+      sessionId,
+      expiresAt
+    });
+    if (!deliveredNew) {
+      await Otp.deleteOne({ _id: oldOtp._id });
+      return;
+    }
+    
+    res.status(200).json({
+      success: true,
+      sessionId,
+      newPhone: normalizedPhone,
+      message: 'OTPs sent to the current and the new number',
+      ...(config.nodeEnv !== 'production' && { oldOtp: codes.old, newOtp: codes.new }) // Only return OTPs in dev
+    });
+  } catch (error) {
+    console.error('❌ Send phone change OTP error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Finish a phone number change: { sessionId, oldOtp, newOtp }
+ * Moves the account to the new number and tells the user's contacts
+ */
+export const changePhone = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const { sessionId, oldOtp, newOtp } = req.body;
+    
+    if (!sessionId || !oldOtp || !newOtp) {
+      return res.status(400).json({
+        success: false,
+        error: 'missing',
+        message: 'sessionId, oldOtp and newOtp are required'
+      });
+    }
+    
+    if (!/^\d{6}$/.test(oldOtp) || !/^\d{6}$/.test(newOtp)) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_otp_format',
+        message: 'OTP must be 6 digits'
+      });
+    }
+    
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'user_not_found',
+        message: 'User not found'
+      });
+    }
+    
+    // The change must have been started by this account
+    const pending = await Otp.findOne({ sessionId: `${sessionId}:new`, userId: user._id, purpose: 'phone_change' })
+      .select('phone')
+      .lean();
+    if (!pending) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_otp',
+        message: 'Invalid or expired OTP'
+      });
+    }
+    const previousPhone = user.phone;
+    const newPhone = pending.phone;
+    
+    // Both numbers prove possession (attempt limits and lockouts apply to each)
+    const verifiedOld = await checkOtp(req, res, oldOtp, {
+      sessionId: `${sessionId}:old`,
+      phone: previousPhone,
+      purpose: 'phone_change'
+    });
+    if (!verifiedOld) return;
+    const verifiedNew = await checkOtp(req, res, newOtp, {
+      sessionId: `${sessionId}:new`,
+      phone: newPhone,
+      purpose: 'phone_change'
+    });
+    if (!verifiedNew) return;
+    
+    await Otp.updateMany({ _id: { $in: [verifiedOld._id, verifiedNew._id] } }, { used: true });
+    
+    // The unique phone index settles a race with a registration of the same number
+    try {
+      const result = await User.updateOne(
+        { _id: user._id, phone: previousPhone },
+        { $set: { phone: newPhone } }
+      );
+      if (result.modifiedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'phone_changed',
+          message: 'Phone number was changed by another request'
+        });
+      }
+    } catch (updateError) {
+      if (updateError.code !== 11000) throw updateError;
+      return res.status(409).json({
+        success: false,
+        error: 'phone_taken',
+        message: 'Phone number is already registered'
+      });
+    }
+    
+    // Codes still out for the old number no longer identify this account
+    await Otp.updateMany({ phone: previousPhone, used: false }, { used: true });
+    
+    const change = {
+      userId: String(user._id),
+      phone: newPhone,
+      previousPhone,
+      at: new Date().toISOString()
+    };
+    const presenceService = req.app.get('presenceService');
+    presenceService.sendToUser(user._id, 'user_phone_changed', change);
+    presenceService.sendToUser(user._id, 'user-phone-changed', change);
+    await presenceService.sendToContacts(user._id, 'user_phone_changed', change);
+    await presenceService.sendToContacts(user._id, 'user-phone-changed', change);
+    
+    res.json({
+      success: true,
+      previousPhone,
+      user: {
+        id: String(user._id),
+        uid: String(user._id),
+        userId: String(user._id),
+        name: user.name,
+        phone: newPhone,
+        avatar: user.avatar || user.avatarUrl || null,
+        avatarUrl: user.avatarUrl || user.avatar || null,
+        bio: user.bio || null,
+        isOnline: user.isOnline,
+        lastSeen: user.lastSeen
+      }
+    });
+  } catch (error) {
+    console.error('❌ Change phone error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Complete a login with a second factor: { challengeToken, code | backupCode }
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+    
+    if (!challengeToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'missing',
+        message: 'challengeToken is required'
+      });
+    }
+    
+    const { userId, deviceInfo, method } = await req.app.get('twoFactorService')
+      .completeChallenge(challengeToken, { code, backupCode });
+    
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'user_not_found',
+        message: 'User not found'
+      });
+    }
+    
+    user.isOnline = true;
+    user.lastSeen = new Date();
+    await user.save();
+    
+    // The session belongs to the device that passed the first factor
+    const sessionService = req.app.get('sessionService');
+    const { token, refreshToken, expiresIn, sessionId } =
+      await sessionService.createSession(user._id, deviceInfo);
+    
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      expiresIn,
+      sessionId,
+      method,
+      user: {
+        id: String(user._id),
+        uid: String(user._id),
+        userId: String(user._id),
+        name: user.name,
+        phone: user.phone || null,
+        avatar: user.avatar || user.avatarUrl || null,
+        avatarUrl: user.avatarUrl || user.avatar || null,
+        bio: user.bio || null,
+        isOnline: user.isOnline,
+        lastSeen: user.lastSeen
+      }
+    });
+  } catch (error) {
+    if (sendTwoFactorError(res, error)) return;
+    console.error('❌ Verify 2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Two-factor status of the current user
+ */
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const status = await req.app.get('twoFactorService').status(userId);
+    
+    res.json({
+      success: true,
+      ...status
+    });
+  } catch (error) {
+    if (sendTwoFactorError(res, error)) return;
+    console.error('❌ Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Start 2FA enrollment: returns the secret and an otpauth:// URI for the authenticator app
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const { secret, otpauthUri } = await req.app.get('twoFactorService').beginSetup(userId);
+    
+    res.json({
+      success: true,
+      secret,
+      otpauthUri
+    });
+  } catch (error) {
+    if (sendTwoFactorError(res, error)) return;
+    console.error('❌ Setup 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Turn 2FA on with a code from the app: { code }
+ * The backup codes are only ever returned here and by regenerateBackupCodes
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'missing',
+        message: 'code is required'
+      });
+    }
+    
+    const backupCodes = await req.app.get('twoFactorService').enable(userId, String(code));
+    
+    res.json({
+      success: true,
+      enabled: true,
+      backupCodes
+    });
+  } catch (error) {
+    if (sendTwoFactorError(res, error)) return;
+    console.error('❌ Enable 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Turn 2FA off: { code | backupCode }
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const { code, backupCode } = req.body;
+    
+    await req.app.get('twoFactorService').disable(userId, { code, backupCode });
+    
+    res.json({
+      success: true,
+      enabled: false
+    });
+  } catch (error) {
+    if (sendTwoFactorError(res, error)) return;
+    console.error('❌ Disable 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Replace the backup codes: { code | backupCode }
+ */
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const { code, backupCode } = req.body;
+    
+    const backupCodes = await req.app.get('twoFactorService')
+      .regenerateBackupCodes(userId, { code, backupCode });
+    
+    res.json({
+      success: true,
+      backupCodes
+    });
+  } catch (error) {
+    if (sendTwoFactorError(res, error)) return;
+    console.error('❌ Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get current user
+ */
+export const getMe = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const user = await User.findById(userId).select('-password -passwordHash').lean();
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'user_not_found',
+        message: 'User not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      user: {
+        id: String(user._id),
+        uid: String(user._id),
+        userId: String(user._id),
+        name: user.name,
+        phone: user.phone || null,
+        avatar: user.avatar || user.avatarUrl || null,
+        avatarUrl: user.avatarUrl || user.avatar || null,
+        bio: user.bio || null,
+        isOnline: user.isOnline,
+        lastSeen: user.lastSeen
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get me error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ */
+export const refreshToken = async (req, res) => {
+  const sessionService = req.app.get('sessionService');
+  try {
+    const { refreshToken: presented } = req.body;
+
+    if (!presented) {
+      return res.status(400).json({
+        success: false,
+        error: 'missing',
+        message: 'refreshToken is required'
+      });
+    }
+
+    const { token, refreshToken: next, expiresIn, sessionId } = await sessionService.refresh(presented);
+
+    res.json({
+      success: true,
+      token,
+      refreshToken: next,
+      expiresIn,
+      sessionId
+    });
+  } catch (error) {
+    console.error('❌ Refresh token error:', error.message);
+
+    const codes = {
+      'Invalid refresh token': 'invalid_refresh_token',
+      'Refresh token reuse detected': 'refresh_token_reused',
+      'Session has been revoked or has expired': 'invalid_session'
+    };
+    if (codes[error.message]) {
+      return res.status(401).json({
+        success: false,
+        error: codes[error.message],
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List active sessions (signed-in devices)
+ */
+export const listSessions = async (req, res) => {
+  const sessionService = req.app.get('sessionService');
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const sessions = await sessionService.list(userId);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => sessionService.serialize(session, req.user.sessionId))
+    });
+  } catch (error) {
+    console.error('❌ List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Revoke one session; its token stops working and its sockets are disconnected
+ */
+export const revokeSession = async (req, res) => {
+  const sessionService = req.app.get('sessionService');
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const { sessionId } = req.params;
+
+    await sessionService.revoke(userId, sessionId);
+
+    res.json({
+      success: true,
+      sessionId,
+      current: sessionId === req.user.sessionId
+    });
+  } catch (error) {
+    console.error('❌ Revoke session error:', error);
+
+    if (error.message === 'Session not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'not_found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Sign out every other device
+ */
+export const revokeOtherSessions = async (req, res) => {
+  const sessionService = req.app.get('sessionService');
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const revoked = await sessionService.revokeOthers(userId, req.user.sessionId);
+
+    res.json({
+      success: true,
+      revoked
+    });
+  } catch (error) {
+    console.error('❌ Revoke other sessions error:', error);
     res.status(500).json({
       success: false,
       error: 'server_error',
@@ -605,6 +1417,21 @@ export default {
   sendOtpLogin,
   verifyOtpLogin,
   login,
-  getMe
+  getMe,
+  sendPasswordOtp,
+  resetPassword,
+  changePassword,
+  sendPhoneChangeOtp,
+  changePhone,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  refreshToken,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions
 };
 
@@ -0,0 +1,176 @@
+/**
+ * Helper: Map call history errors to responses
+ */
+const handleCallError = (res, error, fallback) => {
+  if (error.message === 'Call not found' || error.message === 'Conversation not found') {
+    return res.status(404).json({
+      success: false,
+      error: 'not_found',
+      message: error.message
+    });
+  }
+
+  if (error.message === 'Invalid pagination cursor') {
+    return res.status(400).json({
+      success: false,
+      error: 'invalid_cursor',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'server_error',
+    message: error.message || fallback
+  });
+};
+
+/**
+ * My call history, newest first (?limit=, ?cursor=, ?missed=1)
+ */
+export const getCalls = async (req, res) => {
+  const callService = req.app.get('callService');
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const { limit, cursor, missed } = req.query;
+
+    const result = await callService.listCalls(userId, {
+      limit,
+      cursor,
+      missed: missed === '1' || missed === 'true'
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Get calls error:', error);
+    handleCallError(res, error, 'Error fetching calls');
+  }
+};
+
+/**
+ * Number of missed calls not seen yet
+ */
+export const getMissedCallCount = async (req, res) => {
+  const callService = req.app.get('callService');
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const count = await callService.countMissedCalls(userId);
+
+    res.json({
+      success: true,
+      count
+    });
+  } catch (error) {
+    console.error('❌ Get missed call count error:', error);
+    handleCallError(res, error, 'Error counting missed calls');
+  }
+};
+
+/**
+ * Mark all missed calls as seen
+ */
+export const markMissedCallsSeen = async (req, res) => {
+  const callService = req.app.get('callService');
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const updated = await callService.markMissedCallsSeen(userId);
+
+    res.json({
+      success: true,
+      updated
+    });
+  } catch (error) {
+    console.error('❌ Mark missed calls seen error:', error);
+    handleCallError(res, error, 'Error marking missed calls as seen');
+  }
+};
+
+/**
+ * Remove a call from my history
+ */
+export const deleteCall = async (req, res) => {
+  const callService = req.app.get('callService');
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    await callService.deleteCall(userId, req.params.id);
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('❌ Delete call error:', error);
+    handleCallError(res, error, 'Error deleting call');
+  }
+};
+
+/**
+ * Clear my call history
+ */
+export const clearCalls = async (req, res) => {
+  const callService = req.app.get('callService');
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const deleted = await callService.clearCalls(userId);
+
+    res.json({
+      success: true,
+      deleted
+    });
+  } catch (error) {
+    console.error('❌ Clear calls error:', error);
+    handleCallError(res, error, 'Error clearing calls');
+  }
+};
+
+/**
+ * The call in progress in a group conversation, if any
+ */
+export const getGroupCall = async (req, res) => {
+  const callService = req.app.get('callService');
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const call = await callService.getGroupCall(req.params.conversationId, userId);
+
+    res.json({
+      success: true,
+      call
+    });
+  } catch (error) {
+    console.error('❌ Get group call error:', error);
+    handleCallError(res, error, 'Error fetching group call');
+  }
+};
+
+/**
+ * STUN/TURN servers for my calls, with short-lived TURN credentials
+ */
+export const getIceServers = async (req, res) => {
+  const callService = req.app.get('callService');
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const { iceServers, ttl, expiresAt } = callService.getIceServers(userId);
+
+    res.json({
+      success: true,
+      iceServers,
+      ttl,
+      expiresAt
+    });
+  } catch (error) {
+    console.error('❌ Get ICE servers error:', error);
+    handleCallError(res, error, 'Error fetching ICE servers');
+  }
+};
+
+export default {
+  getCalls,
+  getMissedCallCount,
+  markMissedCallsSeen,
+  deleteCall,
+  clearCalls,
+  getGroupCall,
+  getIceServers
+};
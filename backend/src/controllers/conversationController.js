@@ -1,7 +1,9 @@
 import Conversation from '../models/Conversation.js';
 import Message from '../models/Message.js';
 import User from '../models/User.js';
+import Block from '../models/Block.js';
 import { normalizePhone } from '../utils/phoneNormalizer.js';
+import { CIPHERTEXT_TYPE, ENCRYPTED_MESSAGE_PREVIEW } from '../utils/encryption.js';
 import mongoose from 'mongoose';
 
 /**
@@ -21,6 +23,15 @@ const pair = (a, b) => {
   return A < B ? [A, B] : [B, A];
 };
 
+/**
+ * Helper: Refuse a direct chat between users where either one blocked the other
+ */
+const sendBlocked = (res) => res.status(403).json({
+  success: false,
+  error: 'blocked',
+  message: 'You cannot start a chat with this user'
+});
+
 /**
  * Get user's conversations with cursor receipts and previews
  */
@@ -108,6 +119,7 @@ export const getConversations = async (req, res) => {
           _id: '$conversation',
           text: { $first: '$text' },
           content: { $first: '$content' },
+          type: { $first: '$type' },
           from: { $first: '$from' },
           sender: { $first: '$sender' },
           at: { $first: '$createdAt' }
@@ -119,7 +131,7 @@ export const getConversations = async (req, res) => {
     const prevFromMap = {};
     for (const p of previews) {
       const k = String(p._id);
-      prevTextMap[k] = p.text || p.content || '';
+      prevTextMap[k] = p.type === CIPHERTEXT_TYPE ? ENCRYPTED_MESSAGE_PREVIEW : (p.text || p.content || '');
       prevFromMap[k] = p.from ? String(p.from) : (p.sender ? String(p.sender) : '');
     }
 
@@ -224,6 +236,10 @@ export const createConversation = async (req, res) => {
     // Check if conversation already exists (for direct messages)
     if (type === 'direct' || !type || allParticipants.length === 2) {
       const [A, B] = pair(allParticipants[0], allParticipants[1]);
+      if (await Block.between(A, B)) {
+        return sendBlocked(res);
+      }
+
       let existing = await Conversation.findOne({
         $or: [
           { participants: { $all: [A, B], $size: 2 } },
@@ -392,6 +408,66 @@ export const deleteConversation = async (req, res) => {
   }
 };
 
+/**
+ * Set or turn off (ttlSeconds: 0) disappearing messages
+ */
+export const setDisappearingMessages = async (req, res) => {
+  const disappearingMessageService = req.app.get('disappearingMessageService');
+  try {
+    const { conversationId } = req.params;
+    const { ttlSeconds } = req.body;
+    const userId = req.user.id || req.user.uid || req.user.userId;
+
+    const { conversation, changed } = await disappearingMessageService.setTimer(conversationId, userId, ttlSeconds);
+
+    res.json({
+      success: true,
+      changed,
+      disappearingMessages: disappearingMessageService.serialize(conversation)
+    });
+  } catch (error) {
+    console.error('❌ Set disappearing messages error:', error);
+
+    if (error.message === 'Conversation not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'not_found',
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Messaging is blocked between these users') {
+      return res.status(403).json({
+        success: false,
+        error: 'blocked',
+        message: error.message
+      });
+    }
+
+    if (error.message === 'User is not a member of this conversation' || error.message.startsWith('Only admins')) {
+      return res.status(403).json({
+        success: false,
+        error: 'forbidden',
+        message: error.message
+      });
+    }
+
+    if (error.message.startsWith('ttlSeconds')) {
+      return res.status(400).json({
+        success: false,
+        error: 'validation_error',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Error updating disappearing messages'
+    });
+  }
+};
+
 /**
  * Send chat request (Backend1 style)
  */
@@ -425,6 +501,10 @@ export const sendChatRequest = async (req, res) => {
       });
     }
 
+    if (await Block.between(from, to)) {
+      return sendBlocked(res);
+    }
+
     const participants = pair(from, to);
     let conversation = await Conversation.findOne({
       $or: [
@@ -683,6 +763,10 @@ export const startChat = async (req, res) => {
       });
     }
 
+    if (await Block.between(from, to)) {
+      return sendBlocked(res);
+    }
+
     const participants = pair(from, to);
 
     // Find existing conversation (any status)
@@ -807,6 +891,7 @@ export default {
   createConversation,
   getConversationDetails,
   deleteConversation,
+  setDisappearingMessages,
   sendChatRequest,
   getChatRequests,
   acceptChatRequest,
@@ -445,6 +445,58 @@ export const searchGroups = async (req, res) => {
   }
 };
 
+/**
+ * Set or turn off (ttlSeconds: 0) disappearing messages for a group (admins only)
+ */
+export const setDisappearingMessages = async (req, res) => {
+  const disappearingMessageService = req.app.get('disappearingMessageService');
+  try {
+    const { groupId } = req.params;
+    const { ttlSeconds } = req.body;
+    const userId = req.user.id || req.user.uid || req.user.userId;
+
+    const { conversation, changed } = await disappearingMessageService.setGroupTimer(groupId, userId, ttlSeconds);
+
+    res.json({
+      success: true,
+      changed,
+      disappearingMessages: disappearingMessageService.serialize(conversation)
+    });
+  } catch (error) {
+    console.error('❌ Set group disappearing messages error:', error);
+
+    if (error.message === 'Group not found' || error.message === 'Conversation not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'not_found',
+        message: error.message
+      });
+    }
+
+    if (error.message === 'User is not a member of this conversation' || error.message.startsWith('Only admins')) {
+      return res.status(403).json({
+        success: false,
+        error: 'forbidden',
+        message: error.message
+      });
+    }
+
+    if (error.message.startsWith('ttlSeconds')) {
+      return res.status(400).json({
+        success: false,
+        error: 'validation_error',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Error updating disappearing messages'
+    });
+  }
+};
+
 // Export default object for route compatibility
 export default {
   createGroup,
@@ -458,6 +510,7 @@ export default {
   demoteAdmin,
   generateInviteLink,
   joinViaInviteLink,
-  searchGroups
+  searchGroups,
+  setDisappearingMessages
 };
 
@@ -0,0 +1,327 @@
+import mongoose from 'mongoose';
+import KeyBundle from '../models/KeyBundle.js';
+import User from '../models/User.js';
+import Block from '../models/Block.js';
+import KeyFetch from '../models/KeyFetch.js';
+
+const MAX_PREKEYS_PER_UPLOAD = 100;
+const MAX_PREKEYS_PER_DEVICE = 200;
+// Fetches of one user's keys by one requester that may take a one-time prekey
+const PREKEY_FETCHES_PER_WINDOW = 10;
+const PREKEY_FETCH_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Helper: Validate a list of one-time prekeys
+ */
+const validatePreKeys = (preKeys) => {
+  if (!Array.isArray(preKeys)) {
+    return 'oneTimePreKeys must be an array';
+  }
+  if (preKeys.length > MAX_PREKEYS_PER_UPLOAD) {
+    return `No more than ${MAX_PREKEYS_PER_UPLOAD} prekeys per upload`;
+  }
+  const invalid = preKeys.some(k => !k || !Number.isInteger(k.keyId) || !k.publicKey || typeof k.publicKey !== 'string');
+  return invalid ? 'Each prekey needs an integer keyId and a publicKey' : null;
+};
+
+/**
+ * Helper: Public view of a device's keys for its owner
+ */
+const formatDevice = (bundle) => ({
+  deviceId: bundle.deviceId,
+  registrationId: bundle.registrationId ?? null,
+  identityKey: bundle.identityKey,
+  signedPreKeyId: bundle.signedPreKey?.keyId,
+  oneTimePreKeyCount: bundle.oneTimePreKeys?.length || 0,
+  lastPublishedAt: bundle.lastPublishedAt
+});
+
+/**
+ * Publish (or replace) the key bundle for one of the caller's devices
+ */
+export const publishKeys = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const { deviceId, registrationId, identityKey, signedPreKey, oneTimePreKeys } = req.body;
+
+    if (!deviceId || typeof deviceId !== 'string' || deviceId.length > 64) {
+      return res.status(400).json({
+        success: false,
+        error: 'validation_error',
+        message: 'A deviceId of at most 64 characters is required'
+      });
+    }
+
+    if (!identityKey || typeof identityKey !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'validation_error',
+        message: 'identityKey is required'
+      });
+    }
+
+    if (!signedPreKey || !Number.isInteger(signedPreKey.keyId) || !signedPreKey.publicKey || !signedPreKey.signature) {
+      return res.status(400).json({
+        success: false,
+        error: 'validation_error',
+        message: 'signedPreKey needs keyId, publicKey and signature'
+      });
+    }
+
+    if (oneTimePreKeys !== undefined) {
+      const preKeyError = validatePreKeys(oneTimePreKeys);
+      if (preKeyError) {
+        return res.status(400).json({
+          success: false,
+          error: 'validation_error',
+          message: preKeyError
+        });
+      }
+    }
+
+    const existing = await KeyBundle.findOne({ userId, deviceId }).select('identityKey').lean();
+    const update = {
+      identityKey,
+      signedPreKey: {
+        keyId: signedPreKey.keyId,
+        publicKey: signedPreKey.publicKey,
+        signature: signedPreKey.signature
+      },
+      lastPublishedAt: new Date()
+    };
+    if (Number.isInteger(registrationId)) {
+      update.registrationId = registrationId;
+    }
+
+    // Prekeys are bound to the identity key, so a new identity invalidates the old ones
+    if (oneTimePreKeys !== undefined) {
+      update.oneTimePreKeys = oneTimePreKeys.map(k => ({ keyId: k.keyId, publicKey: k.publicKey }));
+    } else if (existing && existing.identityKey !== identityKey) {
+      update.oneTimePreKeys = [];
+    }
+
+    const bundle = await KeyBundle.findOneAndUpdate(
+      { userId, deviceId },
+      { $set: update },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      device: formatDevice(bundle)
+    });
+  } catch (error) {
+    console.error('❌ Publish keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Error publishing keys'
+    });
+  }
+};
+
+/**
+ * Top up one-time prekeys for one of the caller's devices
+ */
+export const uploadPreKeys = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const { deviceId, oneTimePreKeys } = req.body;
+
+    if (!deviceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'validation_error',
+        message: 'deviceId is required'
+      });
+    }
+
+    const preKeyError = validatePreKeys(oneTimePreKeys);
+    if (preKeyError || !oneTimePreKeys.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'validation_error',
+        message: preKeyError || 'At least one prekey is required'
+      });
+    }
+
+    const bundle = await KeyBundle.findOneAndUpdate(
+      { userId, deviceId },
+      {
+        $push: {
+          oneTimePreKeys: {
+            $each: oneTimePreKeys.map(k => ({ keyId: k.keyId, publicKey: k.publicKey })),
+            $slice: -MAX_PREKEYS_PER_DEVICE
+          }
+        }
+      },
+      { new: true }
+    ).lean();
+
+    if (!bundle) {
+      return res.status(404).json({
+        success: false,
+        error: 'not_found',
+        message: 'Publish a key bundle for this device first'
+      });
+    }
+
+    res.json({
+      success: true,
+      device: formatDevice(bundle)
+    });
+  } catch (error) {
+    console.error('❌ Upload prekeys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Error uploading prekeys'
+    });
+  }
+};
+
+/**
+ * List the caller's devices with their remaining prekey counts
+ */
+export const getMyKeys = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+
+    const bundles = await KeyBundle.find({ userId }).sort({ createdAt: 1 }).lean();
+
+    res.json({
+      success: true,
+      devices: bundles.map(formatDevice)
+    });
+  } catch (error) {
+    console.error('❌ Get my keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Error fetching keys'
+    });
+  }
+};
+
+/**
+ * Fetch a peer's key bundles, consuming one one-time prekey per device
+ * Past the per-requester allowance the bundles come without one-time prekeys
+ * (sessions still start from the signed prekey), so nobody can drain a user's supply
+ */
+export const getKeyBundle = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const { userId: peerId } = req.params;
+    const { deviceId } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(peerId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_user_id',
+        message: 'User ID is not valid'
+      });
+    }
+
+    const peer = await User.findById(peerId).select('_id').lean();
+    if (!peer) {
+      return res.status(404).json({
+        success: false,
+        error: 'user_not_found',
+        message: 'User not found'
+      });
+    }
+
+    if (await Block.between(userId, peerId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'blocked',
+        message: 'You cannot fetch keys for this user'
+      });
+    }
+
+    const query = { userId: peerId };
+    if (deviceId) query.deviceId = String(deviceId);
+
+    const bundles = await KeyBundle.find(query).select('_id').sort({ createdAt: 1 }).lean();
+    if (!bundles.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'keys_not_found',
+        message: 'User has not published any keys'
+      });
+    }
+
+    const fetches = await KeyFetch.countFetch(userId, peerId, PREKEY_FETCH_WINDOW_MS);
+    const withPreKeys = fetches <= PREKEY_FETCHES_PER_WINDOW;
+
+    // Pop atomically and read the pre-update document so each prekey is handed out exactly once
+    const devices = [];
+    for (const { _id } of bundles) {
+      const bundle = withPreKeys
+        ? await KeyBundle.findOneAndUpdate({ _id }, { $pop: { oneTimePreKeys: -1 } }, { new: false }).lean()
+        : await KeyBundle.findById(_id).lean();
+      if (!bundle) continue;
+
+      const oneTimePreKey = bundle.oneTimePreKeys?.[0];
+      devices.push({
+        deviceId: bundle.deviceId,
+        registrationId: bundle.registrationId ?? null,
+        identityKey: bundle.identityKey,
+        signedPreKey: bundle.signedPreKey,
+        oneTimePreKey: withPreKeys && oneTimePreKey ? { keyId: oneTimePreKey.keyId, publicKey: oneTimePreKey.publicKey } : null
+      });
+    }
+
+    res.json({
+      success: true,
+      userId: String(peerId),
+      devices
+    });
+  } catch (error) {
+    console.error('❌ Get key bundle error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Error fetching key bundle'
+    });
+  }
+};
+
+/**
+ * Remove one of the caller's devices from the key directory
+ */
+export const removeDeviceKeys = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const { deviceId } = req.params;
+
+    const result = await KeyBundle.deleteOne({ userId, deviceId });
+    if (!result.deletedCount) {
+      return res.status(404).json({
+        success: false,
+        error: 'not_found',
+        message: 'Device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device keys removed'
+    });
+  } catch (error) {
+    console.error('❌ Remove device keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Error removing device keys'
+    });
+  }
+};
+
+export default {
+  publishKeys,
+  uploadPreKeys,
+  getMyKeys,
+  getKeyBundle,
+  removeDeviceKeys
+};
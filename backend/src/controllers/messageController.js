@@ -4,6 +4,8 @@ import User from '../models/User.js';
 import { normalizePhone } from '../utils/phoneNormalizer.js';
 import config from '../config/index.js';
 import mongoose from 'mongoose';
+import { CIPHERTEXT_TYPE, normalizeEncryptedPayload, serializeEncrypted } from '../utils/encryption.js';
+import { CLIENT_MESSAGE_TYPES } from '../utils/constants.js';
 
 /**
  * Helper: Get user ID by phone
@@ -62,7 +64,8 @@ export const sendMessage = async (req, res) => {
       callDuration,
       replyTo,
       replyToMessage,
-      clientId
+      clientId,
+      encrypted
     } = req.body;
 
     const userId = req.user.id || req.user.uid || req.user.userId;
@@ -77,6 +80,14 @@ export const sendMessage = async (req, res) => {
       });
     }
 
+    if (!CLIENT_MESSAGE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'validation_error',
+        message: 'Invalid message type'
+      });
+    }
+
     const normalizedContent = (content || text || '').toString().trim();
     const audioDuration = audioDurationStr ? parseInt(audioDurationStr, 10) : null;
 
@@ -84,7 +95,26 @@ export const sendMessage = async (req, res) => {
     const isVoice = fileType === 'audio' || fileType === 'voice' ||
                     (fileName && (fileName.endsWith('.m4a') || fileName.endsWith('.mp3') || fileName.startsWith('voice_')));
     
-    if (!normalizedContent && !fileUrl && !media && !callActivity) {
+    const isCiphertext = type === CIPHERTEXT_TYPE;
+    if (isCiphertext) {
+      if (normalizedContent || fileUrl || media) {
+        return res.status(400).json({
+          success: false,
+          error: 'validation_error',
+          message: 'Encrypted messages cannot carry plaintext content'
+        });
+      }
+      const { error: encryptedError } = normalizeEncryptedPayload(encrypted);
+      if (encryptedError) {
+        return res.status(400).json({
+          success: false,
+          error: 'validation_error',
+          message: encryptedError
+        });
+      }
+    }
+
+    if (!normalizedContent && !fileUrl && !media && !callActivity && !isCiphertext) {
       return res.status(400).json({
         success: false,
         error: 'validation_error',
@@ -253,7 +283,8 @@ export const sendMessage = async (req, res) => {
       callDuration,
       replyTo,
       replyToMessage,
-      clientId
+      clientId,
+      encrypted
     });
 
     // Build response payload
@@ -262,8 +293,8 @@ export const sendMessage = async (req, res) => {
       messageId: String(newMessage._id),
       conversationId: String(targetConversationId),
       conversation: String(targetConversationId),
-      from: String(newMessage.from || newMessage.sender),
-      sender: String(newMessage.sender || newMessage.from),
+      from: String(sender),
+      sender: String(sender),
       to: newMessage.to ? String(newMessage.to) : undefined,
       text: newMessage.text || newMessage.content,
       content: newMessage.content || newMessage.text,
@@ -293,6 +324,10 @@ export const sendMessage = async (req, res) => {
       if (newMessage.callDuration !== undefined) payload.callDuration = newMessage.callDuration.toString();
     }
 
+    if (newMessage.type === CIPHERTEXT_TYPE) {
+      payload.encrypted = serializeEncrypted(newMessage.encrypted);
+    }
+
     if (newMessage.replyTo) {
       payload.replyTo = String(newMessage.replyTo);
     }
@@ -310,6 +345,23 @@ export const sendMessage = async (req, res) => {
     console.error('❌ Send message error:', error);
     console.error('❌ Error stack:', error.stack);
     console.error('❌ Request body:', JSON.stringify(req.body, null, 2));
+
+    if (error.message === 'Messaging is blocked between these users') {
+      return res.status(403).json({
+        success: false,
+        error: 'blocked',
+        message: error.message
+      });
+    }
+
+    if (error.message === 'User is not a member of this conversation' || error.message.startsWith('Only admins')) {
+      return res.status(403).json({
+        success: false,
+        error: 'forbidden',
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'server_error',
@@ -319,14 +371,77 @@ export const sendMessage = async (req, res) => {
   }
 };
 
+/**
+ * Forward messages into one or more conversations
+ * Accepts messageIds/conversationIds arrays or single messageId/conversationId
+ */
+export const forwardMessages = async (req, res) => {
+  const messageService = req.app.get('messageService');
+  try {
+    const { messageIds, messageId, conversationIds, conversationId } = req.body;
+    const userId = req.user.id || req.user.uid || req.user.userId;
+
+    const sources = Array.isArray(messageIds) ? messageIds : (messageId ? [messageId] : []);
+    const targets = Array.isArray(conversationIds) ? conversationIds : (conversationId ? [conversationId] : []);
+
+    const forwarded = await messageService.forwardMessages(userId, sources, targets);
+
+    res.status(201).json({
+      success: true,
+      messages: forwarded.map(m => messageService.formatMessage(m.toObject()))
+    });
+  } catch (error) {
+    console.error('❌ Forward messages error:', error);
+
+    if (error.message === 'Message not found' || error.message === 'Conversation not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'not_found',
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Messaging is blocked between these users') {
+      return res.status(403).json({
+        success: false,
+        error: 'blocked',
+        message: error.message
+      });
+    }
+
+    if (error.message === 'User is not a member of this conversation' || error.message.startsWith('Only admins')) {
+      return res.status(403).json({
+        success: false,
+        error: 'forbidden',
+        message: error.message
+      });
+    }
+
+    if (error.message.startsWith('Cannot forward') || error.message.startsWith('At least') || error.message.startsWith('No more than')) {
+      return res.status(400).json({
+        success: false,
+        error: 'validation_error',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Error forwarding messages'
+    });
+  }
+};
+
 /**
  * Get messages for a conversation
  * Supports both Backend and Backend1 query styles
  */
 export const getMessages = async (req, res) => {
+  const messageService = req.app.get('messageService');
   try {
     const { conversationId, conversation, userA, userB } = req.params;
-    const { page = 1, limit = 50, before } = req.query;
+    const { limit, cursor, direction, before, after, around } = req.query;
     const userId = req.user.id || req.user.uid || req.user.userId;
 
     let targetConversationId = conversationId || conversation;
@@ -358,10 +473,11 @@ export const getMessages = async (req, res) => {
           success: true,
           messages: [],
           pagination: {
-            totalPages: 0,
-            currentPage: parseInt(page),
-            total: 0,
-            limit: parseInt(limit)
+            hasMore: false,
+            hasOlder: false,
+            hasNewer: false,
+            prevCursor: null,
+            nextCursor: null
           }
         });
       }
@@ -376,9 +492,12 @@ export const getMessages = async (req, res) => {
     }
 
     const result = await messageService.getMessages(targetConversationId, userId, {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      before
+      limit,
+      cursor,
+      direction,
+      before,
+      after,
+      around
     });
 
     res.json({
@@ -389,13 +508,21 @@ export const getMessages = async (req, res) => {
   } catch (error) {
     console.error('❌ Get messages error:', error);
     
-    if (error.message === 'Conversation not found') {
+    if (error.message === 'Conversation not found' || error.message === 'Message not found') {
       return res.status(404).json({
         success: false,
         error: 'not_found',
         message: error.message
       });
     }
+
+    if (error.message === 'Invalid pagination cursor') {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_cursor',
+        message: error.message
+      });
+    }
     
     if (error.message.includes('not a member')) {
       return res.status(403).json({
@@ -417,6 +544,7 @@ export const getMessages = async (req, res) => {
  * Edit message
  */
 export const editMessage = async (req, res) => {
+  const messageService = req.app.get('messageService');
   try {
     const { id } = req.params;
     const { text, content } = req.body;
@@ -480,6 +608,14 @@ export const editMessage = async (req, res) => {
       });
     }
 
+    if (error.message.startsWith('Cannot edit')) {
+      return res.status(400).json({
+        success: false,
+        error: 'validation_error',
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'server_error',
@@ -492,6 +628,7 @@ export const editMessage = async (req, res) => {
  * Delete message
  */
 export const deleteMessage = async (req, res) => {
+  const messageService = req.app.get('messageService');
   try {
     const { id } = req.params;
     const { deleteForBoth } = req.body;
@@ -536,6 +673,86 @@ export const deleteMessage = async (req, res) => {
   }
 };
 
+/**
+ * Helper: Map reaction errors to responses
+ */
+const handleReactionError = (res, error, fallback) => {
+  if (error.message === 'Message not found' || error.message === 'Reaction not found') {
+    return res.status(404).json({
+      success: false,
+      error: 'not_found',
+      message: error.message
+    });
+  }
+
+  if (error.message === 'User is not a member of this conversation') {
+    return res.status(403).json({
+      success: false,
+      error: 'forbidden',
+      message: error.message
+    });
+  }
+
+  if (error.message.startsWith('Reaction') || error.message.startsWith('Cannot react')) {
+    return res.status(400).json({
+      success: false,
+      error: 'validation_error',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'server_error',
+    message: error.message || fallback
+  });
+};
+
+/**
+ * Add or change the current user's reaction to a message
+ */
+export const addReaction = async (req, res) => {
+  const messageService = req.app.get('messageService');
+  try {
+    const { id } = req.params;
+    const { reaction, emoji } = req.body;
+    const userId = req.user.id || req.user.uid || req.user.userId;
+
+    const { message } = await messageService.addReaction(id, userId, reaction || emoji);
+
+    res.json({
+      success: true,
+      messageId: message._id,
+      reactions: message.reactions
+    });
+  } catch (error) {
+    console.error('❌ Add reaction error:', error);
+    handleReactionError(res, error, 'Error adding reaction');
+  }
+};
+
+/**
+ * Remove the current user's reaction from a message
+ */
+export const removeReaction = async (req, res) => {
+  const messageService = req.app.get('messageService');
+  try {
+    const { id } = req.params;
+    const userId = req.user.id || req.user.uid || req.user.userId;
+
+    const { message } = await messageService.removeReaction(id, userId);
+
+    res.json({
+      success: true,
+      messageId: message._id,
+      reactions: message.reactions
+    });
+  } catch (error) {
+    console.error('❌ Remove reaction error:', error);
+    handleReactionError(res, error, 'Error removing reaction');
+  }
+};
+
 /**
  * Mark message as read
  */
@@ -574,67 +791,57 @@ export const markAsRead = async (req, res) => {
 };
 
 /**
- * Search messages
+ * Search messages (ranked, with snippets and filters)
  */
 export const searchMessages = async (req, res) => {
+  const searchService = req.app.get('searchService');
   try {
-    const { query } = req.query;
+    const { query, q, conversationId, senderId, since, until, type, types, page, limit } = req.query;
     const userId = req.user.id || req.user.uid || req.user.userId;
 
-    if (!query || query.trim().length < 2) {
+    const searchQuery = (query || q || '').toString();
+    if (searchQuery.trim().length < 2) {
       return res.json({
         success: true,
         messages: []
       });
     }
 
-    // Get user's conversations
-    const userConversations = await Conversation.find({
-      $or: [
-        { participants: userId },
-        { members: userId }
-      ]
-    }).select('_id').lean();
-
-    const conversationIds = userConversations.map(conv => conv._id);
-
-    // Search messages
-    const messages = await Message.find({
-      $or: [
-        { conversation: { $in: conversationIds } },
-        { conversationId: { $in: conversationIds } }
-      ],
-      $or: [
-        { content: { $regex: query, $options: 'i' } },
-        { text: { $regex: query, $options: 'i' } }
-      ],
-      deleted: { $ne: true },
-      isDeleted: { $ne: true },
-      deletedFor: { $nin: [userId] }
-    })
-      .populate('sender', 'name phone avatar avatarUrl')
-      .populate('from', 'name phone avatar avatarUrl')
-      .sort({ createdAt: -1 })
-      .limit(20)
-      .lean();
-
-    const formatted = messages.map(m => ({
-      _id: String(m._id),
-      from: String(m.from || m.sender),
-      sender: String(m.sender || m.from),
-      text: m.text || m.content,
-      content: m.content || m.text,
-      conversation: m.conversation ? String(m.conversation) : String(m.conversationId),
-      conversationId: m.conversationId ? String(m.conversationId) : String(m.conversation),
-      createdAt: m.createdAt?.toISOString()
-    }));
+    const result = await searchService.searchMessages(userId, {
+      query: searchQuery,
+      conversationId,
+      senderId,
+      since,
+      until,
+      types: types || type,
+      page,
+      limit
+    });
 
     res.json({
       success: true,
-      messages: formatted
+      messages: result.results,
+      pagination: result.pagination
     });
   } catch (error) {
     console.error('❌ Search messages error:', error);
+
+    if (error.message === 'Invalid search filter') {
+      return res.status(400).json({
+        success: false,
+        error: 'validation_error',
+        message: error.message
+      });
+    }
+
+    if (error.message === 'User is not a member of this conversation') {
+      return res.status(403).json({
+        success: false,
+        error: 'forbidden',
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'server_error',
@@ -647,6 +854,7 @@ export const searchMessages = async (req, res) => {
  * Upload voice message
  */
 export const uploadVoiceMessage = async (req, res) => {
+  const messageService = req.app.get('messageService');
   try {
     const { conversationId } = req.body;
     const userId = req.user.id || req.user.uid || req.user.userId;
@@ -733,9 +941,12 @@ export const uploadVoiceMessage = async (req, res) => {
 // Export default object for route compatibility
 export default {
   sendMessage,
+  forwardMessages,
   getMessages,
   editMessage,
   deleteMessage,
+  addReaction,
+  removeReaction,
   markAsRead,
   searchMessages,
   uploadVoiceMessage
@@ -1,9 +1,8 @@
-import notificationService from '../services/notificationService.js';
-
 /**
  * Get user notifications
  */
 export const getNotifications = async (req, res) => {
+  const notificationService = req.app.get('notificationService');
   try {
     const userId = req.user.id || req.user.uid || req.user.userId;
     const { page = 1, limit = 20, type } = req.query;
@@ -32,6 +31,7 @@ export const getNotifications = async (req, res) => {
  * Mark notification as read
  */
 export const markAsRead = async (req, res) => {
+  const notificationService = req.app.get('notificationService');
   try {
     const { notificationId } = req.params;
     const userId = req.user.id || req.user.uid || req.user.userId;
@@ -64,6 +64,7 @@ export const markAsRead = async (req, res) => {
  * Mark all notifications as read
  */
 export const markAllAsRead = async (req, res) => {
+  const notificationService = req.app.get('notificationService');
   try {
     const userId = req.user.id || req.user.uid || req.user.userId;
 
@@ -87,6 +88,7 @@ export const markAllAsRead = async (req, res) => {
  * Get unread count
  */
 export const getUnreadCount = async (req, res) => {
+  const notificationService = req.app.get('notificationService');
   try {
     const userId = req.user.id || req.user.uid || req.user.userId;
 
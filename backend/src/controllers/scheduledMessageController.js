@@ -0,0 +1,169 @@
+/**
+ * Helper: Map scheduled message errors to responses
+ */
+const handleScheduledError = (res, error, fallback) => {
+  if (error.message === 'Scheduled message not found' || error.message === 'Conversation not found') {
+    return res.status(404).json({
+      success: false,
+      error: 'not_found',
+      message: error.message
+    });
+  }
+
+  if (error.message === 'Messaging is blocked between these users') {
+    return res.status(403).json({
+      success: false,
+      error: 'blocked',
+      message: error.message
+    });
+  }
+
+  if (error.message === 'User is not a member of this conversation' || error.message.startsWith('Only admins')) {
+    return res.status(403).json({
+      success: false,
+      error: 'forbidden',
+      message: error.message
+    });
+  }
+
+  if (error.message === 'Only pending scheduled messages can be changed') {
+    return res.status(409).json({
+      success: false,
+      error: 'not_pending',
+      message: error.message
+    });
+  }
+
+  if (error.message.startsWith('Message exceeds')) {
+    return res.status(413).json({
+      success: false,
+      error: 'too_long',
+      message: error.message
+    });
+  }
+
+  if (
+    error.message.startsWith('sendAt') ||
+    error.message.startsWith('No more than') ||
+    error.message.startsWith('replyTo') ||
+    error.message === 'Message content is required' ||
+    error.message === 'Encrypted messages cannot be scheduled' ||
+    error.message === 'Invalid message type' ||
+    error.message === 'Nothing to update'
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: 'validation_error',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'server_error',
+    message: error.message || fallback
+  });
+};
+
+/**
+ * Schedule a message for later
+ */
+export const createScheduledMessage = async (req, res) => {
+  const scheduledMessageService = req.app.get('scheduledMessageService');
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const { conversationId, conversation, content, text, type, fileUrl, media, fileName, fileType, replyTo, sendAt } = req.body;
+
+    const entry = await scheduledMessageService.create(userId, {
+      conversationId: conversationId || conversation,
+      content: content || text,
+      type,
+      fileUrl: fileUrl || media,
+      fileName,
+      fileType,
+      replyTo,
+      sendAt
+    });
+
+    res.status(201).json({
+      success: true,
+      scheduledMessage: scheduledMessageService.serialize(entry)
+    });
+  } catch (error) {
+    console.error('❌ Schedule message error:', error);
+    handleScheduledError(res, error, 'Error scheduling message');
+  }
+};
+
+/**
+ * List my scheduled messages (?conversationId=, ?status=pending|sent|failed|cancelled|all)
+ */
+export const getScheduledMessages = async (req, res) => {
+  const scheduledMessageService = req.app.get('scheduledMessageService');
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const { conversationId, status } = req.query;
+
+    const entries = await scheduledMessageService.list(userId, { conversationId, status });
+
+    res.json({
+      success: true,
+      scheduledMessages: entries.map(entry => scheduledMessageService.serialize(entry))
+    });
+  } catch (error) {
+    console.error('❌ Get scheduled messages error:', error);
+    handleScheduledError(res, error, 'Error fetching scheduled messages');
+  }
+};
+
+/**
+ * Edit the content or send time of a pending scheduled message
+ */
+export const updateScheduledMessage = async (req, res) => {
+  const scheduledMessageService = req.app.get('scheduledMessageService');
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const { content, text, type, sendAt } = req.body;
+
+    const entry = await scheduledMessageService.update(userId, req.params.id, {
+      content: content ?? text,
+      type,
+      sendAt
+    });
+
+    res.json({
+      success: true,
+      scheduledMessage: scheduledMessageService.serialize(entry)
+    });
+  } catch (error) {
+    console.error('❌ Update scheduled message error:', error);
+    handleScheduledError(res, error, 'Error updating scheduled message');
+  }
+};
+
+/**
+ * Cancel a pending scheduled message
+ */
+export const cancelScheduledMessage = async (req, res) => {
+  const scheduledMessageService = req.app.get('scheduledMessageService');
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+
+    const entry = await scheduledMessageService.cancel(userId, req.params.id);
+
+    res.json({
+      success: true,
+      scheduledMessage: scheduledMessageService.serialize(entry)
+    });
+  } catch (error) {
+    console.error('❌ Cancel scheduled message error:', error);
+    handleScheduledError(res, error, 'Error cancelling scheduled message');
+  }
+};
+
+export default {
+  createScheduledMessage,
+  getScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage
+};
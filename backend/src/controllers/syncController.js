@@ -0,0 +1,100 @@
+/**
+ * Helper: Map sync service errors to responses
+ */
+const handleSyncError = (res, error, fallback) => {
+  if (error.message === 'Session not found') {
+    return res.status(401).json({
+      success: false,
+      error: 'invalid_session',
+      message: 'Session not found or revoked'
+    });
+  }
+
+  if (error.message === 'Invalid sync cursor') {
+    return res.status(400).json({
+      success: false,
+      error: 'invalid_cursor',
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: 'server_error',
+    message: error.message || fallback
+  });
+};
+
+/**
+ * Helper: Sync cursors belong to a session, so the token must carry one
+ */
+const requireSessionId = (req, res) => {
+  if (!req.user.sessionId) {
+    res.status(400).json({
+      success: false,
+      error: 'session_required',
+      message: 'Sync requires a token issued for a device session'
+    });
+    return null;
+  }
+  return req.user.sessionId;
+};
+
+/**
+ * Get message changes since this device's cursor (or an explicit ?cursor=)
+ */
+export const getChanges = async (req, res) => {
+  const syncService = req.app.get('syncService');
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const sessionId = requireSessionId(req, res);
+    if (!sessionId) return;
+
+    const { cursor, limit } = req.query;
+    const result = await syncService.getChanges(userId, sessionId, { cursor, limit });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Sync changes error:', error);
+    handleSyncError(res, error, 'Error fetching changes');
+  }
+};
+
+/**
+ * Store this device's cursor after it applied a page of changes
+ */
+export const acknowledge = async (req, res) => {
+  const syncService = req.app.get('syncService');
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const sessionId = requireSessionId(req, res);
+    if (!sessionId) return;
+
+    const { cursor } = req.body;
+    if (!cursor) {
+      return res.status(400).json({
+        success: false,
+        error: 'validation_error',
+        message: 'cursor is required'
+      });
+    }
+
+    const result = await syncService.acknowledge(userId, sessionId, cursor);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Sync acknowledge error:', error);
+    handleSyncError(res, error, 'Error saving sync cursor');
+  }
+};
+
+export default {
+  getChanges,
+  acknowledge
+};
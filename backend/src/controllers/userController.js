@@ -1,4 +1,7 @@
+import zlib from 'zlib';
 import User from '../models/User.js';
+import Block from '../models/Block.js';
+import { TarWriter } from '../utils/tarArchive.js';
 
 /**
  * Get all users (with search and pagination)
@@ -8,7 +11,7 @@ export const getUsers = async (req, res) => {
     const { search, page = 1, limit = 20 } = req.query;
     const userId = req.user.id || req.user.uid || req.user.userId;
 
-    let query = { _id: { $ne: userId } };
+    let query = { _id: { $ne: userId }, deletedAt: { $exists: false } };
 
     if (search) {
       query.$or = [
@@ -75,6 +78,7 @@ export const searchUsers = async (req, res) => {
 
     const query = {
       _id: { $ne: userId },
+      deletedAt: { $exists: false },
       $or: [
         { name: { $regex: searchQuery, $options: 'i' } },
         { phone: { $regex: searchQuery, $options: 'i' } }
@@ -161,6 +165,7 @@ export const getCurrentUserProfile = async (req, res) => {
 export const getUserProfile = async (req, res) => {
   try {
     const { userId } = req.params;
+    const currentUserId = req.user.id || req.user.uid || req.user.userId;
     const user = await User.findById(userId).select('-password -passwordHash').lean();
 
     if (!user) {
@@ -171,6 +176,9 @@ export const getUserProfile = async (req, res) => {
       });
     }
 
+    // Users on either side of a block don't see each other's presence
+    const hidePresence = await Block.between(currentUserId, user._id);
+
     res.json({
       success: true,
       user: {
@@ -181,8 +189,8 @@ export const getUserProfile = async (req, res) => {
         avatar: user.avatar || user.avatarUrl || null,
         avatarUrl: user.avatarUrl || user.avatar || null,
         bio: user.bio || null,
-        isOnline: user.isOnline || false,
-        lastSeen: user.lastSeen
+        isOnline: hidePresence ? false : (user.isOnline || false),
+        lastSeen: hidePresence ? null : user.lastSeen
       }
     });
   } catch (error) {
@@ -375,13 +383,16 @@ export const getPresence = async (req, res) => {
   try {
     const ids = (req.query.ids || '').toString().split(',').filter(Boolean);
     const verbose = req.query.verbose === '1' || req.query.verbose === 'true';
+    const userId = req.user.id || req.user.uid || req.user.userId;
 
     const presenceService = req.app.get('presenceService');
+    // Users on either side of a block show as offline with no last seen
+    const hidden = await Block.relatedTo(userId);
 
     if (ids.length === 0) {
       // Return all online users
       if (!verbose) {
-        const online = presenceService ? presenceService.getOnlineUsers() : [];
+        const online = (presenceService ? await presenceService.getOnlineUsers() : []).filter(id => !hidden.has(id));
         return res.json({
           success: true,
           online
@@ -391,11 +402,13 @@ export const getPresence = async (req, res) => {
         const users = await User.find({})
           .select('_id isOnline lastSeen')
           .lean();
+        const live = presenceService ? await presenceService.getAllOnlineStatuses() : {};
 
         const map = {};
         for (const u of users) {
           const uid = String(u._id);
-          const status = presenceService ? presenceService.getUserStatus(uid) : {};
+          if (hidden.has(uid)) continue;
+          const status = live[uid] || {};
           map[uid] = {
             online: status.online || u.isOnline || false,
             isOnline: status.isOnline || u.isOnline || false,
@@ -414,8 +427,10 @@ export const getPresence = async (req, res) => {
     if (!verbose) {
       const map = {};
       for (const id of ids) {
-        if (presenceService) {
-          map[id] = presenceService.isUserOnline(id);
+        if (hidden.has(id)) {
+          map[id] = false;
+        } else if (presenceService) {
+          map[id] = await presenceService.isUserOnline(id);
         } else {
           const user = await User.findById(id).select('isOnline').lean();
           map[id] = user?.isOnline || false;
@@ -428,7 +443,11 @@ export const getPresence = async (req, res) => {
     } else {
       const map = {};
       for (const id of ids) {
-        const status = presenceService ? presenceService.getUserStatus(id) : {};
+        if (hidden.has(id)) {
+          map[id] = { online: false, isOnline: false, at: null, lastSeen: null };
+          continue;
+        }
+        const status = presenceService ? await presenceService.getUserStatus(id) : {};
         const user = await User.findById(id).select('isOnline lastSeen').lean();
         map[id] = {
           online: status.online || user?.isOnline || false,
@@ -458,7 +477,7 @@ export const getPresence = async (req, res) => {
 export const getOnlineUsersCount = async (req, res) => {
   try {
     const presenceService = req.app.get('presenceService');
-    const count = presenceService ? presenceService.getOnlineCount() : 0;
+    const count = presenceService ? await presenceService.getOnlineCount() : 0;
 
     res.json({
       success: true,
@@ -474,6 +493,203 @@ export const getOnlineUsersCount = async (req, res) => {
   }
 };
 
+/**
+ * Download everything stored about the current user as a .tar.gz
+ * (data.json plus the files they uploaded)
+ */
+export const exportData = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const accountExportService = req.app.get('accountExportService');
+
+    // Collected before streaming starts so errors can still be answered with JSON
+    const exported = await accountExportService.collect(userId);
+    const date = exported.data.exportedAt.slice(0, 10);
+
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename="export-${userId}-${date}.tar.gz"`);
+
+    const gzip = zlib.createGzip();
+    gzip.pipe(res);
+    try {
+      await accountExportService.writeArchive(exported, new TarWriter(gzip));
+    } catch (error) {
+      // Headers are gone; cut the download short so the client sees it failed
+      console.error('❌ Export stream error:', error);
+      gzip.destroy();
+      res.destroy(error);
+    }
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return res.status(404).json({ success: false, error: 'user_not_found', message: error.message });
+    }
+    console.error('❌ Export data error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Error exporting data'
+    });
+  }
+};
+
+/**
+ * Whether the current account is scheduled for deletion
+ */
+export const getAccountDeletion = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const accountDeletionService = req.app.get('accountDeletionService');
+    const deletion = await accountDeletionService.status(userId);
+
+    res.json({
+      success: true,
+      deletion
+    });
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return res.status(404).json({ success: false, error: 'user_not_found', message: error.message });
+    }
+    console.error('❌ Get account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Error getting account deletion'
+    });
+  }
+};
+
+/**
+ * Schedule the current account for deletion after the grace period
+ * (asking again keeps the original date)
+ */
+export const requestAccountDeletion = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const accountDeletionService = req.app.get('accountDeletionService');
+    const deletion = await accountDeletionService.schedule(userId);
+
+    res.json({
+      success: true,
+      deletion
+    });
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return res.status(404).json({ success: false, error: 'user_not_found', message: error.message });
+    }
+    console.error('❌ Request account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Error scheduling account deletion'
+    });
+  }
+};
+
+/**
+ * Cancel a scheduled account deletion
+ */
+export const cancelAccountDeletion = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const accountDeletionService = req.app.get('accountDeletionService');
+    const deletion = await accountDeletionService.cancel(userId);
+
+    res.json({
+      success: true,
+      deletion
+    });
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return res.status(404).json({ success: false, error: 'user_not_found', message: error.message });
+    }
+    console.error('❌ Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Error cancelling account deletion'
+    });
+  }
+};
+
+/**
+ * List the users I have blocked
+ */
+export const getBlockedUsers = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const blockService = req.app.get('blockService');
+    const blocked = await blockService.list(userId);
+
+    res.json({
+      success: true,
+      blocked
+    });
+  } catch (error) {
+    console.error('❌ Get blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Error fetching blocked users'
+    });
+  }
+};
+
+/**
+ * Block a user
+ */
+export const blockUser = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const blockService = req.app.get('blockService');
+    const { changed, ...block } = await blockService.block(userId, req.params.userId);
+
+    res.status(changed ? 201 : 200).json({
+      success: true,
+      changed,
+      block
+    });
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return res.status(404).json({ success: false, error: 'user_not_found', message: error.message });
+    }
+    if (error.message === 'Cannot block yourself') {
+      return res.status(400).json({ success: false, error: 'validation_error', message: error.message });
+    }
+    console.error('❌ Block user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Error blocking user'
+    });
+  }
+};
+
+/**
+ * Unblock a user
+ */
+export const unblockUser = async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+    const blockService = req.app.get('blockService');
+    const { changed } = await blockService.unblock(userId, req.params.userId);
+
+    res.json({
+      success: true,
+      changed
+    });
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return res.status(404).json({ success: false, error: 'user_not_found', message: error.message });
+    }
+    console.error('❌ Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Error unblocking user'
+    });
+  }
+};
+
 // Export default object for route compatibility
 export default {
   getUsers,
@@ -483,6 +699,13 @@ export default {
   updateProfile,
   getUsersByIds,
   getPresence,
-  getOnlineUsersCount
+  getOnlineUsersCount,
+  exportData,
+  getAccountDeletion,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  getBlockedUsers,
+  blockUser,
+  unblockUser
 };
 
@@ -4,9 +4,11 @@ import mongoose from 'mongoose';
 import cors from 'cors';
 import http from 'http';
 import { Server as SocketIOServer } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import config from './config/index.js';
+import { createStateStore } from './utils/stateStore.js';
 
 // Import routes
 import authRoutes from './routes/authRoutes.js';
@@ -15,12 +17,28 @@ import conversationRoutes from './routes/conversationRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import groupRoutes from './routes/groupRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
+import keyRoutes from './routes/keyRoutes.js';
+import syncRoutes from './routes/syncRoutes.js';
+import scheduledMessageRoutes from './routes/scheduledMessageRoutes.js';
+import callRoutes from './routes/callRoutes.js';
 
 // Import services
 import PresenceService from './services/presenceService.js';
 import MessageService from './services/messageService.js';
 import CallService from './services/callService.js';
 import NotificationService from './services/notificationService.js';
+import SyncService from './services/syncService.js';
+import SearchService from './services/searchService.js';
+import ScheduledMessageService from './services/scheduledMessageService.js';
+import DisappearingMessageService from './services/disappearingMessageService.js';
+import SessionService from './services/sessionService.js';
+import OtpDeliveryService from './services/otpDeliveryService.js';
+import OtpAttemptService from './services/otpAttemptService.js';
+import TwoFactorService from './services/twoFactorService.js';
+import AccountExportService from './services/accountExportService.js';
+import AccountDeletionService from './services/accountDeletionService.js';
+import BlockService from './services/blockService.js';
+import InstanceService from './services/instanceService.js';
 
 // Import socket handler
 import initializeSockets from './sockets/socketHandler.js';
@@ -176,12 +194,46 @@ const connectWithRetry = async (retries = 5, delay = 5000) => {
 
 connectWithRetry();
 
+// ============ SHARED STATE ============
+
+// Live presence and call state: Redis when REDIS_URL is set (several instances), memory otherwise
+const stateStore = await createStateStore(config);
+
+// Room broadcasts reach sockets connected to the other instances
+const adapterClients = [];
+if (config.redisUrl) {
+  const pubClient = stateStore.client.duplicate();
+  const subClient = stateStore.client.duplicate();
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  adapterClients.push(pubClient, subClient);
+  io.adapter(createAdapter(pubClient, subClient, { key: `${config.redisKeyPrefix}socket.io` }));
+  console.log('✅ Redis state store and Socket.IO adapter connected');
+}
+
 // ============ INITIALIZE SERVICES ============
 
-const presenceService = new PresenceService(io);
-const callService = new CallService(io);
+const presenceService = new PresenceService(io, stateStore);
 const notificationService = new NotificationService(io, presenceService);
+const callService = new CallService(io, stateStore, notificationService);
 const messageService = new MessageService(io, presenceService, notificationService);
+const syncService = new SyncService(messageService);
+const searchService = new SearchService(messageService);
+const scheduledMessageService = new ScheduledMessageService(messageService, notificationService);
+const disappearingMessageService = new DisappearingMessageService(messageService);
+const sessionService = new SessionService(io);
+const otpDeliveryService = new OtpDeliveryService();
+const otpAttemptService = new OtpAttemptService();
+const twoFactorService = new TwoFactorService();
+const accountExportService = new AccountExportService();
+const accountDeletionService = new AccountDeletionService(io, presenceService);
+const blockService = new BlockService(io, presenceService);
+const instanceService = new InstanceService(presenceService, callService);
+
+// Messages stored before search tokens existed become searchable in the background
+mongoose.connection.asPromise()
+  .then(() => searchService.backfillSearchTokens())
+  .then(count => count && console.log(`🔎 Indexed ${count} messages for search`))
+  .catch(err => console.error('❌ Search backfill failed:', err.message));
 
 // Initialize Group Service (requires io)
 setGroupService(io);
@@ -191,6 +243,29 @@ app.set('presenceService', presenceService);
 app.set('callService', callService);
 app.set('messageService', messageService);
 app.set('notificationService', notificationService);
+app.set('syncService', syncService);
+app.set('searchService', searchService);
+app.set('scheduledMessageService', scheduledMessageService);
+app.set('disappearingMessageService', disappearingMessageService);
+app.set('sessionService', sessionService);
+app.set('otpDeliveryService', otpDeliveryService);
+app.set('otpAttemptService', otpAttemptService);
+app.set('twoFactorService', twoFactorService);
+app.set('accountExportService', accountExportService);
+app.set('accountDeletionService', accountDeletionService);
+app.set('blockService', blockService);
+app.set('instanceService', instanceService);
+
+// Background jobs work off the database, so restarts lose nothing
+// (tests drive them directly with runDue, sweep and tick)
+if (config.nodeEnv !== 'test') {
+  mongoose.connection.asPromise().then(() => {
+    scheduledMessageService.start();
+    disappearingMessageService.start();
+    accountDeletionService.start();
+    instanceService.start();
+  });
+}
 
 // Initialize Socket.IO with services
 const services = {
@@ -210,6 +285,10 @@ app.use('/api/conversations', conversationRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/groups', groupRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/keys', keyRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/scheduled-messages', scheduledMessageRoutes);
+app.use('/api/calls', callRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -223,7 +302,11 @@ app.get('/', (req, res) => {
       conversations: '/api/conversations',
       users: '/api/users',
       groups: '/api/groups',
-      notifications: '/api/notifications'
+      notifications: '/api/notifications',
+      keys: '/api/keys',
+      sync: '/api/sync',
+      scheduledMessages: '/api/scheduled-messages',
+      calls: '/api/calls'
     }
   });
 });
@@ -299,14 +382,21 @@ server.on('error', (err) => {
 // Graceful shutdown
 const gracefulShutdown = async (signal) => {
   console.log(`🛑 ${signal} received, shutting down gracefully...`);
+
+  scheduledMessageService.stop();
+  disappearingMessageService.stop();
+  accountDeletionService.stop();
   
   // Close HTTP server
   server.close(() => {
     console.log('✅ HTTP server closed');
   });
   
-  // Close MongoDB connection (Mongoose 8+ uses Promise, not callback)
+  // Release this instance's sockets and calls, then close Redis and MongoDB (Mongoose 8+ uses Promise, not callback)
   try {
+    await instanceService.stop();
+    await Promise.all(adapterClients.map(client => client.quit()));
+    await stateStore.close();
     await mongoose.connection.close();
     console.log('✅ MongoDB connection closed');
     process.exit(0);
@@ -319,5 +409,6 @@ const gracefulShutdown = async (signal) => {
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
+export { server, io };
 export default app;
 
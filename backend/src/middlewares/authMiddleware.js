@@ -3,6 +3,9 @@ import config from '../config/index.js';
 import Session from '../models/Session.js';
 import User from '../models/User.js';
 
+// lastActivity is refreshed at most this often, so requests don't each cost a write
+const ACTIVITY_RESOLUTION_MS = 60 * 1000;
+
 /**
  * Standard JWT authentication middleware
  * Supports both uid (Backend1) and id/userId (Backend) in JWT
@@ -45,9 +48,24 @@ export const requireAuth = async (req, res, next) => {
       });
     }
 
+    // Tokens issued for a device session stop working once it is revoked
+    if (decoded.sessionId) {
+      const session = await Session.findActive(decoded.sessionId, userId);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          error: 'invalid_session',
+          message: 'Session has been revoked or has expired'
+        });
+      }
+      if (Date.now() - session.lastActivity.getTime() > ACTIVITY_RESOLUTION_MS) {
+        await session.updateActivity();
+      }
+    }
+
     // Get user from database
     const user = await User.findById(userId).select('-password -passwordHash').lean();
-    if (!user) {
+    if (!user || user.deletedAt) {
       return res.status(401).json({
         success: false,
         error: 'user_not_found',
@@ -152,7 +170,7 @@ export const requireSessionAuth = async (req, res, next) => {
 
     // Get user information
     const user = await User.findById(userId).select('-password -passwordHash').lean();
-    if (!user) {
+    if (!user || user.deletedAt) {
       return res.status(401).json({
         success: false,
         error: 'user_not_found',
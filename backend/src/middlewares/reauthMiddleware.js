@@ -0,0 +1,32 @@
+import User from '../models/User.js';
+import { verifyRecentAuth } from '../utils/reauth.js';
+
+/**
+ * Sensitive account actions need more than an access token
+ * Proven with { currentPassword } or a fresh password OTP ({ sessionId, otp }),
+ * plus { twoFactorCode | backupCode } when 2FA is enabled. Runs after requireAuth.
+ */
+export const requireRecentAuth = async (req, res, next) => {
+  try {
+    const userId = req.user.id || req.user.uid || req.user.userId;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'user_not_found',
+        message: 'User not found'
+      });
+    }
+
+    if (!await verifyRecentAuth(req, res, user)) return;
+    next();
+  } catch (error) {
+    console.error('❌ Re-authentication error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: error.message || 'Internal server error'
+    });
+  }
+};
@@ -1,14 +1,10 @@
 import multer from 'multer';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import config from '../config/index.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { uploadDir } from '../utils/uploads.js';
 
 // Create uploads directory if it doesn't exist
-const uploadDir = path.join(__dirname, '../../', config.uploadDir);
 if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
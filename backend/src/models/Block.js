@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * One user blocking another
+ * Blocking works both ways: neither side can message, call or see the other's presence
+ */
+const blockSchema = new mongoose.Schema({
+  blocker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blocked: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+
+// Static method to check whether either user has blocked the other
+blockSchema.statics.between = async function(userId, otherUserId) {
+  if (!userId || !otherUserId || String(userId) === String(otherUserId)) return false;
+  const block = await this.exists({
+    $or: [
+      { blocker: userId, blocked: otherUserId },
+      { blocker: otherUserId, blocked: userId }
+    ]
+  });
+  return Boolean(block);
+};
+
+// Static method to list everyone a user has blocked or been blocked by (Set of id strings)
+blockSchema.statics.relatedTo = async function(userId) {
+  const blocks = await this.find({ $or: [{ blocker: userId }, { blocked: userId }] })
+    .select('blocker blocked')
+    .lean();
+  const uid = String(userId);
+  return new Set(blocks.map(b => (String(b.blocker) === uid ? String(b.blocked) : String(b.blocker))));
+};
+
+export default mongoose.models.Block || mongoose.model('Block', blockSchema);
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+/**
+ * Call history
+ * One record per call, written by CallService as the call rings, is answered and ends
+ * Group calls have a conversation and the participants who joined instead of a callee
+ */
+const callSchema = new mongoose.Schema({
+  // Signaling id (the callId in call:* events)
+  callId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  caller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  callee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return !this.conversation; }
+  },
+  // Group calls: the group conversation and everyone who joined (the caller included)
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  kind: {
+    type: String,
+    enum: ['audio', 'video'],
+    default: 'audio'
+  },
+  status: {
+    type: String,
+    enum: ['ringing', 'answered', 'ended'],
+    default: 'ringing'
+  },
+  ringingAt: {
+    type: Date,
+    default: Date.now
+  },
+  answeredAt: {
+    type: Date
+  },
+  endedAt: {
+    type: Date
+  },
+  endReason: {
+    type: String,
+    enum: ['timeout', 'declined', 'busy', 'disconnect', 'hangup']
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Seconds between answer and end (0 for unanswered calls)
+  duration: {
+    type: Number,
+    default: 0
+  },
+  // When the callee looked at their missed calls
+  missedSeenAt: {
+    type: Date
+  },
+  // Removed from these users' history
+  deletedFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+callSchema.index({ caller: 1, createdAt: -1 });
+callSchema.index({ callee: 1, createdAt: -1 });
+callSchema.index({ participants: 1, createdAt: -1 });
+
+export default mongoose.models.Call || mongoose.model('Call', callSchema);
@@ -23,6 +23,11 @@ const conversationSchema = new mongoose.Schema({
     default: 'active',
     index: true
   },
+  // Status to return to once a block between the two participants is lifted
+  statusBeforeBlock: {
+    type: String,
+    enum: ['pending', 'active', 'declined']
+  },
   
   // Group info (if group conversation)
   name: { 
@@ -81,6 +86,21 @@ const conversationSchema = new mongoose.Schema({
     type: Map, 
     of: Date, 
     default: {} 
+  },
+
+  // Disappearing messages: messages sent since enabledAt are removed ttlSeconds after createdAt;
+  // earlier holds the periods before the last duration change whose messages have yet to expire
+  disappearingMessages: {
+    ttlSeconds: { type: Number, default: 0 },
+    enabledAt: { type: Date },
+    earlier: [{
+      _id: false,
+      ttlSeconds: Number,
+      from: Date,
+      until: Date
+    }],
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: { type: Date }
   }
 }, { 
   timestamps: true 
@@ -103,6 +123,7 @@ conversationSchema.index({ participants: 1, status: 1 });
 conversationSchema.index({ members: 1, status: 1 });
 conversationSchema.index({ status: 1, lastMessageAt: -1, updatedAt: -1 });
 conversationSchema.index({ hiddenFor: 1 });
+conversationSchema.index({ 'disappearingMessages.ttlSeconds': 1 }, { partialFilterExpression: { 'disappearingMessages.ttlSeconds': { $gt: 0 } } });
 
   // Pre-save middleware to sync participants/members
 conversationSchema.pre('save', function(next) {
@@ -41,12 +41,14 @@ const groupSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Conversation',
     unique: true,
+    sparse: true,
     index: true
   },
   conversationId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Conversation',
     unique: true,
+    sparse: true,
     index: true
   },
   // Group settings
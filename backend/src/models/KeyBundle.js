@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+const signedPreKeySchema = new mongoose.Schema({
+  keyId: { type: Number, required: true },
+  publicKey: { type: String, required: true },
+  signature: { type: String, required: true }
+}, { _id: false });
+
+const oneTimePreKeySchema = new mongoose.Schema({
+  keyId: { type: Number, required: true },
+  publicKey: { type: String, required: true }
+}, { _id: false });
+
+/**
+ * Public key material for one device of a user
+ * Private keys never leave the device; the server only hands out bundles
+ */
+const keyBundleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  deviceId: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 64
+  },
+  registrationId: {
+    type: Number
+  },
+  identityKey: {
+    type: String,
+    required: true
+  },
+  signedPreKey: {
+    type: signedPreKeySchema,
+    required: true
+  },
+  // Consumed one at a time when a peer fetches this device's bundle
+  oneTimePreKeys: [oneTimePreKeySchema],
+  lastPublishedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+keyBundleSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+
+export default mongoose.models.KeyBundle || mongoose.model('KeyBundle', keyBundleSchema);
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+/**
+ * How many one-time prekeys a requester has taken from a user's devices in the current window
+ */
+const keyFetchSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+keyFetchSchema.index({ requester: 1, target: 1 }, { unique: true });
+// Windows are short; stale counters are dropped after a day
+keyFetchSchema.index({ windowStartedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Static method to count one fetch; returns the number of fetches in the current window
+keyFetchSchema.statics.countFetch = async function(requester, target, windowMs) {
+  const now = new Date();
+  const current = await this.findOneAndUpdate(
+    { requester, target, windowStartedAt: { $gt: new Date(now.getTime() - windowMs) } },
+    { $inc: { count: 1 } },
+    { new: true }
+  ).lean();
+  if (current) return current.count;
+
+  try {
+    const fresh = await this.findOneAndUpdate(
+      { requester, target },
+      { $set: { count: 1, windowStartedAt: now } },
+      { new: true, upsert: true }
+    ).lean();
+    return fresh.count;
+  } catch (error) {
+    // Two first fetches raced on the upsert; the other one started the window
+    if (error.code !== 11000) throw error;
+    return this.countFetch(requester, target, windowMs);
+  }
+};
+
+export default mongoose.models.KeyFetch || mongoose.model('KeyFetch', keyFetchSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { tokenize } from '../utils/search.js';
 
 const reactionSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -6,6 +7,14 @@ const reactionSchema = new mongoose.Schema({
   timestamp: { type: Date, default: Date.now }
 });
 
+// One ciphertext per recipient device
+const envelopeSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  deviceId: { type: String, required: true },
+  type: { type: Number },
+  body: { type: String, required: true }
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
   // Unified: support both from/to (Backend1) and sender (Backend)
   from: { 
@@ -52,13 +61,19 @@ const messageSchema = new mongoose.Schema({
   // Message type
   type: { 
     type: String, 
-    enum: ['text', 'image', 'video', 'file', 'audio', 'location', 'contact', 'voice'], 
+    enum: ['text', 'image', 'video', 'file', 'audio', 'location', 'contact', 'voice', 'ciphertext', 'system'], 
     default: 'text' 
   },
   messageType: {
     type: String
   },
   
+  // End-to-end encrypted payload (type 'ciphertext'), stored and relayed as-is
+  encrypted: {
+    senderDeviceId: { type: String },
+    envelopes: { type: [envelopeSchema], default: undefined }
+  },
+  
   // Status (Backend style)
   status: { 
     type: String, 
@@ -188,6 +203,13 @@ const messageSchema = new mongoose.Schema({
       phone: String,
       email: String
     }
+  },
+
+  // Folded words of the content for search (see utils/search.js)
+  searchTokens: {
+    type: [String],
+    default: undefined,
+    select: false
   }
 }, { 
   timestamps: true,
@@ -247,18 +269,25 @@ messageSchema.pre('save', function(next) {
       this.editedAt = new Date();
     }
   }
+
+  // Keep search tokens in step with content; ciphertext is never indexed
+  if (this.isNew || this.isModified('content') || this.isModified('text')) {
+    this.searchTokens = this.type === 'ciphertext' ? [] : tokenize(this.content || this.text);
+  }
   
   next();
 });
 
 // Indexes for better performance
-messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 }); // Keyset pagination
 messageSchema.index({ conversationId: 1, createdAt: -1 });
 messageSchema.index({ from: 1, to: 1, createdAt: 1 });
 messageSchema.index({ from: 1, createdAt: -1 });
 messageSchema.index({ sender: 1, createdAt: -1 });
 messageSchema.index({ deleted: 1, isDeleted: 1 });
 messageSchema.index({ createdAt: 1 });
+messageSchema.index({ conversation: 1, updatedAt: 1, _id: 1 }); // Device sync feed
+messageSchema.index({ searchTokens: 1, createdAt: -1 }); // Message search
 
 export default mongoose.models.Message || mongoose.model('Message', messageSchema);
 
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Tombstones are kept for 90 days; devices that last synced before that must resync
+export const TOMBSTONE_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Marker left behind when a message is hard-deleted, so the sync feed can tell devices to drop it
+ * Shares the deleted message's _id
+ */
+const messageTombstoneSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['expired', 'account_deleted'],
+    required: true
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+messageTombstoneSchema.index({ conversation: 1, deletedAt: 1, _id: 1 });
+messageTombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: TOMBSTONE_RETENTION_MS / 1000 });
+
+// Static method to record tombstones for messages about to be hard-deleted
+messageTombstoneSchema.statics.record = async function(messages, reason, deletedAt = new Date()) {
+  const tombstones = messages
+    .filter(m => m.conversation || m.conversationId)
+    .map(m => ({ _id: m._id, conversation: m.conversation || m.conversationId, reason, deletedAt }));
+  if (!tombstones.length) return;
+  try {
+    await this.insertMany(tombstones, { ordered: false });
+  } catch (error) {
+    // A message purged twice (e.g. by two instances) already has its tombstone
+    if (error.code !== 11000 && !error.writeErrors?.every(e => e.code === 11000)) throw error;
+  }
+};
+
+export default mongoose.models.MessageTombstone || mongoose.model('MessageTombstone', messageTombstoneSchema);
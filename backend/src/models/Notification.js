@@ -25,7 +25,8 @@ const notificationSchema = new mongoose.Schema({
       'system_notification',
       'chat_request',
       'chat_request_accepted',
-      'chat_request_declined'
+      'chat_request_declined',
+      'scheduled_message_failed'
     ], 
     required: true,
     index: true
@@ -94,8 +95,8 @@ notificationSchema.virtual('timeAgo').get(function() {
 
 // Pre-save middleware to set expiration for certain notification types
 notificationSchema.pre('save', function(next) {
-  if (this.type === 'incoming_call' && !this.expiresAt) {
-    // Call notifications expire after 1 hour
+  // Ringing call notifications expire after 1 hour; missed-call ones are kept
+  if (this.type === 'incoming_call' && !this.data?.missed && !this.expiresAt) {
     this.expiresAt = new Date(Date.now() + 60 * 60 * 1000);
   }
   next();
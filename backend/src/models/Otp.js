@@ -22,6 +22,11 @@ const otpSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // What the code proves; codes stored before this field existed are register/login by isLogin
+  purpose: {
+    type: String,
+    enum: ['register', 'login', 'password', 'phone_change']
+  },
   expiresAt: {
     type: Date,
     required: true
@@ -29,6 +34,14 @@ const otpSchema = new mongoose.Schema({
   used: {
     type: Boolean,
     default: false
+  },
+  // Verification attempts against this code; it is invalidated after too many
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  invalidatedAt: {
+    type: Date
   }
 }, { 
   timestamps: true 
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+/**
+ * Audit record of a failed OTP verification
+ */
+const otpAttemptSchema = new mongoose.Schema({
+  phone: {
+    type: String
+  },
+  sessionId: {
+    type: String
+  },
+  purpose: {
+    type: String,
+    enum: ['register', 'login', 'password', 'phone_change']
+  },
+  reason: {
+    type: String,
+    enum: ['wrong_code', 'invalid_or_expired', 'locked'],
+    required: true
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  // Attempt number against the code, when one was found
+  attempt: {
+    type: Number
+  },
+  lockedUntil: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+otpAttemptSchema.index({ phone: 1, createdAt: -1 });
+// Audit records are kept for 90 days
+otpAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.models.OtpAttempt || mongoose.model('OtpAttempt', otpAttemptSchema);
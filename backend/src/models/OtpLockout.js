@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+/**
+ * Failed OTP verifications per phone number
+ * Too many failures inside the window lock the number, for longer each time
+ */
+const otpLockoutSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Number of lockouts so far; each one doubles the next lock duration
+  level: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  // End of the most recent lockout, kept after a successful verification so the level only decays with time
+  lastLockedUntil: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.models.OtpLockout || mongoose.model('OtpLockout', otpLockoutSchema);
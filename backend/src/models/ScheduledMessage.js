@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+/**
+ * A message queued by its author to be sent later
+ * The scheduler claims due entries by flipping pending -> processing, so
+ * queued sends survive restarts and are never dispatched twice concurrently
+ */
+const scheduledMessageSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  type: {
+    type: String,
+    default: 'text'
+  },
+  fileUrl: { type: String },
+  fileName: { type: String },
+  fileType: { type: String },
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  sendAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'sent', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lockedAt: { type: Date },
+  // Set after a transient failure; the entry is not retried before then
+  retryAt: { type: Date },
+  sentAt: { type: Date },
+  sentMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  failureReason: { type: String }
+}, {
+  timestamps: true
+});
+
+// Scheduler: next due pending entries
+scheduledMessageSchema.index({ status: 1, sendAt: 1 });
+// Author's queue per conversation
+scheduledMessageSchema.index({ author: 1, conversation: 1, sendAt: 1 });
+
+export default mongoose.models.ScheduledMessage || mongoose.model('ScheduledMessage', scheduledMessageSchema);
@@ -34,6 +34,18 @@ const sessionSchema = new mongoose.Schema({
     default: true,
     index: true 
   },
+  // Hash of the current refresh token; presenting any other token of this session is a replay
+  refreshTokenHash: {
+    type: String,
+    select: false
+  },
+  refreshedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['revoked', 'refresh_token_reuse']
+  },
   userAgent: {
     type: String,
     trim: true
@@ -51,6 +63,14 @@ const sessionSchema = new mongoose.Schema({
   expiresAt: { 
     type: Date, 
     required: true
+  },
+  // Position of this device in the message change feed (see SyncService)
+  syncCursor: {
+    at: { type: Date },
+    messageId: { type: mongoose.Schema.Types.ObjectId }
+  },
+  lastSyncAt: {
+    type: Date
   }
 }, { 
   timestamps: true 
@@ -79,9 +99,20 @@ sessionSchema.statics.cleanupExpiredSessions = async function() {
   }
 };
 
+// Static method to load a session that can still authenticate requests
+sessionSchema.statics.findActive = function(sessionId, userId) {
+  return this.findOne({
+    sessionId,
+    userId,
+    valid: true,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
 // Instance method to revoke session
-sessionSchema.methods.revoke = async function() {
+sessionSchema.methods.revoke = async function(reason = 'revoked') {
   this.valid = false;
+  this.revokedReason = reason;
   this.lastActivity = new Date();
   return await this.save();
 };
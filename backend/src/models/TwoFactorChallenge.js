@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+/**
+ * Pending second factor for a login whose first factor (password or OTP) succeeded
+ * The client holds the challenge token; only its hash is stored
+ */
+const twoFactorChallengeSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Device the session will be created for once the challenge is passed
+  deviceInfo: {
+    device: String,
+    ip: String,
+    userAgent: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  usedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+twoFactorChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.TwoFactorChallenge || mongoose.model('TwoFactorChallenge', twoFactorChallengeSchema);
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+/**
+ * Wrong second factors per user, across all of their login challenges
+ * Too many failures inside the window lock the user's second factor, for longer each time
+ */
+const twoFactorLockoutSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Number of lockouts so far; each one doubles the next lock duration
+  level: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  // End of the most recent lockout, kept after a correct code so the level only decays with time
+  lastLockedUntil: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.models.TwoFactorLockout || mongoose.model('TwoFactorLockout', twoFactorLockoutSchema);
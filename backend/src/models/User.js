@@ -21,6 +21,9 @@ const userSchema = new mongoose.Schema({
   passwordHash: {
     type: String
   },
+  passwordChangedAt: {
+    type: Date
+  },
   name: { 
     type: String,
     required: [true, 'Name is required'],
@@ -59,6 +62,48 @@ const userSchema = new mongoose.Schema({
   googleSub: {
     type: String,
     sparse: true
+  },
+  // TOTP second factor; the secrets and backup code hashes are never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Set by setup, promoted to secret once a code from the app confirms it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [String],
+      select: false,
+      default: undefined
+    },
+    // Last time step accepted, so a code cannot be replayed inside its window
+    lastUsedStep: {
+      type: Number
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  // Requested deletion, carried out by AccountDeletionService once scheduledFor passes
+  deletion: {
+    requestedAt: {
+      type: Date
+    },
+    scheduledFor: {
+      type: Date
+    }
+  },
+  // Set when the account was deleted; the document stays behind, anonymized,
+  // so others' conversations still resolve its messages
+  deletedAt: {
+    type: Date
   }
 }, { 
   timestamps: true,
@@ -83,6 +128,7 @@ userSchema.pre('save', function(next) {
 // Indexes
 userSchema.index({ phone: 1 }, { unique: true });
 userSchema.index({ isOnline: 1, lastSeen: -1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
 
 // Static method to normalize phone
 userSchema.statics.normalizePhone = normalizePhone;
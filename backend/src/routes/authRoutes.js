@@ -1,7 +1,7 @@
 import express from 'express';
 import authController from '../controllers/authController.js';
 import { authLimiter, otpLimiter } from '../middlewares/rateLimiter.js';
-import { requireAuth } from '../middlewares/authMiddleware.js';
+import { requireAuth, optionalAuth } from '../middlewares/authMiddleware.js';
 
 const router = express.Router();
 
@@ -14,8 +14,33 @@ router.post('/verify-otp-login', authLimiter, authController.verifyOtpLogin);
 // Password login
 router.post('/login', authLimiter, authController.login);
 
+// Passwords: OTP (signed in, or { phone } when forgotten), reset, set/change
+router.post('/password/otp', otpLimiter, optionalAuth, authController.sendPasswordOtp);
+router.post('/password/reset', authLimiter, authController.resetPassword);
+router.put('/password', requireAuth, authController.changePassword);
+
+// Phone number change: codes to the current and the new number, then both to confirm
+router.post('/phone/otp', otpLimiter, requireAuth, authController.sendPhoneChangeOtp);
+router.put('/phone', authLimiter, requireAuth, authController.changePhone);
+
+// Two-factor: complete a challenged login; manage TOTP and backup codes
+router.post('/2fa/verify', authLimiter, authController.verifyTwoFactorLogin);
+router.get('/2fa', requireAuth, authController.getTwoFactorStatus);
+router.post('/2fa/setup', requireAuth, authController.setupTwoFactor);
+router.post('/2fa/enable', authLimiter, requireAuth, authController.enableTwoFactor);
+router.post('/2fa/disable', authLimiter, requireAuth, authController.disableTwoFactor);
+router.post('/2fa/backup-codes', authLimiter, requireAuth, authController.regenerateBackupCodes);
+
+// Renew an expired access token
+router.post('/refresh', authLimiter, authController.refreshToken);
+
 // Get current user (requires auth)
 router.get('/me', requireAuth, authController.getMe);
 
+// Sessions (signed-in devices)
+router.get('/sessions', requireAuth, authController.listSessions);
+router.delete('/sessions/others', requireAuth, authController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', requireAuth, authController.revokeSession);
+
 export default router;
 
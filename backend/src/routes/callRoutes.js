@@ -0,0 +1,29 @@
+import express from 'express';
+import callController from '../controllers/callController.js';
+import { requireAuth } from '../middlewares/authMiddleware.js';
+import { apiLimiter } from '../middlewares/rateLimiter.js';
+
+const router = express.Router();
+
+// Apply authentication and rate limiting
+router.use(requireAuth);
+router.use(apiLimiter);
+
+// Call history
+router.get('/', callController.getCalls);
+router.delete('/', callController.clearCalls);
+
+// Missed calls (must be before '/:id')
+router.get('/missed/count', callController.getMissedCallCount);
+router.post('/missed/seen', callController.markMissedCallsSeen);
+
+// STUN/TURN servers for WebRTC (must be before '/:id')
+router.get('/ice-servers', callController.getIceServers);
+
+// Group call in progress in a conversation
+router.get('/group/:conversationId', callController.getGroupCall);
+
+// Remove one call from my history
+router.delete('/:id', callController.deleteCall);
+
+export default router;
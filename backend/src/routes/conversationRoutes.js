@@ -25,6 +25,9 @@ router.get('/', conversationController.getConversations);
 // Create conversation
 router.post('/', conversationController.createConversation);
 
+// Disappearing messages timer
+router.put('/:conversationId/disappearing', conversationController.setDisappearingMessages);
+
 // Get conversation details (must be last due to :conversationId parameter)
 router.get('/:conversationId', conversationController.getConversationDetails);
 
@@ -34,6 +34,9 @@ router.post('/promote-admin', groupController.promoteToAdmin);
 // Demote admin
 router.post('/demote-admin', groupController.demoteAdmin);
 
+// Disappearing messages timer (admins only)
+router.put('/:groupId/disappearing', groupController.setDisappearingMessages);
+
 // Update group details
 router.put('/:groupId', groupController.updateGroup);
 router.patch('/:groupId', groupController.updateGroup); // Alternative method
@@ -0,0 +1,27 @@
+import express from 'express';
+import keyController from '../controllers/keyController.js';
+import { requireAuth } from '../middlewares/authMiddleware.js';
+import { apiLimiter } from '../middlewares/rateLimiter.js';
+
+const router = express.Router();
+
+// Apply authentication and rate limiting
+router.use(requireAuth);
+router.use(apiLimiter);
+
+// Publish or replace the bundle for one of my devices
+router.put('/', keyController.publishKeys);
+
+// Top up one-time prekeys
+router.post('/prekeys', keyController.uploadPreKeys);
+
+// My devices (must be before /:userId route)
+router.get('/me', keyController.getMyKeys);
+
+// Remove one of my devices
+router.delete('/devices/:deviceId', keyController.removeDeviceKeys);
+
+// Fetch a peer's bundles (consumes one prekey per device)
+router.get('/:userId', keyController.getKeyBundle);
+
+export default router;
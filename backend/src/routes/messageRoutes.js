@@ -53,12 +53,19 @@ router.get('/search', messageController.searchMessages);
 // Send message
 router.post('/', messageLimiter, messageController.sendMessage);
 
+// Forward messages into other conversations
+router.post('/forward', messageLimiter, messageController.forwardMessages);
+
 // Edit message
 router.patch('/:id', messageController.editMessage);
 
 // Delete message
 router.delete('/:id', messageController.deleteMessage);
 
+// Reactions (one per user; POST again to change it)
+router.post('/:id/reactions', messageController.addReaction);
+router.delete('/:id/reactions', messageController.removeReaction);
+
 // Mark message as read
 router.patch('/:id/read', messageController.markAsRead);
 
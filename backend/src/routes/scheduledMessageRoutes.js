@@ -0,0 +1,24 @@
+import express from 'express';
+import scheduledMessageController from '../controllers/scheduledMessageController.js';
+import { requireAuth } from '../middlewares/authMiddleware.js';
+import { apiLimiter, messageLimiter } from '../middlewares/rateLimiter.js';
+
+const router = express.Router();
+
+// Apply authentication and rate limiting
+router.use(requireAuth);
+router.use(apiLimiter);
+
+// List my scheduled messages
+router.get('/', scheduledMessageController.getScheduledMessages);
+
+// Schedule a message
+router.post('/', messageLimiter, scheduledMessageController.createScheduledMessage);
+
+// Edit content or send time (pending only)
+router.patch('/:id', scheduledMessageController.updateScheduledMessage);
+
+// Cancel (pending only)
+router.delete('/:id', scheduledMessageController.cancelScheduledMessage);
+
+export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import syncController from '../controllers/syncController.js';
+import { requireAuth } from '../middlewares/authMiddleware.js';
+import { apiLimiter } from '../middlewares/rateLimiter.js';
+
+const router = express.Router();
+
+// Apply authentication and rate limiting
+router.use(requireAuth);
+router.use(apiLimiter);
+
+// Pull changes since this device's cursor
+router.get('/', syncController.getChanges);
+
+// Acknowledge applied changes
+router.post('/ack', syncController.acknowledge);
+
+export default router;
@@ -2,6 +2,7 @@ import express from 'express';
 import userController from '../controllers/userController.js';
 import { requireAuth } from '../middlewares/authMiddleware.js';
 import { apiLimiter } from '../middlewares/rateLimiter.js';
+import { requireRecentAuth } from '../middlewares/reauthMiddleware.js';
 
 const router = express.Router();
 
@@ -28,6 +29,17 @@ router.get('/profile', userController.getCurrentUserProfile);
 router.patch('/me', userController.updateProfile);
 router.put('/me', userController.updateProfile);
 
+// Data export and account deletion (need the password or a fresh OTP, and 2FA if enabled)
+router.post('/me/export', requireRecentAuth, userController.exportData);
+router.get('/me/deletion', userController.getAccountDeletion);
+router.post('/me/deletion', requireRecentAuth, userController.requestAccountDeletion);
+router.delete('/me/deletion', userController.cancelAccountDeletion);
+
+// Blocking
+router.get('/blocked', userController.getBlockedUsers);
+router.post('/:userId/block', userController.blockUser);
+router.delete('/:userId/block', userController.unblockUser);
+
 // Get user profile by ID (must be last due to :userId parameter)
 router.get('/profile/:userId', userController.getUserProfile);
 
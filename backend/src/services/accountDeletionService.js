@@ -0,0 +1,244 @@
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Message from '../models/Message.js';
+import Notification from '../models/Notification.js';
+import MessageTombstone from '../models/MessageTombstone.js';
+import ScheduledMessage from '../models/ScheduledMessage.js';
+import KeyBundle from '../models/KeyBundle.js';
+import KeyFetch from '../models/KeyFetch.js';
+import Block from '../models/Block.js';
+import Otp from '../models/Otp.js';
+import OtpAttempt from '../models/OtpAttempt.js';
+import OtpLockout from '../models/OtpLockout.js';
+import TwoFactorChallenge from '../models/TwoFactorChallenge.js';
+import TwoFactorLockout from '../models/TwoFactorLockout.js';
+import GroupService from './groupService.js';
+import config from '../config/index.js';
+import { removeUploadedFile } from '../utils/uploads.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DELETED_USER_NAME = 'Deleted account';
+
+const fileUrls = (messages) =>
+  [...new Set(messages.flatMap(m => [m.fileUrl, m.media, m.voice?.url]).filter(Boolean))];
+
+/**
+ * Account Deletion Service
+ * Requested deletions wait out a grace period (during which they can be cancelled),
+ * then a background sweep anonymizes the account and removes its personal data
+ */
+class AccountDeletionService {
+  constructor(io, presenceService) {
+    this.io = io;
+    this.presenceService = presenceService;
+    this.groupService = new GroupService();
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Plain object form for API responses
+   */
+  serialize(user) {
+    const deletion = user.deletion || {};
+    return {
+      scheduled: Boolean(deletion.scheduledFor),
+      requestedAt: deletion.requestedAt?.toISOString() || null,
+      scheduledFor: deletion.scheduledFor?.toISOString() || null
+    };
+  }
+
+  async status(userId) {
+    const user = await User.findById(userId).select('deletion').lean();
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return this.serialize(user);
+  }
+
+  /**
+   * Schedule deletion after the grace period; asking again keeps the original date
+   */
+  async schedule(userId, now = new Date()) {
+    const scheduled = await User.findOneAndUpdate(
+      { _id: userId, deletedAt: { $exists: false }, 'deletion.scheduledFor': { $exists: false } },
+      {
+        $set: {
+          deletion: {
+            requestedAt: now,
+            scheduledFor: new Date(now.getTime() + config.accountDeletionGraceDays * DAY_MS)
+          }
+        }
+      },
+      { new: true }
+    ).select('deletion').lean();
+
+    return scheduled ? this.serialize(scheduled) : this.status(userId);
+  }
+
+  async cancel(userId) {
+    const user = await User.findOneAndUpdate(
+      { _id: userId, deletedAt: { $exists: false } },
+      { $unset: { deletion: 1 } },
+      { new: true }
+    ).select('deletion').lean();
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return this.serialize(user);
+  }
+
+  /**
+   * Delete an account now
+   * The User document stays as an anonymized tombstone so messages in others'
+   * conversations still resolve to "Deleted account"
+   */
+  async deleteAccount(userId) {
+    const user = await User.findById(userId).lean();
+    if (!user || user.deletedAt) return false;
+    const uid = String(user._id);
+
+    // Contacts hear about it while they can still be found through shared conversations
+    await this.presenceService?.sendToContacts(uid, 'user_deleted', { userId: uid });
+    await this.presenceService?.sendToContacts(uid, 'user-deleted', { userId: uid });
+
+    // Groups: hand over admin rights, dissolve the ones nobody else is in
+    const dissolved = await this.groupService.removeDeletedUser(user._id);
+    if (dissolved.length) {
+      const groupMessages = await Message.find({
+        $or: [{ conversation: { $in: dissolved } }, { conversationId: { $in: dissolved } }]
+      }).select('_id conversation conversationId fileUrl media voice').lean();
+      await MessageTombstone.record(groupMessages, 'account_deleted');
+      await Message.deleteMany({ _id: { $in: groupMessages.map(m => m._id) } });
+      await Notification.deleteMany({ relatedMessage: { $in: groupMessages.map(m => m._id) } });
+      await this.removeFiles(fileUrls(groupMessages));
+    }
+
+    // Uploads: the messages stay in others' conversations, their files go
+    const sent = await Message.find({
+      $and: [
+        { $or: [{ from: user._id }, { sender: user._id }] },
+        { $or: [{ fileUrl: { $exists: true } }, { media: { $exists: true } }, { 'voice.url': { $exists: true } }] }
+      ]
+    }).select('_id fileUrl media voice').lean();
+    await Message.updateMany(
+      { _id: { $in: sent.map(m => m._id) } },
+      { $unset: { fileUrl: 1, media: 1, 'voice.url': 1 } }
+    );
+    await this.removeFiles([...fileUrls(sent), user.avatarUrl, user.avatar].filter(Boolean));
+
+    // Signed-in devices
+    await Session.deleteMany({ userId: user._id });
+    if (this.io) {
+      this.io.to(uid).emit('account_deleted', { userId: uid });
+      this.io.to(uid).emit('account-deleted', { userId: uid });
+      this.io.in(uid).disconnectSockets(true);
+    }
+
+    // Codes, lockouts and everything else kept only for this user
+    await Promise.all([
+      Otp.deleteMany({ $or: [{ userId: user._id }, { phone: user.phone }] }),
+      OtpAttempt.deleteMany({ phone: user.phone }),
+      OtpLockout.deleteMany({ phone: user.phone }),
+      TwoFactorChallenge.deleteMany({ userId: user._id }),
+      TwoFactorLockout.deleteMany({ userId: user._id }),
+      KeyBundle.deleteMany({ userId: user._id }),
+      KeyFetch.deleteMany({ $or: [{ requester: user._id }, { target: user._id }] }),
+      Block.deleteMany({ $or: [{ blocker: user._id }, { blocked: user._id }] }),
+      Notification.deleteMany({ recipient: user._id }),
+      ScheduledMessage.deleteMany({ author: user._id })
+    ]);
+
+    // Raw update: the phone setter would turn the placeholder into digits, and
+    // the placeholder must stay unique so the number can be registered again
+    await User.collection.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          name: DELETED_USER_NAME,
+          phone: `deleted:${uid}`,
+          isOnline: false,
+          deletedAt: new Date()
+        },
+        $unset: {
+          password: 1,
+          passwordHash: 1,
+          passwordChangedAt: 1,
+          email: 1,
+          username: 1,
+          avatar: 1,
+          avatarUrl: 1,
+          bio: 1,
+          dateOfBirth: 1,
+          googleSub: 1,
+          twoFactor: 1,
+          deletion: 1
+        }
+      }
+    );
+
+    return true;
+  }
+
+  /**
+   * Delete uploads no remaining message refers to (forwarded copies share files)
+   */
+  async removeFiles(urls) {
+    for (const url of new Set(urls)) {
+      const stillUsed = await Message.exists({
+        $or: [{ fileUrl: url }, { media: url }, { 'voice.url': url }]
+      });
+      if (!stillUsed) {
+        await removeUploadedFile(url);
+      }
+    }
+  }
+
+  /**
+   * Delete every account whose grace period is over
+   */
+  async sweep(now = new Date()) {
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      const due = await User.find({
+        'deletion.scheduledFor': { $lte: now },
+        deletedAt: { $exists: false }
+      }).select('_id').lean();
+
+      let deleted = 0;
+      for (const { _id } of due) {
+        try {
+          if (await this.deleteAccount(_id)) deleted++;
+        } catch (error) {
+          console.error('❌ Account deletion error:', String(_id), error);
+        }
+      }
+      return deleted;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start the background sweep
+   */
+  start(intervalMs = config.accountDeletionSweepMs) {
+    if (this.timer) return;
+    const tick = () => this.sweep().catch(error => console.error('❌ Account deletion sweep error:', error));
+    tick();
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop the background sweep
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default AccountDeletionService;
@@ -0,0 +1,156 @@
+import fs from 'fs';
+import path from 'path';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import Group from '../models/Group.js';
+import Notification from '../models/Notification.js';
+import Block from '../models/Block.js';
+import Call from '../models/Call.js';
+import { resolveUploadPath } from '../utils/uploads.js';
+
+const iso = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Account Export Service
+ * Everything stored about a user, as data.json plus the uploads it refers to
+ */
+class AccountExportService {
+  /**
+   * Collect the export; returns { data, files: [{ url, name, path }] }
+   */
+  async collect(userId) {
+    const user = await User.findById(userId).select('-password -passwordHash').lean();
+    if (!user || user.deletedAt) {
+      throw new Error('User not found');
+    }
+
+    const memberOf = { $or: [{ participants: user._id }, { members: user._id }] };
+    const [sessions, conversations, messages, groups, notifications, blocks, calls] = await Promise.all([
+      Session.find({ userId: user._id }).sort({ createdAt: 1 }).lean(),
+      Conversation.find(memberOf).sort({ createdAt: 1 }).lean(),
+      Message.find({ $or: [{ from: user._id }, { sender: user._id }] }).sort({ createdAt: 1 }).lean(),
+      Group.find(memberOf).sort({ createdAt: 1 }).lean(),
+      Notification.find({ recipient: user._id }).sort({ createdAt: 1 }).lean(),
+      Block.find({ blocker: user._id }).sort({ createdAt: 1 }).lean(),
+      Call.find({ $or: [{ caller: user._id }, { callee: user._id }, { participants: user._id }] })
+        .sort({ createdAt: 1 })
+        .lean()
+    ]);
+
+    // Names of the other people in the user's conversations
+    const peopleIds = new Set();
+    conversations.forEach(c => (c.participants || []).forEach(p => peopleIds.add(String(p))));
+    const people = await User.find({ _id: { $in: [...peopleIds] } }).select('name').lean();
+    const nameOf = new Map(people.map(p => [String(p._id), p.name]));
+
+    const files = new Map();
+    const addFile = (url) => {
+      const filePath = resolveUploadPath(url);
+      if (!filePath || files.has(url) || !fs.existsSync(filePath)) return;
+      // Numbered so equal file names cannot collide; tar names are limited to 100 bytes
+      const safeName = path.basename(filePath).replace(/[^\w.-]/g, '_');
+      files.set(url, { url, name: `uploads/${files.size + 1}-${safeName}`.slice(0, 100), path: filePath });
+    };
+    addFile(user.avatarUrl || user.avatar);
+    messages.forEach(m => [m.fileUrl, m.media, m.voice?.url].forEach(addFile));
+    const archived = (url) => files.get(url)?.name || null;
+
+    const data = {
+      exportedAt: new Date().toISOString(),
+      profile: {
+        id: String(user._id),
+        name: user.name,
+        phone: user.phone,
+        email: user.email || null,
+        username: user.username || null,
+        bio: user.bio || null,
+        dateOfBirth: iso(user.dateOfBirth),
+        avatar: archived(user.avatarUrl || user.avatar),
+        twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+        deletionScheduledFor: iso(user.deletion?.scheduledFor),
+        createdAt: iso(user.createdAt),
+        updatedAt: iso(user.updatedAt)
+      },
+      sessions: sessions.map(s => ({
+        sessionId: s.sessionId,
+        device: s.device,
+        ip: s.ip,
+        userAgent: s.userAgent || null,
+        valid: s.valid,
+        lastActivity: iso(s.lastActivity),
+        createdAt: iso(s.createdAt)
+      })),
+      conversations: conversations.map(c => ({
+        id: String(c._id),
+        isGroup: Boolean(c.isGroup),
+        name: c.name || null,
+        status: c.status,
+        participants: (c.participants || []).map(p => ({ id: String(p), name: nameOf.get(String(p)) || null })),
+        createdAt: iso(c.createdAt)
+      })),
+      messages: messages.map(m => ({
+        id: String(m._id),
+        conversationId: String(m.conversation || m.conversationId),
+        type: m.type,
+        content: m.content || m.text || null,
+        encrypted: m.type === 'ciphertext' ? m.encrypted : undefined,
+        file: archived(m.fileUrl || m.media || m.voice?.url),
+        fileName: m.fileName || null,
+        deleted: Boolean(m.deleted || m.isDeleted),
+        editedAt: iso(m.editedAt),
+        createdAt: iso(m.createdAt)
+      })),
+      groups: groups.map(g => ({
+        id: String(g._id),
+        name: g.name,
+        description: g.description || null,
+        role: String(g.admin) === String(user._id) || (g.admins || []).some(a => String(a) === String(user._id))
+          ? 'admin'
+          : 'member',
+        memberCount: (g.participants || []).length,
+        createdAt: iso(g.createdAt)
+      })),
+      notifications: notifications.map(n => ({
+        id: String(n._id),
+        type: n.type,
+        title: n.title,
+        body: n.body,
+        isRead: n.isRead,
+        createdAt: iso(n.createdAt)
+      })),
+      blockedUsers: blocks.map(b => ({
+        id: String(b.blocked),
+        blockedAt: iso(b.createdAt)
+      })),
+      calls: calls.map(c => ({
+        id: String(c._id),
+        direction: String(c.caller) === String(user._id) ? 'outgoing' : 'incoming',
+        peerId: c.conversation ? null : String(String(c.caller) === String(user._id) ? c.callee : c.caller),
+        conversationId: c.conversation ? String(c.conversation) : null,
+        kind: c.kind,
+        ringingAt: iso(c.ringingAt),
+        answeredAt: iso(c.answeredAt),
+        endedAt: iso(c.endedAt),
+        endReason: c.endReason || null,
+        duration: c.duration || 0
+      }))
+    };
+
+    return { data, files: [...files.values()] };
+  }
+
+  /**
+   * Write a collected export to a TarWriter (data.json first, then the files)
+   */
+  async writeArchive({ data, files }, tar) {
+    await tar.addBuffer('data.json', JSON.stringify(data, null, 2));
+    for (const file of files) {
+      await tar.addFile(file.name, file.path);
+    }
+    await tar.finish();
+  }
+}
+
+export default AccountExportService;
@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+import Block from '../models/Block.js';
+import User from '../models/User.js';
+import Conversation from '../models/Conversation.js';
+import { CONVERSATION_STATUS } from '../utils/constants.js';
+
+/**
+ * Block Service
+ * Blocks and unblocks users; the direct conversation between the two is marked
+ * blocked while either side blocks the other. Enforcement lives with each feature
+ * (MessageService, CallService, PresenceService, chat requests) through Block.between
+ * and Block.relatedTo
+ */
+class BlockService {
+  constructor(io, presenceService) {
+    this.io = io;
+    this.presenceService = presenceService;
+  }
+
+  /**
+   * Plain object form for API responses
+   */
+  serialize(block) {
+    const serialized = { blockedAt: block.createdAt.toISOString() };
+    if (block.blocked instanceof mongoose.Types.ObjectId) {
+      return { userId: String(block.blocked), ...serialized };
+    }
+    return {
+      userId: String(block.blocked._id),
+      name: block.blocked.name,
+      phone: block.blocked.phone,
+      avatar: block.blocked.avatarUrl || block.blocked.avatar || null,
+      ...serialized
+    };
+  }
+
+  /**
+   * Users blocked by a user, most recent first
+   */
+  async list(userId) {
+    const blocks = await Block.find({ blocker: userId })
+      .sort({ createdAt: -1 })
+      .populate('blocked', 'name phone avatar avatarUrl')
+      .lean();
+    return blocks.filter(b => b.blocked).map(b => this.serialize(b));
+  }
+
+  /**
+   * Block a user; blocking again is a no-op
+   */
+  async block(userId, targetId) {
+    if (String(userId) === String(targetId)) {
+      throw new Error('Cannot block yourself');
+    }
+    if (!mongoose.Types.ObjectId.isValid(targetId) ||
+        !(await User.exists({ _id: targetId, deletedAt: { $exists: false } }))) {
+      throw new Error('User not found');
+    }
+
+    let block = await Block.findOne({ blocker: userId, blocked: targetId }).lean();
+    if (block) {
+      return { ...this.serialize(block), changed: false };
+    }
+
+    try {
+      block = (await Block.create({ blocker: userId, blocked: targetId })).toObject();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Lost a race with the same request from another device
+      block = await Block.findOne({ blocker: userId, blocked: targetId }).lean();
+      return { ...this.serialize(block), changed: false };
+    }
+
+    const conversations = await this.directConversations(userId, targetId);
+    for (const conversation of conversations) {
+      if (conversation.status === CONVERSATION_STATUS.BLOCKED) continue;
+      await Conversation.updateOne(
+        { _id: conversation._id },
+        { $set: { status: CONVERSATION_STATUS.BLOCKED, statusBeforeBlock: conversation.status } }
+      );
+    }
+
+    const result = this.serialize(block);
+    this.emit(userId, 'user_blocked', { userId: result.userId, blockedAt: result.blockedAt });
+
+    // From now on each side sees the other as offline
+    this.emitPresence(userId, targetId, { online: false, at: null });
+    this.emitPresence(targetId, userId, { online: false, at: null });
+
+    return { ...result, changed: true };
+  }
+
+  /**
+   * Unblock a user; the conversation reopens unless the other side blocks too
+   */
+  async unblock(userId, targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      throw new Error('User not found');
+    }
+
+    const { deletedCount } = await Block.deleteOne({ blocker: userId, blocked: targetId });
+    if (!deletedCount) {
+      return { userId: String(targetId), changed: false };
+    }
+
+    if (!(await Block.between(userId, targetId))) {
+      const conversations = await this.directConversations(userId, targetId);
+      for (const conversation of conversations) {
+        if (conversation.status !== CONVERSATION_STATUS.BLOCKED) continue;
+        await Conversation.updateOne(
+          { _id: conversation._id },
+          {
+            $set: { status: conversation.statusBeforeBlock || CONVERSATION_STATUS.ACTIVE },
+            $unset: { statusBeforeBlock: 1 }
+          }
+        );
+      }
+
+      if (this.presenceService) {
+        this.emitPresence(userId, targetId, await this.presenceService.getUserStatus(targetId));
+        this.emitPresence(targetId, userId, await this.presenceService.getUserStatus(userId));
+      }
+    }
+
+    this.emit(userId, 'user_unblocked', { userId: String(targetId) });
+    return { userId: String(targetId), changed: true };
+  }
+
+  /**
+   * Direct (non-group) conversations between two users
+   */
+  directConversations(userId, otherUserId) {
+    const pair = [userId, otherUserId];
+    return Conversation.find({
+      isGroup: false,
+      $or: [
+        { participants: { $all: pair, $size: 2 } },
+        { members: { $all: pair, $size: 2 } }
+      ]
+    }).select('status statusBeforeBlock').lean();
+  }
+
+  /**
+   * Tell a user's devices (both event name styles)
+   */
+  emit(userId, event, data) {
+    if (!this.io) return;
+    this.io.to(String(userId)).emit(event, data);
+    this.io.to(String(userId)).emit(event.replace(/_/g, '-'), data);
+  }
+
+  /**
+   * Send a user the presence of another one
+   */
+  emitPresence(toUserId, aboutUserId, status) {
+    if (!this.io) return;
+    this.io.to(String(toUserId)).emit('presence', {
+      uid: String(aboutUserId),
+      online: Boolean(status.online),
+      at: status.at || null
+    });
+  }
+}
+
+export default BlockService;
@@ -1,16 +1,62 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
+import Block from '../models/Block.js';
+import Call from '../models/Call.js';
+import Conversation from '../models/Conversation.js';
+import config from '../config/index.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+import { MemoryStateStore } from '../utils/stateStore.js';
+
+const MAX_HISTORY_PAGE_SIZE = 100;
+
+// Shared state keys
+const USERS_KEY = 'calls:users'; // userId -> callId (for busy check, 1:1 and group calls)
+const CONVERSATIONS_KEY = 'calls:conversations'; // conversationId -> callId (one group call per conversation)
+const DEADLINES_KEY = 'calls:deadlines'; // callId -> when it stops ringing (ms), ringing calls
+const ANSWERS_KEY = 'calls:answers'; // callId -> device that answered or declined, 1:1 calls
+const callKey = (callId) => `call:${callId}`; // JSON session
+const participantsKey = (callId) => `call:${callId}:participants`; // userId -> joined at (ms), group calls
+const membersKey = (callId) => `call:${callId}:members`; // Set of userIds told about a group call
+const joinedKey = (callId) => `call:${callId}:joined`; // userId -> first joined at (ms), group calls
+const socketsKey = (callId) => `call:${callId}:sockets`; // userId -> socketId of the device in the call, group calls
+
+// Keys of a hash ordered by their timestamp values
+const byTimestamp = (hash) => Object.keys(hash).sort((a, b) => Number(hash[a]) - Number(hash[b]));
+
+// Calls in a user's history (group calls they joined included)
+const historyQuery = (userId) => ({
+  $or: [{ caller: userId }, { callee: userId }, { participants: userId }],
+  deletedFor: { $ne: userId }
+});
+
+// Incoming calls that ended unanswered without the callee declining them
+const missedQuery = (userId) => ({
+  callee: userId,
+  status: 'ended',
+  answeredAt: { $exists: false },
+  endReason: { $ne: 'declined' },
+  deletedFor: { $ne: userId }
+});
 
 /**
  * Call Service
  * Manages WebRTC call state and signaling
- * Uses database or Redis for persistence (optional)
+ * Live calls are kept in the shared state store so any instance can handle either side;
+ * every call is also recorded in the Call collection for call history
+ * Group calls are a mesh: signaling is addressed to one participant at a time
+ * Calls ring on every device of the callee; once a device answers, signaling goes to that device only
  */
 class CallService {
-  constructor(io) {
+  constructor(io, store = new MemoryStateStore(), notificationService = null) {
     this.io = io;
-    // In-memory call state (can be moved to Redis/database for scaling)
-    this.activeCalls = new Map(); // callId -> { a, b, state, kind, startedAt, timer }
-    this.userToCall = new Map(); // userId -> callId (for busy check)
+    this.store = store;
+    this.notificationService = notificationService;
+    // Ring timers run on the instance that started the call; the deadlines they enforce are
+    // shared, so another instance expires the call if this one goes away (expireDueCalls)
+    this.timers = new Map(); // callId -> timeout
+    this.ringTimeoutMs = config.callTimeoutMs;
+    this.maxGroupCallParticipants = config.groupCallMaxParticipants;
+    this.iceServers = config.iceServers;
   }
 
   /**
@@ -21,14 +67,132 @@ class CallService {
   }
 
   /**
-   * Create call invitation
+   * Save a call session (a, b, callerSocket, calleeSocket, state, kind, startedAt, answeredAt;
+   * group calls have group, conversationId and startedBy instead of a, b and the sockets)
+   */
+  async saveCall(session) {
+    await this.store.set(callKey(session.callId), JSON.stringify(session));
+  }
+
+  /**
+   * Start a call's ring timeout
+   */
+  async startRingTimer(callId) {
+    await this.store.hset(DEADLINES_KEY, callId, Date.now() + this.ringTimeoutMs);
+    const timer = setTimeout(() => {
+      this.timers.delete(callId);
+      this.expireCall(callId).catch(error => console.error('❌ Call timeout error:', error));
+    }, this.ringTimeoutMs);
+    timer.unref?.();
+    this.timers.set(callId, timer);
+  }
+
+  /**
+   * End a call that rang past its deadline; whoever removes the deadline ends it, so it ends once
+   */
+  async expireCall(callId) {
+    if (!(await this.store.hdel(DEADLINES_KEY, callId))) return;
+    
+    const session = await this.getCall(callId);
+    if (session?.state !== 'ringing') return;
+    
+    if (session.group) {
+      await this.endGroupCall(callId, 'timeout');
+      return;
+    }
+    this.sendToUser(session.a, 'call:ended', { callId, by: 'timeout' });
+    this.sendToUser(session.b, 'call:ended', { callId, by: 'timeout' });
+    await this.finishCall(callId, 'timeout');
+  }
+
+  /**
+   * Expire every call past its deadline, including calls whose timer was lost with another instance
+   * Returns how many were due
+   */
+  async expireDueCalls() {
+    const deadlines = await this.store.hgetall(DEADLINES_KEY);
+    const now = Date.now();
+    const due = Object.keys(deadlines).filter(callId => Number(deadlines[callId]) <= now);
+    for (const callId of due) {
+      await this.expireCall(callId);
+    }
+    return due.length;
+  }
+
+  /**
+   * Where a 1:1 participant's signaling goes: the device in the call, or all their devices until one answers
+   */
+  deviceOf(session, userId) {
+    if (userId === session.a) return session.callerSocket || session.a;
+    return session.calleeSocket || session.b;
+  }
+
+  /**
+   * Whether any device of the user is still connected (on any instance)
+   */
+  async hasConnectedDevices(userId) {
+    if (!this.io?.in) return false;
+    return (await this.io.in(String(userId)).fetchSockets()).length > 0;
+  }
+
+  /**
+   * Persist a missed-call notification for the callee
+   */
+  async notifyMissedCall(call) {
+    if (this.notificationService) {
+      await this.notificationService.createMissedCallNotification(call);
+    }
+  }
+
+  /**
+   * Stop a call's ring timeout (the timer only if it runs on this instance)
+   */
+  async clearRingTimer(callId) {
+    const timer = this.timers.get(callId);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(callId);
+    }
+    await this.store.hdel(DEADLINES_KEY, callId);
+  }
+
+  /**
+   * Create call invitation (socketId is the caller's device)
    */
-  async inviteCall(fromUserId, toUserId, sdp, kind = 'audio') {
+  async inviteCall(fromUserId, toUserId, sdp, kind = 'audio', socketId = null) {
     const from = String(fromUserId);
     const to = String(toUserId);
     
-    // Check if either user is busy
-    if (this.userToCall.has(from) || this.userToCall.has(to)) {
+    if (await Block.between(from, to)) {
+      return {
+        success: false,
+        error: 'blocked',
+        message: 'Calls are blocked between these users'
+      };
+    }
+    
+    const callId = this.newCallId();
+    
+    // Claim both users; either one being in a call already means busy
+    const callerFree = await this.store.hsetnx(USERS_KEY, from, callId);
+    const calleeFree = callerFree && await this.store.hsetnx(USERS_KEY, to, callId);
+    if (!calleeFree) {
+      if (callerFree) {
+        await this.store.hdel(USERS_KEY, from);
+        // A busy callee still sees the attempt in their history
+        const now = new Date();
+        await this.recordCall({
+          callId,
+          caller: from,
+          callee: to,
+          kind,
+          status: 'ended',
+          ringingAt: now,
+          endedAt: now,
+          endReason: 'busy'
+        });
+        await this.notifyMissedCall({ callId, caller: from, callee: to, kind, reason: 'busy' });
+      }
       return {
         success: false,
         error: 'busy',
@@ -36,32 +200,30 @@ class CallService {
       };
     }
     
-    const callId = this.newCallId();
     const session = {
       callId,
       a: from,
       b: to,
+      ...(socketId && { callerSocket: socketId }),
       state: 'ringing',
       kind,
-      startedAt: new Date(),
-      timer: null
+      startedAt: new Date().toISOString()
     };
     
-    this.activeCalls.set(callId, session);
-    this.userToCall.set(from, callId);
-    this.userToCall.set(to, callId);
-    
-    // Set timeout (40 seconds)
-    session.timer = setTimeout(() => {
-      const s = this.activeCalls.get(callId);
-      if (s && s.state === 'ringing') {
-        this.io.to(s.a).emit('call:ended', { callId, by: 'timeout' });
-        this.io.to(s.b).emit('call:ended', { callId, by: 'timeout' });
-        this.cleanupCall(callId);
-      }
-    }, 40000);
+    await this.saveCall(session);
+    
+    await this.recordCall({
+      callId,
+      caller: from,
+      callee: to,
+      kind,
+      ringingAt: session.startedAt
+    });
     
-    // Send invitation
+    // Ring until answered or the ring timeout
+    await this.startRingTimer(callId);
+    
+    // Send invitation to every device of the callee
     this.sendToUser(to, 'call:incoming', {
       callId,
       from,
@@ -82,13 +244,14 @@ class CallService {
   }
 
   /**
-   * Answer call
+   * Answer call (socketId is the answering device)
    */
-  async answerCall(callId, userId, accept, sdp) {
+  async answerCall(callId, userId, accept, sdp, socketId = null) {
     const who = String(userId);
-    const session = this.activeCalls.get(callId);
+    const session = await this.getCall(callId);
     
-    if (!session) {
+    // Only the callee can answer
+    if (!session || session.group || session.b !== who) {
       return {
         success: false,
         error: 'not_found',
@@ -96,17 +259,17 @@ class CallService {
       };
     }
     
-    const { a: caller, b: callee, kind } = session;
-    
-    if (!accept) {
-      // Call declined
-      this.sendToUser(caller, 'call:declined', { callId, from: who });
-      this.sendToUser(callee, 'call:declined', { callId, from: who });
-      this.cleanupCall(callId);
-      return { success: true, accepted: false };
+    if (session.state !== 'ringing') {
+      return {
+        success: false,
+        error: 'already_answered',
+        message: 'Call was already answered'
+      };
     }
     
-    if (!sdp?.type || !sdp?.sdp) {
+    const { a: caller, b: callee, kind } = session;
+    
+    if (accept && (!sdp?.type || !sdp?.sdp)) {
       return {
         success: false,
         error: 'invalid_sdp',
@@ -114,20 +277,46 @@ class CallService {
       };
     }
     
+    // Every callee device rings; the first to answer or decline claims the call
+    if (!(await this.store.hsetnx(ANSWERS_KEY, callId, socketId || who))) {
+      return {
+        success: false,
+        error: 'already_answered',
+        message: 'Call was already answered'
+      };
+    }
+    
+    if (!accept) {
+      // Call declined
+      this.sendToUser(caller, 'call:declined', { callId, from: who });
+      this.sendToUser(callee, 'call:declined', { callId, from: who });
+      await this.finishCall(callId, 'declined', who);
+      return { success: true, accepted: false };
+    }
+    
     // Call accepted
     session.state = 'answered';
-    if (session.timer) {
-      clearTimeout(session.timer);
-      session.timer = null;
+    session.answeredAt = new Date().toISOString();
+    if (socketId) {
+      session.calleeSocket = socketId;
     }
+    await this.clearRingTimer(callId);
+    await this.saveCall(session);
+    
+    await this.updateCall(callId, { status: 'answered', answeredAt: session.answeredAt });
     
-    this.sendToUser(caller, 'call:answer', {
+    this.sendToUser(this.deviceOf(session, caller), 'call:answer', {
       callId,
       from: callee,
       sdp,
       kind
     });
     
+    // The callee's other devices stop ringing
+    if (socketId && this.io) {
+      this.io.to(callee).except(socketId).emit('call:answered_elsewhere', { callId });
+    }
+    
     return {
       success: true,
       accepted: true,
@@ -140,14 +329,14 @@ class CallService {
    */
   async relayCandidate(callId, userId, candidate) {
     const who = String(userId);
-    const session = this.activeCalls.get(callId);
+    const session = await this.getCall(callId);
     
-    if (!session) {
+    if (!session || session.group || (who !== session.a && who !== session.b)) {
       return { success: false, error: 'not_found' };
     }
     
     const peer = who === session.a ? session.b : session.a;
-    this.sendToUser(peer, 'call:candidate', {
+    this.sendToUser(this.deviceOf(session, peer), 'call:candidate', {
       callId,
       from: who,
       candidate
@@ -161,9 +350,9 @@ class CallService {
    */
   async hangupCall(callId, userId) {
     const who = String(userId);
-    const session = this.activeCalls.get(callId);
+    const session = await this.getCall(callId);
     
-    if (!session) {
+    if (!session || session.group || (who !== session.a && who !== session.b)) {
       return { success: false, error: 'not_found' };
     }
     
@@ -172,39 +361,61 @@ class CallService {
     this.sendToUser(peer, 'call:ended', { callId, by: who });
     this.sendToUser(who, 'call:ended', { callId, by: who });
     
-    this.cleanupCall(callId);
+    await this.finishCall(callId, 'hangup', who);
     
     return { success: true };
   }
 
   /**
-   * Cleanup call state
+   * End a call: clear its state and complete its history record
    */
-  cleanupCall(callId) {
-    const session = this.activeCalls.get(callId);
-    if (!session) return;
+  async finishCall(callId, reason, endedBy = null) {
+    const session = await this.getCall(callId);
+    
+    // Whoever removes the state finishes the call, so it ends once across instances
+    if (!session || !(await this.cleanupCall(callId, session))) return;
+    
+    const endedAt = new Date();
+    await this.updateCall(callId, {
+      status: 'ended',
+      endedAt,
+      endReason: reason,
+      ...(endedBy && { endedBy }),
+      duration: session.answeredAt ? Math.round((endedAt - new Date(session.answeredAt)) / 1000) : 0
+    });
     
-    if (session.timer) {
-      clearTimeout(session.timer);
+    if (!session.answeredAt && reason !== 'declined') {
+      await this.notifyMissedCall({ callId, caller: session.a, callee: session.b, kind: session.kind, reason });
     }
+  }
+
+  /**
+   * Cleanup call state; false if it was already gone
+   */
+  async cleanupCall(callId, session) {
+    await this.clearRingTimer(callId);
+    
+    if (!(await this.store.del(callKey(callId)))) return false;
     
-    this.userToCall.delete(session.a);
-    this.userToCall.delete(session.b);
-    this.activeCalls.delete(callId);
+    await this.store.hdel(ANSWERS_KEY, callId);
+    await this.store.hdel(USERS_KEY, session.a);
+    await this.store.hdel(USERS_KEY, session.b);
+    return true;
   }
 
   /**
    * Get call state
    */
-  getCall(callId) {
-    return this.activeCalls.get(callId);
+  async getCall(callId) {
+    const session = await this.store.get(callKey(callId));
+    return session ? JSON.parse(session) : null;
   }
 
   /**
    * Check if user is in a call
    */
-  isUserInCall(userId) {
-    return this.userToCall.has(String(userId));
+  async isUserInCall(userId) {
+    return Boolean(await this.store.hget(USERS_KEY, String(userId)));
   }
 
   /**
@@ -219,22 +430,520 @@ class CallService {
   }
 
   /**
-   * Cleanup on user disconnect
+   * Whether a disconnecting device takes its user out of a call
+   * Only the device in the call does; a call still ringing ends once the user has no device left
+   */
+  async isCallDevice(session, userId, socketId) {
+    const device = session.group
+      ? await this.store.hget(socketsKey(session.callId), userId)
+      : (userId === session.a ? session.callerSocket : session.calleeSocket);
+    
+    if (device) return device === socketId;
+    return !(await this.hasConnectedDevices(userId));
+  }
+
+  /**
+   * Cleanup on user disconnect (socketId is the device that disconnected)
+   */
+  async handleUserDisconnect(userId, socketId = null) {
+    const uid = String(userId);
+    const callId = await this.store.hget(USERS_KEY, uid);
+    const session = callId && await this.getCall(callId);
+    
+    if (!session || (socketId && !(await this.isCallDevice(session, uid, socketId)))) return;
+    
+    if (session.group) {
+      await this.leaveGroupCall(callId, uid, 'disconnect');
+    } else {
+      const peer = uid === session.a ? session.b : session.a;
+      this.sendToUser(peer, 'call:ended', { callId, by: 'disconnect' });
+      await this.finishCall(callId, 'disconnect', uid);
+    }
+  }
+
+  // ============ GROUP CALLS ============
+
+  /**
+   * Group conversation the user belongs to, or null
+   */
+  async findGroupConversation(conversationId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) return null;
+    return Conversation.findOne({
+      _id: conversationId,
+      isGroup: true,
+      $or: [{ participants: userId }, { members: userId }]
+    }).select('participants members').lean();
+  }
+
+  /**
+   * Ids of everyone currently in a group call, in join order
+   */
+  async groupParticipants(callId) {
+    return byTimestamp(await this.store.hgetall(participantsKey(callId)));
+  }
+
+  /**
+   * Public state of a group call
+   */
+  serializeGroupCall(session, participants) {
+    return {
+      callId: session.callId,
+      conversationId: session.conversationId,
+      startedBy: session.startedBy,
+      kind: session.kind,
+      state: session.state,
+      startedAt: session.startedAt,
+      participants,
+      maxParticipants: this.maxGroupCallParticipants
+    };
+  }
+
+  /**
+   * Start a call in a group conversation; the other members are rung (socketId is the starter's device)
    */
-  handleUserDisconnect(userId) {
+  async startGroupCall(userId, conversationId, kind = 'audio', socketId = null) {
     const uid = String(userId);
-    const callId = this.userToCall.get(uid);
-    
-    if (callId) {
-      const session = this.activeCalls.get(callId);
-      if (session) {
-        const peer = uid === session.a ? session.b : session.a;
-        if (this.io) {
-          this.io.to(peer).emit('call:ended', { callId, by: 'disconnect' });
-        }
+    const conversation = await this.findGroupConversation(conversationId, uid);
+    
+    if (!conversation) {
+      return {
+        success: false,
+        error: 'not_found',
+        message: 'Group conversation not found'
+      };
+    }
+    
+    const cid = String(conversation._id);
+    const callId = this.newCallId();
+    
+    if (!(await this.store.hsetnx(CONVERSATIONS_KEY, cid, callId))) {
+      return {
+        success: false,
+        error: 'in_progress',
+        message: 'A call is already in progress in this conversation',
+        callId: await this.store.hget(CONVERSATIONS_KEY, cid)
+      };
+    }
+    
+    if (!(await this.store.hsetnx(USERS_KEY, uid, callId))) {
+      await this.store.hdel(CONVERSATIONS_KEY, cid);
+      return {
+        success: false,
+        error: 'busy',
+        message: 'User is already in a call'
+      };
+    }
+    
+    const members = new Set([...(conversation.participants || []), ...(conversation.members || [])].map(String));
+    const session = {
+      callId,
+      group: true,
+      conversationId: cid,
+      startedBy: uid,
+      state: 'ringing',
+      kind: kind === 'video' ? 'video' : 'audio',
+      startedAt: new Date().toISOString()
+    };
+    const now = Date.now();
+    
+    await this.saveCall(session);
+    await this.store.hset(participantsKey(callId), uid, now);
+    await this.store.hset(joinedKey(callId), uid, now);
+    await this.store.sadd(membersKey(callId), ...members);
+    if (socketId) {
+      await this.store.hset(socketsKey(callId), uid, socketId);
+    }
+    
+    await this.recordCall({
+      callId,
+      caller: uid,
+      conversation: cid,
+      participants: [uid],
+      kind: session.kind,
+      ringingAt: session.startedAt
+    });
+    
+    // Ends the call if nobody joins in time
+    await this.startRingTimer(callId);
+    
+    const call = this.serializeGroupCall(session, [uid]);
+    for (const member of members) {
+      if (member !== uid) {
+        this.sendToUser(member, 'group_call:incoming', { ...call, from: uid });
       }
-      this.cleanupCall(callId);
     }
+    this.sendToUser(uid, 'group_call:started', call);
+    
+    return {
+      success: true,
+      callId
+    };
+  }
+
+  /**
+   * Join a group call; the joiner then sends an offer to every participant (socketId is the joining device)
+   */
+  async joinGroupCall(callId, userId, socketId = null) {
+    const uid = String(userId);
+    const session = await this.getCall(callId);
+    
+    // Membership is checked again so people added since the call started can join
+    if (!session?.group || !(await this.findGroupConversation(session.conversationId, uid))) {
+      return {
+        success: false,
+        error: 'not_found',
+        message: 'Call not found'
+      };
+    }
+    
+    if (await this.store.hget(participantsKey(callId), uid)) {
+      return {
+        success: true,
+        callId,
+        participants: await this.groupParticipants(callId)
+      };
+    }
+    
+    if (!(await this.store.hsetnx(USERS_KEY, uid, callId))) {
+      return {
+        success: false,
+        error: 'busy',
+        message: 'User is already in a call'
+      };
+    }
+    
+    // Join first and back out if that went over the limit, so concurrent joins cannot overfill the call
+    const peers = await this.groupParticipants(callId);
+    const now = Date.now();
+    await this.store.hset(participantsKey(callId), uid, now);
+    
+    if (await this.store.hlen(participantsKey(callId)) > this.maxGroupCallParticipants) {
+      await this.store.hdel(participantsKey(callId), uid);
+      await this.store.hdel(USERS_KEY, uid);
+      return {
+        success: false,
+        error: 'call_full',
+        message: `Group calls are limited to ${this.maxGroupCallParticipants} participants`
+      };
+    }
+    
+    // The call ended while joining
+    if (!(await this.getCall(callId))) {
+      await this.store.del(participantsKey(callId));
+      await this.store.hdel(USERS_KEY, uid);
+      return {
+        success: false,
+        error: 'not_found',
+        message: 'Call not found'
+      };
+    }
+    await this.store.hsetnx(joinedKey(callId), uid, now);
+    await this.store.sadd(membersKey(callId), uid);
+    if (socketId) {
+      await this.store.hset(socketsKey(callId), uid, socketId);
+    }
+    
+    const update = { participants: byTimestamp(await this.store.hgetall(joinedKey(callId))) };
+    if (session.state === 'ringing') {
+      session.state = 'answered';
+      session.answeredAt = new Date().toISOString();
+      await this.clearRingTimer(callId);
+      await this.saveCall(session);
+      update.status = 'answered';
+      update.answeredAt = session.answeredAt;
+    }
+    
+    const participants = await this.groupParticipants(callId);
+    for (const peer of peers) {
+      this.sendToUser(peer, 'group_call:participant_joined', { callId, userId: uid, participants });
+    }
+    this.sendToUser(socketId || uid, 'group_call:joined', this.serializeGroupCall(session, participants));
+    
+    // The joiner's other devices stop ringing
+    if (socketId && this.io) {
+      this.io.to(uid).except(socketId).emit('group_call:joined_elsewhere', { callId });
+    }
+    
+    await this.updateCall(callId, update);
+    
+    return {
+      success: true,
+      callId,
+      participants
+    };
+  }
+
+  /**
+   * Relay an offer, answer or ICE candidate to one participant of a group call
+   */
+  async relayGroupSignal(callId, userId, to, type, payload) {
+    const from = String(userId);
+    const target = String(to);
+    const [fromJoined, targetJoined] = await Promise.all([
+      this.store.hget(participantsKey(callId), from),
+      this.store.hget(participantsKey(callId), target)
+    ]);
+    
+    if (from === target || !fromJoined || !targetJoined) {
+      return { success: false, error: 'not_found' };
+    }
+    
+    const device = await this.store.hget(socketsKey(callId), target);
+    this.sendToUser(device || target, `group_call:${type}`, {
+      callId,
+      from,
+      ...payload
+    });
+    
+    return { success: true };
+  }
+
+  /**
+   * Leave a group call; it ends once fewer than two participants remain
+   */
+  async leaveGroupCall(callId, userId, reason = 'hangup') {
+    const uid = String(userId);
+    
+    if (!(await this.store.hdel(participantsKey(callId), uid))) {
+      return { success: false, error: 'not_found' };
+    }
+    await this.store.hdel(USERS_KEY, uid);
+    await this.store.hdel(socketsKey(callId), uid);
+    
+    const session = await this.getCall(callId);
+    const participants = await this.groupParticipants(callId);
+    for (const peer of participants) {
+      this.sendToUser(peer, 'group_call:participant_left', { callId, userId: uid, reason, participants });
+    }
+    
+    // A ringing call keeps waiting for the first joiner unless the starter gives up
+    if (participants.length === 0 || (session?.state !== 'ringing' && participants.length < 2)) {
+      await this.endGroupCall(callId, reason, uid);
+    }
+    
+    return { success: true };
+  }
+
+  /**
+   * End a group call for everyone and complete its history record
+   */
+  async endGroupCall(callId, reason, endedBy = null) {
+    const session = await this.getCall(callId);
+    await this.clearRingTimer(callId);
+    
+    // Whoever removes the state ends the call, so it ends once across instances
+    if (!session?.group || !(await this.store.del(callKey(callId)))) return;
+    
+    const [participants, members] = await Promise.all([
+      this.groupParticipants(callId),
+      this.store.smembers(membersKey(callId))
+    ]);
+    for (const uid of participants) {
+      await this.store.hdel(USERS_KEY, uid);
+    }
+    await this.store.hdel(CONVERSATIONS_KEY, session.conversationId);
+    await this.store.del(participantsKey(callId), membersKey(callId), joinedKey(callId), socketsKey(callId));
+    
+    // Members who never joined are told too so their ringing stops
+    for (const member of members) {
+      this.sendToUser(member, 'group_call:ended', { callId, conversationId: session.conversationId, reason });
+    }
+    
+    const endedAt = new Date();
+    await this.updateCall(callId, {
+      status: 'ended',
+      endedAt,
+      endReason: reason,
+      ...(endedBy && { endedBy }),
+      duration: session.answeredAt ? Math.round((endedAt - new Date(session.answeredAt)) / 1000) : 0
+    });
+  }
+
+  /**
+   * The call in progress in a group conversation (null if none)
+   */
+  async getGroupCall(conversationId, userId) {
+    if (!(await this.findGroupConversation(conversationId, String(userId)))) {
+      throw new Error('Conversation not found');
+    }
+    const callId = await this.store.hget(CONVERSATIONS_KEY, String(conversationId));
+    const session = callId && await this.getCall(callId);
+    return session ? this.serializeGroupCall(session, await this.groupParticipants(callId)) : null;
+  }
+
+  // ============ ICE SERVERS ============
+
+  /**
+   * ICE servers for the user's WebRTC connections. TURN credentials follow the TURN REST
+   * scheme: the username is "<expiry unix time>:<userId>" and the password is the
+   * base64 HMAC-SHA1 of the username with the shared secret, so the TURN server can
+   * check them without knowing about our users
+   */
+  getIceServers(userId) {
+    const { stunUrls, turnUrls, turnSecret, turnCredentialTtlSeconds } = this.iceServers;
+    const iceServers = stunUrls.length ? [{ urls: stunUrls }] : [];
+
+    if (!turnUrls.length || !turnSecret) {
+      return { iceServers, ttl: null, expiresAt: null };
+    }
+
+    const expiry = Math.floor(Date.now() / 1000) + turnCredentialTtlSeconds;
+    const username = `${expiry}:${userId}`;
+    const credential = crypto.createHmac('sha1', turnSecret).update(username).digest('base64');
+    iceServers.push({ urls: turnUrls, username, credential });
+
+    return {
+      iceServers,
+      ttl: turnCredentialTtlSeconds,
+      expiresAt: new Date(expiry * 1000)
+    };
+  }
+
+  // ============ HISTORY ============
+
+  /**
+   * Create a history record; history problems never break signaling
+   */
+  async recordCall(data) {
+    try {
+      await Call.create({ ...data, kind: data.kind === 'video' ? 'video' : 'audio' });
+    } catch (error) {
+      console.error('❌ Error recording call:', error);
+    }
+  }
+
+  /**
+   * Update a history record by signaling id
+   */
+  async updateCall(callId, update) {
+    try {
+      await Call.updateOne({ callId }, { $set: update });
+    } catch (error) {
+      console.error('❌ Error updating call record:', error);
+    }
+  }
+
+  /**
+   * Plain object form of a call, from one participant's point of view
+   * Expects caller and callee populated with name and avatar; group calls have no peer
+   */
+  serializeCall(call, userId) {
+    const outgoing = String(call.caller?._id || call.caller) === String(userId);
+    const group = Boolean(call.conversation);
+    const peer = group ? null : (outgoing ? call.callee : call.caller);
+    const missed = !group && !outgoing && call.status === 'ended' && !call.answeredAt && call.endReason !== 'declined';
+    
+    return {
+      id: String(call._id),
+      callId: call.callId,
+      direction: outgoing ? 'outgoing' : 'incoming',
+      peer: peer?._id
+        ? { id: String(peer._id), name: peer.name, avatar: peer.avatarUrl || peer.avatar || null }
+        : null,
+      isGroup: group,
+      conversationId: group ? String(call.conversation) : null,
+      participants: (call.participants || []).map(String),
+      kind: call.kind,
+      status: call.status,
+      missed,
+      ringingAt: call.ringingAt?.toISOString() || null,
+      answeredAt: call.answeredAt?.toISOString() || null,
+      endedAt: call.endedAt?.toISOString() || null,
+      endReason: call.endReason || null,
+      duration: call.duration || 0
+    };
+  }
+
+  /**
+   * A user's call history, newest first
+   * Options: cursor (nextCursor of the previous page), limit, missed (missed calls only)
+   */
+  async listCalls(userId, options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), MAX_HISTORY_PAGE_SIZE);
+    
+    let query = options.missed
+      ? missedQuery(userId)
+      : historyQuery(userId);
+    
+    if (options.cursor) {
+      const position = decodeCursor(options.cursor);
+      if (!position) {
+        throw new Error('Invalid pagination cursor');
+      }
+      query = {
+        $and: [
+          query,
+          {
+            $or: [
+              { createdAt: { $lt: position.at } },
+              { createdAt: position.at, _id: { $lt: position.id } }
+            ]
+          }
+        ]
+      };
+    }
+    
+    const calls = await Call.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('caller', 'name avatar avatarUrl')
+      .populate('callee', 'name avatar avatarUrl')
+      .lean();
+    
+    const hasMore = calls.length > limit;
+    const page = calls.slice(0, limit);
+    const last = page[page.length - 1];
+    
+    return {
+      calls: page.map(call => this.serializeCall(call, userId)),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(last.createdAt, last._id) : null
+    };
+  }
+
+  /**
+   * Missed calls the user has not looked at yet
+   */
+  countMissedCalls(userId) {
+    return Call.countDocuments({ ...missedQuery(userId), missedSeenAt: { $exists: false } });
+  }
+
+  /**
+   * Mark every missed call as seen; returns how many were unseen
+   */
+  async markMissedCallsSeen(userId) {
+    const result = await Call.updateMany(
+      { ...missedQuery(userId), missedSeenAt: { $exists: false } },
+      { $set: { missedSeenAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Remove a call from the user's history (the other participants keep it)
+   */
+  async deleteCall(userId, id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Call not found');
+    }
+    const result = await Call.updateOne(
+      { _id: id, ...historyQuery(userId) },
+      { $addToSet: { deletedFor: userId } }
+    );
+    if (!result.matchedCount) {
+      throw new Error('Call not found');
+    }
+  }
+
+  /**
+   * Remove every call from the user's history; returns how many were removed
+   */
+  async clearCalls(userId) {
+    const result = await Call.updateMany(
+      historyQuery(userId),
+      { $addToSet: { deletedFor: userId } }
+    );
+    return result.modifiedCount;
   }
 }
 
@@ -0,0 +1,240 @@
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import Group from '../models/Group.js';
+import Notification from '../models/Notification.js';
+import MessageTombstone from '../models/MessageTombstone.js';
+import User from '../models/User.js';
+import config from '../config/index.js';
+import { removeUploadedFile } from '../utils/uploads.js';
+
+const MIN_TTL_SECONDS = 30;
+const MAX_TTL_SECONDS = 365 * 24 * 60 * 60;
+const SWEEP_BATCH_SIZE = 500;
+
+const UNITS = [
+  ['day', 86400],
+  ['hour', 3600],
+  ['minute', 60],
+  ['second', 1]
+];
+
+/**
+ * Disappearing Message Service
+ * Per-conversation timers and the sweeper that hard-deletes expired messages
+ * (and their uploaded files) based on Message.createdAt
+ */
+class DisappearingMessageService {
+  constructor(messageService) {
+    this.messageService = messageService;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Human-readable timer, e.g. "7 days", "1 hour"
+   */
+  formatDuration(seconds) {
+    const [unit, size] = UNITS.find(([, s]) => seconds % s === 0 && seconds >= s);
+    const count = seconds / size;
+    return `${count} ${unit}${count === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Plain object form for API responses
+   */
+  serialize(conversation) {
+    const setting = conversation.disappearingMessages || {};
+    return {
+      conversationId: String(conversation._id),
+      ttlSeconds: setting.ttlSeconds || 0,
+      enabledAt: setting.enabledAt?.toISOString(),
+      updatedBy: setting.updatedBy ? String(setting.updatedBy) : undefined,
+      updatedAt: setting.updatedAt?.toISOString()
+    };
+  }
+
+  /**
+   * Set or clear (ttlSeconds = 0) a conversation's timer
+   * Any participant may change it; in groups only admins may
+   */
+  async setTimer(conversationId, userId, ttlSeconds) {
+    const ttl = Number(ttlSeconds);
+    if (!Number.isInteger(ttl) || (ttl !== 0 && (ttl < MIN_TTL_SECONDS || ttl > MAX_TTL_SECONDS))) {
+      throw new Error(`ttlSeconds must be 0 (off) or between ${MIN_TTL_SECONDS} and ${MAX_TTL_SECONDS}`);
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+      throw new Error('Conversation not found');
+    }
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    const members = conversation.participants || conversation.members || [];
+    if (!members.some(m => String(m) === String(userId))) {
+      throw new Error('User is not a member of this conversation');
+    }
+
+    if (conversation.isGroup) {
+      const group = await Group.findOne({
+        $or: [
+          { conversation: conversation._id },
+          { conversationId: conversation._id }
+        ]
+      });
+      if (group && !group.isAdmin(userId)) {
+        throw new Error('Only admins can change disappearing messages');
+      }
+    } else {
+      // The change is announced with a message, which a block would refuse
+      await this.messageService.assertCanSend(conversation, userId);
+    }
+
+    const current = conversation.disappearingMessages?.ttlSeconds || 0;
+    if (current === ttl) {
+      return { conversation, changed: false };
+    }
+
+    const now = new Date();
+    const setting = conversation.disappearingMessages;
+    // Changing the duration starts a new period; messages already sent keep the timer they were
+    // sent under, so the ending period is swept until its last message has expired
+    const earlier = ttl && current
+      ? [
+        ...(setting.earlier || []).map(({ ttlSeconds, from, until }) => ({ ttlSeconds, from, until })),
+        { ttlSeconds: current, from: setting.enabledAt, until: now }
+      ].filter(period => period.until.getTime() + period.ttlSeconds * 1000 > now.getTime())
+      : [];
+    conversation.disappearingMessages = {
+      ttlSeconds: ttl,
+      enabledAt: ttl ? now : undefined,
+      earlier,
+      updatedBy: userId,
+      updatedAt: now
+    };
+    await conversation.save();
+
+    const user = await User.findById(userId).select('name').lean();
+    const name = user?.name || 'Someone';
+    const announcement = ttl
+      ? `${name} set disappearing messages to ${this.formatDuration(ttl)}`
+      : `${name} turned off disappearing messages`;
+
+    await this.messageService.sendSystemMessage(userId, String(conversation._id), announcement);
+
+    const payload = this.serialize(conversation);
+    await this.messageService.broadcastToConversation(conversation._id, 'disappearing_messages_updated', payload);
+    await this.messageService.broadcastToConversation(conversation._id, 'disappearing-messages-updated', payload);
+
+    return { conversation, changed: true };
+  }
+
+  /**
+   * Set a group's timer through its conversation
+   */
+  async setGroupTimer(groupId, userId, ttlSeconds) {
+    const group = mongoose.Types.ObjectId.isValid(groupId) ? await Group.findById(groupId).lean() : null;
+    if (!group || !(group.conversation || group.conversationId)) {
+      throw new Error('Group not found');
+    }
+    return this.setTimer(String(group.conversation || group.conversationId), userId, ttlSeconds);
+  }
+
+  /**
+   * Hard-delete messages, their notifications and any upload no other message still uses
+   * Tombstones go first so the sync feed reports the deletion even if the purge is interrupted
+   */
+  async purgeMessages(messages) {
+    const ids = messages.map(m => m._id);
+    await MessageTombstone.record(messages, 'expired');
+    await Message.deleteMany({ _id: { $in: ids } });
+    await Notification.deleteMany({ relatedMessage: { $in: ids } });
+
+    // Forwarded copies share the original's file
+    const urls = [...new Set(messages.flatMap(m => [m.fileUrl, m.media, m.voice?.url]).filter(Boolean))];
+    for (const url of urls) {
+      const stillUsed = await Message.exists({
+        $or: [{ fileUrl: url }, { media: url }, { 'voice.url': url }]
+      });
+      if (!stillUsed) {
+        await removeUploadedFile(url);
+      }
+    }
+  }
+
+  /**
+   * Remove every expired message in conversations with a timer
+   */
+  async sweep(now = new Date()) {
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      const conversations = await Conversation.find({ 'disappearingMessages.ttlSeconds': { $gt: 0 } })
+        .select('_id disappearingMessages')
+        .lean();
+
+      let removed = 0;
+      for (const conversation of conversations) {
+        const { ttlSeconds, enabledAt, earlier = [] } = conversation.disappearingMessages;
+        const periods = [...earlier, { ttlSeconds, from: enabledAt }];
+
+        for (const period of periods) {
+          const cutoff = new Date(now.getTime() - period.ttlSeconds * 1000);
+          const end = period.until && period.until < cutoff ? period.until : cutoff;
+
+          for (;;) {
+            const expired = await Message.find({
+              $or: [
+                { conversation: conversation._id },
+                { conversationId: conversation._id }
+              ],
+              createdAt: { $gte: period.from, $lt: end }
+            })
+              .select('_id conversation conversationId fileUrl media voice')
+              .limit(SWEEP_BATCH_SIZE)
+              .lean();
+            if (!expired.length) break;
+
+            await this.purgeMessages(expired);
+            removed += expired.length;
+
+            const payload = {
+              conversationId: String(conversation._id),
+              messageIds: expired.map(m => String(m._id))
+            };
+            await this.messageService.broadcastToConversation(conversation._id, 'messages_expired', payload);
+            await this.messageService.broadcastToConversation(conversation._id, 'messages-expired', payload);
+            await this.messageService.recomputeLastMessage(conversation._id);
+          }
+        }
+      }
+      return removed;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start the background sweeper
+   */
+  start(intervalMs = config.disappearingMessagesSweepMs) {
+    if (this.timer) return;
+    const tick = () => this.sweep().catch(error => console.error('❌ Disappearing messages sweep error:', error));
+    tick();
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop the background sweeper
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default DisappearingMessageService;
@@ -301,6 +301,53 @@ class GroupService {
     return group;
   }
   
+  /**
+   * Take a deleted account out of every group it is in
+   * Its admin role passes to another admin, or else to the longest-standing member;
+   * groups with nobody else left are dissolved. Returns the dissolved groups' conversation ids
+   */
+  async removeDeletedUser(userId) {
+    const uid = userId.toString();
+    const groups = await Group.find({
+      $or: [{ participants: userId }, { members: userId }, { admin: userId }, { admins: userId }]
+    });
+    
+    const dissolved = [];
+    for (const group of groups) {
+      const conversationId = group.conversation || group.conversationId;
+      const remaining = group.participants.filter(p => p.toString() !== uid);
+      
+      if (remaining.length === 0) {
+        await Group.deleteOne({ _id: group._id });
+        if (conversationId) {
+          await Conversation.deleteOne({ _id: conversationId });
+          dissolved.push(conversationId);
+        }
+        continue;
+      }
+      
+      const admins = (group.admins || []).filter(
+        a => a.toString() !== uid && remaining.some(p => p.toString() === a.toString())
+      );
+      if (group.admin.toString() === uid) {
+        group.admin = admins[0] || remaining[0];
+      }
+      group.admins = admins.length ? admins : [group.admin];
+      group.participants = remaining;
+      group.members = (group.members || []).filter(m => m.toString() !== uid);
+      await group.save();
+      
+      if (conversationId) {
+        await Conversation.updateOne(
+          { _id: conversationId },
+          { $pull: { participants: userId, members: userId } }
+        );
+      }
+    }
+    
+    return dissolved;
+  }
+  
   /**
    * Promote member to admin
    */
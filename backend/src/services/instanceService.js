@@ -0,0 +1,64 @@
+import config from '../config/index.js';
+
+/**
+ * Instance Service
+ * Keeps the shared state right when instances go away. Every instance heartbeats; when one
+ * stops (crash, redeploy) another disconnects its sockets on its behalf, which marks their
+ * users offline and takes them out of calls, and expires ringing calls whose timer it held
+ */
+class InstanceService {
+  constructor(presenceService, callService) {
+    this.presenceService = presenceService;
+    this.callService = callService;
+    this.timeoutMs = config.instanceTimeoutMs;
+    this.timer = null;
+  }
+
+  /**
+   * Clean up after an instance's sockets the way their own disconnects would have
+   * Returns how many sockets it held
+   */
+  async disconnectInstance(instanceId) {
+    const sockets = await this.presenceService.reapInstance(instanceId);
+    for (const { socketId, userId } of sockets) {
+      await this.callService.handleUserDisconnect(userId, socketId);
+    }
+    return sockets.length;
+  }
+
+  /**
+   * Heartbeat, then take over from instances that stopped and expire due calls
+   */
+  async tick() {
+    await this.presenceService.heartbeat();
+
+    for (const instanceId of await this.presenceService.deadInstances(this.timeoutMs)) {
+      const count = await this.disconnectInstance(instanceId);
+      console.log(`🧹 Cleaned up ${count} sockets of stopped instance ${instanceId}`);
+    }
+
+    await this.callService.expireDueCalls();
+  }
+
+  /**
+   * Start heartbeating (the first tick also cleans up after instances that stopped before this one started)
+   */
+  start(intervalMs = config.instanceHeartbeatMs) {
+    if (this.timer) return;
+    const tick = () => this.tick().catch(error => console.error('❌ Instance heartbeat error:', error));
+    tick();
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop heartbeating and release this instance's sockets and calls right away
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.disconnectInstance(this.presenceService.instanceId);
+  }
+}
+
+export default InstanceService;
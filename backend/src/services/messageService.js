@@ -1,7 +1,20 @@
 import Message from '../models/Message.js';
 import Conversation from '../models/Conversation.js';
+import Group from '../models/Group.js';
+import Block from '../models/Block.js';
 import User from '../models/User.js';
 import mongoose from 'mongoose';
+import { CIPHERTEXT_TYPE, normalizeEncryptedPayload, serializeEncrypted } from '../utils/encryption.js';
+import { encodeCursor, decodeCursor, MIN_OBJECT_ID } from '../utils/cursor.js';
+import { MESSAGE_TYPE, CLIENT_MESSAGE_TYPES } from '../utils/constants.js';
+
+// Long enough for multi-codepoint emoji (skin tones, ZWJ sequences)
+const MAX_REACTION_LENGTH = 32;
+
+const MAX_FORWARD_MESSAGES = 50;
+const MAX_FORWARD_TARGETS = 20;
+
+const MAX_PAGE_SIZE = 100;
 
 /**
  * Message Service
@@ -18,8 +31,9 @@ class MessageService {
   /**
    * Send a new message
    * Supports both from/to (Backend1) and sender (Backend) formats
+   * System messages only go through sendSystemMessage
    */
-  async sendMessage(messageData) {
+  async sendMessage(messageData, { system = false } = {}) {
     try {
       const {
         senderId,
@@ -43,7 +57,11 @@ class MessageService {
         callStatus,
         isVideoCall,
         callStartTime,
-        callDuration
+        callDuration,
+        encrypted,
+        voice,
+        forwarded,
+        forwardedFrom
       } = messageData;
 
       // Normalize field names
@@ -70,6 +88,10 @@ class MessageService {
         throw new Error('Sender is required');
       }
 
+      if (system ? type !== MESSAGE_TYPE.SYSTEM : !CLIENT_MESSAGE_TYPES.includes(type)) {
+        throw new Error('Invalid message type');
+      }
+
       // Verify conversation exists and user is a member
       const conv = await Conversation.findById(normalizedConversationId);
       if (!conv) {
@@ -82,6 +104,8 @@ class MessageService {
         throw new Error('User is not a member of this conversation');
       }
 
+      await this.assertCanSend(conv, normalizedSenderId);
+
       // Build message data (support both field names)
       const msgData = {
         from: normalizedSenderId,
@@ -97,6 +121,17 @@ class MessageService {
         status: 'sent'
       };
 
+      // Ciphertext is stored opaquely; no plaintext may accompany it
+      if (type === CIPHERTEXT_TYPE) {
+        const { value, error } = normalizeEncryptedPayload(encrypted);
+        if (error) {
+          throw new Error(error);
+        }
+        msgData.encrypted = value;
+        msgData.text = '';
+        msgData.content = '';
+      }
+
       // Add file data (unified)
       if (fileUrl || media) {
         msgData.fileUrl = fileUrl || media;
@@ -108,6 +143,15 @@ class MessageService {
         }
       }
 
+      if (voice?.url) {
+        msgData.voice = voice;
+      }
+
+      if (forwarded) {
+        msgData.forwarded = true;
+        msgData.forwardedFrom = forwardedFrom;
+      }
+
       // Add call activity metadata
       if (callActivity || type === 'call_activity') {
         msgData.messageType = 'call_activity';
@@ -167,8 +211,8 @@ class MessageService {
         messageId: String(newMessage._id),
         conversationId: String(normalizedConversationId),
         conversation: String(normalizedConversationId),
-        from: String(newMessage.from || newMessage.sender),
-        sender: String(newMessage.sender || newMessage.from),
+        from: String(normalizedSenderId),
+        sender: String(normalizedSenderId),
         to: newMessage.to ? String(newMessage.to) : undefined,
         text: newMessage.text || newMessage.content,
         content: newMessage.content || newMessage.text,
@@ -201,6 +245,19 @@ class MessageService {
         if (newMessage.callDuration !== undefined) payload.callDuration = newMessage.callDuration.toString();
       }
 
+      if (newMessage.voice?.url) {
+        payload.voice = newMessage.voice.toObject ? newMessage.voice.toObject() : newMessage.voice;
+      }
+
+      if (newMessage.type === CIPHERTEXT_TYPE) {
+        payload.encrypted = serializeEncrypted(newMessage.encrypted);
+      }
+
+      if (newMessage.forwarded) {
+        payload.forwarded = true;
+        payload.forwardedFrom = newMessage.forwardedFrom;
+      }
+
       // Add reply data
       if (newMessage.replyTo) {
         payload.replyTo = String(newMessage.replyTo);
@@ -228,7 +285,7 @@ class MessageService {
 
       // Stop typing
       if (this.presenceService) {
-        this.presenceService.userStoppedTyping(normalizedSenderId, normalizedConversationId);
+        await this.presenceService.userStoppedTyping(normalizedSenderId, normalizedConversationId);
       }
 
       return newMessage;
@@ -238,6 +295,146 @@ class MessageService {
     }
   }
 
+  /**
+   * Send a server-generated announcement (e.g. a timer change) on behalf of the user who caused it
+   */
+  sendSystemMessage(senderId, conversationId, content) {
+    return this.sendMessage({
+      senderId,
+      conversationId,
+      content,
+      type: MESSAGE_TYPE.SYSTEM
+    }, { system: true });
+  }
+
+  /**
+   * Check send permissions for a conversation the user is already a member of:
+   * group settings, or a block between the two people in a direct conversation
+   */
+  async assertCanSend(conversation, userId) {
+    if (!conversation.isGroup) {
+      const members = conversation.participants || conversation.members || [];
+      const other = members.find(m => String(m) !== String(userId));
+      if (await Block.between(userId, other)) {
+        throw new Error('Messaging is blocked between these users');
+      }
+      return;
+    }
+
+    const group = await Group.findOne({
+      $or: [
+        { conversation: conversation._id },
+        { conversationId: conversation._id }
+      ]
+    });
+
+    if (group?.settings?.onlyAdminsCanSendMessages && !group.isAdmin(userId)) {
+      throw new Error('Only admins can send messages in this group');
+    }
+  }
+
+  /**
+   * Forward messages into one or more conversations
+   * Every source and target is checked before anything is sent
+   */
+  async forwardMessages(userId, messageIds, conversationIds) {
+    try {
+      const sourceIds = [...new Set((messageIds || []).map(String))];
+      const targetIds = [...new Set((conversationIds || []).map(String))];
+
+      if (!sourceIds.length) {
+        throw new Error('At least one message is required');
+      }
+      if (!targetIds.length) {
+        throw new Error('At least one target conversation is required');
+      }
+      if (sourceIds.length > MAX_FORWARD_MESSAGES) {
+        throw new Error(`No more than ${MAX_FORWARD_MESSAGES} messages can be forwarded at once`);
+      }
+      if (targetIds.length > MAX_FORWARD_TARGETS) {
+        throw new Error(`No more than ${MAX_FORWARD_TARGETS} conversations can be forwarded to at once`);
+      }
+      if (!sourceIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        throw new Error('Message not found');
+      }
+      if (!targetIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        throw new Error('Conversation not found');
+      }
+
+      // Sources: visible to the user, in conversations they belong to
+      const sources = await Message.find({ _id: { $in: sourceIds } }).sort({ createdAt: 1, _id: 1 }).lean();
+      const visible = sources.filter(m => !(m.deletedFor || []).some(id => String(id) === String(userId)));
+      if (visible.length !== sourceIds.length) {
+        throw new Error('Message not found');
+      }
+
+      const sourceConversationIds = [...new Set(visible.map(m => String(m.conversation || m.conversationId)))];
+      const memberOf = await Conversation.countDocuments({
+        _id: { $in: sourceConversationIds },
+        $or: [{ participants: userId }, { members: userId }]
+      });
+      if (memberOf !== sourceConversationIds.length) {
+        throw new Error('User is not a member of this conversation');
+      }
+
+      for (const message of visible) {
+        if (message.deleted || message.isDeleted) {
+          throw new Error('Cannot forward deleted message');
+        }
+        // Envelopes are encrypted for the original recipients' devices only
+        if (message.type === CIPHERTEXT_TYPE) {
+          throw new Error('Cannot forward encrypted message');
+        }
+        if (message.callActivity) {
+          throw new Error('Cannot forward call activity');
+        }
+        if (message.type === MESSAGE_TYPE.SYSTEM) {
+          throw new Error('Cannot forward system message');
+        }
+      }
+
+      // Targets: member of each, allowed to send in each
+      const targets = await Conversation.find({ _id: { $in: targetIds } });
+      if (targets.length !== targetIds.length) {
+        throw new Error('Conversation not found');
+      }
+      for (const target of targets) {
+        const members = target.participants || target.members || [];
+        if (!members.some(m => String(m) === String(userId))) {
+          throw new Error('User is not a member of this conversation');
+        }
+        await this.assertCanSend(target, userId);
+      }
+
+      const forwarded = [];
+      for (const targetId of targetIds) {
+        for (const message of visible) {
+          const copy = await this.sendMessage({
+            senderId: userId,
+            conversationId: targetId,
+            content: message.content || message.text,
+            type: message.type,
+            fileUrl: message.fileUrl,
+            media: message.media,
+            fileName: message.fileName,
+            fileType: message.fileType,
+            audioDuration: message.audioDuration,
+            voice: message.voice,
+            forwarded: true,
+            // Point at the original, not at an intermediate forward
+            forwardedFrom: message.forwardedFrom || String(message._id)
+          });
+          forwarded.push(copy);
+        }
+      }
+
+      return forwarded;
+    } catch (error) {
+      console.error('Error forwarding messages:', error);
+      throw error;
+    }
+  }
+
   /**
    * Edit message
    */
@@ -257,6 +454,14 @@ class MessageService {
         throw new Error('Cannot edit deleted message');
       }
 
+      if (message.type === CIPHERTEXT_TYPE) {
+        throw new Error('Cannot edit encrypted message');
+      }
+
+      if (message.type === MESSAGE_TYPE.SYSTEM) {
+        throw new Error('Cannot edit system message');
+      }
+
       // Store original content if first edit
       if (!message.originalContent) {
         message.originalContent = message.content || message.text;
@@ -362,62 +567,158 @@ class MessageService {
   }
 
   /**
-   * Get messages for conversation
+   * Load a message and check the user may react to it
    */
-  async getMessages(conversationId, userId, options = {}) {
-    const { page = 1, limit = 50, before } = options;
+  async loadReactableMessage(messageId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      throw new Error('Message not found');
+    }
 
-    // Verify user is a member
-    const conversation = await Conversation.findById(conversationId);
-    if (!conversation) {
-      throw new Error('Conversation not found');
+    const message = await Message.findById(messageId).lean();
+    if (!message) {
+      throw new Error('Message not found');
     }
 
-    const members = conversation.participants || conversation.members || [];
-    const isMember = members.some(m => String(m) === String(userId));
-    if (!isMember) {
+    const convId = message.conversation || message.conversationId;
+    const conversation = await Conversation.findById(convId).lean();
+    const members = conversation ? (conversation.participants || conversation.members || []) : [];
+    if (!members.some(m => String(m) === String(userId))) {
       throw new Error('User is not a member of this conversation');
     }
 
-    // Build query
-    const query = {
-      $or: [
-        { conversation: conversationId },
-        { conversationId: conversationId }
-      ],
-      deleted: { $ne: true },
-      isDeleted: { $ne: true },
-      deletedFor: { $nin: [userId] }
-    };
+    if (message.deleted || message.isDeleted) {
+      throw new Error('Cannot react to deleted message');
+    }
+
+    return message;
+  }
+
+  /**
+   * Add or replace the user's reaction to a message (one reaction per user)
+   */
+  async addReaction(messageId, userId, reaction) {
+    try {
+      const value = typeof reaction === 'string' ? reaction.trim() : '';
+      if (!value) {
+        throw new Error('Reaction is required');
+      }
+      if (value.length > MAX_REACTION_LENGTH) {
+        throw new Error(`Reaction exceeds maximum length of ${MAX_REACTION_LENGTH} characters`);
+      }
+
+      const message = await this.loadReactableMessage(messageId, userId);
+      const uid = new mongoose.Types.ObjectId(userId);
+      const previous = (message.reactions || []).find(r => String(r.userId) === String(userId));
+
+      if (previous?.reaction === value) {
+        return { message: this.formatMessage(message), changed: false };
+      }
 
-    if (before) {
-      query.createdAt = { $lt: new Date(before) };
+      // Replace the user's entry in place, or append one if they have none. Both updates are
+      // conditional, so concurrent reactions from the same user never leave two entries or none
+      const timestamp = new Date();
+      let updated = null;
+      for (let attempt = 0; !updated && attempt < 3; attempt++) {
+        updated = await Message.findOneAndUpdate(
+          { _id: message._id, 'reactions.userId': uid },
+          { $set: { 'reactions.$[mine]': { userId: uid, reaction: value, timestamp } } },
+          { arrayFilters: [{ 'mine.userId': uid }], new: true }
+        ).lean() || await Message.findOneAndUpdate(
+          { _id: message._id, 'reactions.userId': { $ne: uid } },
+          { $push: { reactions: { userId: uid, reaction: value, timestamp } } },
+          { new: true }
+        ).lean();
+      }
+      if (!updated) {
+        throw new Error('Message not found');
+      }
+
+      await this.broadcastReaction(updated, userId, value);
+
+      if (this.notificationService) {
+        await this.notificationService.createReactionNotification(updated, userId, value);
+      }
+
+      return { message: this.formatMessage(updated), changed: true };
+    } catch (error) {
+      console.error('Error adding reaction:', error);
+      throw error;
     }
+  }
 
-    const messages = await Message.find(query)
-      .populate('sender', 'name phone avatar avatarUrl')
-      .populate('from', 'name phone avatar avatarUrl')
-      .populate({
-        path: 'replyTo',
-        select: 'content text type media sender from createdAt',
-        populate: {
-          path: 'sender from',
-          select: 'name phone avatar avatarUrl'
-        }
-      })
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit))
-      .lean();
+  /**
+   * Remove the user's reaction from a message
+   */
+  async removeReaction(messageId, userId) {
+    try {
+      const message = await this.loadReactableMessage(messageId, userId);
+      const hasReaction = (message.reactions || []).some(r => String(r.userId) === String(userId));
+      if (!hasReaction) {
+        throw new Error('Reaction not found');
+      }
 
-    const total = await Message.countDocuments(query);
+      const updated = await Message.findByIdAndUpdate(
+        message._id,
+        { $pull: { reactions: { userId: new mongoose.Types.ObjectId(userId) } } },
+        { new: true }
+      ).lean();
 
-    // Format messages (support both field names)
-    const formatted = messages.reverse().map(m => ({
+      await this.broadcastReaction(updated, userId, null);
+
+      return { message: this.formatMessage(updated), changed: true };
+    } catch (error) {
+      console.error('Error removing reaction:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Broadcast a reaction change to conversation members (reaction is null when removed)
+   */
+  async broadcastReaction(message, userId, reaction) {
+    const convId = message.conversation || message.conversationId;
+    const payload = {
+      _id: String(message._id),
+      messageId: String(message._id),
+      conversationId: String(convId),
+      conversation: String(convId),
+      userId: String(userId),
+      reaction,
+      reactions: this.summarizeReactions(message.reactions),
+      updatedAt: message.updatedAt?.toISOString()
+    };
+
+    await this.broadcastToConversation(convId, 'message_reaction', payload);
+    await this.broadcastToConversation(convId, 'message-reaction', payload);
+  }
+
+  /**
+   * Aggregate raw reactions into [{ reaction, count, userIds }], most used first
+   */
+  summarizeReactions(reactions = []) {
+    const groups = new Map();
+    for (const r of reactions || []) {
+      if (!groups.has(r.reaction)) {
+        groups.set(r.reaction, { reaction: r.reaction, count: 0, userIds: [] });
+      }
+      const group = groups.get(r.reaction);
+      group.count += 1;
+      group.userIds.push(String(r.userId?._id || r.userId));
+    }
+    return [...groups.values()].sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Format a lean message for API responses (support both field names)
+   */
+  formatMessage(m) {
+    // from/sender may be populated
+    const senderId = String(m.from?._id || m.from || m.sender?._id || m.sender);
+    return {
       _id: String(m._id),
       messageId: String(m._id),
-      from: String(m.from || m.sender),
-      sender: String(m.sender || m.from),
+      from: senderId,
+      sender: senderId,
       to: m.to ? String(m.to) : undefined,
       text: m.deleted || m.isDeleted ? '' : (m.text || m.content || ''),
       content: m.deleted || m.isDeleted ? '' : (m.content || m.text || ''),
@@ -429,6 +730,7 @@ class MessageService {
       edited: m.edited || false,
       editedAt: m.editedAt?.toISOString(),
       createdAt: m.createdAt?.toISOString(),
+      updatedAt: m.updatedAt?.toISOString(),
       fileUrl: m.fileUrl || m.media,
       media: m.media || m.fileUrl,
       fileName: m.fileName,
@@ -437,6 +739,11 @@ class MessageService {
       type: m.type,
       replyTo: m.replyTo ? String(m.replyTo) : undefined,
       replyToMessage: m.replyToMessage,
+      encrypted: m.deleted || m.isDeleted ? undefined : serializeEncrypted(m.encrypted),
+      reactions: m.deleted || m.isDeleted ? [] : this.summarizeReactions(m.reactions),
+      voice: m.voice?.url ? m.voice : undefined,
+      forwarded: m.forwarded || false,
+      forwardedFrom: m.forwardedFrom,
       ...(m.callActivity && {
         messageType: 'call_activity',
         callActivity: true,
@@ -446,19 +753,190 @@ class MessageService {
         callStartTime: m.callStartTime?.toISOString(),
         callDuration: m.callDuration?.toString()
       })
-    }));
+    };
+  }
+
+  /**
+   * Get messages for conversation, oldest first (keyset pagination)
+   * Pages from one anchor, newest page when none is given:
+   *   cursor + direction ('older' | 'newer') - continue from a previous page
+   *   before / after - message id to page from (before also takes a timestamp)
+   *   around - message id to jump to, with surrounding context
+   */
+  async getMessages(conversationId, userId, options = {}) {
+    const { cursor, direction, before, after, around } = options;
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+
+    // Verify user is a member
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    const members = conversation.participants || conversation.members || [];
+    const isMember = members.some(m => String(m) === String(userId));
+    if (!isMember) {
+      throw new Error('User is not a member of this conversation');
+    }
+
+    // Build query
+    const query = {
+      $or: [
+        { conversation: conversationId },
+        { conversationId: conversationId }
+      ],
+      deleted: { $ne: true },
+      isDeleted: { $ne: true },
+      deletedFor: { $nin: [userId] }
+    };
+
+    let messages;
+    let hasOlder;
+    let hasNewer;
+    let hasMore;
+
+    if (around) {
+      const target = mongoose.Types.ObjectId.isValid(around)
+        ? await this.findPage({ $and: [query, { _id: around }] }, 1, 1).then(found => found[0])
+        : null;
+      if (!target) {
+        throw new Error('Message not found');
+      }
+
+      const position = { at: target.createdAt, id: target._id };
+      const olderCount = Math.floor((limit - 1) / 2);
+      const older = await this.findPage(this.pageQuery(query, position, 'older'), -1, olderCount + 1);
+      const newer = await this.findPage(this.pageQuery(query, position, 'newer'), 1, limit - olderCount);
+
+      hasOlder = older.length > olderCount;
+      hasNewer = newer.length > limit - 1 - olderCount;
+      hasMore = hasOlder || hasNewer;
+      messages = [
+        ...older.slice(0, olderCount).reverse(),
+        target,
+        ...newer.slice(0, limit - 1 - olderCount)
+      ];
+    } else {
+      const { position, towards } = await this.resolvePageAnchor(conversationId, { cursor, direction, before, after });
+      const found = await this.findPage(this.pageQuery(query, position, towards), towards === 'newer' ? 1 : -1, limit + 1);
+
+      hasMore = found.length > limit;
+      messages = found.slice(0, limit);
+      if (towards === 'older') {
+        messages.reverse();
+      }
+
+      // The newest page has nothing newer; otherwise the far side is one existence check
+      const edge = towards === 'newer' ? messages[0] : messages[messages.length - 1];
+      const edgePosition = edge ? { at: edge.createdAt, id: edge._id } : position;
+      const otherSide = towards === 'newer' ? 'older' : 'newer';
+      const hasOtherSide = position
+        ? Boolean(await Message.exists(this.pageQuery(query, edgePosition, otherSide)))
+        : false;
+
+      hasOlder = towards === 'older' ? hasMore : hasOtherSide;
+      hasNewer = towards === 'newer' ? hasMore : hasOtherSide;
+    }
+
+    const first = messages[0];
+    const last = messages[messages.length - 1];
 
     return {
-      messages: formatted,
+      messages: messages.map(m => this.formatMessage(m)),
       pagination: {
-        totalPages: Math.ceil(total / limit),
-        currentPage: parseInt(page),
-        total,
-        limit: parseInt(limit)
+        limit,
+        hasMore,
+        hasOlder,
+        hasNewer,
+        prevCursor: first ? encodeCursor(first.createdAt, first._id) : null,
+        nextCursor: last ? encodeCursor(last.createdAt, last._id) : null
       }
     };
   }
 
+  /**
+   * Work out where a page starts and which way it reads
+   * Returns a null position for the newest page
+   */
+  async resolvePageAnchor(conversationId, { cursor, direction, before, after }) {
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (!position) {
+        throw new Error('Invalid pagination cursor');
+      }
+      return { position, towards: direction === 'newer' || direction === 'after' ? 'newer' : 'older' };
+    }
+
+    const anchor = before || after;
+    if (!anchor) {
+      return { position: null, towards: 'older' };
+    }
+
+    const towards = after ? 'newer' : 'older';
+
+    // Older clients page back with an ISO timestamp
+    if (!mongoose.Types.ObjectId.isValid(anchor)) {
+      const at = new Date(anchor);
+      if (after || isNaN(at.getTime())) {
+        throw new Error('Invalid pagination cursor');
+      }
+      return { position: { at, id: MIN_OBJECT_ID }, towards };
+    }
+
+    const message = await Message.findOne({
+      _id: anchor,
+      $or: [
+        { conversation: conversationId },
+        { conversationId: conversationId }
+      ]
+    }).select('_id createdAt').lean();
+    if (!message) {
+      throw new Error('Message not found');
+    }
+
+    return { position: { at: message.createdAt, id: message._id }, towards };
+  }
+
+  /**
+   * Restrict a message query to one side of a (createdAt, _id) position
+   */
+  pageQuery(query, position, towards) {
+    if (!position) return query;
+
+    const op = towards === 'newer' ? '$gt' : '$lt';
+    return {
+      $and: [
+        query,
+        {
+          $or: [
+            { createdAt: { [op]: position.at } },
+            { createdAt: position.at, _id: { [op]: position.id } }
+          ]
+        }
+      ]
+    };
+  }
+
+  /**
+   * Fetch up to n populated messages in (createdAt, _id) order (1 ascending, -1 descending)
+   */
+  async findPage(query, order, n) {
+    return Message.find(query)
+      .populate('sender', 'name phone avatar avatarUrl')
+      .populate('from', 'name phone avatar avatarUrl')
+      .populate({
+        path: 'replyTo',
+        select: 'content text type media sender from createdAt',
+        populate: {
+          path: 'sender from',
+          select: 'name phone avatar avatarUrl'
+        }
+      })
+      .sort({ createdAt: order, _id: order })
+      .limit(n)
+      .lean();
+  }
+
   /**
    * Recompute conversation's last message
    */
@@ -563,18 +1041,24 @@ class MessageService {
       } else {
         // Mark all unread messages in conversation
         const unreadMessages = await Message.find({
-          $or: [
-            { conversation: conversationId },
-            { conversationId: conversationId }
-          ],
-          $or: [
-            { from: { $ne: userId } },
-            { sender: { $ne: userId } }
+          $and: [
+            {
+              $or: [
+                { conversation: conversationId },
+                { conversationId: conversationId }
+              ]
+            },
+            {
+              $or: [
+                { from: { $ne: userId } },
+                { sender: { $ne: userId } }
+              ]
+            }
           ],
           status: { $ne: 'read' },
           deleted: { $ne: true },
           isDeleted: { $ne: true }
-        }).select('_id createdAt').lean();
+        }).select('_id createdAt').sort({ createdAt: 1 }).lean();
 
         if (unreadMessages.length > 0) {
           const latestTimestamp = unreadMessages[unreadMessages.length - 1].createdAt;
@@ -3,6 +3,7 @@ import User from '../models/User.js';
 import Message from '../models/Message.js';
 import Conversation from '../models/Conversation.js';
 import path from 'path';
+import { CIPHERTEXT_TYPE, ENCRYPTED_MESSAGE_PREVIEW } from '../utils/encryption.js';
 
 /**
  * Notification Service
@@ -19,7 +20,11 @@ class NotificationService {
    */
   async createMessageNotification(message, conversation) {
     try {
-      const senderId = message.from || message.sender;
+      // Timer changes and other announcements are not worth a push
+      if (message.type === 'system') return [];
+
+      const rawSender = message.from || message.sender;
+      const senderId = rawSender?._id || rawSender;
       const sender = await User.findById(senderId).select('name avatar avatarUrl').lean();
       if (!sender) return [];
 
@@ -74,11 +79,151 @@ class NotificationService {
     }
   }
 
+  /**
+   * Create reaction notification for the author of the message
+   */
+  async createReactionNotification(message, reactorId, reaction) {
+    try {
+      const rawAuthor = message.from || message.sender;
+      const authorId = rawAuthor?._id || rawAuthor;
+      if (!authorId || String(authorId) === String(reactorId)) return null;
+
+      const reactor = await User.findById(reactorId).select('name avatar avatarUrl').lean();
+      if (!reactor) return null;
+
+      const conversationId = message.conversation || message.conversationId;
+      const preview = this.buildMessagePreview(message);
+
+      const notification = await Notification.create({
+        recipient: authorId,
+        sender: reactorId,
+        type: 'message_reaction',
+        title: `${reactor.name || 'Someone'} reacted ${reaction} to your message`,
+        body: preview,
+        relatedMessage: message._id,
+        relatedConversation: conversationId,
+        priority: 'low',
+        data: {
+          conversationId: String(conversationId),
+          messageId: String(message._id),
+          senderName: reactor.name || 'Someone',
+          senderAvatar: reactor.avatar || reactor.avatarUrl || null,
+          reaction,
+          preview
+        }
+      });
+
+      await notification.populate([
+        { path: 'sender', select: 'name avatar avatarUrl' },
+        { path: 'recipient', select: 'name avatar avatarUrl' }
+      ]);
+
+      // Emit real-time notification
+      if (this.presenceService) {
+        this.presenceService.sendToUser(authorId, 'notification:new', notification.toObject());
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('❌ Error creating reaction notification:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Tell the author a scheduled message could not be sent
+   */
+  async createScheduledMessageFailedNotification(entry, reason) {
+    try {
+      const preview = this.buildMessagePreview(entry);
+
+      const notification = await Notification.create({
+        recipient: entry.author,
+        sender: entry.author,
+        type: 'scheduled_message_failed',
+        title: 'Scheduled message not sent',
+        body: `${preview} (${reason})`,
+        relatedConversation: entry.conversation,
+        priority: 'high',
+        data: {
+          conversationId: String(entry.conversation),
+          scheduledMessageId: String(entry._id),
+          reason,
+          preview
+        }
+      });
+
+      await notification.populate([
+        { path: 'sender', select: 'name avatar avatarUrl' },
+        { path: 'recipient', select: 'name avatar avatarUrl' }
+      ]);
+
+      // Emit real-time notification
+      if (this.presenceService) {
+        this.presenceService.sendToUser(entry.author, 'notification:new', notification.toObject());
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('❌ Error creating scheduled message notification:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Tell the callee about a call they missed (call: { callId, caller, callee, kind, reason })
+   */
+  async createMissedCallNotification(call) {
+    try {
+      const caller = await User.findById(call.caller).select('name avatar avatarUrl').lean();
+      if (!caller) return null;
+
+      const notification = await Notification.create({
+        recipient: call.callee,
+        sender: call.caller,
+        type: 'incoming_call',
+        title: call.kind === 'video' ? 'Missed video call' : 'Missed call',
+        body: `${caller.name || 'Someone'} tried to call you`,
+        priority: 'high',
+        data: {
+          callId: call.callId,
+          callerId: String(call.caller),
+          callerName: caller.name || 'Someone',
+          callerAvatar: caller.avatar || caller.avatarUrl || null,
+          kind: call.kind === 'video' ? 'video' : 'audio',
+          reason: call.reason,
+          missed: true
+        }
+      });
+
+      await notification.populate([
+        { path: 'sender', select: 'name avatar avatarUrl' },
+        { path: 'recipient', select: 'name avatar avatarUrl' }
+      ]);
+
+      // Emit real-time notification
+      if (this.presenceService) {
+        this.presenceService.sendToUser(call.callee, 'notification:new', notification.toObject());
+      }
+
+      return notification;
+    } catch (error) {
+      console.error('❌ Error creating missed call notification:', error);
+      return null;
+    }
+  }
+
   /**
    * Build message preview text
    */
   buildMessagePreview(message) {
     const type = (message.type || '').toLowerCase();
+
+    // The server cannot read ciphertext, so never derive a preview from it
+    if (type === CIPHERTEXT_TYPE) {
+      return ENCRYPTED_MESSAGE_PREVIEW;
+    }
+
     const content = (message.content || message.text || '').trim();
     const hasVoice = type === 'voice' || Boolean(message.voice && (message.voice.url || message.voice.waveform?.length));
 
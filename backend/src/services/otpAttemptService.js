@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import Otp from '../models/Otp.js';
+import OtpLockout from '../models/OtpLockout.js';
+import OtpAttempt from '../models/OtpAttempt.js';
+
+// Wrong guesses allowed against one code before it is invalidated
+const MAX_CODE_ATTEMPTS = 5;
+// Failures per phone number inside the window before it is locked
+const PHONE_FAILURE_LIMIT = 10;
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+// Lockouts double from the base up to the cap
+const BASE_LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+const codesMatch = (expected, actual) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(actual));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const sessionPurpose = (otp) => otp.purpose || (otp.isLogin ? 'login' : 'register');
+
+/**
+ * Query matching codes issued for a purpose
+ * (register/login codes stored before purpose existed only have isLogin)
+ */
+const purposeQuery = (purpose) => (purpose === 'register' || purpose === 'login'
+  ? { isLogin: purpose === 'login', purpose: { $in: [purpose, null] } }
+  : { purpose });
+
+/**
+ * OTP Attempt Service
+ * Verifies codes with per-code attempt limits and per-phone progressive lockouts,
+ * auditing every failed verification
+ */
+class OtpAttemptService {
+  /**
+   * When a phone number's lockout ends, or null if it is not locked
+   */
+  async lockedUntil(phone) {
+    const entry = await OtpLockout.findOne({ phone, lockedUntil: { $gt: new Date() } }).lean();
+    return entry ? entry.lockedUntil : null;
+  }
+
+  /**
+   * Throw 'Too many failed attempts' (with retryAfter in seconds) while a number is locked
+   */
+  async assertNotLocked(phone, context = {}) {
+    const until = await this.lockedUntil(phone);
+    if (!until) return;
+
+    await OtpAttempt.create({ ...context, phone, reason: 'locked', lockedUntil: until });
+    throw this.lockedError(until);
+  }
+
+  lockedError(until) {
+    const error = new Error('Too many failed attempts');
+    error.retryAfter = Math.max(1, Math.ceil((until.getTime() - Date.now()) / 1000));
+    return error;
+  }
+
+  /**
+   * Check a code for an OTP session; returns the stored Otp on success
+   * context: { sessionId, phone?, purpose: 'register'|'login'|'password'|'phone_change', ip, userAgent }
+   * Each check claims an attempt before comparing, so concurrent guesses
+   * cannot exceed the per-code limit
+   */
+  async verify(code, context) {
+    const { sessionId, purpose } = context;
+    const session = await Otp.findOne({ sessionId }).select('phone isLogin used expiresAt').lean();
+    const phone = context.phone || session?.phone;
+    const audit = { ...context, phone };
+
+    if (phone) {
+      await this.assertNotLocked(phone, audit);
+    }
+
+    const stored = await Otp.findOneAndUpdate(
+      {
+        sessionId,
+        ...(context.phone && { phone }),
+        ...purposeQuery(purpose),
+        used: false,
+        expiresAt: { $gt: new Date() },
+        attempts: { $lt: MAX_CODE_ATTEMPTS }
+      },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!stored) {
+      await this.recordFailure(audit, 'invalid_or_expired');
+      throw new Error(this.explainUnusable(session, context));
+    }
+
+    if (!codesMatch(stored.otp, code)) {
+      const attemptsLeft = MAX_CODE_ATTEMPTS - stored.attempts;
+      if (attemptsLeft <= 0) {
+        await Otp.updateOne({ _id: stored._id }, { $set: { used: true, invalidatedAt: new Date() } });
+      }
+
+      const lockedUntil = await this.recordFailure(audit, 'wrong_code', stored.attempts);
+      if (lockedUntil) {
+        throw this.lockedError(lockedUntil);
+      }
+
+      const error = new Error('Invalid OTP code');
+      error.attemptsLeft = attemptsLeft;
+      throw error;
+    }
+
+    // The lockout level stays: the owner signing in must not undo a guesser's escalation
+    await OtpLockout.updateOne(
+      { phone: stored.phone },
+      { $set: { failures: 0 }, $unset: { lockedUntil: 1 } }
+    );
+    return stored;
+  }
+
+  /**
+   * Why no code could be claimed for a session, as specifically as is safe to say
+   */
+  explainUnusable(session, context) {
+    if (!session || session.used) {
+      return 'Invalid or expired OTP';
+    }
+    if (sessionPurpose(session) !== context.purpose) {
+      return 'OTP session is for a different purpose';
+    }
+    if (context.phone && session.phone !== context.phone) {
+      return 'Phone number does not match this OTP session';
+    }
+    if (session.expiresAt <= new Date()) {
+      return 'OTP has expired';
+    }
+    return 'Invalid or expired OTP';
+  }
+
+  /**
+   * Audit a failure and count it against the phone number
+   * Returns the new lockout end if this failure triggered one
+   */
+  async recordFailure(context, reason, attempt) {
+    const lockedUntil = context.phone ? await this.countFailure(context.phone) : null;
+
+    await OtpAttempt.create({
+      phone: context.phone,
+      sessionId: context.sessionId,
+      purpose: context.purpose,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      reason,
+      attempt,
+      lockedUntil
+    });
+
+    return lockedUntil;
+  }
+
+  /**
+   * Count a failure inside the current window; lock the number once it hits the limit
+   */
+  async countFailure(phone) {
+    const now = new Date();
+
+    await OtpLockout.updateOne(
+      { phone, windowStartedAt: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+      { $set: { failures: 0, windowStartedAt: now } }
+    );
+    const entry = await OtpLockout.findOneAndUpdate(
+      { phone },
+      { $inc: { failures: 1 }, $setOnInsert: { windowStartedAt: now, level: 0 } },
+      { upsert: true, new: true }
+    );
+
+    if (entry.failures < PHONE_FAILURE_LIMIT) {
+      return null;
+    }
+
+    // A number that stayed out of trouble for a full cap period since its last lockout starts over
+    const lastLockedUntil = entry.lastLockedUntil || entry.lockedUntil;
+    const level = lastLockedUntil && now - lastLockedUntil > MAX_LOCKOUT_MS ? 0 : entry.level;
+    const lockedUntil = new Date(now.getTime() + Math.min(BASE_LOCKOUT_MS * 2 ** level, MAX_LOCKOUT_MS));
+
+    await OtpLockout.updateOne(
+      { _id: entry._id },
+      { $set: { lockedUntil, lastLockedUntil: lockedUntil, level: level + 1, failures: 0, windowStartedAt: now } }
+    );
+    return lockedUntil;
+  }
+}
+
+export default OtpAttemptService;
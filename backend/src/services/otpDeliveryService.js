@@ -0,0 +1,211 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/index.js';
+
+const OUTBOX_LIMIT = 200;
+
+/**
+ * Text sent to the user for a code
+ */
+const otpText = ({ code, expiresAt }) => {
+  const minutes = Math.max(1, Math.round((new Date(expiresAt).getTime() - Date.now()) / 60000));
+  return `Your verification code is ${code}. It expires in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+};
+
+/**
+ * POST a JSON body, failing on timeouts and non-2xx responses
+ */
+const postJson = async (url, body, headers = {}, timeoutMs = config.otpDelivery.timeoutMs) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: typeof body === 'string' ? body : JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    throw new Error(`OTP delivery failed: ${error.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(`OTP delivery failed: HTTP ${response.status}`);
+  }
+  return response;
+};
+
+/**
+ * OTP providers
+ * Every provider implements send({ phone, email, code, purpose, sessionId, expiresAt })
+ * and throws if the code could not be handed off
+ */
+
+/**
+ * Local sink for development, tests and staging: keeps recent codes in memory,
+ * optionally appends them to a file (one JSON object per line) and logs them outside production
+ */
+export class OutboxProvider {
+  constructor({ file } = {}) {
+    this.name = 'outbox';
+    this.file = file;
+    this.messages = [];
+  }
+
+  async send(delivery) {
+    const entry = { ...delivery, text: otpText(delivery), sentAt: new Date() };
+
+    this.messages.push(entry);
+    if (this.messages.length > OUTBOX_LIMIT) {
+      this.messages.shift();
+    }
+
+    if (this.file) {
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.appendFile(this.file, `${JSON.stringify(entry)}\n`);
+    }
+
+    if (config.nodeEnv !== 'production') {
+      console.log('═══════════════════════════════════════════════════');
+      console.log(`📱 OTP (${delivery.purpose})`);
+      console.log('═══════════════════════════════════════════════════');
+      console.log('Phone Number:', delivery.phone);
+      console.log('Session ID:', delivery.sessionId);
+      console.log('OTP Code:', delivery.code);
+      console.log('Expires At:', new Date(delivery.expiresAt).toISOString());
+      console.log('═══════════════════════════════════════════════════');
+    }
+  }
+
+  /**
+   * Most recent code sent to a phone number (optionally for one purpose)
+   */
+  latest(phone, purpose) {
+    for (let i = this.messages.length - 1; i >= 0; i--) {
+      const entry = this.messages[i];
+      if (entry.phone === phone && (!purpose || entry.purpose === purpose)) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+/**
+ * Generic HTTP SMS gateway: POST { to, from, message } with a bearer API key
+ */
+export class SmsGatewayProvider {
+  constructor({ url, apiKey, from } = {}) {
+    if (!url) {
+      throw new Error('OTP_SMS_URL is required for the sms OTP provider');
+    }
+    this.name = 'sms';
+    this.url = url;
+    this.apiKey = apiKey;
+    this.from = from;
+  }
+
+  async send(delivery) {
+    await postJson(
+      this.url,
+      { to: delivery.phone, from: this.from, message: otpText(delivery) },
+      this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    );
+  }
+}
+
+/**
+ * HTTP email API: POST { to, from, subject, text } with a bearer API key
+ * Only works for recipients with an email address
+ */
+export class EmailProvider {
+  constructor({ url, apiKey, from } = {}) {
+    if (!url) {
+      throw new Error('OTP_EMAIL_URL is required for the email OTP provider');
+    }
+    this.name = 'email';
+    this.url = url;
+    this.apiKey = apiKey;
+    this.from = from;
+  }
+
+  async send(delivery) {
+    if (!delivery.email) {
+      throw new Error('OTP delivery failed: no email address');
+    }
+    await postJson(
+      this.url,
+      { to: delivery.email, from: this.from, subject: 'Your verification code', text: otpText(delivery) },
+      this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    );
+  }
+}
+
+/**
+ * Webhook: POST the delivery as JSON, signed with HMAC-SHA256 when a secret is set
+ * (X-Signature: sha256=<hex of the raw body>)
+ */
+export class WebhookProvider {
+  constructor({ url, secret } = {}) {
+    if (!url) {
+      throw new Error('OTP_WEBHOOK_URL is required for the webhook OTP provider');
+    }
+    this.name = 'webhook';
+    this.url = url;
+    this.secret = secret;
+  }
+
+  async send(delivery) {
+    const body = JSON.stringify({
+      event: 'otp',
+      phone: delivery.phone,
+      email: delivery.email,
+      code: delivery.code,
+      purpose: delivery.purpose,
+      sessionId: delivery.sessionId,
+      expiresAt: new Date(delivery.expiresAt).toISOString(),
+      text: otpText(delivery)
+    });
+    const headers = this.secret
+      ? { 'X-Signature': `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}` }
+      : {};
+    await postJson(this.url, body, headers);
+  }
+}
+
+const PROVIDERS = {
+  outbox: (options) => new OutboxProvider(options.outbox),
+  sms: (options) => new SmsGatewayProvider(options.sms),
+  email: (options) => new EmailProvider(options.email),
+  webhook: (options) => new WebhookProvider(options.webhook)
+};
+
+/**
+ * OTP Delivery Service
+ * Hands generated codes to the provider selected by OTP_PROVIDER
+ */
+class OtpDeliveryService {
+  constructor(options = config.otpDelivery) {
+    const create = PROVIDERS[options.provider];
+    if (!create) {
+      throw new Error(`Unknown OTP provider: ${options.provider}`);
+    }
+    this.provider = create(options);
+
+    if (this.provider.name === 'outbox' && config.nodeEnv === 'production') {
+      console.warn('⚠️  OTP_PROVIDER is outbox: codes are not delivered to users');
+    }
+  }
+
+  /**
+   * Deliver a code; purpose is 'register', 'login', 'password' or 'phone_change'
+   */
+  async deliver({ phone, email, code, purpose, sessionId, expiresAt }) {
+    await this.provider.send({ phone, email, code, purpose, sessionId, expiresAt });
+  }
+}
+
+export default OtpDeliveryService;
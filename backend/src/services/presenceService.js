@@ -1,20 +1,31 @@
 import User from '../models/User.js';
 import Conversation from '../models/Conversation.js';
 import Message from '../models/Message.js';
+import Block from '../models/Block.js';
 import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { MemoryStateStore } from '../utils/stateStore.js';
+
+// Shared state keys
+const SOCKETS_KEY = 'presence:sockets'; // socketId -> userId
+const ONLINE_KEY = 'presence:online'; // userId -> connected socket count
+const LAST_SEEN_KEY = 'presence:last-seen'; // userId -> last presence timestamp
+const typingKey = (conversationId) => `typing:${conversationId}`; // Set of typing userIds
+const INSTANCES_KEY = 'presence:instances'; // instanceId -> last heartbeat (ms)
+const instanceSocketsKey = (instanceId) => `presence:instance:${instanceId}`; // socketId -> userId, sockets held by one instance
 
 /**
  * Presence Service
  * Handles online/offline status, multi-device tracking, and typing indicators
+ * State lives in the shared state store so every instance sees every connection;
+ * each socket is also filed under the instance holding it, so the sockets of an instance
+ * that stopped without disconnecting them can be cleaned up by another one
  */
 class PresenceService {
-  constructor(io) {
+  constructor(io, store = new MemoryStateStore(), instanceId = crypto.randomUUID()) {
     this.io = io;
-    // Database-backed state (not in-memory for scalability)
-    this.onlineCounts = new Map(); // userId -> session count
-    this.lastPresenceAt = new Map(); // userId -> last presence timestamp
-    this.userSockets = new Map(); // userId -> Set of socketIds
-    this.typingUsers = new Map(); // conversationId -> Set of typing userIds
+    this.store = store;
+    this.instanceId = instanceId;
   }
 
   /**
@@ -24,36 +35,31 @@ class PresenceService {
     try {
       const uid = String(userId);
       
-      // Track socket
-      if (!this.userSockets.has(uid)) {
-        this.userSockets.set(uid, new Set());
-      }
-      this.userSockets.get(uid).add(socketId);
-      
-      // Update session count
-      const previousCount = this.onlineCounts.get(uid) || 0;
-      const newCount = previousCount + 1;
-      this.onlineCounts.set(uid, newCount);
+      // Track socket and update session count
+      await this.store.hset(SOCKETS_KEY, socketId, uid);
+      await this.store.hset(instanceSocketsKey(this.instanceId), socketId, uid);
+      const newCount = await this.store.hincrby(ONLINE_KEY, uid, 1);
       
       const now = new Date();
-      this.lastPresenceAt.set(uid, now);
+      await this.store.hset(LAST_SEEN_KEY, uid, now.toISOString());
       
       // Only update DB and broadcast when going from offline (0) to online (1)
-      if (previousCount === 0) {
+      if (newCount === 1) {
         // Update user status in database
         await User.findByIdAndUpdate(userId, {
           isOnline: true,
           lastSeen: now
         });
         
-        // Broadcast presence change
-        this.io.emit('presence', {
+        // Broadcast presence change (not to anyone on either side of a block)
+        const audience = await this.presenceAudience(uid);
+        audience.emit('presence', {
           uid,
           online: true,
           at: now.toISOString()
         });
         
-        this.io.emit('user-status-changed', {
+        audience.emit('user-status-changed', {
           userId: uid,
           status: 'online',
           isOnline: true,
@@ -62,7 +68,7 @@ class PresenceService {
       }
       
       // Update online users list
-      this.io.emit('online-users', Array.from(this.onlineCounts.keys()));
+      await this.broadcastOnlineUsers();
       
       return true;
     } catch (error) {
@@ -73,55 +79,40 @@ class PresenceService {
 
   /**
    * User disconnects - decrement session count
+   * (instanceId is the instance that held the socket, when cleaning up after another one)
    */
-  async userDisconnected(socketId) {
+  async userDisconnected(socketId, instanceId = this.instanceId) {
     try {
-      // Find user for this socket
-      let disconnectedUserId = null;
-      for (const [userId, socketIds] of this.userSockets.entries()) {
-        if (socketIds.has(socketId)) {
-          disconnectedUserId = userId;
-          socketIds.delete(socketId);
-          
-          // Clean up if no more sockets
-          if (socketIds.size === 0) {
-            this.userSockets.delete(userId);
-            this.onlineCounts.delete(userId);
-          }
-          break;
-        }
-      }
-      
-      if (!disconnectedUserId) return false;
+      await this.store.hdel(instanceSocketsKey(instanceId), socketId);
       
-      const uid = disconnectedUserId;
+      // Find user for this socket (only the first disconnect for a socket counts)
+      const uid = await this.store.hget(SOCKETS_KEY, socketId);
+      if (!uid || !(await this.store.hdel(SOCKETS_KEY, socketId))) return false;
       
       // Decrement session count
-      const previousCount = this.onlineCounts.get(uid) || 1;
-      const newCount = Math.max(0, previousCount - 1);
+      const newCount = await this.store.hincrby(ONLINE_KEY, uid, -1);
       
-      if (newCount > 0) {
-        this.onlineCounts.set(uid, newCount);
-      } else {
+      if (newCount <= 0) {
         // User is going offline (last session disconnected)
-        this.onlineCounts.delete(uid);
+        // The count stays at zero rather than being removed, so a concurrent connect on another instance is not lost
         const now = new Date();
-        this.lastPresenceAt.set(uid, now);
+        await this.store.hset(LAST_SEEN_KEY, uid, now.toISOString());
         
         // Update user status in database
-        await User.findByIdAndUpdate(disconnectedUserId, {
+        await User.findByIdAndUpdate(uid, {
           isOnline: false,
           lastSeen: now
         });
         
         // Broadcast offline status
-        this.io.emit('presence', {
+        const audience = await this.presenceAudience(uid);
+        audience.emit('presence', {
           uid,
           online: false,
           at: now.toISOString()
         });
         
-        this.io.emit('user-status-changed', {
+        audience.emit('user-status-changed', {
           userId: uid,
           status: 'offline',
           isOnline: false,
@@ -130,7 +121,7 @@ class PresenceService {
       }
       
       // Update online users list
-      this.io.emit('online-users', Array.from(this.onlineCounts.keys()));
+      await this.broadcastOnlineUsers();
       
       return true;
     } catch (error) {
@@ -139,18 +130,97 @@ class PresenceService {
     }
   }
 
+  // ============ INSTANCES ============
+
+  /**
+   * Record that this instance is alive
+   */
+  async heartbeat() {
+    await this.store.hset(INSTANCES_KEY, this.instanceId, Date.now());
+  }
+
+  /**
+   * Other instances that have not sent a heartbeat within timeoutMs (crashed, or redeployed
+   * without shutting down)
+   */
+  async deadInstances(timeoutMs) {
+    const heartbeats = await this.store.hgetall(INSTANCES_KEY);
+    const cutoff = Date.now() - timeoutMs;
+    return Object.keys(heartbeats).filter(id => id !== this.instanceId && Number(heartbeats[id]) < cutoff);
+  }
+
+  /**
+   * Disconnect every socket an instance held, as if each had disconnected normally
+   * Whoever removes the instance's heartbeat does this, so it happens once
+   * Returns the sockets as { socketId, userId }
+   */
+  async reapInstance(instanceId) {
+    if (!(await this.store.hdel(INSTANCES_KEY, instanceId))) return [];
+    
+    const sockets = await this.store.hgetall(instanceSocketsKey(instanceId));
+    for (const socketId of Object.keys(sockets)) {
+      await this.userDisconnected(socketId, instanceId);
+    }
+    await this.store.del(instanceSocketsKey(instanceId));
+    
+    return Object.entries(sockets).map(([socketId, userId]) => ({ socketId, userId }));
+  }
+
+  /**
+   * Everyone except users who blocked, or were blocked by, a user
+   */
+  async presenceAudience(userId) {
+    const hidden = await Block.relatedTo(userId);
+    return hidden.size ? this.io.except([...hidden]) : this.io;
+  }
+
+  /**
+   * Send everyone the online users list, without the users on the other side of their blocks
+   */
+  async broadcastOnlineUsers() {
+    const online = await this.getOnlineUsers();
+    const blocks = await Block.find({
+      $or: [{ blocker: { $in: online } }, { blocked: { $in: online } }]
+    })
+      .select('blocker blocked')
+      .lean();
+
+    const hiddenFrom = new Map(); // userId -> Set of userIds left out of their list
+    const hide = (viewer, target) => {
+      if (!hiddenFrom.has(viewer)) hiddenFrom.set(viewer, new Set());
+      hiddenFrom.get(viewer).add(target);
+    };
+    blocks.forEach(block => {
+      hide(String(block.blocker), String(block.blocked));
+      hide(String(block.blocked), String(block.blocker));
+    });
+
+    if (!hiddenFrom.size) {
+      this.io.emit('online-users', online);
+      return;
+    }
+    this.io.except([...hiddenFrom.keys()]).emit('online-users', online);
+    hiddenFrom.forEach((hidden, viewer) => {
+      this.io.to(viewer).emit('online-users', online.filter(id => !hidden.has(id)));
+    });
+  }
+
   /**
    * Get user status
    */
-  getUserStatus(userId) {
+  async getUserStatus(userId) {
     const uid = String(userId);
-    const isOnline = (this.onlineCounts.get(uid) || 0) > 0;
-    const lastSeen = this.lastPresenceAt.get(uid) || null;
+    const [count, at] = await Promise.all([
+      this.store.hget(ONLINE_KEY, uid),
+      this.store.hget(LAST_SEEN_KEY, uid)
+    ]);
+    const isOnline = (parseInt(count, 10) || 0) > 0;
+    const lastSeen = at ? new Date(at) : null;
     
     return {
       online: isOnline,
       isOnline,
-      at: lastSeen ? lastSeen.toISOString() : null,
+      at: at || null,
       lastSeen
     };
   }
@@ -158,36 +228,41 @@ class PresenceService {
   /**
    * Check if user is online
    */
-  isUserOnline(userId) {
-    return (this.onlineCounts.get(String(userId)) || 0) > 0;
+  async isUserOnline(userId) {
+    return (parseInt(await this.store.hget(ONLINE_KEY, String(userId)), 10) || 0) > 0;
   }
 
   /**
    * Get online users count
    */
-  getOnlineCount() {
-    return this.onlineCounts.size;
+  async getOnlineCount() {
+    return (await this.getOnlineUsers()).length;
   }
 
   /**
    * Get online users list
    */
-  getOnlineUsers() {
-    return Array.from(this.onlineCounts.keys());
+  async getOnlineUsers() {
+    const counts = await this.store.hgetall(ONLINE_KEY);
+    return Object.keys(counts).filter(userId => parseInt(counts[userId], 10) > 0);
   }
 
   /**
    * Get all current online statuses
    * Returns a map of userId -> { online: boolean, lastSeen: Date }
    */
-  getAllOnlineStatuses() {
+  async getAllOnlineStatuses() {
+    const [online, lastSeen] = await Promise.all([
+      this.getOnlineUsers(),
+      this.store.hgetall(LAST_SEEN_KEY)
+    ]);
     const statusMap = {};
-    for (const [userId, count] of this.onlineCounts.entries()) {
+    for (const userId of online) {
       statusMap[userId] = {
-        online: count > 0,
-        isOnline: count > 0,
-        at: this.lastPresenceAt.get(userId)?.toISOString() || null,
-        lastSeen: this.lastPresenceAt.get(userId)?.toISOString() || null
+        online: true,
+        isOnline: true,
+        at: lastSeen[userId] || null,
+        lastSeen: lastSeen[userId] || null
       };
     }
     return statusMap;
@@ -199,8 +274,9 @@ class PresenceService {
    */
   async sendInitialPresence(socket, userId) {
     try {
-      // Get all online users from in-memory cache
-      const statusMap = this.getAllOnlineStatuses();
+      // Get all online users from the shared state
+      const statusMap = await this.getAllOnlineStatuses();
+      const onlineCount = Object.keys(statusMap).length;
       
       // Also get status from database for users not in cache (for completeness)
       const User = (await import('../models/User.js')).default;
@@ -208,9 +284,14 @@ class PresenceService {
         .select('_id isOnline lastSeen')
         .lean();
       
-      // Merge database status with in-memory status (in-memory takes precedence)
-      // IMPORTANT: Users in onlineCounts (currently connected) are ALWAYS online
-      for (const user of allUsers) {
+      // Blocked users (either way) do not see each other's status
+      const hidden = await Block.relatedTo(userId);
+      hidden.forEach(uid => delete statusMap[uid]);
+      const visibleUsers = allUsers.filter(user => !hidden.has(String(user._id)));
+      
+      // Merge database status with live status (live status takes precedence)
+      // IMPORTANT: Users with connected sockets are ALWAYS online
+      for (const user of visibleUsers) {
         const uid = String(user._id);
         if (!statusMap[uid]) {
           // User not in cache, use database status
@@ -221,14 +302,7 @@ class PresenceService {
             lastSeen: user.lastSeen ? user.lastSeen.toISOString() : null
           };
         } else {
-          // User in cache - ensure they're marked as online if they have active connections
-          // This ensures real-time status takes precedence over potentially stale DB data
-          const isCurrentlyOnline = (this.onlineCounts.get(uid) || 0) > 0;
-          if (isCurrentlyOnline) {
-            statusMap[uid].online = true;
-            statusMap[uid].isOnline = true;
-          }
-          // Ensure database lastSeen is included if cache doesn't have it
+          // Ensure database lastSeen is included if live state doesn't have it
           if (!statusMap[uid].lastSeen && user.lastSeen) {
             statusMap[uid].lastSeen = user.lastSeen.toISOString();
             statusMap[uid].at = user.lastSeen.toISOString();
@@ -240,7 +314,7 @@ class PresenceService {
         users: statusMap,
         timestamp: new Date().toISOString()
       });
-      console.log(`📡 Sent initial presence to ${userId}: ${Object.keys(statusMap).length} users (${this.onlineCounts.size} online)`);
+      console.log(`📡 Sent initial presence to ${userId}: ${Object.keys(statusMap).length} users (${onlineCount} online)`);
     } catch (error) {
       console.error('Error sending initial presence:', error);
     }
@@ -249,7 +323,7 @@ class PresenceService {
   /**
    * User starts typing
    */
-  userTyping(userId, conversationId) {
+  async userTyping(userId, conversationId) {
     // Validate conversationId before processing
     if (!conversationId || conversationId === 'null' || conversationId === 'undefined' || String(conversationId).trim() === '') {
       console.warn('⚠️ userTyping called with invalid conversationId:', conversationId);
@@ -265,13 +339,10 @@ class PresenceService {
       return;
     }
     
-    if (!this.typingUsers.has(cid)) {
-      this.typingUsers.set(cid, new Set());
-    }
-    this.typingUsers.get(cid).add(uid);
+    await this.store.sadd(typingKey(cid), uid);
     
     // Broadcast typing to conversation members
-    this.broadcastToConversation(cid, 'typing', {
+    await this.broadcastToConversation(cid, 'typing', {
       from: uid,
       conversationId: cid,
       typing: true,
@@ -282,7 +353,7 @@ class PresenceService {
   /**
    * User stops typing
    */
-  userStoppedTyping(userId, conversationId) {
+  async userStoppedTyping(userId, conversationId) {
     // Validate conversationId before processing
     if (!conversationId || conversationId === 'null' || conversationId === 'undefined' || String(conversationId).trim() === '') {
       console.warn('⚠️ userStoppedTyping called with invalid conversationId:', conversationId);
@@ -298,27 +369,23 @@ class PresenceService {
       return;
     }
     
-    if (this.typingUsers.has(cid)) {
-      this.typingUsers.get(cid).delete(uid);
-      
-      // Broadcast typing stopped
-      this.broadcastToConversation(cid, 'typing-stopped', {
-        from: uid,
-        conversationId: cid,
-        typing: false,
-        at: new Date().toISOString()
-      }, uid);
-    }
+    // Nothing to stop unless they were typing
+    if (!(await this.store.srem(typingKey(cid), uid))) return;
+    
+    // Broadcast typing stopped
+    await this.broadcastToConversation(cid, 'typing-stopped', {
+      from: uid,
+      conversationId: cid,
+      typing: false,
+      at: new Date().toISOString()
+    }, uid);
   }
 
   /**
    * Get typing users for a conversation
    */
   getTypingUsers(conversationId) {
-    const cid = String(conversationId);
-    return this.typingUsers.has(cid) 
-      ? Array.from(this.typingUsers.get(cid))
-      : [];
+    return this.store.smembers(typingKey(String(conversationId)));
   }
 
   /**
@@ -347,17 +414,15 @@ class PresenceService {
       
       const members = conversation.participants || conversation.members || [];
       const exclude = excludeUserId ? String(excludeUserId) : null;
+      // The excluded user is the one acting; users on either side of a block with them don't hear about it
+      const hidden = exclude ? await Block.relatedTo(exclude) : new Set();
       
       members.forEach(memberId => {
         const memberUid = String(memberId);
         if (exclude && memberUid === exclude) return;
+        if (hidden.has(memberUid)) return;
         
-        const sockets = this.userSockets.get(memberUid);
-        if (sockets) {
-          sockets.forEach(socketId => {
-            this.io.to(socketId).emit(event, data);
-          });
-        }
+        this.io.to(memberUid).emit(event, data);
       });
     } catch (error) {
       console.error('Error broadcasting to conversation:', error);
@@ -365,15 +430,40 @@ class PresenceService {
   }
 
   /**
-   * Send to specific user (all their sockets)
+   * Send to specific user (all their sockets, through the user's room)
    */
   sendToUser(userId, event, data) {
-    const uid = String(userId);
-    const sockets = this.userSockets.get(uid);
-    if (sockets) {
-      sockets.forEach(socketId => {
-        this.io.to(socketId).emit(event, data);
+    this.io.to(String(userId)).emit(event, data);
+  }
+
+  /**
+   * Send to everyone who shares an active conversation (direct or group) with a user
+   * Pending, declined and blocked conversations don't count, and neither does anyone
+   * on either side of a block with the user
+   */
+  async sendToContacts(userId, event, data) {
+    try {
+      const uid = String(userId);
+      const conversations = await Conversation.find({
+        $or: [{ participants: userId }, { members: userId }],
+        status: { $nin: ['pending', 'declined', 'blocked'] }
+      })
+        .select('participants members')
+        .lean();
+      
+      const contacts = new Set();
+      conversations.forEach(conversation => {
+        [...(conversation.participants || []), ...(conversation.members || [])]
+          .forEach(memberId => contacts.add(String(memberId)));
       });
+      contacts.delete(uid);
+      (await Block.relatedTo(uid)).forEach(hidden => contacts.delete(hidden));
+      
+      this.sendToUsers(contacts, event, data);
+      return contacts.size;
+    } catch (error) {
+      console.error('Error sending to contacts:', error);
+      return 0;
     }
   }
 
@@ -401,14 +491,18 @@ class PresenceService {
       const uid = String(userId);
       const U = new mongoose.Types.ObjectId(userId);
 
+      // Only conversations this user belongs to
+      const memberOf = await Conversation.find({
+        $or: [{ participants: U }, { members: U }]
+      }).select('_id').lean();
+      if (!memberOf.length) return;
+
       // Find messages sent to this user, grouped by conversation
       const groups = await Message.aggregate([
         { 
           $match: { 
-            $or: [
-              { to: U },
-              { sender: { $ne: U } } // Messages not sent by this user
-            ],
+            conversation: { $in: memberOf.map(c => c._id) },
+            sender: { $ne: U }, // Messages not sent by this user
             deleted: { $ne: true },
             isDeleted: { $ne: true }
           } 
@@ -0,0 +1,341 @@
+import mongoose from 'mongoose';
+import ScheduledMessage from '../models/ScheduledMessage.js';
+import Conversation from '../models/Conversation.js';
+import config from '../config/index.js';
+import { CIPHERTEXT_TYPE } from '../utils/encryption.js';
+import { CLIENT_MESSAGE_TYPES } from '../utils/constants.js';
+
+const MAX_PENDING_PER_USER = 100;
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 60 * 1000;
+// A processing entry older than this belongs to a process that died mid-send
+const LOCK_LEASE_MS = 5 * 60 * 1000;
+const DISPATCH_BATCH_SIZE = 100;
+
+// Errors that retrying cannot fix
+const PERMANENT_FAILURES = [
+  'Conversation not found',
+  'User is not a member of this conversation',
+  'Only admins can send messages in this group',
+  'Messaging is blocked between these users',
+  'Invalid message type'
+];
+
+/**
+ * Scheduled Message Service
+ * Stores messages queued for later and dispatches them through
+ * MessageService.sendMessage once they are due
+ */
+class ScheduledMessageService {
+  constructor(messageService, notificationService) {
+    this.messageService = messageService;
+    this.notificationService = notificationService;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Plain object form for API responses
+   */
+  serialize(entry) {
+    return {
+      _id: String(entry._id),
+      conversationId: String(entry.conversation),
+      content: entry.content,
+      type: entry.type,
+      fileUrl: entry.fileUrl,
+      fileName: entry.fileName,
+      fileType: entry.fileType,
+      replyTo: entry.replyTo ? String(entry.replyTo) : undefined,
+      sendAt: entry.sendAt?.toISOString(),
+      status: entry.status,
+      attempts: entry.attempts,
+      sentAt: entry.sentAt?.toISOString(),
+      sentMessageId: entry.sentMessage ? String(entry.sentMessage) : undefined,
+      failureReason: entry.failureReason,
+      createdAt: entry.createdAt?.toISOString(),
+      updatedAt: entry.updatedAt?.toISOString()
+    };
+  }
+
+  /**
+   * Validate a send time; must be in the future and within a year
+   */
+  parseSendAt(sendAt) {
+    const date = new Date(sendAt);
+    if (!sendAt || isNaN(date.getTime())) {
+      throw new Error('sendAt must be a valid date');
+    }
+    if (date.getTime() <= Date.now()) {
+      throw new Error('sendAt must be in the future');
+    }
+    if (date.getTime() > Date.now() + MAX_SCHEDULE_AHEAD_MS) {
+      throw new Error('sendAt cannot be more than a year ahead');
+    }
+    return date;
+  }
+
+  /**
+   * Validate content; scheduled messages need text or a file
+   */
+  parseContent(content, hasFile) {
+    const value = (content || '').toString().trim();
+    if (!value && !hasFile) {
+      throw new Error('Message content is required');
+    }
+    if (value.length > config.maxMessageLength) {
+      throw new Error(`Message exceeds maximum length of ${config.maxMessageLength} characters`);
+    }
+    return value;
+  }
+
+  /**
+   * Validate a type; the same ones clients can send right away, except ciphertext
+   */
+  parseType(type = 'text') {
+    // Envelopes are encrypted for the devices that exist now, not at send time
+    if (type === CIPHERTEXT_TYPE) {
+      throw new Error('Encrypted messages cannot be scheduled');
+    }
+    if (!CLIENT_MESSAGE_TYPES.includes(type)) {
+      throw new Error('Invalid message type');
+    }
+    return type;
+  }
+
+  /**
+   * Queue a message
+   */
+  async create(userId, data) {
+    const { conversationId, content, fileUrl, fileName, fileType, replyTo, sendAt } = data;
+
+    const type = this.parseType(data.type);
+    const text = this.parseContent(content, Boolean(fileUrl));
+    const when = this.parseSendAt(sendAt);
+
+    if (!conversationId || !mongoose.Types.ObjectId.isValid(conversationId)) {
+      throw new Error('Conversation not found');
+    }
+    if (replyTo && !mongoose.Types.ObjectId.isValid(replyTo)) {
+      throw new Error('replyTo must be a message id');
+    }
+
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+    const members = conversation.participants || conversation.members || [];
+    if (!members.some(m => String(m) === String(userId))) {
+      throw new Error('User is not a member of this conversation');
+    }
+    await this.messageService.assertCanSend(conversation, userId);
+
+    const pending = await ScheduledMessage.countDocuments({ author: userId, status: 'pending' });
+    if (pending >= MAX_PENDING_PER_USER) {
+      throw new Error(`No more than ${MAX_PENDING_PER_USER} scheduled messages can be pending`);
+    }
+
+    return ScheduledMessage.create({
+      author: userId,
+      conversation: conversation._id,
+      content: text,
+      type,
+      fileUrl,
+      fileName,
+      fileType,
+      replyTo,
+      sendAt: when
+    });
+  }
+
+  /**
+   * The author's scheduled messages, soonest first
+   * status: a status, a comma-separated list, or 'all' (default 'pending')
+   */
+  async list(userId, options = {}) {
+    const { conversationId, status = 'pending' } = options;
+    const query = { author: userId };
+
+    if (conversationId) {
+      if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+        throw new Error('Conversation not found');
+      }
+      query.conversation = conversationId;
+    }
+
+    if (status !== 'all') {
+      query.status = { $in: String(status).split(',').map(s => s.trim()) };
+    }
+
+    return ScheduledMessage.find(query).sort({ sendAt: 1, _id: 1 }).lean();
+  }
+
+  /**
+   * Throw the right error when a pending-only update matched nothing
+   */
+  async explainMissing(userId, id) {
+    const exists = mongoose.Types.ObjectId.isValid(id) &&
+      await ScheduledMessage.exists({ _id: id, author: userId });
+    if (exists) {
+      throw new Error('Only pending scheduled messages can be changed');
+    }
+    throw new Error('Scheduled message not found');
+  }
+
+  /**
+   * Change the content, type or send time of a pending message
+   */
+  async update(userId, id, changes = {}) {
+    const set = {};
+    if (changes.type !== undefined) {
+      set.type = this.parseType(changes.type);
+    }
+    if (changes.content !== undefined) {
+      const current = mongoose.Types.ObjectId.isValid(id)
+        ? await ScheduledMessage.findOne({ _id: id, author: userId }).select('fileUrl').lean()
+        : null;
+      set.content = this.parseContent(changes.content, Boolean(current?.fileUrl));
+    }
+    if (changes.sendAt !== undefined) {
+      set.sendAt = this.parseSendAt(changes.sendAt);
+    }
+    if (!Object.keys(set).length) {
+      throw new Error('Nothing to update');
+    }
+
+    const updated = mongoose.Types.ObjectId.isValid(id)
+      ? await ScheduledMessage.findOneAndUpdate(
+        { _id: id, author: userId, status: 'pending' },
+        { $set: set },
+        { new: true }
+      )
+      : null;
+    if (!updated) {
+      await this.explainMissing(userId, id);
+    }
+    return updated;
+  }
+
+  /**
+   * Cancel a pending message
+   */
+  async cancel(userId, id) {
+    const cancelled = mongoose.Types.ObjectId.isValid(id)
+      ? await ScheduledMessage.findOneAndUpdate(
+        { _id: id, author: userId, status: 'pending' },
+        { $set: { status: 'cancelled' } },
+        { new: true }
+      )
+      : null;
+    if (!cancelled) {
+      await this.explainMissing(userId, id);
+    }
+    return cancelled;
+  }
+
+  /**
+   * Send everything that is due
+   * Each entry is claimed atomically, so overlapping runs (or instances) never send twice
+   */
+  async runDue(now = new Date()) {
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      await ScheduledMessage.updateMany(
+        { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - LOCK_LEASE_MS) } },
+        { $set: { status: 'pending' }, $unset: { lockedAt: 1 } }
+      );
+
+      let dispatched = 0;
+      while (dispatched < DISPATCH_BATCH_SIZE) {
+        const entry = await ScheduledMessage.findOneAndUpdate(
+          {
+            status: 'pending',
+            sendAt: { $lte: now },
+            $or: [{ retryAt: null }, { retryAt: { $lte: now } }]
+          },
+          { $set: { status: 'processing', lockedAt: new Date() }, $inc: { attempts: 1 } },
+          { sort: { sendAt: 1 }, new: true }
+        );
+        if (!entry) break;
+
+        await this.dispatch(entry);
+        dispatched++;
+      }
+      return dispatched;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Send one claimed entry and record the outcome
+   */
+  async dispatch(entry) {
+    try {
+      const message = await this.messageService.sendMessage({
+        senderId: entry.author,
+        conversationId: String(entry.conversation),
+        content: entry.content,
+        type: entry.type,
+        fileUrl: entry.fileUrl,
+        fileName: entry.fileName,
+        fileType: entry.fileType,
+        replyTo: entry.replyTo
+      });
+
+      entry.status = 'sent';
+      entry.sentAt = new Date();
+      entry.sentMessage = message._id;
+      entry.lockedAt = undefined;
+      entry.retryAt = undefined;
+      entry.failureReason = undefined;
+      await entry.save();
+
+      this.messageService.presenceService?.sendToUser(String(entry.author), 'scheduled-message:sent', this.serialize(entry));
+    } catch (error) {
+      const permanent = PERMANENT_FAILURES.includes(error.message);
+      entry.lockedAt = undefined;
+
+      if (permanent || entry.attempts >= MAX_ATTEMPTS) {
+        console.error('❌ Scheduled message failed:', error.message);
+        entry.status = 'failed';
+        entry.failureReason = error.message;
+        await entry.save();
+
+        this.messageService.presenceService?.sendToUser(String(entry.author), 'scheduled-message:failed', this.serialize(entry));
+        if (this.notificationService) {
+          await this.notificationService.createScheduledMessageFailedNotification(entry, error.message);
+        }
+      } else {
+        console.warn('⚠️ Scheduled message send failed, will retry:', error.message);
+        entry.status = 'pending';
+        entry.retryAt = new Date(Date.now() + RETRY_DELAY_MS);
+        await entry.save();
+      }
+    }
+  }
+
+  /**
+   * Start polling for due messages
+   */
+  start(intervalMs = config.scheduledMessagePollMs) {
+    if (this.timer) return;
+    const tick = () => this.runDue().catch(error => console.error('❌ Scheduler error:', error));
+    tick();
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export default ScheduledMessageService;
@@ -0,0 +1,214 @@
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import { MESSAGE_TYPE } from '../utils/constants.js';
+import { tokenize, foldText, findTermMatches, buildSnippet } from '../utils/search.js';
+
+// Ranking happens in memory over the newest matches, so bound how many we load
+const CANDIDATE_LIMIT = 500;
+const MAX_PAGE_SIZE = 50;
+const BACKFILL_BATCH_SIZE = 500;
+
+const SEARCHABLE_TYPES = Object.values(MESSAGE_TYPE).filter(type => type !== MESSAGE_TYPE.CIPHERTEXT);
+
+/**
+ * Search Service
+ * Ranked message search over the searchTokens index with snippets and filters
+ */
+class SearchService {
+  constructor(messageService) {
+    this.messageService = messageService;
+  }
+
+  /**
+   * Parse optional filters; throws 'Invalid search filter' on bad input
+   */
+  parseFilters({ conversationId, senderId, since, until, types }) {
+    const filters = {};
+
+    if (conversationId) {
+      if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+        throw new Error('Invalid search filter');
+      }
+      filters.conversationId = String(conversationId);
+    }
+
+    if (senderId) {
+      if (!mongoose.Types.ObjectId.isValid(senderId)) {
+        throw new Error('Invalid search filter');
+      }
+      filters.senderId = new mongoose.Types.ObjectId(String(senderId));
+    }
+
+    for (const [key, value] of [['since', since], ['until', until]]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new Error('Invalid search filter');
+      }
+      filters[key] = date;
+    }
+
+    if (types) {
+      const list = (Array.isArray(types) ? types : String(types).split(','))
+        .map(type => String(type).trim().toLowerCase())
+        .filter(Boolean);
+      if (!list.length || list.some(type => !SEARCHABLE_TYPES.includes(type))) {
+        throw new Error('Invalid search filter');
+      }
+      filters.types = list;
+    }
+
+    return filters;
+  }
+
+  /**
+   * Score a candidate: whole-word hits beat prefix hits, repeated hits and the
+   * exact phrase add a little, and newer messages win ties
+   */
+  scoreMessage(message, terms, matches) {
+    const tokens = message.searchTokens || [];
+    let score = 0;
+
+    terms.forEach((term, i) => {
+      score += tokens.includes(term) ? 2 : 1;
+      score += Math.min(Math.max(matches[i].length - 1, 0), 3) * 0.25;
+    });
+
+    if (terms.length > 1 && foldText(message.content || message.text).includes(terms.join(' '))) {
+      score += 3;
+    }
+
+    const ageDays = (Date.now() - new Date(message.createdAt).getTime()) / 86400000;
+    score += 1 / (1 + Math.max(ageDays, 0) / 30);
+
+    return score;
+  }
+
+  /**
+   * Search messages visible to a user
+   */
+  async searchMessages(userId, options = {}) {
+    const { query, page = 1, limit = 20 } = options;
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const filters = this.parseFilters(options);
+
+    const empty = {
+      results: [],
+      pagination: { page: pageNumber, limit: pageSize, hasMore: false }
+    };
+
+    const terms = tokenize(query);
+    if (!terms.length) {
+      return empty;
+    }
+
+    const membership = { $or: [{ participants: userId }, { members: userId }] };
+    let conversationIds;
+    if (filters.conversationId) {
+      const conversation = await Conversation.findOne({ _id: filters.conversationId, ...membership })
+        .select('_id')
+        .lean();
+      if (!conversation) {
+        throw new Error('User is not a member of this conversation');
+      }
+      conversationIds = [conversation._id];
+    } else {
+      conversationIds = (await Conversation.find(membership).select('_id').lean()).map(c => c._id);
+    }
+
+    if (!conversationIds.length) {
+      return empty;
+    }
+
+    // Tokens are letters and digits only, so they are safe inside a regex
+    const conditions = [
+      {
+        $or: [
+          { conversation: { $in: conversationIds } },
+          { conversationId: { $in: conversationIds } }
+        ]
+      },
+      ...terms.map(term => ({ searchTokens: { $regex: `^${term}` } }))
+    ];
+
+    if (filters.senderId) {
+      conditions.push({ $or: [{ from: filters.senderId }, { sender: filters.senderId }] });
+    }
+    if (filters.types) {
+      conditions.push({ $or: [{ type: { $in: filters.types } }, { fileType: { $in: filters.types } }] });
+    }
+    if (filters.since || filters.until) {
+      conditions.push({
+        createdAt: {
+          ...(filters.since && { $gte: filters.since }),
+          ...(filters.until && { $lte: filters.until })
+        }
+      });
+    }
+
+    const candidates = await Message.find({
+      $and: conditions,
+      deleted: { $ne: true },
+      isDeleted: { $ne: true },
+      deletedFor: { $nin: [userId] }
+    })
+      .select('+searchTokens')
+      .populate('sender', 'name phone avatar avatarUrl')
+      .populate('from', 'name phone avatar avatarUrl')
+      .sort({ createdAt: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .lean();
+
+    const ranked = candidates
+      .map(message => {
+        const text = message.content || message.text || '';
+        const matches = findTermMatches(text, terms);
+        return { message, matches, score: this.scoreMessage(message, terms, matches) };
+      })
+      .sort((a, b) => b.score - a.score || b.message.createdAt - a.message.createdAt);
+
+    const start = (pageNumber - 1) * pageSize;
+    const results = ranked.slice(start, start + pageSize).map(({ message, matches, score }) => ({
+      ...this.messageService.formatMessage(message),
+      ...buildSnippet(message.content || message.text, matches.flat()),
+      score: Math.round(score * 100) / 100
+    }));
+
+    return {
+      results,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        hasMore: ranked.length > start + pageSize
+      }
+    };
+  }
+
+  /**
+   * Tokenize messages stored before search tokens existed
+   */
+  async backfillSearchTokens() {
+    let indexed = 0;
+    for (;;) {
+      const batch = await Message.find({ searchTokens: { $exists: false } })
+        .select('_id type content text')
+        .limit(BACKFILL_BATCH_SIZE)
+        .lean();
+      if (!batch.length) break;
+
+      await Message.bulkWrite(batch.map(m => ({
+        updateOne: {
+          filter: { _id: m._id },
+          update: { $set: { searchTokens: m.type === MESSAGE_TYPE.CIPHERTEXT ? [] : tokenize(m.content || m.text) } },
+          timestamps: false
+        }
+      })));
+      indexed += batch.length;
+    }
+    return indexed;
+  }
+}
+
+export default SearchService;
@@ -0,0 +1,188 @@
+import { v4 as uuidv4 } from 'uuid';
+import Session from '../models/Session.js';
+import config from '../config/index.js';
+import {
+  signAccessToken,
+  accessTokenExpiresIn,
+  generateRefreshToken,
+  refreshTokenSessionId,
+  hashToken
+} from '../utils/tokens.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Session Service
+ * Issues access/refresh token pairs for signed-in devices, rotates them,
+ * and revokes sessions; revoked sessions fail requireAuth and socket auth,
+ * and their live sockets are disconnected
+ */
+class SessionService {
+  constructor(io) {
+    this.io = io;
+  }
+
+  /**
+   * Token pair as returned to clients
+   */
+  tokenResponse(session, accessToken, refreshToken) {
+    return {
+      token: accessToken,
+      refreshToken,
+      expiresIn: accessTokenExpiresIn(accessToken),
+      sessionId: session.sessionId
+    };
+  }
+
+  /**
+   * Sign a device in: new session plus its first token pair
+   */
+  async createSession(userId, deviceInfo = {}) {
+    const sessionId = uuidv4();
+    const accessToken = signAccessToken(userId, sessionId, deviceInfo);
+    const refreshToken = generateRefreshToken(sessionId);
+
+    const session = await Session.create({
+      userId,
+      sessionId,
+      device: deviceInfo.device || 'Unknown',
+      ip: deviceInfo.ip || 'Unknown',
+      userAgent: deviceInfo.userAgent,
+      token: accessToken,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + config.refreshTokenTtlDays * DAY_MS),
+      valid: true
+    });
+
+    return { session, ...this.tokenResponse(session, accessToken, refreshToken) };
+  }
+
+  /**
+   * Exchange a refresh token for a new pair; the old refresh token stops working
+   * Replaying a rotated-out token revokes the session, and with it every
+   * access and refresh token ever issued for it
+   */
+  async refresh(refreshToken) {
+    const sessionId = refreshTokenSessionId(refreshToken);
+    const session = sessionId
+      ? await Session.findOne({ sessionId }).select('+refreshTokenHash')
+      : null;
+    if (!session || !session.refreshTokenHash) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    if (presentedHash !== session.refreshTokenHash) {
+      if (session.valid) {
+        await session.revoke('refresh_token_reuse');
+        this.disconnectSessions([sessionId], 'refresh_token_reuse');
+      }
+      throw new Error('Refresh token reuse detected');
+    }
+
+    if (!session.valid || session.expiresAt <= new Date()) {
+      throw new Error('Session has been revoked or has expired');
+    }
+
+    const accessToken = signAccessToken(session.userId, sessionId, { device: session.device, ip: session.ip });
+    const nextRefreshToken = generateRefreshToken(sessionId);
+    const now = new Date();
+
+    // Conditional on the old hash, so two concurrent refreshes cannot both win
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash, valid: true },
+      {
+        $set: {
+          token: accessToken,
+          refreshTokenHash: hashToken(nextRefreshToken),
+          refreshedAt: now,
+          lastActivity: now,
+          expiresAt: new Date(now.getTime() + config.refreshTokenTtlDays * DAY_MS)
+        }
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      await Session.updateOne({ _id: session._id }, { $set: { valid: false, revokedReason: 'refresh_token_reuse' } });
+      this.disconnectSessions([sessionId], 'refresh_token_reuse');
+      throw new Error('Refresh token reuse detected');
+    }
+
+    return { session: rotated, ...this.tokenResponse(rotated, accessToken, nextRefreshToken) };
+  }
+
+  /**
+   * Plain object form for API responses (never includes the token)
+   */
+  serialize(session, currentSessionId) {
+    return {
+      sessionId: session.sessionId,
+      device: session.device,
+      ip: session.ip,
+      userAgent: session.userAgent,
+      location: session.location,
+      lastActivity: session.lastActivity?.toISOString(),
+      createdAt: session.createdAt?.toISOString(),
+      expiresAt: session.expiresAt?.toISOString(),
+      current: session.sessionId === currentSessionId
+    };
+  }
+
+  /**
+   * Active sessions, most recently used first
+   */
+  async list(userId) {
+    return Session.find({ userId, valid: true, expiresAt: { $gt: new Date() } })
+      .sort({ lastActivity: -1 })
+      .lean();
+  }
+
+  /**
+   * Revoke one of the user's sessions (revoking the current one signs out)
+   */
+  async revoke(userId, sessionId) {
+    const session = await Session.findActive(sessionId, userId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    await session.revoke();
+    this.disconnectSessions([sessionId], 'revoked');
+    return session;
+  }
+
+  /**
+   * Revoke every session except the current one
+   */
+  async revokeOthers(userId, currentSessionId) {
+    const query = { userId, valid: true };
+    if (currentSessionId) {
+      query.sessionId = { $ne: currentSessionId };
+    }
+
+    const sessions = await Session.find(query).select('sessionId').lean();
+    if (!sessions.length) return 0;
+
+    const sessionIds = sessions.map(s => s.sessionId);
+    await Session.updateMany(
+      { sessionId: { $in: sessionIds } },
+      { $set: { valid: false, revokedReason: 'revoked', lastActivity: new Date() } }
+    );
+    this.disconnectSessions(sessionIds, 'revoked');
+    return sessionIds.length;
+  }
+
+  /**
+   * Tell the sockets of these sessions why, then drop them
+   */
+  disconnectSessions(sessionIds, reason) {
+    if (!this.io) return;
+    for (const sessionId of sessionIds) {
+      const room = `session:${sessionId}`;
+      this.io.to(room).emit('session_revoked', { sessionId, reason });
+      this.io.to(room).emit('session-revoked', { sessionId, reason });
+      this.io.in(room).disconnectSockets(true);
+    }
+  }
+}
+
+export default SessionService;
@@ -0,0 +1,229 @@
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import Session from '../models/Session.js';
+import MessageTombstone, { TOMBSTONE_RETENTION_MS } from '../models/MessageTombstone.js';
+import { encodeCursor, decodeCursor, MIN_OBJECT_ID } from '../utils/cursor.js';
+import config from '../config/index.js';
+
+/**
+ * Sync Service
+ * Per-device change feed over messages, ordered by (updatedAt, _id)
+ * Every create, edit, delete, reaction or status change bumps updatedAt,
+ * so a device that stores its last position can pull exactly what it missed
+ * Hard-deleted messages (expired, or in groups dissolved by account deletion) come from
+ * their tombstones, ordered by (deletedAt, _id) in the same feed
+ * updatedAt comes from the app clock, so a write can commit after a later-stamped one was
+ * already read; every page re-sends the overlap window before its position, and devices
+ * apply changes idempotently by _id and updatedAt
+ */
+class SyncService {
+  constructor(messageService) {
+    this.messageService = messageService;
+    this.overlapMs = config.syncOverlapMs;
+  }
+
+  /**
+   * Decode a feed position; returns null if malformed
+   */
+  decodePosition(cursor) {
+    const position = decodeCursor(cursor);
+    return position && { at: position.at, messageId: position.id };
+  }
+
+  /**
+   * Load the session (device) a request is bound to
+   */
+  async getSession(userId, sessionId) {
+    const session = await Session.findOne({ sessionId, userId, valid: true });
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    return session;
+  }
+
+  /**
+   * Where a device resumes: its acknowledged cursor, or the moment it logged in
+   */
+  storedPosition(session) {
+    if (session.syncCursor?.at && session.syncCursor?.messageId) {
+      return { at: session.syncCursor.at, messageId: session.syncCursor.messageId };
+    }
+    return { at: session.createdAt, messageId: MIN_OBJECT_ID };
+  }
+
+  /**
+   * Classify a change relative to the position it was read from
+   */
+  classifyChange(message, userId, since) {
+    const deletedForMe = (message.deletedFor || []).some(id => String(id) === String(userId));
+    if (message.deleted || message.isDeleted || deletedForMe) return 'deleted';
+    const createdAfter = message.createdAt > since.at ||
+      (message.createdAt.getTime() === since.at.getTime() && String(message._id) > String(since.messageId));
+    if (createdAfter) return 'created';
+    if (message.edited && message.editedAt && message.editedAt > since.at) return 'edited';
+    return 'updated';
+  }
+
+  /**
+   * Entries in the overlap window ending at a position (inclusive), oldest first
+   */
+  async getOverlap(conversationIds, since, limit) {
+    if (!this.overlapMs) return [];
+    const windowStart = new Date(since.at.getTime() - this.overlapMs);
+    const [messages, tombstones] = await Promise.all([
+      Message.find({
+        conversation: { $in: conversationIds },
+        updatedAt: { $gte: windowStart },
+        $or: [
+          { updatedAt: { $lt: since.at } },
+          { updatedAt: since.at, _id: { $lte: since.messageId } }
+        ]
+      })
+        .sort({ updatedAt: -1, _id: -1 })
+        .limit(limit)
+        .lean(),
+      MessageTombstone.find({
+        conversation: { $in: conversationIds },
+        deletedAt: { $gte: windowStart },
+        $or: [
+          { deletedAt: { $lt: since.at } },
+          { deletedAt: since.at, _id: { $lte: since.messageId } }
+        ]
+      })
+        .sort({ deletedAt: -1, _id: -1 })
+        .limit(limit)
+        .lean()
+    ]);
+
+    return [
+      ...messages.map(m => ({ at: m.updatedAt, id: m._id, message: m })),
+      ...tombstones.map(t => ({ at: t.deletedAt, id: t._id, tombstone: t }))
+    ].sort((a, b) => this.compareEntries(a, b)).slice(-limit);
+  }
+
+  /**
+   * Order feed entries by (at, _id)
+   */
+  compareEntries(a, b) {
+    const byTime = a.at.getTime() - b.at.getTime();
+    if (byTime !== 0) return byTime;
+    return String(a.id) < String(b.id) ? -1 : String(a.id) > String(b.id) ? 1 : 0;
+  }
+
+  /**
+   * Changes after a position across all of the user's conversations
+   * resyncRequired: the position is older than tombstones are kept, so hard deletions
+   * may be missing and the device should reload its conversations
+   */
+  async getChanges(userId, sessionId, options = {}) {
+    const { cursor, limit = 100 } = options;
+    const session = await this.getSession(userId, sessionId);
+
+    let since = this.storedPosition(session);
+    if (cursor) {
+      since = this.decodePosition(cursor);
+      if (!since) {
+        throw new Error('Invalid sync cursor');
+      }
+    }
+
+    const conversations = await Conversation.find({
+      $or: [{ participants: userId }, { members: userId }]
+    }).select('_id').lean();
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+    const conversationIds = conversations.map(c => c._id);
+    const [messages, tombstones, overlap] = conversationIds.length ? await Promise.all([
+      Message.find({
+        conversation: { $in: conversationIds },
+        $or: [
+          { updatedAt: { $gt: since.at } },
+          { updatedAt: since.at, _id: { $gt: since.messageId } }
+        ]
+      })
+        .sort({ updatedAt: 1, _id: 1 })
+        .limit(pageSize + 1)
+        .lean(),
+      MessageTombstone.find({
+        conversation: { $in: conversationIds },
+        $or: [
+          { deletedAt: { $gt: since.at } },
+          { deletedAt: since.at, _id: { $gt: since.messageId } }
+        ]
+      })
+        .sort({ deletedAt: 1, _id: 1 })
+        .limit(pageSize + 1)
+        .lean(),
+      this.getOverlap(conversationIds, since, pageSize)
+    ]) : [[], [], []];
+
+    const entries = [
+      ...messages.map(m => ({ at: m.updatedAt, id: m._id, message: m })),
+      ...tombstones.map(t => ({ at: t.deletedAt, id: t._id, tombstone: t }))
+    ].sort((a, b) => this.compareEntries(a, b));
+
+    const hasMore = entries.length > pageSize;
+    const page = hasMore ? entries.slice(0, pageSize) : entries;
+
+    // Re-sent entries from the overlap window go first; they never move the cursor back
+    const windowStart = { at: new Date(since.at.getTime() - this.overlapMs), messageId: MIN_OBJECT_ID };
+    const changes = [
+      ...overlap.map(entry => ({ ...entry, from: windowStart })),
+      ...page.map(entry => ({ ...entry, from: since }))
+    ].map(({ message: m, tombstone, from }) => {
+      if (tombstone) {
+        const conversationId = String(tombstone.conversation);
+        return {
+          change: 'purged',
+          message: { _id: String(tombstone._id), messageId: String(tombstone._id), conversation: conversationId, conversationId }
+        };
+      }
+      const change = this.classifyChange(m, userId, from);
+      const message = this.messageService.formatMessage(m);
+      if (change === 'deleted') {
+        message.text = '';
+        message.content = '';
+        message.encrypted = undefined;
+      }
+      return { change, message };
+    });
+
+    const last = page[page.length - 1];
+    return {
+      changes,
+      cursor: last ? encodeCursor(last.at, last.id) : encodeCursor(since.at, since.messageId),
+      hasMore,
+      resyncRequired: since.at.getTime() < Date.now() - TOMBSTONE_RETENTION_MS
+    };
+  }
+
+  /**
+   * Persist a device's position once it has applied a page of changes
+   * Cursors only move forward
+   */
+  async acknowledge(userId, sessionId, cursor) {
+    const position = this.decodePosition(cursor);
+    if (!position) {
+      throw new Error('Invalid sync cursor');
+    }
+
+    const session = await this.getSession(userId, sessionId);
+    const current = this.storedPosition(session);
+    const isAhead = position.at > current.at ||
+      (position.at.getTime() === current.at.getTime() && String(position.messageId) > String(current.messageId));
+
+    if (isAhead) {
+      session.syncCursor = position;
+    }
+    session.lastSyncAt = new Date();
+    await session.save();
+
+    const stored = this.storedPosition(session);
+    return {
+      cursor: encodeCursor(stored.at, stored.messageId),
+      lastSyncAt: session.lastSyncAt
+    };
+  }
+}
+
+export default SyncService;
@@ -0,0 +1,330 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import TwoFactorChallenge from '../models/TwoFactorChallenge.js';
+import TwoFactorLockout from '../models/TwoFactorLockout.js';
+import config from '../config/index.js';
+import { hashToken } from '../utils/tokens.js';
+import { generateTotpSecret, matchTotp, otpauthUri } from '../utils/totp.js';
+
+const BACKUP_CODE_COUNT = 10;
+// Wrong second factors allowed against one challenge before it is discarded
+const MAX_CHALLENGE_ATTEMPTS = 5;
+// Wrong second factors per user inside the window, across challenges, before the user is locked
+const USER_FAILURE_LIMIT = 10;
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+// Lockouts double from the base up to the cap
+const BASE_LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+export const TWO_FACTOR_METHODS = ['totp', 'backup_code'];
+
+/**
+ * Backup codes are shown as "xxxxx-xxxxx"; case, spaces and dashes don't matter when typed
+ */
+const generateBackupCode = () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+};
+
+const hashBackupCode = (code) => hashToken(String(code).toLowerCase().replace(/[^0-9a-z]/g, ''));
+
+/**
+ * Two-Factor Service
+ * TOTP enrollment, backup recovery codes, and the login challenges that
+ * stand between a correct password/OTP and a session for 2FA users
+ */
+class TwoFactorService {
+  /**
+   * Whether 2FA is on, and how many backup codes are left
+   */
+  async status(userId) {
+    const user = await User.findById(userId).select('+twoFactor.backupCodes').lean();
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return {
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt || null,
+      backupCodesRemaining: user.twoFactor?.enabled ? (user.twoFactor.backupCodes || []).length : 0
+    };
+  }
+
+  /**
+   * Start enrollment: a new pending secret and its otpauth URI
+   * Nothing changes for logins until enable() confirms a code from the app
+   */
+  async beginSetup(userId) {
+    const user = await User.findById(userId).select('phone name twoFactor');
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.twoFactor?.enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateTotpSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    return {
+      secret,
+      otpauthUri: otpauthUri({ secret, account: user.phone || user.name, issuer: config.twoFactor.issuer })
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the app; returns the backup codes (shown once)
+   */
+  async enable(userId, code) {
+    const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.twoFactor?.enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+    const secret = user.twoFactor?.pendingSecret;
+    if (!secret) {
+      throw new Error('Two-factor setup has not been started');
+    }
+
+    const step = matchTotp(secret, code);
+    if (step === null) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    const backupCodes = Array.from({ length: BACKUP_CODE_COUNT }, generateBackupCode);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.enabled': { $ne: true }, 'twoFactor.pendingSecret': secret },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': secret,
+          'twoFactor.backupCodes': backupCodes.map(hashBackupCode),
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.enabledAt': new Date()
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+      }
+    );
+    if (result.modifiedCount === 0) {
+      throw new Error('Two-factor setup has not been started');
+    }
+
+    return backupCodes;
+  }
+
+  /**
+   * Turn 2FA off; needs a current code or a backup code
+   */
+  async disable(userId, proof) {
+    await this.verifyProof(userId, proof);
+    await User.updateOne({ _id: userId }, { $set: { twoFactor: { enabled: false } } });
+  }
+
+  /**
+   * Replace every backup code; needs a current code or a backup code
+   */
+  async regenerateBackupCodes(userId, proof) {
+    await this.verifyProof(userId, proof);
+
+    const backupCodes = Array.from({ length: BACKUP_CODE_COUNT }, generateBackupCode);
+    await User.updateOne(
+      { _id: userId },
+      { $set: { 'twoFactor.backupCodes': backupCodes.map(hashBackupCode) } }
+    );
+    return backupCodes;
+  }
+
+  /**
+   * Check a second factor: { code } from the app or a single-use { backupCode }
+   * A TOTP code is accepted once; replaying it inside its window fails
+   * Wrong codes count against the user, so new challenges do not buy more guesses
+   */
+  async verifyProof(userId, { code, backupCode } = {}) {
+    if (!code && !backupCode) {
+      throw new Error('Two-factor code is required');
+    }
+
+    const user = await User.findById(userId).select('+twoFactor.secret');
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (!user.twoFactor?.enabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    await this.assertNotLocked(user._id);
+    const method = await this.matchProof(user, { code, backupCode });
+
+    if (!method) {
+      const lockedUntil = await this.countFailure(user._id);
+      if (lockedUntil) {
+        throw this.lockedError(lockedUntil);
+      }
+      throw new Error('Invalid two-factor code');
+    }
+
+    // The lockout level stays: a correct code must not undo a guesser's escalation
+    await TwoFactorLockout.updateOne(
+      { userId: user._id },
+      { $set: { failures: 0 }, $unset: { lockedUntil: 1 } }
+    );
+    return method;
+  }
+
+  /**
+   * Claim a TOTP step or a backup code; the method used, or null if neither matched
+   */
+  async matchProof(user, { code, backupCode }) {
+    if (code) {
+      const step = matchTotp(user.twoFactor.secret, code);
+      if (step !== null) {
+        const claimed = await User.updateOne(
+          {
+            _id: user._id,
+            'twoFactor.enabled': true,
+            $or: [
+              { 'twoFactor.lastUsedStep': { $exists: false } },
+              { 'twoFactor.lastUsedStep': { $lt: step } }
+            ]
+          },
+          { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        if (claimed.modifiedCount === 1) {
+          return 'totp';
+        }
+      }
+      return null;
+    }
+
+    const used = await User.updateOne(
+      { _id: user._id, 'twoFactor.enabled': true, 'twoFactor.backupCodes': hashBackupCode(backupCode) },
+      { $pull: { 'twoFactor.backupCodes': hashBackupCode(backupCode) } }
+    );
+    if (used.modifiedCount === 1) {
+      return 'backup_code';
+    }
+    return null;
+  }
+
+  /**
+   * Throw 'Too many failed attempts' (with retryAfter in seconds) while a user's second factor is locked
+   */
+  async assertNotLocked(userId) {
+    const entry = await TwoFactorLockout.findOne({ userId, lockedUntil: { $gt: new Date() } }).lean();
+    if (entry) {
+      throw this.lockedError(entry.lockedUntil);
+    }
+  }
+
+  lockedError(until) {
+    const error = new Error('Too many failed attempts');
+    error.retryAfter = Math.max(1, Math.ceil((until.getTime() - Date.now()) / 1000));
+    return error;
+  }
+
+  /**
+   * Count a wrong second factor inside the current window; lock the user once it hits the limit
+   * Returns the new lockout end if this failure triggered one
+   */
+  async countFailure(userId) {
+    const now = new Date();
+
+    await TwoFactorLockout.updateOne(
+      { userId, windowStartedAt: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+      { $set: { failures: 0, windowStartedAt: now } }
+    );
+    const entry = await TwoFactorLockout.findOneAndUpdate(
+      { userId },
+      { $inc: { failures: 1 }, $setOnInsert: { windowStartedAt: now, level: 0 } },
+      { upsert: true, new: true }
+    );
+
+    if (entry.failures < USER_FAILURE_LIMIT) {
+      return null;
+    }
+
+    // A user who stayed out of trouble for a full cap period since their last lockout starts over
+    const lastLockedUntil = entry.lastLockedUntil || entry.lockedUntil;
+    const level = lastLockedUntil && now - lastLockedUntil > MAX_LOCKOUT_MS ? 0 : entry.level;
+    const lockedUntil = new Date(now.getTime() + Math.min(BASE_LOCKOUT_MS * 2 ** level, MAX_LOCKOUT_MS));
+
+    await TwoFactorLockout.updateOne(
+      { _id: entry._id },
+      { $set: { lockedUntil, lastLockedUntil: lockedUntil, level: level + 1, failures: 0, windowStartedAt: now } }
+    );
+    return lockedUntil;
+  }
+
+  /**
+   * Whether a login for this user must pass a challenge
+   */
+  isRequired(user) {
+    return Boolean(user.twoFactor?.enabled);
+  }
+
+  /**
+   * Challenge for a login whose first factor succeeded
+   */
+  async createChallenge(userId, deviceInfo = {}) {
+    const challengeToken = crypto.randomBytes(32).toString('base64url');
+    const expiresIn = config.twoFactor.challengeTtlSeconds;
+
+    await TwoFactorChallenge.create({
+      tokenHash: hashToken(challengeToken),
+      userId,
+      deviceInfo,
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
+    });
+
+    return { challengeToken, expiresIn, methods: TWO_FACTOR_METHODS };
+  }
+
+  /**
+   * Pass a challenge with a second factor; returns { userId, deviceInfo, method }
+   * for the session to create. Each try claims an attempt first, so concurrent
+   * guesses cannot exceed the limit; a challenge can be completed once
+   */
+  async completeChallenge(challengeToken, proof = {}) {
+    if (!proof.code && !proof.backupCode) {
+      throw new Error('Two-factor code is required');
+    }
+
+    const tokenHash = hashToken(String(challengeToken || ''));
+    const challenge = await TwoFactorChallenge.findOneAndUpdate(
+      {
+        tokenHash,
+        usedAt: { $exists: false },
+        expiresAt: { $gt: new Date() },
+        attempts: { $lt: MAX_CHALLENGE_ATTEMPTS }
+      },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!challenge) {
+      throw new Error('Invalid or expired challenge');
+    }
+
+    let method;
+    try {
+      method = await this.verifyProof(challenge.userId, proof);
+    } catch (error) {
+      if (error.message === 'Invalid two-factor code') {
+        error.attemptsLeft = MAX_CHALLENGE_ATTEMPTS - challenge.attempts;
+      }
+      throw error;
+    }
+
+    const completed = await TwoFactorChallenge.updateOne(
+      { _id: challenge._id, usedAt: { $exists: false } },
+      { $set: { usedAt: new Date() } }
+    );
+    if (completed.modifiedCount === 0) {
+      throw new Error('Invalid or expired challenge');
+    }
+
+    return { userId: challenge.userId, deviceInfo: challenge.deviceInfo || {}, method };
+  }
+}
+
+export default TwoFactorService;
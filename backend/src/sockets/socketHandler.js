@@ -1,5 +1,8 @@
 import jwt from 'jsonwebtoken';
 import config from '../config/index.js';
+import Session from '../models/Session.js';
+import { CIPHERTEXT_TYPE } from '../utils/encryption.js';
+import { CLIENT_MESSAGE_TYPES } from '../utils/constants.js';
 
 /**
  * Socket.IO Handler
@@ -19,7 +22,7 @@ export default (io, services) => {
   }
 
   // Authentication middleware
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     try {
       const token = socket.handshake.auth?.token || socket.handshake.headers?.authorization?.replace('Bearer ', '');
       
@@ -38,6 +41,14 @@ export default (io, services) => {
         return next(new Error('unauthorized'));
       }
 
+      if (decoded.sessionId) {
+        const session = await Session.findActive(decoded.sessionId, userId);
+        if (!session) {
+          return next(new Error('session_revoked'));
+        }
+        socket.data.sessionId = decoded.sessionId;
+      }
+
       socket.data.uid = String(userId);
       socket.userId = String(userId);
       next();
@@ -53,8 +64,11 @@ export default (io, services) => {
 
     console.log(`🟢 Socket connected: ${socket.id} (User: ${userId})`);
 
-    // Join user room
+    // Join user room, and a session room so revoking a session can reach its sockets
     socket.join(userId);
+    if (socket.data.sessionId) {
+      socket.join(`session:${socket.data.sessionId}`);
+    }
 
     // Track presence
     if (presenceService) {
@@ -86,15 +100,28 @@ export default (io, services) => {
           type = 'text',
           media,
           replyTo,
-          clientId
+          clientId,
+          encrypted
         } = data;
 
-        if (!conversationId || (!content && !message)) {
+        const isCiphertext = type === CIPHERTEXT_TYPE;
+        if (!conversationId || (!content && !message && !isCiphertext)) {
           socket.emit('error', { message: 'Conversation ID and content are required' });
           return;
         }
 
-        const result = await messageService.sendMessage({
+        if (!CLIENT_MESSAGE_TYPES.includes(type)) {
+          socket.emit('error', { message: 'Invalid message type' });
+          return;
+        }
+
+        if (isCiphertext && (content || message)) {
+          socket.emit('error', { message: 'Encrypted messages cannot carry plaintext content' });
+          return;
+        }
+
+        // messageService confirms with 'message-sent' to all of the sender's sockets
+        await messageService.sendMessage({
           senderId: userId,
           from: userId,
           conversationId,
@@ -104,12 +131,8 @@ export default (io, services) => {
           type,
           media,
           replyTo,
-          clientId
-        });
-
-        socket.emit('message-sent', {
-          ...result.toObject(),
-          clientId
+          clientId,
+          encrypted
         });
       } catch (error) {
         console.error('❌ Send message error:', error);
@@ -142,6 +165,45 @@ export default (io, services) => {
       }
     });
 
+    /**
+     * Add or change a reaction
+     * Members (including the reactor's other devices) receive 'message_reaction'
+     */
+    socket.on('add-reaction', async (data = {}) => {
+      try {
+        const { messageId, reaction, emoji } = data;
+
+        if (!messageId) {
+          socket.emit('error', { message: 'Message ID is required' });
+          return;
+        }
+
+        await messageService.addReaction(messageId, userId, reaction || emoji);
+      } catch (error) {
+        console.error('❌ Add reaction error:', error);
+        socket.emit('error', { message: error.message || 'Error adding reaction' });
+      }
+    });
+
+    /**
+     * Remove a reaction
+     */
+    socket.on('remove-reaction', async (data = {}) => {
+      try {
+        const { messageId } = data;
+
+        if (!messageId) {
+          socket.emit('error', { message: 'Message ID is required' });
+          return;
+        }
+
+        await messageService.removeReaction(messageId, userId);
+      } catch (error) {
+        console.error('❌ Remove reaction error:', error);
+        socket.emit('error', { message: error.message || 'Error removing reaction' });
+      }
+    });
+
     /**
      * Delivered receipt (cursor-based, Backend1 style)
      */
@@ -245,9 +307,9 @@ export default (io, services) => {
 
         if (presenceService) {
           if (typing) {
-            presenceService.userTyping(userId, conversationId);
+            await presenceService.userTyping(userId, conversationId);
           } else {
-            presenceService.userStoppedTyping(userId, conversationId);
+            await presenceService.userStoppedTyping(userId, conversationId);
           }
         } else {
           // Fallback: direct emit
@@ -273,7 +335,7 @@ export default (io, services) => {
       try {
         const { conversationId } = data;
         if (presenceService && conversationId) {
-          presenceService.userStoppedTyping(userId, conversationId);
+          await presenceService.userStoppedTyping(userId, conversationId);
         }
       } catch (error) {
         console.error('❌ Typing stopped error:', error);
@@ -295,7 +357,7 @@ export default (io, services) => {
         }
 
         if (callService) {
-          const result = await callService.inviteCall(userId, to, sdp, kind);
+          const result = await callService.inviteCall(userId, to, sdp, kind, socket.id);
           if (!result.success) {
             socket.emit('call:busy', { to, error: result.error });
           }
@@ -319,7 +381,7 @@ export default (io, services) => {
         }
 
         if (callService) {
-          await callService.answerCall(callId, userId, accept, sdp);
+          await callService.answerCall(callId, userId, accept, sdp, socket.id);
         }
       } catch (error) {
         console.error('❌ Call answer error:', error);
@@ -361,6 +423,141 @@ export default (io, services) => {
       }
     });
 
+    // ============ GROUP CALLS (WebRTC mesh) ============
+
+    /**
+     * Start a call in a group conversation
+     */
+    socket.on('group_call:start', async (data = {}) => {
+      try {
+        const { conversationId, kind = 'audio' } = data;
+
+        if (!conversationId) {
+          socket.emit('group_call:error', { error: 'invalid_request', message: 'Conversation ID is required' });
+          return;
+        }
+
+        if (callService) {
+          const result = await callService.startGroupCall(userId, conversationId, kind, socket.id);
+          if (!result.success) {
+            socket.emit('group_call:error', {
+              conversationId,
+              error: result.error,
+              message: result.message,
+              ...(result.callId && { callId: result.callId })
+            });
+          }
+        }
+      } catch (error) {
+        console.error('❌ Group call start error:', error);
+        socket.emit('group_call:error', { error: 'server_error', message: error.message || 'Error starting call' });
+      }
+    });
+
+    /**
+     * Join a group call
+     */
+    socket.on('group_call:join', async (data = {}) => {
+      try {
+        const { callId } = data;
+
+        if (!callId) {
+          socket.emit('group_call:error', { error: 'invalid_request', message: 'Call ID is required' });
+          return;
+        }
+
+        if (callService) {
+          const result = await callService.joinGroupCall(callId, userId, socket.id);
+          if (!result.success) {
+            socket.emit('group_call:error', { callId, error: result.error, message: result.message });
+          }
+        }
+      } catch (error) {
+        console.error('❌ Group call join error:', error);
+        socket.emit('group_call:error', { error: 'server_error', message: error.message || 'Error joining call' });
+      }
+    });
+
+    /**
+     * Offer to one participant (sent by the joiner to everyone already in the call)
+     */
+    socket.on('group_call:offer', async (data = {}) => {
+      try {
+        const { callId, to, sdp } = data;
+
+        if (!callId || !to || !sdp?.type || !sdp?.sdp) {
+          socket.emit('group_call:error', { error: 'invalid_request', message: 'Missing required fields' });
+          return;
+        }
+
+        if (callService) {
+          const result = await callService.relayGroupSignal(callId, userId, to, 'offer', { sdp });
+          if (!result.success) {
+            socket.emit('group_call:error', { callId, to, error: result.error });
+          }
+        }
+      } catch (error) {
+        console.error('❌ Group call offer error:', error);
+      }
+    });
+
+    /**
+     * Answer to one participant's offer
+     */
+    socket.on('group_call:answer', async (data = {}) => {
+      try {
+        const { callId, to, sdp } = data;
+
+        if (!callId || !to || !sdp?.type || !sdp?.sdp) {
+          socket.emit('group_call:error', { error: 'invalid_request', message: 'Missing required fields' });
+          return;
+        }
+
+        if (callService) {
+          const result = await callService.relayGroupSignal(callId, userId, to, 'answer', { sdp });
+          if (!result.success) {
+            socket.emit('group_call:error', { callId, to, error: result.error });
+          }
+        }
+      } catch (error) {
+        console.error('❌ Group call answer error:', error);
+      }
+    });
+
+    /**
+     * ICE candidate for one participant
+     */
+    socket.on('group_call:candidate', async (data = {}) => {
+      try {
+        const { callId, to, candidate } = data;
+
+        if (!callId || !to || !candidate) return;
+
+        if (callService) {
+          await callService.relayGroupSignal(callId, userId, to, 'candidate', { candidate });
+        }
+      } catch (error) {
+        console.error('❌ Group call candidate error:', error);
+      }
+    });
+
+    /**
+     * Leave a group call
+     */
+    socket.on('group_call:leave', async (data = {}) => {
+      try {
+        const { callId } = data;
+
+        if (!callId) return;
+
+        if (callService) {
+          await callService.leaveGroupCall(callId, userId);
+        }
+      } catch (error) {
+        console.error('❌ Group call leave error:', error);
+      }
+    });
+
     // ============ LEGACY CALL SIGNALING (for compatibility) ============
 
     socket.on('call_offer', async (data = {}) => {
@@ -369,9 +566,9 @@ export default (io, services) => {
         if (!to || !sdp) return;
 
         if (callService) {
-          const result = await callService.inviteCall(userId, to, sdp, 'audio');
-          if (!result.success && result.error === 'busy') {
-            socket.emit('call_error', { error: 'busy' });
+          const result = await callService.inviteCall(userId, to, sdp, 'audio', socket.id);
+          if (!result.success) {
+            socket.emit('call_error', { error: result.error });
           }
         }
       } catch (error) {
@@ -386,7 +583,7 @@ export default (io, services) => {
         if (!callId || !sdp) return;
 
         if (callService) {
-          await callService.answerCall(callId, userId, true, sdp);
+          await callService.answerCall(callId, userId, true, sdp, socket.id);
         }
       } catch (error) {
         console.error('❌ Legacy call answer error:', error);
@@ -437,9 +634,9 @@ export default (io, services) => {
         await presenceService.userDisconnected(socket.id);
       }
 
-      // Cleanup calls
+      // Cleanup calls (only if this device was in the call, or was the user's last one)
       if (callService) {
-        callService.handleUserDisconnect(userId);
+        await callService.handleUserDisconnect(userId, socket.id);
       }
     });
 
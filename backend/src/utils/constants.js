@@ -17,9 +17,14 @@ export const MESSAGE_TYPE = {
   AUDIO: 'audio',
   VOICE: 'voice',
   LOCATION: 'location',
-  CONTACT: 'contact'
+  CONTACT: 'contact',
+  CIPHERTEXT: 'ciphertext',
+  SYSTEM: 'system'
 };
 
+// Types clients may send; system messages are only created by the server
+export const CLIENT_MESSAGE_TYPES = Object.values(MESSAGE_TYPE).filter(type => type !== MESSAGE_TYPE.SYSTEM);
+
 export const CONVERSATION_STATUS = {
   PENDING: 'pending',
   ACTIVE: 'active',
@@ -37,6 +42,9 @@ export const SOCKET_EVENTS = {
   MESSAGE_SENT: 'message-sent',
   MESSAGE_EDITED: 'message_edited',
   MESSAGE_DELETED: 'message_deleted',
+  MESSAGE_REACTION: 'message_reaction',
+  ADD_REACTION: 'add-reaction',
+  REMOVE_REACTION: 'remove-reaction',
   RECEIVE_MESSAGE: 'receive-message',
   
   // Delivery & Read Receipts
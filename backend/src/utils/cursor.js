@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+/**
+ * Opaque (timestamp, _id) cursors for keyset pagination
+ * The _id breaks ties between documents written in the same millisecond
+ */
+
+export const MIN_OBJECT_ID = new mongoose.Types.ObjectId('000000000000000000000000');
+
+/**
+ * Encode a position as an opaque string
+ */
+export const encodeCursor = (at, id) => {
+  return Buffer.from(`${new Date(at).getTime()}:${String(id)}`).toString('base64url');
+};
+
+/**
+ * Decode a cursor string; returns null if malformed
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const [ms, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+    const at = new Date(Number(ms));
+    if (!ms || isNaN(at.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return { at, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+
+/**
+ * Helpers for end-to-end encrypted messages
+ * The server never decrypts; it only checks the envelope shape before storing it
+ */
+
+export const CIPHERTEXT_TYPE = 'ciphertext';
+
+// Shown wherever a plaintext preview would leak content (notifications, conversation list)
+export const ENCRYPTED_MESSAGE_PREVIEW = '🔒 Encrypted message';
+
+const MAX_ENVELOPES = 100;
+
+/**
+ * Validate and normalize an encrypted payload
+ * Returns { value } on success or { error } with a client-facing message
+ */
+export const normalizeEncryptedPayload = (encrypted) => {
+  if (!encrypted || typeof encrypted !== 'object') {
+    return { error: 'Encrypted payload is required for ciphertext messages' };
+  }
+
+  const { senderDeviceId, envelopes } = encrypted;
+
+  if (!senderDeviceId || typeof senderDeviceId !== 'string') {
+    return { error: 'senderDeviceId is required' };
+  }
+
+  if (!Array.isArray(envelopes) || envelopes.length === 0) {
+    return { error: 'At least one envelope is required' };
+  }
+
+  if (envelopes.length > MAX_ENVELOPES) {
+    return { error: `No more than ${MAX_ENVELOPES} envelopes per message` };
+  }
+
+  const normalized = [];
+  for (const envelope of envelopes) {
+    const { userId, deviceId, type, body } = envelope || {};
+
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+      return { error: 'Each envelope needs a valid userId' };
+    }
+    if (!deviceId || typeof deviceId !== 'string') {
+      return { error: 'Each envelope needs a deviceId' };
+    }
+    if (!body || typeof body !== 'string') {
+      return { error: 'Each envelope needs a ciphertext body' };
+    }
+    if (body.length > config.maxCiphertextLength) {
+      return { error: `Ciphertext exceeds maximum length of ${config.maxCiphertextLength} characters` };
+    }
+
+    normalized.push({
+      userId: String(userId),
+      deviceId,
+      type: Number.isInteger(type) ? type : undefined,
+      body
+    });
+  }
+
+  return { value: { senderDeviceId, envelopes: normalized } };
+};
+
+/**
+ * Plain object form of a stored encrypted payload for API and socket responses
+ */
+export const serializeEncrypted = (encrypted) => {
+  if (!encrypted || !encrypted.envelopes?.length) return undefined;
+  return {
+    senderDeviceId: encrypted.senderDeviceId,
+    envelopes: encrypted.envelopes.map(e => ({
+      userId: String(e.userId),
+      deviceId: e.deviceId,
+      type: e.type,
+      body: e.body
+    }))
+  };
+};
@@ -0,0 +1,52 @@
+/**
+ * Responses for one-time code checks, shared by the auth controller and re-authentication
+ */
+
+/**
+ * Helper: Respond 429 with Retry-After while a phone number is locked out
+ */
+export const sendLocked = (res, retryAfter, error = 'otp_locked') => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error,
+    message: 'Too many failed attempts. Try again later.',
+    retryAfter
+  });
+};
+
+/**
+ * Helper: Verify a code through OtpAttemptService; responds and returns null on failure
+ */
+export const checkOtp = async (req, res, code, context) => {
+  try {
+    return await req.app.get('otpAttemptService').verify(code, {
+      ...context,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    if (error.message === 'Too many failed attempts') {
+      sendLocked(res, error.retryAfter);
+      return null;
+    }
+    // Error codes match the ones mobile clients already handle
+    const codes = {
+      'Invalid or expired OTP': 'invalid_otp',
+      'Invalid OTP code': 'invalid_otp',
+      'OTP has expired': 'expired_otp',
+      'Phone number does not match this OTP session': 'phone_mismatch',
+      'OTP session is for a different purpose': 'invalid_session_type'
+    };
+    if (codes[error.message]) {
+      res.status(400).json({
+        success: false,
+        error: codes[error.message],
+        message: error.message,
+        ...(error.attemptsLeft !== undefined && { attemptsLeft: error.attemptsLeft })
+      });
+      return null;
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,50 @@
+import bcrypt from 'bcrypt';
+
+/**
+ * Password rules and hashing
+ */
+
+export const PASSWORD_MIN_LENGTH = 8;
+// bcrypt ignores everything after 72 bytes, so longer passwords would match on their prefix
+export const PASSWORD_MAX_BYTES = 72;
+const BCRYPT_ROUNDS = 10;
+
+// Rejected outright; attackers try these first
+const COMMON_PASSWORDS = new Set([
+  'password', 'password1', 'password12', 'password123', 'passw0rd',
+  '12345678', '123456789', '1234567890', '11111111', '00000000',
+  'qwerty123', 'qwertyuiop', 'abc12345', 'abcd1234', 'iloveyou1',
+  'letmein1', 'welcome1', 'admin123', 'football1', 'monkey123'
+]);
+
+/**
+ * Why a password is not acceptable, or null if it is
+ * The user's phone number and name are not allowed inside it
+ */
+export const checkPasswordStrength = (password, { phone, name } = {}) => {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password, 'utf8') > PASSWORD_MAX_BYTES) {
+    return `Password cannot exceed ${PASSWORD_MAX_BYTES} bytes (fewer characters with accents or emoji)`;
+  }
+  if (!/\p{L}/u.test(password) || !/\p{N}/u.test(password)) {
+    return 'Password must contain a letter and a number';
+  }
+
+  const lower = password.toLowerCase();
+  if (COMMON_PASSWORDS.has(lower)) {
+    return 'Password is too common';
+  }
+
+  const phoneDigits = String(phone || '').replace(/\D/g, '');
+  const nameLower = String(name || '').trim().toLowerCase();
+  if ((phoneDigits.length >= 6 && lower.includes(phoneDigits.slice(-6))) ||
+      (nameLower.length >= 3 && lower.includes(nameLower))) {
+    return 'Password must not contain your phone number or name';
+  }
+
+  return null;
+};
+
+export const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
@@ -0,0 +1,88 @@
+import bcrypt from 'bcrypt';
+import Otp from '../models/Otp.js';
+import { sendLocked, checkOtp } from './otpResponses.js';
+
+/**
+ * Re-authentication for sensitive account actions (password change, export, deletion)
+ */
+
+/**
+ * Helper: Check the second factor of a user with 2FA; responds and returns false on failure
+ */
+const checkTwoFactor = async (req, res, user, { twoFactorCode, backupCode }) => {
+  try {
+    await req.app.get('twoFactorService').verifyProof(user._id, { code: twoFactorCode, backupCode });
+    return true;
+  } catch (error) {
+    if (error.message === 'Too many failed attempts') {
+      sendLocked(res, error.retryAfter, 'two_factor_locked');
+      return false;
+    }
+    if (error.message === 'Invalid two-factor code') {
+      res.status(401).json({
+        success: false,
+        error: 'invalid_2fa_code',
+        message: error.message
+      });
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Helper: Check { currentPassword } or a fresh password OTP ({ sessionId, otp }), plus
+ * { twoFactorCode | backupCode } when 2FA is enabled; responds and returns false on failure
+ */
+export const verifyRecentAuth = async (req, res, user) => {
+  const { currentPassword, sessionId, otp, twoFactorCode, backupCode } = req.body || {};
+
+  if (!currentPassword && !(sessionId && otp)) {
+    res.status(400).json({
+      success: false,
+      error: 'verification_required',
+      message: user.passwordHash
+        ? 'currentPassword or a password OTP (sessionId, otp) is required'
+        : 'A password OTP (sessionId, otp) is required'
+    });
+    return false;
+  }
+
+  const twoFactorRequired = req.app.get('twoFactorService').isRequired(user);
+  if (twoFactorRequired && !twoFactorCode && !backupCode) {
+    res.status(401).json({
+      success: false,
+      error: 'two_factor_required',
+      message: 'Two-factor authentication code required'
+    });
+    return false;
+  }
+
+  let storedOtp = null;
+  if (currentPassword) {
+    const isValid = user.passwordHash && await bcrypt.compare(currentPassword.toString(), user.passwordHash);
+    if (!isValid) {
+      res.status(401).json({
+        success: false,
+        error: 'invalid_credentials',
+        message: 'Current password is incorrect'
+      });
+      return false;
+    }
+  } else {
+    storedOtp = await checkOtp(req, res, String(otp), {
+      sessionId,
+      phone: user.phone,
+      purpose: 'password'
+    });
+    if (!storedOtp) return false;
+  }
+
+  if (twoFactorRequired && !await checkTwoFactor(req, res, user, { twoFactorCode, backupCode })) return false;
+
+  // The code is only spent once every factor checked out
+  if (storedOtp) {
+    await Otp.findByIdAndUpdate(storedOtp._id, { used: true });
+  }
+  return true;
+};
@@ -0,0 +1,111 @@
+/**
+ * Text helpers for message search
+ * Messages store their folded word list in searchTokens; the multikey index on it
+ * is the inverted index, and anchored prefix regexes on a token use its bounds
+ */
+
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKENS = 200;
+const SNIPPET_LENGTH = 120;
+const SNIPPET_LEAD = 40;
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+/**
+ * Lowercase and strip diacritics so "Café" matches "cafe"
+ */
+const foldChar = (ch) => ch.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+export const foldText = (text) => Array.from(String(text || ''), foldChar).join('');
+
+/**
+ * Distinct folded words of a text, in order of first appearance
+ */
+export const tokenize = (text) => {
+  const words = foldText(text).match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words.filter(w => w.length >= MIN_TOKEN_LENGTH))].slice(0, MAX_TOKENS);
+};
+
+/**
+ * Fold text while remembering which original characters each folded character came from
+ */
+const foldWithOffsets = (text) => {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  let index = 0;
+  for (const ch of text) {
+    const f = foldChar(ch);
+    for (let i = 0; i < f.length; i++) {
+      starts.push(index);
+      ends.push(index + ch.length);
+    }
+    folded += f;
+    index += ch.length;
+  }
+  return { folded, starts, ends };
+};
+
+/**
+ * Ranges [start, end) in the original text where a word starts with one of the terms
+ * Returns one list of ranges per term
+ */
+export const findTermMatches = (text, terms) => {
+  const { folded, starts, ends } = foldWithOffsets(String(text || ''));
+  return terms.map(term => {
+    const ranges = [];
+    let from = 0;
+    let at;
+    while ((at = folded.indexOf(term, from)) !== -1) {
+      if (at === 0 || !WORD_CHAR.test(folded[at - 1])) {
+        ranges.push([starts[at], ends[at + term.length - 1]]);
+      }
+      from = at + term.length;
+    }
+    return ranges;
+  });
+};
+
+/**
+ * Cut a snippet around the first match and shift highlight ranges into it
+ */
+export const buildSnippet = (text, ranges) => {
+  const source = String(text || '');
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+
+  // Merge overlapping ranges (e.g. "har" and "harbour")
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+
+  if (source.length <= SNIPPET_LENGTH) {
+    return { snippet: source, highlights: merged };
+  }
+
+  const first = merged[0]?.[0] || 0;
+  let start = Math.max(0, first - SNIPPET_LEAD);
+  const end = Math.min(source.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, end - SNIPPET_LENGTH);
+
+  // Don't open the snippet mid-word
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    if (space !== -1 && space < first) {
+      start = space + 1;
+    }
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+  const highlights = merged
+    .filter(([s, e]) => s < end && e > start)
+    .map(([s, e]) => [Math.max(s, start) - start + prefix.length, Math.min(e, end) - start + prefix.length]);
+
+  return { snippet: `${prefix}${source.slice(start, end)}${suffix}`, highlights };
+};
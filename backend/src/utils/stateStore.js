@@ -0,0 +1,199 @@
+import { createClient } from 'redis';
+
+/**
+ * Shared state store
+ * Live state that every backend instance must agree on (presence, typing, calls)
+ * goes through a small Redis-style API: strings, hashes and sets. Values are strings,
+ * like in Redis. Every method is async so both implementations are interchangeable
+ *
+ * MemoryStateStore keeps the state in this process (single node, tests);
+ * RedisStateStore shares it between instances
+ */
+
+/**
+ * In-process store
+ */
+export class MemoryStateStore {
+  constructor() {
+    this.data = new Map(); // key -> string | Map | Set
+  }
+
+  // Existing value of a key, or a new one of the given type
+  entry(key, Type) {
+    let value = this.data.get(key);
+    if (!(value instanceof Type)) {
+      value = new Type();
+      this.data.set(key, value);
+    }
+    return value;
+  }
+
+  // Drop emptied hashes and sets, as Redis does
+  prune(key) {
+    const value = this.data.get(key);
+    if (value && typeof value !== 'string' && value.size === 0) {
+      this.data.delete(key);
+    }
+  }
+
+  async get(key) {
+    const value = this.data.get(key);
+    return typeof value === 'string' ? value : null;
+  }
+
+  async set(key, value) {
+    this.data.set(key, String(value));
+  }
+
+  async del(...keys) {
+    return keys.filter(key => this.data.delete(key)).length;
+  }
+
+  async hget(key, field) {
+    const hash = this.data.get(key);
+    return hash instanceof Map && hash.has(field) ? hash.get(field) : null;
+  }
+
+  async hset(key, field, value) {
+    this.entry(key, Map).set(field, String(value));
+  }
+
+  // Set a field only if it does not exist; true when it was set
+  async hsetnx(key, field, value) {
+    const hash = this.entry(key, Map);
+    if (hash.has(field)) return false;
+    hash.set(field, String(value));
+    return true;
+  }
+
+  async hdel(key, field) {
+    const hash = this.data.get(key);
+    const removed = hash instanceof Map && hash.delete(field) ? 1 : 0;
+    this.prune(key);
+    return removed;
+  }
+
+  async hgetall(key) {
+    const hash = this.data.get(key);
+    return hash instanceof Map ? Object.fromEntries(hash) : {};
+  }
+
+  async hlen(key) {
+    const hash = this.data.get(key);
+    return hash instanceof Map ? hash.size : 0;
+  }
+
+  async hincrby(key, field, increment) {
+    const hash = this.entry(key, Map);
+    const value = (parseInt(hash.get(field), 10) || 0) + increment;
+    hash.set(field, String(value));
+    return value;
+  }
+
+  async sadd(key, ...members) {
+    const set = this.entry(key, Set);
+    const before = set.size;
+    members.forEach(member => set.add(String(member)));
+    return set.size - before;
+  }
+
+  async srem(key, member) {
+    const set = this.data.get(key);
+    const removed = set instanceof Set && set.delete(String(member)) ? 1 : 0;
+    this.prune(key);
+    return removed;
+  }
+
+  async smembers(key) {
+    const set = this.data.get(key);
+    return set instanceof Set ? [...set] : [];
+  }
+
+  async close() {
+    this.data.clear();
+  }
+}
+
+/**
+ * Redis-backed store; keys are prefixed so several deployments can share a server
+ */
+export class RedisStateStore {
+  constructor(client, prefix = '') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  key(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  get(key) {
+    return this.client.get(this.key(key));
+  }
+
+  async set(key, value) {
+    await this.client.set(this.key(key), String(value));
+  }
+
+  del(...keys) {
+    return this.client.del(keys.map(key => this.key(key)));
+  }
+
+  hget(key, field) {
+    return this.client.hGet(this.key(key), field);
+  }
+
+  async hset(key, field, value) {
+    await this.client.hSet(this.key(key), field, String(value));
+  }
+
+  async hsetnx(key, field, value) {
+    return Boolean(await this.client.hSetNX(this.key(key), field, String(value)));
+  }
+
+  hdel(key, field) {
+    return this.client.hDel(this.key(key), field);
+  }
+
+  async hgetall(key) {
+    return { ...(await this.client.hGetAll(this.key(key))) };
+  }
+
+  hlen(key) {
+    return this.client.hLen(this.key(key));
+  }
+
+  hincrby(key, field, increment) {
+    return this.client.hIncrBy(this.key(key), field, increment);
+  }
+
+  sadd(key, ...members) {
+    return this.client.sAdd(this.key(key), members.map(String));
+  }
+
+  srem(key, member) {
+    return this.client.sRem(this.key(key), String(member));
+  }
+
+  smembers(key) {
+    return this.client.sMembers(this.key(key));
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+/**
+ * Store for the configured deployment: Redis when a URL is given, memory otherwise
+ */
+export const createStateStore = async ({ redisUrl, redisKeyPrefix } = {}) => {
+  if (!redisUrl) {
+    return new MemoryStateStore();
+  }
+
+  const client = createClient({ url: redisUrl });
+  client.on('error', (error) => console.error('❌ Redis error:', error.message));
+  await client.connect();
+  return new RedisStateStore(client, redisKeyPrefix);
+};
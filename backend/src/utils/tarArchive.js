@@ -0,0 +1,91 @@
+import fs from 'fs';
+import { once } from 'events';
+
+/**
+ * Minimal streaming tar (ustar) writer, enough for data exports:
+ * regular files only, names up to 100 bytes
+ */
+
+const BLOCK_SIZE = 512;
+const MAX_NAME_LENGTH = 100;
+
+const writeField = (header, value, offset, length) => {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+};
+
+const octal = (value, length) => value.toString(8).padStart(length - 1, '0');
+
+const createHeader = (name, size, mtime) => {
+  if (Buffer.byteLength(name) > MAX_NAME_LENGTH) {
+    throw new Error(`Archive entry name too long: ${name}`);
+  }
+
+  const header = Buffer.alloc(BLOCK_SIZE);
+  writeField(header, name, 0, 100);
+  writeField(header, octal(0o644, 8), 100, 8);
+  writeField(header, octal(0, 8), 108, 8);
+  writeField(header, octal(0, 8), 116, 8);
+  writeField(header, octal(size, 12), 124, 12);
+  writeField(header, octal(Math.floor(mtime.getTime() / 1000), 12), 136, 12);
+  header.fill(' ', 148, 156); // checksum is computed with its own field as spaces
+  writeField(header, '0', 156, 1);
+  writeField(header, 'ustar\0', 257, 6);
+  writeField(header, '00', 263, 2);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  writeField(header, `${octal(checksum, 7)}\0 `, 148, 8);
+  return header;
+};
+
+const padding = (size) => Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+
+export class TarWriter {
+  constructor(output) {
+    this.output = output;
+  }
+
+  async write(chunk) {
+    if (!this.output.write(chunk)) {
+      await once(this.output, 'drain');
+    }
+  }
+
+  /**
+   * Add an entry from memory (string or Buffer)
+   */
+  async addBuffer(name, data, mtime = new Date()) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    await this.write(createHeader(name, buffer.length, mtime));
+    await this.write(buffer);
+    await this.write(padding(buffer.length));
+  }
+
+  /**
+   * Add a file from disk, streamed
+   */
+  async addFile(name, filePath) {
+    const stats = await fs.promises.stat(filePath);
+    await this.write(createHeader(name, stats.size, stats.mtime));
+
+    let written = 0;
+    if (stats.size > 0) {
+      for await (const chunk of fs.createReadStream(filePath, { end: stats.size - 1 })) {
+        await this.write(chunk);
+        written += chunk.length;
+      }
+    }
+    if (written !== stats.size) {
+      throw new Error(`File changed while archiving: ${name}`);
+    }
+    await this.write(padding(stats.size));
+  }
+
+  /**
+   * Write the end-of-archive marker and end the output
+   */
+  async finish() {
+    await this.write(Buffer.alloc(BLOCK_SIZE * 2));
+    this.output.end();
+  }
+}
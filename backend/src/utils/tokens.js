@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/index.js';
+
+/**
+ * Access and refresh token helpers
+ * Access tokens are JWTs carrying every user id claim our clients read;
+ * refresh tokens are opaque "<sessionId>.<secret>" strings stored only as hashes
+ */
+
+/**
+ * Sign an access token (supports uid, id, userId and _id claims)
+ */
+export const signAccessToken = (userId, sessionId = null, deviceInfo = {}) => {
+  const payload = {
+    uid: String(userId),
+    id: String(userId),
+    userId: String(userId),
+    _id: String(userId)
+  };
+
+  if (sessionId) {
+    payload.sessionId = sessionId;
+  }
+  if (deviceInfo.device) {
+    payload.device = deviceInfo.device;
+  }
+  if (deviceInfo.ip) {
+    payload.ip = deviceInfo.ip;
+  }
+
+  return jwt.sign(payload, config.jwtSecret, {
+    algorithm: 'HS256',
+    expiresIn: config.jwtExpiry
+  });
+};
+
+/**
+ * Seconds until an access token expires
+ */
+export const accessTokenExpiresIn = (token) => {
+  const { exp, iat } = jwt.decode(token);
+  return exp - iat;
+};
+
+/**
+ * New refresh token for a session
+ */
+export const generateRefreshToken = (sessionId) =>
+  `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+/**
+ * Session id a refresh token belongs to, or null if malformed
+ */
+export const refreshTokenSessionId = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const dot = refreshToken.lastIndexOf('.');
+  return dot > 0 ? refreshToken.slice(0, dot) : null;
+};
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
@@ -0,0 +1,106 @@
+import crypto from 'crypto';
+
+/**
+ * TOTP (RFC 6238) helpers: SHA-1, 6 digits, 30 second steps,
+ * the parameters every authenticator app supports
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+export const TOTP_STEP_SECONDS = 30;
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random secret (160 bits, base32)
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step a moment falls in
+ */
+export const totpStep = (at = Date.now()) => Math.floor(at / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Code for a secret at a time step
+ */
+export const totpCode = (secret, step = totpStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Time step a code matches, allowing `window` steps of clock drift either way,
+ * or null if it matches none
+ */
+export const matchTotp = (secret, code, { window = 1, at = Date.now() } = {}) => {
+  const candidate = Buffer.from(String(code || '').replace(/\s/g, ''));
+  if (candidate.length !== DIGITS) return null;
+
+  const current = totpStep(at);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = Buffer.from(totpCode(secret, step));
+    if (crypto.timingSafeEqual(expected, candidate)) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ */
+export const otpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
@@ -0,0 +1,53 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Served at /uploads (see index.js)
+export const uploadDir = path.join(__dirname, '../../', config.uploadDir);
+
+/**
+ * Map a stored file URL (absolute or relative) to its path on disk
+ * Returns null for anything outside the uploads directory
+ */
+export const resolveUploadPath = (fileUrl) => {
+  if (!fileUrl || typeof fileUrl !== 'string') return null;
+
+  let pathname;
+  try {
+    pathname = new URL(fileUrl, 'http://localhost').pathname;
+  } catch (error) {
+    return null;
+  }
+
+  const marker = '/uploads/';
+  const index = pathname.indexOf(marker);
+  if (index === -1) return null;
+
+  const relative = decodeURIComponent(pathname.slice(index + marker.length));
+  const resolved = path.resolve(uploadDir, relative);
+  if (!resolved.startsWith(path.resolve(uploadDir) + path.sep)) return null;
+
+  return resolved;
+};
+
+/**
+ * Delete an uploaded file; missing files are not an error
+ */
+export const removeUploadedFile = async (fileUrl) => {
+  const filePath = resolveUploadPath(fileUrl);
+  if (!filePath) return false;
+
+  try {
+    await fs.promises.unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Error removing uploaded file:', filePath, error.message);
+    }
+    return false;
+  }
+};
@@ -0,0 +1,284 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import request from 'supertest';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  createConversation
+} from './helpers/testServer.js';
+import { connectClient, waitFor, disconnectAll } from './helpers/socketClient.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import Message from '../src/models/Message.js';
+import Notification from '../src/models/Notification.js';
+import Group from '../src/models/Group.js';
+import Conversation from '../src/models/Conversation.js';
+import Otp from '../src/models/Otp.js';
+import { hashPassword } from '../src/utils/password.js';
+import { totpCode, totpStep } from '../src/utils/totp.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PASSWORD = 'harbor42light';
+
+/**
+ * Read the entries of an (uncompressed) tar archive into { name: Buffer }
+ */
+const readTar = (archive) => {
+  const entries = {};
+  let offset = 0;
+  while (offset + 512 <= archive.length) {
+    const header = archive.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+    const name = header.subarray(0, 100).toString('utf8').replace(/\0.*$/s, '');
+    const size = parseInt(header.subarray(124, 136).toString('utf8'), 8);
+    entries[name] = archive.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return entries;
+};
+
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Account export and deletion', () => {
+  let app;
+  let alice;
+  let bob;
+  let conversation;
+  let uploadDir;
+
+  before(async () => {
+    ({ app } = await startTestServer());
+    ({ uploadDir } = await import('../src/utils/uploads.js'));
+    await fs.mkdir(uploadDir, { recursive: true });
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    conversation = await createConversation(alice, bob);
+    await User.updateOne({ _id: alice.id }, { passwordHash: await hashPassword(PASSWORD) });
+  });
+
+  afterEach(disconnectAll);
+
+  const send = (account, body) => request(app)
+    .post('/api/messages')
+    .set(account.auth)
+    .send({ conversationId: String(conversation._id), ...body });
+
+  const writeUpload = async (name, contents = 'data') => {
+    await fs.writeFile(path.join(uploadDir, name), contents);
+    return `http://localhost/uploads/${name}`;
+  };
+  const uploadExists = (name) => fs.access(path.join(uploadDir, name)).then(() => true, () => false);
+
+  const deletion = (account, method = 'get', proof = { currentPassword: PASSWORD }) => {
+    const req = request(app)[method]('/api/users/me/deletion').set(account.auth);
+    return method === 'post' ? req.send(proof) : req;
+  };
+  const exportData = (account, proof = { currentPassword: PASSWORD }) =>
+    request(app).post('/api/users/me/export').set(account.auth).send(proof);
+  const sweepAfterGracePeriod = () =>
+    app.get('accountDeletionService').sweep(new Date(Date.now() + 31 * DAY_MS));
+
+  describe('POST /api/users/me/export', () => {
+    it('downloads the account data and uploads as a tar.gz', async () => {
+      const photo = await writeUpload('account-export-photo.png', 'png bytes');
+      await send(alice, { content: 'hello bob' });
+      await send(alice, { content: 'photo', fileUrl: photo, fileName: 'photo.png', fileType: 'image' });
+      await send(bob, { content: 'hi alice' });
+
+      const res = await exportData(alice).buffer(true).parse(binary);
+      assert.equal(res.status, 200);
+      assert.equal(res.headers['content-type'], 'application/gzip');
+      assert.match(res.headers['content-disposition'], new RegExp(`^attachment; filename="export-${alice.id}-\\d{4}-\\d{2}-\\d{2}\\.tar\\.gz"$`));
+
+      const entries = readTar(zlib.gunzipSync(res.body));
+      const data = JSON.parse(entries['data.json'].toString('utf8'));
+      assert.equal(data.profile.id, alice.id);
+      assert.equal(data.profile.phone, alice.user.phone);
+      assert.equal(data.sessions.length, 1);
+      assert.deepEqual(data.conversations[0].participants.map(p => p.name).sort(), ['Alice', 'Bob']);
+
+      // Only the messages Alice wrote, with files pointing into the archive
+      assert.deepEqual(data.messages.map(m => m.content), ['hello bob', 'photo']);
+      const file = data.messages[1].file;
+      assert.match(file, /^uploads\/1-account-export-photo\.png$/);
+      assert.equal(entries[file].toString('utf8'), 'png bytes');
+
+      // Bob's message notified Alice
+      assert.equal(data.notifications.length, 1);
+
+      await fs.rm(path.join(uploadDir, 'account-export-photo.png'), { force: true });
+    });
+
+    it('requires authentication', async () => {
+      assert.equal((await request(app).post('/api/users/me/export')).status, 401);
+    });
+
+    it('requires the password or a fresh password OTP', async () => {
+      const missing = await exportData(alice, {});
+      assert.equal(missing.status, 400);
+      assert.equal(missing.body.error, 'verification_required');
+
+      const wrong = await exportData(alice, { currentPassword: 'not-it-at-all' });
+      assert.equal(wrong.status, 401);
+      assert.equal(wrong.body.error, 'invalid_credentials');
+
+      const sent = await request(app).post('/api/auth/password/otp').set(alice.auth).expect(200);
+      const proof = { sessionId: sent.body.sessionId, otp: sent.body.otp };
+      assert.equal((await exportData(alice, proof)).status, 200);
+
+      // Codes are single-use
+      assert.equal((await exportData(alice, proof)).status, 400);
+    });
+  });
+
+  describe('/api/users/me/deletion', () => {
+    it('schedules deletion after the grace period and can be cancelled', async () => {
+      let res = await deletion(alice);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.deletion, { scheduled: false, requestedAt: null, scheduledFor: null });
+
+      const before = Date.now();
+      res = await deletion(alice, 'post');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.deletion.scheduled, true);
+      const scheduledFor = new Date(res.body.deletion.scheduledFor).getTime();
+      assert.ok(scheduledFor >= before + 30 * DAY_MS && scheduledFor <= Date.now() + 30 * DAY_MS);
+
+      // Asking again keeps the original date
+      const again = await deletion(alice, 'post');
+      assert.deepEqual(again.body.deletion, res.body.deletion);
+      assert.deepEqual((await deletion(alice)).body.deletion, res.body.deletion);
+
+      const cancelled = await deletion(alice, 'delete');
+      assert.equal(cancelled.status, 200);
+      assert.equal(cancelled.body.deletion.scheduled, false);
+
+      assert.equal(await sweepAfterGracePeriod(), 0);
+      assert.equal((await User.findById(alice.id).lean()).name, 'Alice');
+    });
+
+    it('requires the password or an OTP, and the second factor when 2FA is on', async () => {
+      const missing = await deletion(alice, 'post', {});
+      assert.equal(missing.status, 400);
+      assert.equal(missing.body.error, 'verification_required');
+
+      const setup = await request(app).post('/api/auth/2fa/setup').set(alice.auth).expect(200);
+      const codeAt = (offset) => totpCode(setup.body.secret, totpStep() + offset);
+      await request(app).post('/api/auth/2fa/enable').set(alice.auth).send({ code: codeAt(-1) }).expect(200);
+
+      const noCode = await deletion(alice, 'post');
+      assert.equal(noCode.status, 401);
+      assert.equal(noCode.body.error, 'two_factor_required');
+
+      const wrongCode = await deletion(alice, 'post', { currentPassword: PASSWORD, twoFactorCode: '000000' });
+      assert.equal(wrongCode.status, 401);
+      assert.equal(wrongCode.body.error, 'invalid_2fa_code');
+
+      const res = await deletion(alice, 'post', { currentPassword: PASSWORD, twoFactorCode: codeAt(0) });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.deletion.scheduled, true);
+    });
+
+    it('leaves accounts alone until the grace period is over', async () => {
+      await deletion(alice, 'post').expect(200);
+      assert.equal(await app.get('accountDeletionService').sweep(new Date(Date.now() + 29 * DAY_MS)), 0);
+      assert.equal((await request(app).get('/api/auth/me').set(alice.auth)).status, 200);
+    });
+  });
+
+  describe('deletion sweep', () => {
+    it('anonymizes the account and removes its personal data', async () => {
+      const photo = await writeUpload('account-deletion-photo.png');
+      await send(alice, { content: 'photo', fileUrl: photo, fileName: 'photo.png', fileType: 'image' });
+      await send(bob, { content: 'hi alice' });
+      await Otp.create({ phone: alice.user.phone, otp: '123456', sessionId: 'pending', expiresAt: new Date(Date.now() + 60000) });
+
+      const bobSocket = await connectClient(bob);
+      const aliceSocket = await connectClient(alice);
+      const contactEvent = waitFor(bobSocket, 'user_deleted');
+      const deviceEvent = waitFor(aliceSocket, 'account_deleted');
+
+      await deletion(alice, 'post').expect(200);
+      assert.equal(await sweepAfterGracePeriod(), 1);
+
+      assert.equal((await contactEvent).userId, alice.id);
+      assert.equal((await deviceEvent).userId, alice.id);
+
+      const tombstone = await User.findById(alice.id).lean();
+      assert.equal(tombstone.name, 'Deleted account');
+      assert.notEqual(tombstone.phone, alice.user.phone);
+      assert.ok(tombstone.deletedAt);
+      assert.equal(tombstone.deletion, undefined);
+
+      const me = await request(app).get('/api/auth/me').set(alice.auth);
+      assert.equal(me.status, 401);
+      assert.equal(await Session.countDocuments({ userId: alice.id }), 0);
+      assert.equal(await Otp.countDocuments({ phone: alice.user.phone }), 0);
+      assert.equal(await Notification.countDocuments({ recipient: alice.id }), 0);
+
+      // Bob keeps the conversation, minus the file
+      const messages = await Message.find({ conversation: conversation._id }).sort({ createdAt: 1 }).lean();
+      assert.deepEqual(messages.map(m => m.content), ['photo', 'hi alice']);
+      assert.equal(messages[0].fileUrl, undefined);
+      assert.equal(await uploadExists('account-deletion-photo.png'), false);
+
+      // Gone from user listings and search
+      const listed = await request(app).get('/api/users').set(bob.auth);
+      assert.ok(!listed.body.users.some(u => String(u._id || u.id) === alice.id));
+      const found = await request(app).get('/api/users/search').query({ q: 'Alice' }).set(bob.auth);
+      assert.equal(found.body.users.length, 0);
+
+      // The phone number is free again
+      assert.equal((await request(app).post('/api/auth/send-otp').send({ phone: alice.user.phone })).status, 200);
+
+      // Already deleted
+      assert.equal(await app.get('accountDeletionService').deleteAccount(alice.id), false);
+    });
+
+    it('hands over group admin rights and dissolves groups nobody else is in', async () => {
+      const carol = await createUser({ name: 'Carol' });
+      const shared = await request(app)
+        .post('/api/groups')
+        .set(alice.auth)
+        .send({ name: 'Team', participants: [bob.id, carol.id] })
+        .expect(201);
+      const solo = await request(app)
+        .post('/api/groups')
+        .set(alice.auth)
+        .send({ name: 'Notes' })
+        .expect(201);
+      const soloGroupId = solo.body.group._id;
+      const soloConversationId = solo.body.conversation._id;
+      await Message.create({ conversation: soloConversationId, from: alice.id, content: 'note to self' });
+
+      await deletion(alice, 'post').expect(200);
+      await sweepAfterGracePeriod();
+
+      const group = await Group.findById(shared.body.group._id).lean();
+      assert.equal(String(group.admin), bob.id);
+      assert.deepEqual(group.admins.map(String), [bob.id]);
+      assert.deepEqual(group.participants.map(String), [bob.id, carol.id]);
+      const groupConversation = await Conversation.findById(shared.body.conversation._id).lean();
+      assert.ok(!groupConversation.participants.some(p => String(p) === alice.id));
+
+      assert.equal(await Group.exists({ _id: soloGroupId }), null);
+      assert.equal(await Conversation.exists({ _id: soloConversationId }), null);
+      assert.equal(await Message.countDocuments({ conversation: soloConversationId }), 0);
+    });
+  });
+});
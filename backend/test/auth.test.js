@@ -0,0 +1,730 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import request from 'supertest';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  createSession,
+  nextPhone
+} from './helpers/testServer.js';
+
+describe('/api/auth', () => {
+  let app;
+
+  before(async () => {
+    ({ app } = await startTestServer());
+  });
+
+  after(stopTestServer);
+
+  beforeEach(clearDatabase);
+
+  describe('POST /send-otp', () => {
+    it('requires a phone number', async () => {
+      const res = await request(app).post('/api/auth/send-otp').send({});
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'missing');
+    });
+
+    it('rejects malformed phone numbers', async () => {
+      const res = await request(app).post('/api/auth/send-otp').send({ phone: '12-34' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'invalid_phone');
+    });
+
+    it('returns a session and the code outside production', async () => {
+      const res = await request(app).post('/api/auth/send-otp').send({ phone: nextPhone() });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.success, true);
+      assert.ok(res.body.sessionId);
+      assert.match(res.body.otp, /^\d{6}$/);
+    });
+
+    it('refuses numbers that are already registered', async () => {
+      const { user } = await createUser();
+      const res = await request(app).post('/api/auth/send-otp').send({ phone: user.phone });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error, 'phone_taken');
+    });
+  });
+
+  describe('POST /verify-otp-register', () => {
+    it('requires name, phone, otp and sessionId', async () => {
+      const res = await request(app).post('/api/auth/verify-otp-register').send({ phone: nextPhone() });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'missing');
+    });
+
+    it('rejects codes that are not six digits', async () => {
+      const res = await request(app)
+        .post('/api/auth/verify-otp-register')
+        .send({ name: 'A', phone: nextPhone(), otp: '12', sessionId: 'x' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'invalid_otp_format');
+    });
+
+    it('rejects a wrong code', async () => {
+      const phone = nextPhone();
+      const sent = await request(app).post('/api/auth/send-otp').send({ phone });
+      const wrong = sent.body.otp === '000000' ? '111111' : '000000';
+
+      const res = await request(app)
+        .post('/api/auth/verify-otp-register')
+        .send({ name: 'Alice', phone, otp: wrong, sessionId: sent.body.sessionId });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'invalid_otp');
+    });
+
+    it('registers the user and issues a usable token', async () => {
+      const phone = nextPhone();
+      const sent = await request(app).post('/api/auth/send-otp').send({ phone });
+
+      const res = await request(app)
+        .post('/api/auth/verify-otp-register')
+        .send({ name: 'Alice', phone, otp: sent.body.otp, sessionId: sent.body.sessionId, password: 'secret123' });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.isNewUser, true);
+      assert.equal(res.body.user.phone, phone);
+      assert.ok(res.body.token);
+
+      const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${res.body.token}`);
+      assert.equal(me.status, 200);
+      assert.equal(me.body.user.name, 'Alice');
+    });
+
+    it('reports expired codes as expired_otp', async () => {
+      const { default: Otp } = await import('../src/models/Otp.js');
+      const phone = nextPhone();
+      const sent = await request(app).post('/api/auth/send-otp').send({ phone });
+      await Otp.updateOne({ sessionId: sent.body.sessionId }, { expiresAt: new Date(Date.now() - 1000) });
+
+      const res = await request(app)
+        .post('/api/auth/verify-otp-register')
+        .send({ name: 'Alice', phone, otp: sent.body.otp, sessionId: sent.body.sessionId });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'expired_otp');
+    });
+
+    it('rejects a phone number other than the one the code was sent to', async () => {
+      const phone = nextPhone();
+      const sent = await request(app).post('/api/auth/send-otp').send({ phone });
+
+      const res = await request(app)
+        .post('/api/auth/verify-otp-register')
+        .send({ name: 'Alice', phone: nextPhone(), otp: sent.body.otp, sessionId: sent.body.sessionId });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'phone_mismatch');
+    });
+
+    it('does not accept the same code twice', async () => {
+      const phone = nextPhone();
+      const sent = await request(app).post('/api/auth/send-otp').send({ phone });
+      const body = { name: 'Alice', phone, otp: sent.body.otp, sessionId: sent.body.sessionId };
+
+      await request(app).post('/api/auth/verify-otp-register').send(body).expect(201);
+      const res = await request(app).post('/api/auth/verify-otp-register').send(body);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'invalid_otp');
+    });
+  });
+
+  describe('OTP login', () => {
+    it('logs an existing user in', async () => {
+      const { user } = await createUser({ name: 'Bob' });
+      const sent = await request(app).post('/api/auth/send-otp-login').send({ phone: user.phone });
+      assert.equal(sent.status, 200);
+
+      const res = await request(app)
+        .post('/api/auth/verify-otp-login')
+        .send({ otp: sent.body.otp, sessionId: sent.body.sessionId });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.user.id, String(user._id));
+      assert.ok(res.body.token);
+      assert.ok(res.body.refreshToken);
+      assert.ok(res.body.expiresIn > 0);
+    });
+
+    it('creates the user once for concurrent requests', async () => {
+      const { default: User } = await import('../src/models/User.js');
+      const phone = nextPhone();
+
+      const responses = await Promise.all([1, 2, 3].map(() =>
+        request(app).post('/api/auth/send-otp-login').send({ phone, name: 'Dana' })));
+      assert.deepEqual(responses.map(r => r.status), [200, 200, 200]);
+      assert.equal(await User.countDocuments({ phone }), 1);
+    });
+
+    it('rejects registration codes', async () => {
+      const phone = nextPhone();
+      const sent = await request(app).post('/api/auth/send-otp').send({ phone });
+
+      const res = await request(app)
+        .post('/api/auth/verify-otp-login')
+        .send({ otp: sent.body.otp, sessionId: sent.body.sessionId });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'invalid_session_type');
+    });
+
+    it('requires otp and sessionId', async () => {
+      const res = await request(app).post('/api/auth/verify-otp-login').send({ otp: '123456' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'missing');
+    });
+
+    it('rejects an unknown session', async () => {
+      const res = await request(app)
+        .post('/api/auth/verify-otp-login')
+        .send({ otp: '123456', sessionId: 'does-not-exist' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'invalid_otp');
+    });
+  });
+
+  describe('POST /login', () => {
+    it('requires credentials', async () => {
+      const res = await request(app).post('/api/auth/login').send({ name: 'x' });
+      assert.equal(res.status, 400);
+    });
+
+    it('rejects a wrong password', async () => {
+      const phone = nextPhone();
+      const sent = await request(app).post('/api/auth/send-otp').send({ phone });
+      await request(app)
+        .post('/api/auth/verify-otp-register')
+        .send({ name: 'Carol', phone, otp: sent.body.otp, sessionId: sent.body.sessionId, password: 'secret123' })
+        .expect(201);
+
+      const res = await request(app).post('/api/auth/login').send({ name: phone, password: 'nope-nope' });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, 'invalid_credentials');
+    });
+
+    it('accepts phone and password', async () => {
+      const phone = nextPhone();
+      const sent = await request(app).post('/api/auth/send-otp').send({ phone });
+      await request(app)
+        .post('/api/auth/verify-otp-register')
+        .send({ name: 'Carol', phone, otp: sent.body.otp, sessionId: sent.body.sessionId, password: 'secret123' })
+        .expect(201);
+
+      const res = await request(app).post('/api/auth/login').send({ name: phone, password: 'secret123' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.user.name, 'Carol');
+      assert.ok(res.body.token);
+      assert.ok(res.body.refreshToken);
+      assert.ok(res.body.sessionId);
+    });
+  });
+
+  describe('OTP attempt limits', () => {
+    let Otp;
+    let OtpAttempt;
+    let OtpLockout;
+
+    before(async () => {
+      ({ default: Otp } = await import('../src/models/Otp.js'));
+      ({ default: OtpAttempt } = await import('../src/models/OtpAttempt.js'));
+      ({ default: OtpLockout } = await import('../src/models/OtpLockout.js'));
+    });
+
+    const sendCode = async (phone) => (await request(app).post('/api/auth/send-otp').send({ phone }).expect(200)).body;
+    const wrongCode = (otp) => (otp === '000000' ? '111111' : '000000');
+    const register = (phone, sent, otp = sent.otp) => request(app)
+      .post('/api/auth/verify-otp-register')
+      .send({ name: 'Alice', phone, otp, sessionId: sent.sessionId });
+
+    it('counts down attempts and invalidates the code after five failures', async () => {
+      const phone = nextPhone();
+      const sent = await sendCode(phone);
+
+      const first = await register(phone, sent, wrongCode(sent.otp));
+      assert.equal(first.status, 400);
+      assert.equal(first.body.error, 'invalid_otp');
+      assert.equal(first.body.attemptsLeft, 4);
+
+      for (let i = 0; i < 4; i++) {
+        await register(phone, sent, wrongCode(sent.otp)).expect(400);
+      }
+
+      const res = await register(phone, sent);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.message, 'Invalid or expired OTP');
+
+      const stored = await Otp.findOne({ sessionId: sent.sessionId }).lean();
+      assert.equal(stored.attempts, 5);
+      assert.ok(stored.invalidatedAt);
+    });
+
+    it('audits failed verifications', async () => {
+      const phone = nextPhone();
+      const sent = await sendCode(phone);
+      await register(phone, sent, wrongCode(sent.otp)).expect(400);
+      await request(app)
+        .post('/api/auth/verify-otp-login')
+        .send({ otp: '123456', sessionId: 'does-not-exist' })
+        .expect(400);
+
+      const records = await OtpAttempt.find().sort({ createdAt: 1 }).lean();
+      assert.deepEqual(records.map(r => r.reason), ['wrong_code', 'invalid_or_expired']);
+      assert.equal(records[0].phone, phone);
+      assert.equal(records[0].purpose, 'register');
+      assert.equal(records[0].attempt, 1);
+      assert.ok(records[0].ip);
+    });
+
+    it('locks the phone number after ten failures across codes', async () => {
+      const phone = nextPhone();
+      let last;
+      for (let round = 0; round < 2; round++) {
+        const sent = await sendCode(phone);
+        for (let i = 0; i < 5; i++) {
+          last = await register(phone, sent, wrongCode(sent.otp));
+        }
+      }
+      assert.equal(last.status, 429);
+      assert.equal(last.body.error, 'otp_locked');
+      assert.ok(Number(last.headers['retry-after']) > 14 * 60);
+
+      const resend = await request(app).post('/api/auth/send-otp').send({ phone });
+      assert.equal(resend.status, 429);
+
+      const audit = await OtpAttempt.countDocuments({ phone, lockedUntil: { $ne: null } });
+      assert.equal(audit, 1);
+    });
+
+    it('doubles the lockout each time', async () => {
+      const phone = nextPhone();
+      const { default: OtpAttemptService } = await import('../src/services/otpAttemptService.js');
+      const service = new OtpAttemptService();
+
+      const fail = async () => {
+        for (let i = 0; i < 10; i++) {
+          await service.recordFailure({ phone }, 'wrong_code');
+        }
+        return OtpLockout.findOne({ phone }).lean();
+      };
+
+      const first = await fail();
+      const firstMinutes = (first.lockedUntil - Date.now()) / 60000;
+      await OtpLockout.updateOne({ phone }, { $set: { lockedUntil: new Date(Date.now() - 1000) } });
+
+      const second = await fail();
+      const secondMinutes = (second.lockedUntil - Date.now()) / 60000;
+      assert.equal(second.level, 2);
+      assert.ok(Math.abs(secondMinutes - firstMinutes * 2) < 1);
+    });
+
+    it('blocks login verification for a locked number', async () => {
+      const { user } = await createUser({ name: 'Bob' });
+      const sent = await request(app).post('/api/auth/send-otp-login').send({ phone: user.phone }).expect(200);
+      await OtpLockout.create({ phone: user.phone, lockedUntil: new Date(Date.now() + 60000), level: 1 });
+
+      const res = await request(app)
+        .post('/api/auth/verify-otp-login')
+        .send({ otp: sent.body.otp, sessionId: sent.body.sessionId });
+      assert.equal(res.status, 429);
+      assert.equal(await OtpAttempt.countDocuments({ phone: user.phone, reason: 'locked' }), 1);
+    });
+
+    it('resets the failure count after a successful verification', async () => {
+      const phone = nextPhone();
+      const sent = await sendCode(phone);
+      await register(phone, sent, wrongCode(sent.otp)).expect(400);
+      await register(phone, sent).expect(201);
+
+      const entry = await OtpLockout.findOne({ phone }).lean();
+      assert.equal(entry.failures, 0);
+    });
+
+    it('keeps escalating lockouts after the owner signs in', async () => {
+      const phone = nextPhone();
+      const { default: OtpAttemptService } = await import('../src/services/otpAttemptService.js');
+      const service = new OtpAttemptService();
+      const fail = async () => {
+        for (let i = 0; i < 10; i++) {
+          await service.recordFailure({ phone }, 'wrong_code');
+        }
+        return OtpLockout.findOne({ phone }).lean();
+      };
+
+      await fail();
+      await OtpLockout.updateOne({ phone }, { $set: { lockedUntil: new Date(Date.now() - 1000) } });
+      const sent = await sendCode(phone);
+      await register(phone, sent).expect(201);
+      assert.equal((await OtpLockout.findOne({ phone }).lean()).level, 1);
+
+      const second = await fail();
+      assert.equal(second.level, 2);
+      assert.ok((second.lockedUntil - Date.now()) / 60000 > 29);
+    });
+
+    it('starts over once a number has been quiet for a full day after its last lockout', async () => {
+      const phone = nextPhone();
+      const { default: OtpAttemptService } = await import('../src/services/otpAttemptService.js');
+      const service = new OtpAttemptService();
+      const dayAgo = new Date(Date.now() - 25 * 60 * 60 * 1000);
+      await OtpLockout.create({ phone, level: 3, lastLockedUntil: dayAgo });
+
+      for (let i = 0; i < 10; i++) {
+        await service.recordFailure({ phone }, 'wrong_code');
+      }
+      const entry = await OtpLockout.findOne({ phone }).lean();
+      assert.equal(entry.level, 1);
+      assert.ok((entry.lockedUntil - Date.now()) / 60000 < 16);
+    });
+  });
+
+  describe('OTP delivery', () => {
+    let delivery;
+    let outbox;
+
+    before(() => {
+      delivery = app.get('otpDeliveryService');
+      outbox = delivery.provider;
+    });
+
+    afterEach(() => {
+      delivery.provider = outbox;
+      outbox.clear();
+    });
+
+    // Local HTTP endpoint standing in for a gateway; replies with the given status
+    const startGateway = async (status = 200) => {
+      const received = [];
+      const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          res.writeHead(status).end();
+        });
+      });
+      server.listen(0, '127.0.0.1');
+      await once(server, 'listening');
+      return { server, received, url: `http://127.0.0.1:${server.address().port}/otp` };
+    };
+
+    it('hands registration codes to the outbox', async () => {
+      const phone = nextPhone();
+      const sent = await request(app).post('/api/auth/send-otp').send({ phone }).expect(200);
+
+      const entry = outbox.latest(phone);
+      assert.equal(entry.code, sent.body.otp);
+      assert.equal(entry.purpose, 'register');
+      assert.equal(entry.sessionId, sent.body.sessionId);
+      assert.match(entry.text, /Your verification code is \d{6}/);
+    });
+
+    it('sends registration codes to the phone only', async () => {
+      const phone = nextPhone();
+      await request(app).post('/api/auth/send-otp').send({ phone, email: 'attacker@example.com' }).expect(200);
+      assert.equal(outbox.latest(phone).email, undefined);
+    });
+
+    it('passes the user\'s email for login codes', async () => {
+      const { user } = await createUser({ name: 'Bob', email: 'bob@example.com' });
+      await request(app).post('/api/auth/send-otp-login').send({ phone: user.phone }).expect(200);
+
+      const entry = outbox.latest(user.phone, 'login');
+      assert.equal(entry.email, 'bob@example.com');
+    });
+
+    it('appends codes to the outbox file', async () => {
+      const { OutboxProvider } = await import('../src/services/otpDeliveryService.js');
+      const file = path.join(os.tmpdir(), `otp-outbox-${process.pid}.jsonl`);
+      const provider = new OutboxProvider({ file });
+      delivery.provider = provider;
+
+      const phone = nextPhone();
+      const sent = await request(app).post('/api/auth/send-otp').send({ phone }).expect(200);
+
+      const lines = (await fs.readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      assert.equal(lines.at(-1).phone, phone);
+      assert.equal(lines.at(-1).code, sent.body.otp);
+      await fs.rm(file, { force: true });
+    });
+
+    it('signs webhook deliveries', async () => {
+      const { WebhookProvider } = await import('../src/services/otpDeliveryService.js');
+      const gateway = await startGateway();
+      delivery.provider = new WebhookProvider({ url: gateway.url, secret: 'hook-secret' });
+
+      try {
+        const phone = nextPhone();
+        const sent = await request(app).post('/api/auth/send-otp').send({ phone }).expect(200);
+
+        const [{ headers, body }] = gateway.received;
+        const expected = crypto.createHmac('sha256', 'hook-secret').update(body).digest('hex');
+        assert.equal(headers['x-signature'], `sha256=${expected}`);
+        assert.equal(JSON.parse(body).code, sent.body.otp);
+      } finally {
+        gateway.server.close();
+      }
+    });
+
+    it('drops the code and returns 502 when delivery fails', async () => {
+      const { SmsGatewayProvider } = await import('../src/services/otpDeliveryService.js');
+      const { default: Otp } = await import('../src/models/Otp.js');
+      const gateway = await startGateway(500);
+      delivery.provider = new SmsGatewayProvider({ url: gateway.url, apiKey: 'key' });
+
+      try {
+        const res = await request(app).post('/api/auth/send-otp').send({ phone: nextPhone() });
+        assert.equal(res.status, 502);
+        assert.equal(res.body.error, 'otp_delivery_failed');
+        assert.equal(res.body.otp, undefined);
+        assert.equal(gateway.received[0].headers.authorization, 'Bearer key');
+        assert.equal(await Otp.countDocuments(), 0);
+      } finally {
+        gateway.server.close();
+      }
+    });
+
+    it('refuses unknown providers and incomplete configuration', async () => {
+      const { default: OtpDeliveryService } = await import('../src/services/otpDeliveryService.js');
+      assert.throws(() => new OtpDeliveryService({ provider: 'pigeon' }), /Unknown OTP provider/);
+      assert.throws(() => new OtpDeliveryService({ provider: 'sms', sms: {} }), /OTP_SMS_URL/);
+    });
+  });
+
+  describe('Passwords', () => {
+    const me = (token) => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+    const login = (phone, password) => request(app).post('/api/auth/login').send({ name: phone, password });
+
+    it('sets a first password with a password OTP', async () => {
+      const alice = await createUser({ name: 'Alice' });
+
+      const without = await request(app).put('/api/auth/password').set(alice.auth).send({ newPassword: 'harbor42light' });
+      assert.equal(without.status, 400);
+      assert.equal(without.body.error, 'verification_required');
+
+      const sent = await request(app).post('/api/auth/password/otp').set(alice.auth).send({});
+      assert.equal(sent.status, 200);
+
+      const res = await request(app)
+        .put('/api/auth/password')
+        .set(alice.auth)
+        .send({ newPassword: 'harbor42light', sessionId: sent.body.sessionId, otp: sent.body.otp });
+      assert.equal(res.status, 200);
+      assert.equal((await login(alice.user.phone, 'harbor42light')).status, 200);
+    });
+
+    it('changes the password with the current one and signs out other devices', async () => {
+      const alice = await createUser({ name: 'Alice' });
+      const laptop = await createSession(alice.user, 'laptop');
+      const { default: User } = await import('../src/models/User.js');
+      const { hashPassword } = await import('../src/utils/password.js');
+      await User.updateOne({ _id: alice.id }, { passwordHash: await hashPassword('harbor42light') });
+
+      const wrong = await request(app)
+        .put('/api/auth/password')
+        .set(alice.auth)
+        .send({ currentPassword: 'nope-nope1', newPassword: 'compass77north' });
+      assert.equal(wrong.status, 401);
+      assert.equal(wrong.body.error, 'invalid_credentials');
+
+      const res = await request(app)
+        .put('/api/auth/password')
+        .set(alice.auth)
+        .send({ currentPassword: 'harbor42light', newPassword: 'compass77north' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.revokedSessions, 1);
+
+      assert.equal((await me(alice.token)).status, 200);
+      assert.equal((await me(laptop.token)).status, 401);
+      assert.equal((await login(alice.user.phone, 'harbor42light')).status, 401);
+      assert.equal((await login(alice.user.phone, 'compass77north')).status, 200);
+
+      const user = await User.findById(alice.id).lean();
+      assert.ok(user.passwordChangedAt);
+    });
+
+    it('resets a forgotten password and signs out every device', async () => {
+      const alice = await createUser({ name: 'Alice' });
+      const laptop = await createSession(alice.user, 'laptop');
+
+      const sent = await request(app).post('/api/auth/password/otp').send({ phone: alice.user.phone });
+      assert.equal(sent.status, 200);
+
+      const res = await request(app)
+        .post('/api/auth/password/reset')
+        .send({ phone: alice.user.phone, sessionId: sent.body.sessionId, otp: sent.body.otp, newPassword: 'harbor42light' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.revokedSessions, 2);
+      assert.equal(res.body.user.id, alice.id);
+      assert.ok(res.body.refreshToken);
+
+      assert.equal((await me(alice.token)).status, 401);
+      assert.equal((await me(laptop.token)).status, 401);
+      assert.equal((await me(res.body.token)).status, 200);
+      assert.equal((await login(alice.user.phone, 'harbor42light')).status, 200);
+    });
+
+    it('does not send password codes to unknown numbers', async () => {
+      const res = await request(app).post('/api/auth/password/otp').send({ phone: nextPhone() });
+      assert.equal(res.status, 404);
+      assert.equal(res.body.error, 'user_not_found');
+    });
+
+    it('does not accept a login code for a password reset', async () => {
+      const alice = await createUser({ name: 'Alice' });
+      const sent = await request(app).post('/api/auth/send-otp-login').send({ phone: alice.user.phone });
+
+      const res = await request(app)
+        .post('/api/auth/password/reset')
+        .send({ phone: alice.user.phone, sessionId: sent.body.sessionId, otp: sent.body.otp, newPassword: 'harbor42light' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'invalid_session_type');
+    });
+
+    it('does not accept a password code for a login', async () => {
+      const alice = await createUser({ name: 'Alice' });
+      const sent = await request(app).post('/api/auth/password/otp').send({ phone: alice.user.phone });
+
+      const res = await request(app)
+        .post('/api/auth/verify-otp-login')
+        .send({ otp: sent.body.otp, sessionId: sent.body.sessionId });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'invalid_session_type');
+    });
+
+    it('rejects weak passwords', async () => {
+      const alice = await createUser({ name: 'Alice' });
+      const sent = await request(app).post('/api/auth/password/otp').send({ phone: alice.user.phone });
+      const reset = (newPassword) => request(app)
+        .post('/api/auth/password/reset')
+        .send({ phone: alice.user.phone, sessionId: sent.body.sessionId, otp: sent.body.otp, newPassword });
+
+      for (const weak of ['short1', 'lettersonly', 'password123', `x${alice.user.phone.slice(-6)}y`, 'alice2024!']) {
+        const res = await reset(weak);
+        assert.equal(res.status, 400, weak);
+        assert.equal(res.body.error, 'weak_password');
+      }
+
+      // Rejections do not use up the code
+      assert.equal((await reset('harbor42light')).status, 200);
+    });
+
+    it('caps passwords at the 72 bytes bcrypt reads', async () => {
+      const alice = await createUser({ name: 'Alice' });
+      const sent = await request(app).post('/api/auth/password/otp').send({ phone: alice.user.phone });
+      const reset = (newPassword) => request(app)
+        .post('/api/auth/password/reset')
+        .send({ phone: alice.user.phone, sessionId: sent.body.sessionId, otp: sent.body.otp, newPassword });
+
+      // 40 characters, but 79 bytes
+      const accented = `${'é'.repeat(39)}1`;
+      const res = await reset(accented);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'weak_password');
+      assert.match(res.body.message, /72 bytes/);
+
+      assert.equal((await reset(`${'a'.repeat(71)}1`)).status, 200);
+    });
+
+    it('applies the rules at registration', async () => {
+      const phone = nextPhone();
+      const sent = await request(app).post('/api/auth/send-otp').send({ phone });
+
+      const res = await request(app)
+        .post('/api/auth/verify-otp-register')
+        .send({ name: 'Alice', phone, otp: sent.body.otp, sessionId: sent.body.sessionId, password: '12345678' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'weak_password');
+    });
+  });
+
+  describe('POST /refresh', () => {
+    const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+    const me = (token) => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    it('rotates the token pair', async () => {
+      const alice = await createUser({ name: 'Alice' });
+
+      const res = await refresh(alice.refreshToken);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.sessionId, alice.sessionId);
+      assert.notEqual(res.body.refreshToken, alice.refreshToken);
+      assert.ok(res.body.expiresIn > 0);
+      assert.equal((await me(res.body.token)).status, 200);
+
+      const again = await refresh(res.body.refreshToken);
+      assert.equal(again.status, 200);
+    });
+
+    it('revokes the session when a rotated-out token is replayed', async () => {
+      const alice = await createUser({ name: 'Alice' });
+      const rotated = await refresh(alice.refreshToken).expect(200);
+
+      const replay = await refresh(alice.refreshToken);
+      assert.equal(replay.status, 401);
+      assert.equal(replay.body.error, 'refresh_token_reused');
+
+      // Everything issued for the session is dead, including the newest pair
+      assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+      assert.equal((await me(rotated.body.token)).status, 401);
+      assert.equal((await me(alice.token)).status, 401);
+    });
+
+    it('leaves other sessions alone on reuse', async () => {
+      const alice = await createUser({ name: 'Alice' });
+      const laptop = await createSession(alice.user, 'laptop');
+      const { default: Session } = await import('../src/models/Session.js');
+
+      await refresh(alice.refreshToken).expect(200);
+      await refresh(alice.refreshToken).expect(401);
+
+      const session = await Session.findOne({ sessionId: alice.sessionId }).lean();
+      assert.equal(session.valid, false);
+      assert.equal(session.revokedReason, 'refresh_token_reuse');
+      assert.equal((await me(laptop.token)).status, 200);
+      assert.equal((await refresh(laptop.refreshToken)).status, 200);
+    });
+
+    it('rejects tokens of revoked sessions', async () => {
+      const alice = await createUser({ name: 'Alice' });
+      await request(app).delete(`/api/auth/sessions/${alice.sessionId}`).set(alice.auth).expect(200);
+
+      const res = await refresh(alice.refreshToken);
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, 'invalid_session');
+    });
+
+    it('rejects missing and malformed tokens', async () => {
+      assert.equal((await request(app).post('/api/auth/refresh').send({})).status, 400);
+
+      const res = await refresh('not-a-refresh-token');
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, 'invalid_refresh_token');
+    });
+  });
+
+  describe('GET /me', () => {
+    it('requires a bearer token', async () => {
+      const res = await request(app).get('/api/auth/me');
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, 'unauthorized');
+    });
+
+    it('rejects an invalid token', async () => {
+      const res = await request(app).get('/api/auth/me').set('Authorization', 'Bearer not-a-jwt');
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, 'invalid_token');
+    });
+
+    it('returns the current user', async () => {
+      const alice = await createUser({ name: 'Alice' });
+      const res = await request(app).get('/api/auth/me').set(alice.auth);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.user.id, alice.id);
+    });
+  });
+});
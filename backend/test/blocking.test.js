@@ -0,0 +1,225 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  createConversation,
+  missingId
+} from './helpers/testServer.js';
+import { createClient, connectClient, waitFor, collect, disconnectAll } from './helpers/socketClient.js';
+import Conversation from '../src/models/Conversation.js';
+
+const offer = { type: 'offer', sdp: 'v=0 offer' };
+
+describe('Blocking', () => {
+  let app;
+  let alice;
+  let bob;
+  let carol;
+  let conversation;
+
+  before(async () => {
+    ({ app } = await startTestServer());
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    carol = await createUser({ name: 'Carol' });
+    conversation = await createConversation(alice, bob);
+  });
+
+  afterEach(disconnectAll);
+
+  const block = (account, target) => request(app).post(`/api/users/${target.id}/block`).set(account.auth);
+  const unblock = (account, target) => request(app).delete(`/api/users/${target.id}/block`).set(account.auth);
+  const send = (account, content, id = conversation._id) => request(app)
+    .post('/api/messages')
+    .set(account.auth)
+    .send({ conversationId: String(id), content });
+  const status = async (id = conversation._id) => (await Conversation.findById(id).lean()).status;
+
+  describe('/api/users/:userId/block', () => {
+    it('blocks, lists and unblocks users', async () => {
+      const res = await block(alice, bob);
+      assert.equal(res.status, 201);
+      assert.equal(res.body.changed, true);
+      assert.equal(res.body.block.userId, bob.id);
+      assert.ok(res.body.block.blockedAt);
+
+      const again = await block(alice, bob);
+      assert.equal(again.status, 200);
+      assert.equal(again.body.changed, false);
+      assert.equal(again.body.block.blockedAt, res.body.block.blockedAt);
+
+      const list = await request(app).get('/api/users/blocked').set(alice.auth);
+      assert.equal(list.status, 200);
+      assert.deepEqual(list.body.blocked.map(b => [b.userId, b.name]), [[bob.id, 'Bob']]);
+      assert.deepEqual((await request(app).get('/api/users/blocked').set(bob.auth)).body.blocked, []);
+
+      const removed = await unblock(alice, bob);
+      assert.equal(removed.status, 200);
+      assert.equal(removed.body.changed, true);
+      assert.equal((await unblock(alice, bob)).body.changed, false);
+      assert.deepEqual((await request(app).get('/api/users/blocked').set(alice.auth)).body.blocked, []);
+    });
+
+    it('validates the target', async () => {
+      const self = await block(alice, alice);
+      assert.equal(self.status, 400);
+      assert.equal(self.body.error, 'validation_error');
+
+      const missing = await request(app).post(`/api/users/${missingId()}/block`).set(alice.auth);
+      assert.equal(missing.status, 404);
+      assert.equal((await request(app).post('/api/users/nope/block').set(alice.auth)).status, 404);
+    });
+
+    it('marks the direct conversation blocked until both sides unblock', async () => {
+      await Conversation.updateOne({ _id: conversation._id }, { status: 'pending' });
+
+      await block(alice, bob).expect(201);
+      assert.equal(await status(), 'blocked');
+      await block(bob, alice).expect(201);
+
+      await unblock(alice, bob).expect(200);
+      assert.equal(await status(), 'blocked');
+
+      // Back to where it was before the first block
+      await unblock(bob, alice).expect(200);
+      assert.equal(await status(), 'pending');
+    });
+
+    it('tells the blocker\'s other devices', async () => {
+      const socket = await connectClient(alice);
+      const blocked = waitFor(socket, 'user_blocked');
+      await block(alice, bob).expect(201);
+      assert.equal((await blocked).userId, bob.id);
+
+      const unblocked = waitFor(socket, 'user-unblocked');
+      await unblock(alice, bob).expect(200);
+      assert.deepEqual(await unblocked, { userId: bob.id });
+    });
+  });
+
+  describe('messaging', () => {
+    it('refuses direct messages in both directions', async () => {
+      await block(alice, bob).expect(201);
+
+      for (const sender of [alice, bob]) {
+        const res = await send(sender, 'hello');
+        assert.equal(res.status, 403);
+        assert.equal(res.body.error, 'blocked');
+      }
+
+      await unblock(alice, bob).expect(200);
+      assert.equal((await send(bob, 'hello again')).status, 200);
+    });
+
+    it('still allows messages in shared groups', async () => {
+      const group = await createConversation(alice, bob, carol);
+      await block(alice, bob).expect(201);
+      assert.equal((await send(bob, 'hello team', group._id)).status, 200);
+    });
+
+    it('refuses chat requests and new chats', async () => {
+      await block(bob, alice).expect(201);
+
+      const requested = await request(app)
+        .post('/api/conversations/chat-requests')
+        .set(alice.auth)
+        .send({ from: alice.id, toPhone: bob.user.phone });
+      assert.equal(requested.status, 403);
+      assert.equal(requested.body.error, 'blocked');
+
+      const started = await request(app)
+        .post('/api/conversations/contacts/start-chat')
+        .set(alice.auth)
+        .send({ from: alice.id, toPhone: bob.user.phone });
+      assert.equal(started.status, 403);
+      assert.equal(await status(), 'blocked');
+
+      const created = await request(app)
+        .post('/api/conversations')
+        .set(alice.auth)
+        .send({ otherUserId: bob.id });
+      assert.equal(created.status, 403);
+    });
+  });
+
+  describe('calls', () => {
+    it('refuses call invites in both directions', async () => {
+      await block(alice, bob).expect(201);
+      const aliceSocket = await connectClient(alice);
+      const bobSocket = await connectClient(bob);
+      const incoming = collect(aliceSocket, 'call:incoming');
+
+      const refused = waitFor(bobSocket, 'call:busy');
+      bobSocket.emit('call:invite', { to: alice.id, sdp: offer });
+      assert.deepEqual(await refused, { to: alice.id, error: 'blocked' });
+
+      const legacy = waitFor(aliceSocket, 'call_error');
+      aliceSocket.emit('call_offer', { to: bob.id, sdp: offer });
+      assert.deepEqual(await legacy, { error: 'blocked' });
+
+      assert.deepEqual(await incoming, []);
+    });
+  });
+
+  describe('presence', () => {
+    it('hides online status and last seen from both sides', async () => {
+      await block(bob, alice).expect(201);
+      const bobSocket = await connectClient(bob);
+      const carolSocket = await connectClient(carol);
+
+      const bobSees = collect(bobSocket, 'presence', 500);
+      const carolSees = waitFor(carolSocket, 'presence', { filter: p => p.uid === alice.id });
+      const bobOnlineLists = collect(bobSocket, 'online-users', 500);
+      const carolOnlineList = waitFor(carolSocket, 'online-users', { filter: ids => ids.includes(alice.id) });
+      const aliceSocket = await createClient(alice);
+      const initial = waitFor(aliceSocket, 'presence:initial');
+      await connectClient(aliceSocket);
+
+      assert.equal((await carolSees).online, true);
+      assert.ok((await carolOnlineList).includes(bob.id));
+      const bobLists = await bobOnlineLists;
+      assert.ok(bobLists.length > 0);
+      assert.ok(bobLists.every(ids => !ids.includes(alice.id) && ids.includes(carol.id)));
+      assert.deepEqual((await bobSees).filter(p => p.uid === alice.id), []);
+      const initialUsers = (await initial).users;
+      assert.equal(initialUsers[bob.id], undefined);
+      assert.equal(initialUsers[carol.id].online, true);
+
+      const presence = await request(app)
+        .get('/api/users/presence')
+        .query({ ids: `${bob.id},${carol.id}`, verbose: '1' })
+        .set(alice.auth);
+      assert.deepEqual(presence.body.presence[bob.id], { online: false, isOnline: false, at: null, lastSeen: null });
+      assert.equal(presence.body.presence[carol.id].online, true);
+
+      const profile = await request(app).get(`/api/users/profile/${alice.id}`).set(bob.auth);
+      assert.equal(profile.body.user.isOnline, false);
+      assert.equal(profile.body.user.lastSeen, null);
+    });
+
+    it('does not relay typing between blocked users', async () => {
+      const group = await createConversation(alice, bob, carol);
+      await block(bob, alice).expect(201);
+      const aliceSocket = await connectClient(alice);
+      const bobSocket = await connectClient(bob);
+      const carolSocket = await connectClient(carol);
+
+      const bobTyping = collect(bobSocket, 'typing');
+      const carolTyping = waitFor(carolSocket, 'typing');
+      aliceSocket.emit('typing', { conversationId: String(group._id), typing: true });
+
+      assert.equal((await carolTyping).from, alice.id);
+      assert.deepEqual(await bobTyping, []);
+    });
+  });
+});
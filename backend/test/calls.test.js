@@ -0,0 +1,343 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import request from 'supertest';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  missingId
+} from './helpers/testServer.js';
+import { connectClient, waitFor, collect, disconnectAll } from './helpers/socketClient.js';
+import Call from '../src/models/Call.js';
+import Notification from '../src/models/Notification.js';
+
+const offer = { type: 'offer', sdp: 'v=0 offer' };
+const answer = { type: 'answer', sdp: 'v=0 answer' };
+
+describe('/api/calls', () => {
+  let app;
+  let alice;
+  let bob;
+  let carol;
+  let ringTimeoutMs;
+  let iceServers;
+
+  before(async () => {
+    ({ app } = await startTestServer());
+    ({ ringTimeoutMs, iceServers } = app.get('callService'));
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    carol = await createUser({ name: 'Carol' });
+  });
+
+  afterEach(async () => {
+    Object.assign(app.get('callService'), { ringTimeoutMs, iceServers });
+    await disconnectAll();
+  });
+
+  const history = (account, query = {}) => request(app).get('/api/calls').query(query).set(account.auth);
+  const missedCount = async (account) =>
+    (await request(app).get('/api/calls/missed/count').set(account.auth)).body.count;
+  const missedNotifications = async (account) =>
+    (await request(app).get('/api/notifications').set(account.auth)).body.notifications
+      .filter(n => n.type === 'incoming_call');
+
+  // Ring the callee and resolve with the callId once it rings
+  const ring = async (caller, calleeSocket, callee, kind = 'audio') => {
+    const incoming = waitFor(calleeSocket, 'call:incoming');
+    caller.emit('call:invite', { to: callee.id, sdp: offer, kind });
+    return (await incoming).callId;
+  };
+  const ended = (socket) => waitFor(socket, 'call:ended');
+
+  it('requires authentication', async () => {
+    assert.equal((await request(app).get('/api/calls')).status, 401);
+  });
+
+  it('records answered calls for both participants', async () => {
+    const aliceSocket = await connectClient(alice);
+    const bobSocket = await connectClient(bob);
+    const callId = await ring(aliceSocket, bobSocket, bob, 'video');
+
+    const stored = await Call.findOne({ callId }).lean();
+    assert.equal(stored.status, 'ringing');
+
+    const answered = waitFor(aliceSocket, 'call:answer');
+    bobSocket.emit('call:answer', { callId, accept: true, sdp: answer });
+    await answered;
+    const hungUp = ended(bobSocket);
+    aliceSocket.emit('call:hangup', { callId });
+    await hungUp;
+
+    const outgoing = (await history(alice)).body.calls;
+    assert.equal(outgoing.length, 1);
+    assert.equal(outgoing[0].callId, callId);
+    assert.equal(outgoing[0].direction, 'outgoing');
+    assert.deepEqual(outgoing[0].peer, { id: bob.id, name: 'Bob', avatar: null });
+    assert.equal(outgoing[0].kind, 'video');
+    assert.equal(outgoing[0].status, 'ended');
+    assert.equal(outgoing[0].endReason, 'hangup');
+    assert.equal(outgoing[0].missed, false);
+    assert.ok(outgoing[0].answeredAt);
+    assert.ok(outgoing[0].endedAt);
+    assert.ok(outgoing[0].duration >= 0);
+
+    const incoming = (await history(bob)).body.calls;
+    assert.equal(incoming[0].direction, 'incoming');
+    assert.equal(incoming[0].peer.id, alice.id);
+    assert.equal(incoming[0].missed, false);
+    assert.equal(String((await Call.findOne({ callId }).lean()).endedBy), alice.id);
+  });
+
+  it('tells missed calls apart from declined ones', async () => {
+    const aliceSocket = await connectClient(alice);
+    const bobSocket = await connectClient(bob);
+
+    const declinedId = await ring(aliceSocket, bobSocket, bob);
+    const declined = waitFor(aliceSocket, 'call:declined');
+    bobSocket.emit('call:answer', { callId: declinedId, accept: false });
+    await declined;
+
+    // The caller gives up before Bob answers
+    const cancelledId = await ring(aliceSocket, bobSocket, bob);
+    const cancelled = ended(bobSocket);
+    aliceSocket.emit('call:hangup', { callId: cancelledId });
+    await cancelled;
+
+    const calls = (await history(bob)).body.calls;
+    assert.deepEqual(calls.map(c => [c.callId, c.endReason, c.missed]), [
+      [cancelledId, 'hangup', true],
+      [declinedId, 'declined', false]
+    ]);
+    // Missed only applies to the callee
+    assert.ok((await history(alice)).body.calls.every(c => !c.missed));
+
+    const missed = await history(bob, { missed: 1 });
+    assert.deepEqual(missed.body.calls.map(c => c.callId), [cancelledId]);
+
+    assert.equal(await missedCount(bob), 1);
+    assert.equal(await missedCount(alice), 0);
+    const seen = await request(app).post('/api/calls/missed/seen').set(bob.auth);
+    assert.equal(seen.status, 200);
+    assert.equal(seen.body.updated, 1);
+    assert.equal(await missedCount(bob), 0);
+
+    // Only the missed one is notified
+    const notifications = await missedNotifications(bob);
+    assert.deepEqual(notifications.map(n => [n.data.callId, n.data.reason]), [[cancelledId, 'hangup']]);
+    assert.equal(notifications[0].title, 'Missed call');
+    assert.equal(notifications[0].body, 'Alice tried to call you');
+    assert.deepEqual(await missedNotifications(alice), []);
+  });
+
+  it('keeps missed-call notifications instead of expiring them after an hour', async () => {
+    const notificationService = app.get('notificationService');
+    await notificationService.createMissedCallNotification({
+      callId: 'missed-call', caller: alice.id, callee: bob.id, kind: 'audio', reason: 'timeout'
+    });
+    const ringing = await Notification.create({
+      recipient: bob.id, sender: alice.id, type: 'incoming_call', title: 'Incoming call', body: 'Alice is calling'
+    });
+
+    const missed = await Notification.findOne({ 'data.callId': 'missed-call' }).lean();
+    assert.equal(missed.expiresAt, undefined);
+    assert.ok(ringing.expiresAt > new Date());
+  });
+
+  it('records busy, disconnected and timed out calls', async () => {
+    const aliceSocket = await connectClient(alice);
+    const bobSocket = await connectClient(bob);
+    const carolSocket = await connectClient(carol);
+    const callId = await ring(aliceSocket, bobSocket, bob);
+
+    const busy = waitFor(carolSocket, 'call:busy');
+    carolSocket.emit('call:invite', { to: bob.id, sdp: offer });
+    await busy;
+    const [busyCall] = (await history(bob)).body.calls.filter(c => c.peer.id === carol.id);
+    assert.equal(busyCall.endReason, 'busy');
+    assert.equal(busyCall.missed, true);
+    assert.equal((await missedNotifications(bob))[0].data.reason, 'busy');
+
+    const disconnected = ended(aliceSocket);
+    bobSocket.disconnect();
+    await disconnected;
+    const record = await Call.findOne({ callId }).lean();
+    assert.equal(record.endReason, 'disconnect');
+    assert.equal(String(record.endedBy), bob.id);
+
+    const timedOutId = await ring(aliceSocket, carolSocket, carol);
+    await app.get('callService').finishCall(timedOutId, 'timeout');
+    const timedOut = await Call.findOne({ callId: timedOutId }).lean();
+    assert.equal(timedOut.endReason, 'timeout');
+    assert.equal(timedOut.duration, 0);
+    assert.equal(await missedCount(carol), 1);
+  });
+
+  it('notifies a missed call when the ring timeout fires', async () => {
+    app.get('callService').ringTimeoutMs = 500;
+    const aliceSocket = await connectClient(alice);
+    const phone = await connectClient(bob);
+    const laptop = await connectClient(bob);
+    const callId = await ring(aliceSocket, phone, bob, 'video');
+
+    // Closing one device keeps the call ringing on the other
+    const notified = waitFor(laptop, 'notification:new', { timeout: 3000 });
+    const timedOut = waitFor(laptop, 'call:ended', { timeout: 3000 });
+    phone.disconnect();
+    assert.deepEqual(await timedOut, { callId, by: 'timeout' });
+
+    const notification = await notified;
+    assert.equal(notification.type, 'incoming_call');
+    assert.equal(notification.title, 'Missed video call');
+    assert.equal(notification.data.callId, callId);
+    assert.equal(notification.data.callerId, alice.id);
+    assert.equal(notification.data.reason, 'timeout');
+    assert.equal((await Call.findOne({ callId }).lean()).endReason, 'timeout');
+    assert.equal((await missedNotifications(bob)).length, 1);
+  });
+
+  it('rings every device and signals only the one that answered', async () => {
+    const aliceSocket = await connectClient(alice);
+    const phone = await connectClient(bob);
+    const laptop = await connectClient(bob);
+    const laptopRings = waitFor(laptop, 'call:incoming');
+    const callId = await ring(aliceSocket, phone, bob);
+    assert.equal((await laptopRings).callId, callId);
+
+    const phoneCancelled = collect(phone, 'call:answered_elsewhere');
+    const laptopCancelled = waitFor(laptop, 'call:answered_elsewhere');
+    const answered = waitFor(aliceSocket, 'call:answer');
+    phone.emit('call:answer', { callId, accept: true, sdp: answer });
+    await answered;
+    assert.deepEqual(await laptopCancelled, { callId });
+    assert.deepEqual(await phoneCancelled, []);
+
+    const again = await app.get('callService').answerCall(callId, bob.id, true, answer, laptop.id);
+    assert.equal(again.error, 'already_answered');
+
+    const laptopCandidates = collect(laptop, 'call:candidate');
+    const phoneCandidate = waitFor(phone, 'call:candidate');
+    aliceSocket.emit('call:candidate', { callId, candidate: { candidate: 'c1' } });
+    assert.equal((await phoneCandidate).from, alice.id);
+    assert.deepEqual(await laptopCandidates, []);
+
+    // Only the device in the call ends it by disconnecting
+    const stillUp = collect(aliceSocket, 'call:ended');
+    laptop.disconnect();
+    assert.deepEqual(await stillUp, []);
+    const hungUp = ended(aliceSocket);
+    phone.disconnect();
+    assert.deepEqual(await hungUp, { callId, by: 'disconnect' });
+    assert.deepEqual(await missedNotifications(bob), []);
+  });
+
+  it('lets only one device answer when two answer at once', async () => {
+    const aliceSocket = await connectClient(alice);
+    const phone = await connectClient(bob);
+    const laptop = await connectClient(bob);
+    const callId = await ring(aliceSocket, phone, bob);
+
+    const answers = collect(aliceSocket, 'call:answer');
+    const callService = app.get('callService');
+    const results = await Promise.all([
+      callService.answerCall(callId, bob.id, true, answer, phone.id),
+      callService.answerCall(callId, bob.id, true, answer, laptop.id)
+    ]);
+
+    assert.deepEqual(results.map(r => r.success).sort(), [false, true]);
+    assert.equal(results.find(r => !r.success).error, 'already_answered');
+    assert.equal((await answers).length, 1);
+    const winner = results[0].success ? phone.id : laptop.id;
+    assert.equal((await callService.getCall(callId)).calleeSocket, winner);
+  });
+
+  it('only lets the callee answer', async () => {
+    const aliceSocket = await connectClient(alice);
+    const bobSocket = await connectClient(bob);
+    const callId = await ring(aliceSocket, bobSocket, bob);
+
+    const result = await app.get('callService').answerCall(callId, alice.id, false);
+    assert.equal(result.success, false);
+    assert.equal((await Call.findOne({ callId }).lean()).status, 'ringing');
+  });
+
+  it('pages through history newest first', async () => {
+    const callService = app.get('callService');
+    for (let i = 0; i < 5; i++) {
+      await callService.recordCall({ callId: `paged-${i}`, caller: alice.id, callee: bob.id, status: 'ended' });
+    }
+
+    const first = await history(alice, { limit: 2 });
+    assert.deepEqual(first.body.calls.map(c => c.callId), ['paged-4', 'paged-3']);
+    assert.equal(first.body.hasMore, true);
+
+    const second = await history(alice, { limit: 2, cursor: first.body.nextCursor });
+    assert.deepEqual(second.body.calls.map(c => c.callId), ['paged-2', 'paged-1']);
+
+    const last = await history(alice, { limit: 2, cursor: second.body.nextCursor });
+    assert.deepEqual(last.body.calls.map(c => c.callId), ['paged-0']);
+    assert.equal(last.body.hasMore, false);
+    assert.equal(last.body.nextCursor, null);
+
+    assert.equal((await history(alice, { cursor: 'nope' })).status, 400);
+  });
+
+  it('hands out ICE servers with time-limited TURN credentials', async () => {
+    const url = '/api/calls/ice-servers';
+    assert.equal((await request(app).get(url)).status, 401);
+
+    // STUN only until a TURN server is configured
+    const stunOnly = await request(app).get(url).set(alice.auth);
+    assert.equal(stunOnly.status, 200);
+    assert.deepEqual(stunOnly.body.iceServers, [{ urls: iceServers.stunUrls }]);
+    assert.equal(stunOnly.body.ttl, null);
+
+    app.get('callService').iceServers = {
+      stunUrls: ['stun:turn.example.com:3478'],
+      turnUrls: ['turn:turn.example.com:3478', 'turns:turn.example.com:5349'],
+      turnSecret: 'shared-secret',
+      turnCredentialTtlSeconds: 3600
+    };
+    const res = await request(app).get(url).set(alice.auth);
+    const [stun, turn] = res.body.iceServers;
+    assert.deepEqual(stun, { urls: ['stun:turn.example.com:3478'] });
+    assert.deepEqual(turn.urls, ['turn:turn.example.com:3478', 'turns:turn.example.com:5349']);
+    assert.equal(res.body.ttl, 3600);
+
+    // The TURN server checks the expiry in the username and the HMAC of it
+    const [expiry, userId] = turn.username.split(':');
+    assert.equal(userId, alice.id);
+    assert.ok(Math.abs(Number(expiry) - (Date.now() / 1000 + 3600)) < 5);
+    assert.equal(new Date(res.body.expiresAt).getTime(), Number(expiry) * 1000);
+    const expected = crypto.createHmac('sha1', 'shared-secret').update(turn.username).digest('base64');
+    assert.equal(turn.credential, expected);
+  });
+
+  it('deletes calls from one participant\'s history only', async () => {
+    const callService = app.get('callService');
+    await callService.recordCall({ callId: 'kept', caller: alice.id, callee: bob.id, status: 'ended' });
+    await callService.recordCall({ callId: 'removed', caller: alice.id, callee: bob.id, status: 'ended' });
+    const removed = await Call.findOne({ callId: 'removed' }).lean();
+
+    assert.equal((await request(app).delete(`/api/calls/${removed._id}`).set(carol.auth)).status, 404);
+    assert.equal((await request(app).delete(`/api/calls/${missingId()}`).set(alice.auth)).status, 404);
+
+    const res = await request(app).delete(`/api/calls/${removed._id}`).set(alice.auth);
+    assert.equal(res.status, 200);
+    assert.deepEqual((await history(alice)).body.calls.map(c => c.callId), ['kept']);
+    assert.deepEqual((await history(bob)).body.calls.map(c => c.callId), ['removed', 'kept']);
+
+    const cleared = await request(app).delete('/api/calls').set(bob.auth);
+    assert.equal(cleared.body.deleted, 2);
+    assert.deepEqual((await history(bob)).body.calls, []);
+    assert.deepEqual((await history(alice)).body.calls.map(c => c.callId), ['kept']);
+  });
+});
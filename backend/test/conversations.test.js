@@ -0,0 +1,205 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  createConversation,
+  missingId
+} from './helpers/testServer.js';
+
+describe('/api/conversations', () => {
+  let app;
+  let alice;
+  let bob;
+  let mallory;
+
+  before(async () => {
+    ({ app } = await startTestServer());
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    mallory = await createUser({ name: 'Mallory' });
+  });
+
+  it('requires authentication', async () => {
+    const res = await request(app).get('/api/conversations');
+    assert.equal(res.status, 401);
+  });
+
+  describe('GET /', () => {
+    it('lists conversations with previews and unread counts', async () => {
+      const conv = await createConversation(alice, bob);
+      await request(app)
+        .post('/api/messages')
+        .set(bob.auth)
+        .send({ conversationId: String(conv._id), content: 'ping' })
+        .expect(200);
+
+      const res = await request(app).get('/api/conversations').set(alice.auth);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.conversations.length, 1);
+      assert.equal(res.body.conversations[0].lastPreview, 'ping');
+      assert.equal(res.body.conversations[0].lastFrom, bob.id);
+      assert.equal(res.body.conversations[0].unreadCount, 1);
+    });
+
+    it('returns 403 when asking for another user', async () => {
+      const res = await request(app).get(`/api/conversations?me=${bob.id}`).set(alice.auth);
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('POST /', () => {
+    it('creates a direct conversation once', async () => {
+      const first = await request(app).post('/api/conversations').set(alice.auth).send({ otherUserId: bob.id });
+      assert.equal(first.status, 201);
+
+      const second = await request(app).post('/api/conversations').set(alice.auth).send({ otherUserId: bob.id });
+      assert.equal(second.status, 200);
+      assert.equal(String(second.body.conversation._id), String(first.body.conversation._id));
+    });
+  });
+
+  describe('GET /:conversationId', () => {
+    it('returns details to members', async () => {
+      const conv = await createConversation(alice, bob);
+      const res = await request(app).get(`/api/conversations/${conv._id}`).set(bob.auth);
+      assert.equal(res.status, 200);
+      assert.equal(String(res.body.conversation._id), String(conv._id));
+    });
+
+    it('returns 403 to non-members', async () => {
+      const conv = await createConversation(alice, bob);
+      const res = await request(app).get(`/api/conversations/${conv._id}`).set(mallory.auth);
+      assert.equal(res.status, 403);
+    });
+
+    it('returns 404 for an unknown conversation', async () => {
+      const res = await request(app).get(`/api/conversations/${missingId()}`).set(alice.auth);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('DELETE /:conversationId', () => {
+    it('hides the conversation for the caller only', async () => {
+      const conv = await createConversation(alice, bob);
+      const res = await request(app).delete(`/api/conversations/${conv._id}`).set(alice.auth);
+      assert.equal(res.status, 200);
+
+      const forAlice = await request(app).get('/api/conversations').set(alice.auth);
+      assert.equal(forAlice.body.conversations.length, 0);
+      const forBob = await request(app).get('/api/conversations').set(bob.auth);
+      assert.equal(forBob.body.conversations.length, 1);
+    });
+
+    it('returns 403 to non-members', async () => {
+      const conv = await createConversation(alice, bob);
+      const res = await request(app).delete(`/api/conversations/${conv._id}`).set(mallory.auth);
+      assert.equal(res.status, 403);
+    });
+
+    it('returns 404 for an unknown conversation', async () => {
+      const res = await request(app).delete(`/api/conversations/${missingId()}`).set(alice.auth);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('chat requests', () => {
+    const sendRequest = (from, to) => request(app)
+      .post('/api/conversations/chat-requests')
+      .set(from.auth)
+      .send({ from: from.id, toPhone: to.user.phone });
+
+    it('creates a pending conversation the recipient can accept', async () => {
+      const sent = await sendRequest(alice, bob);
+      assert.equal(sent.status, 200);
+      assert.equal(sent.body.conversation.status, 'pending');
+
+      const pending = await request(app).get('/api/conversations/chat-requests').set(bob.auth);
+      assert.equal(pending.body.conversations.length, 1);
+
+      const accepted = await request(app)
+        .post(`/api/conversations/chat-requests/${sent.body.conversation._id}/accept`)
+        .set(bob.auth)
+        .send({});
+      assert.equal(accepted.status, 200);
+      assert.equal(accepted.body.conversation.status, 'active');
+    });
+
+    it('can be declined', async () => {
+      const sent = await sendRequest(alice, bob);
+      const declined = await request(app)
+        .post(`/api/conversations/chat-requests/${sent.body.conversation._id}/decline`)
+        .set(bob.auth)
+        .send({});
+      assert.equal(declined.status, 200);
+      assert.equal(declined.body.conversation.status, 'declined');
+    });
+
+    it('validates the request body', async () => {
+      const missing = await request(app).post('/api/conversations/chat-requests').set(alice.auth).send({});
+      assert.equal(missing.status, 400);
+
+      const spoofed = await request(app)
+        .post('/api/conversations/chat-requests')
+        .set(alice.auth)
+        .send({ from: bob.id, toPhone: mallory.user.phone });
+      assert.equal(spoofed.status, 403);
+
+      const unknown = await request(app)
+        .post('/api/conversations/chat-requests')
+        .set(alice.auth)
+        .send({ from: alice.id, toPhone: '+19999999999' });
+      assert.equal(unknown.status, 404);
+    });
+
+    it('returns 403/404 when accepting someone else\'s request', async () => {
+      const sent = await sendRequest(alice, bob);
+      const outsider = await request(app)
+        .post(`/api/conversations/chat-requests/${sent.body.conversation._id}/accept`)
+        .set(mallory.auth)
+        .send({});
+      assert.equal(outsider.status, 403);
+
+      const unknown = await request(app)
+        .post(`/api/conversations/chat-requests/${missingId()}/decline`)
+        .set(bob.auth)
+        .send({});
+      assert.equal(unknown.status, 404);
+    });
+  });
+
+  describe('contacts', () => {
+    it('matches registered phone numbers', async () => {
+      const res = await request(app)
+        .post('/api/conversations/contacts/sync')
+        .set(alice.auth)
+        .send({ contacts: [bob.user.phone, { phone: '+19999999999' }, alice.user.phone] });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.matches.map(m => m.id), [bob.id]);
+    });
+
+    it('requires an array of contacts', async () => {
+      const res = await request(app).post('/api/conversations/contacts/sync').set(alice.auth).send({});
+      assert.equal(res.status, 400);
+    });
+
+    it('starts an active chat by phone', async () => {
+      const res = await request(app)
+        .post('/api/conversations/contacts/start-chat')
+        .set(alice.auth)
+        .send({ from: alice.id, toPhone: bob.user.phone });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.conversation.status, 'active');
+      assert.deepEqual([...res.body.conversation.participants].sort(), [alice.id, bob.id].sort());
+    });
+  });
+});
@@ -0,0 +1,265 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  createConversation,
+  missingId
+} from './helpers/testServer.js';
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000);
+
+describe('disappearing messages', () => {
+  let app;
+  let alice;
+  let bob;
+  let carol;
+  let conversation;
+  let Conversation;
+  let Message;
+  let Notification;
+  let uploadDir;
+
+  before(async () => {
+    ({ app } = await startTestServer());
+    ({ default: Conversation } = await import('../src/models/Conversation.js'));
+    ({ default: Message } = await import('../src/models/Message.js'));
+    ({ default: Notification } = await import('../src/models/Notification.js'));
+    ({ uploadDir } = await import('../src/utils/uploads.js'));
+    await fs.mkdir(uploadDir, { recursive: true });
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    carol = await createUser({ name: 'Carol' });
+    conversation = await createConversation(alice, bob);
+  });
+
+  const setTimer = (user, ttlSeconds, id = conversation._id) => request(app)
+    .put(`/api/conversations/${id}/disappearing`)
+    .set(user.auth)
+    .send({ ttlSeconds });
+
+  const send = (user, body) => request(app)
+    .post('/api/messages')
+    .set(user.auth)
+    .send({ conversationId: String(conversation._id), ...body });
+
+  // Move a message into the past without touching updatedAt
+  const backdate = (id, date) => Message.collection.updateOne(
+    { _id: new mongoose.Types.ObjectId(String(id)) },
+    { $set: { createdAt: date } }
+  );
+  const enabledSince = (date) => Conversation.collection.updateOne(
+    { _id: conversation._id },
+    { $set: { 'disappearingMessages.enabledAt': date } }
+  );
+  const sweep = () => app.get('disappearingMessageService').sweep();
+
+  const writeUpload = async (name) => {
+    await fs.writeFile(path.join(uploadDir, name), 'data');
+    return `/uploads/${name}`;
+  };
+  const uploadExists = (name) => fs.access(path.join(uploadDir, name)).then(() => true, () => false);
+
+  describe('PUT /api/conversations/:conversationId/disappearing', () => {
+    it('sets the timer and announces it with a system message', async () => {
+      const res = await setTimer(alice, 3600);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.changed, true);
+      assert.equal(res.body.disappearingMessages.ttlSeconds, 3600);
+      assert.ok(res.body.disappearingMessages.enabledAt);
+      assert.equal(res.body.disappearingMessages.updatedBy, alice.id);
+
+      const system = await Message.findOne({ conversation: conversation._id, type: 'system' }).lean();
+      assert.equal(system.content, 'Alice set disappearing messages to 1 hour');
+    });
+
+    it('restarts the start time when the duration changes and clears it when turned off', async () => {
+      const first = await setTimer(alice, 86400);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const second = await setTimer(bob, 7 * 86400);
+      assert.ok(new Date(second.body.disappearingMessages.enabledAt) > new Date(first.body.disappearingMessages.enabledAt));
+
+      const off = await setTimer(bob, 0);
+      assert.equal(off.body.disappearingMessages.ttlSeconds, 0);
+      assert.equal(off.body.disappearingMessages.enabledAt, undefined);
+
+      const announcements = await Message.find({ conversation: conversation._id, type: 'system' })
+        .sort({ createdAt: 1 })
+        .lean();
+      assert.deepEqual(announcements.map(m => m.content), [
+        'Alice set disappearing messages to 1 day',
+        'Bob set disappearing messages to 7 days',
+        'Bob turned off disappearing messages'
+      ]);
+    });
+
+    it('does not announce an unchanged timer', async () => {
+      await setTimer(alice, 3600).expect(200);
+      const res = await setTimer(bob, 3600);
+      assert.equal(res.body.changed, false);
+      assert.equal(await Message.countDocuments({ type: 'system' }), 1);
+    });
+
+    it('does not notify participants about the announcement', async () => {
+      await setTimer(alice, 3600).expect(200);
+      assert.equal(await Notification.countDocuments({ recipient: bob.id }), 0);
+    });
+
+    it('does not let clients send, edit or forward system messages', async () => {
+      const forged = await send(bob, { type: 'system', content: 'Alice turned off disappearing messages' });
+      assert.equal(forged.status, 400);
+      assert.equal(forged.body.error, 'validation_error');
+      assert.equal((await send(bob, { type: 'call_activity', content: 'Call' })).status, 400);
+
+      await setTimer(alice, 3600).expect(200);
+      const announcement = await Message.findOne({ type: 'system' }).lean();
+      const edited = await request(app)
+        .patch(`/api/messages/${announcement._id}`)
+        .set(alice.auth)
+        .send({ content: 'Bob turned off disappearing messages' });
+      assert.equal(edited.status, 400);
+      const forwarded = await request(app)
+        .post('/api/messages/forward')
+        .set(alice.auth)
+        .send({ messageIds: [String(announcement._id)], conversationIds: [String(conversation._id)] });
+      assert.equal(forwarded.status, 400);
+      assert.equal(await Message.countDocuments({ type: 'system' }), 1);
+    });
+
+    it('rejects out-of-range timers', async () => {
+      for (const ttlSeconds of [5, -1, 1.5, 'soon', 400 * 86400]) {
+        const res = await setTimer(alice, ttlSeconds);
+        assert.equal(res.status, 400, `ttlSeconds ${ttlSeconds}`);
+        assert.equal(res.body.error, 'validation_error');
+      }
+    });
+
+    it('returns 403 to non-members and 404 for unknown conversations', async () => {
+      assert.equal((await setTimer(carol, 3600)).status, 403);
+      assert.equal((await setTimer(alice, 3600, missingId())).status, 404);
+    });
+  });
+
+  describe('PUT /api/groups/:groupId/disappearing', () => {
+    it('lets only admins change the group timer', async () => {
+      const created = await request(app)
+        .post('/api/groups')
+        .set(alice.auth)
+        .send({ name: 'Hikers', participants: [bob.id] })
+        .expect(201);
+      const groupId = created.body.group._id;
+
+      const denied = await request(app)
+        .put(`/api/groups/${groupId}/disappearing`)
+        .set(bob.auth)
+        .send({ ttlSeconds: 3600 });
+      assert.equal(denied.status, 403);
+
+      const direct = await setTimer(bob, 3600, created.body.conversation._id);
+      assert.equal(direct.status, 403);
+
+      const res = await request(app)
+        .put(`/api/groups/${groupId}/disappearing`)
+        .set(alice.auth)
+        .send({ ttlSeconds: 3600 });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.disappearingMessages.conversationId, created.body.conversation._id);
+    });
+
+    it('returns 404 for an unknown group', async () => {
+      const res = await request(app)
+        .put(`/api/groups/${missingId()}/disappearing`)
+        .set(alice.auth)
+        .send({ ttlSeconds: 3600 });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('sweeper', () => {
+    it('hard-deletes expired messages sent since the timer was enabled', async () => {
+      const before = await send(alice, { content: 'before the timer' }).expect(200);
+      await backdate(before.body.message._id, minutesAgo(120));
+
+      await setTimer(alice, 3600).expect(200);
+      await enabledSince(minutesAgo(90));
+
+      const expired = await send(bob, { content: 'expired' }).expect(200);
+      await backdate(expired.body.message._id, minutesAgo(61));
+      const fresh = await send(bob, { content: 'fresh' }).expect(200);
+
+      const removed = await sweep();
+      assert.equal(removed, 1);
+
+      const remaining = (await Message.find({ conversation: conversation._id }).lean()).map(m => String(m._id));
+      assert.ok(remaining.includes(before.body.message._id));
+      assert.ok(remaining.includes(fresh.body.message._id));
+      assert.ok(!remaining.includes(expired.body.message._id));
+      assert.equal(await Notification.countDocuments({ relatedMessage: expired.body.message._id }), 0);
+    });
+
+    it('keeps the longer timer for messages sent before the duration was shortened', async () => {
+      await setTimer(alice, 86400).expect(200);
+      await enabledSince(minutesAgo(180));
+      const early = await send(bob, { content: 'sent under a day' }).expect(200);
+      await backdate(early.body.message._id, minutesAgo(120));
+
+      await setTimer(alice, 3600).expect(200);
+      const late = await send(bob, { content: 'sent under an hour' }).expect(200);
+
+      assert.equal(await sweep(), 0);
+
+      const service = app.get('disappearingMessageService');
+      await service.sweep(new Date(Date.now() + 2 * 60 * 60 * 1000));
+      assert.ok(await Message.exists({ _id: early.body.message._id }));
+      assert.ok(!await Message.exists({ _id: late.body.message._id }));
+
+      await service.sweep(new Date(Date.now() + 25 * 60 * 60 * 1000));
+      assert.ok(!await Message.exists({ _id: early.body.message._id }));
+    });
+
+    it('removes uploaded files unless another message still uses them', async () => {
+      const other = await createConversation(alice, carol);
+      await setTimer(alice, 3600).expect(200);
+      await enabledSince(minutesAgo(120));
+
+      const lonelyUrl = await writeUpload('disappearing-lonely.txt');
+      const sharedUrl = await writeUpload('disappearing-shared.txt');
+      const lonely = await send(alice, { type: 'file', fileUrl: lonelyUrl, fileName: 'a.txt' }).expect(200);
+      const shared = await send(alice, { type: 'file', fileUrl: sharedUrl, fileName: 'b.txt' }).expect(200);
+
+      await request(app)
+        .post('/api/messages/forward')
+        .set(alice.auth)
+        .send({ messageIds: [shared.body.message._id], conversationIds: [String(other._id)] })
+        .expect(201);
+
+      await backdate(lonely.body.message._id, minutesAgo(61));
+      await backdate(shared.body.message._id, minutesAgo(61));
+
+      assert.equal(await sweep(), 2);
+      assert.equal(await uploadExists('disappearing-lonely.txt'), false);
+      assert.equal(await uploadExists('disappearing-shared.txt'), true);
+
+      await fs.rm(path.join(uploadDir, 'disappearing-shared.txt'), { force: true });
+    });
+
+    it('leaves conversations without a timer alone', async () => {
+      const old = await send(alice, { content: 'old' }).expect(200);
+      await backdate(old.body.message._id, minutesAgo(60 * 24 * 400));
+      assert.equal(await sweep(), 0);
+      assert.ok(await Message.exists({ _id: old.body.message._id }));
+    });
+  });
+});
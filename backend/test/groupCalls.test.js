@@ -0,0 +1,249 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  createConversation
+} from './helpers/testServer.js';
+import { connectClient, waitFor, collect, disconnectAll } from './helpers/socketClient.js';
+import Call from '../src/models/Call.js';
+
+const offer = { type: 'offer', sdp: 'v=0 offer' };
+const answer = { type: 'answer', sdp: 'v=0 answer' };
+
+describe('Group calls', () => {
+  let app;
+  let alice;
+  let bob;
+  let carol;
+  let dave;
+  let group;
+  let sockets;
+
+  before(async () => {
+    ({ app } = await startTestServer());
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    carol = await createUser({ name: 'Carol' });
+    dave = await createUser({ name: 'Dave' });
+    group = await createConversation(alice, bob, carol);
+    sockets = {};
+    for (const [name, account] of Object.entries({ alice, bob, carol, dave })) {
+      sockets[name] = await connectClient(account);
+    }
+  });
+
+  afterEach(async () => {
+    app.get('callService').maxGroupCallParticipants = 8;
+    await disconnectAll();
+  });
+
+  // Alice starts a call in the group; resolves with the callId once Bob is rung
+  const start = async (kind = 'audio') => {
+    const incoming = waitFor(sockets.bob, 'group_call:incoming');
+    sockets.alice.emit('group_call:start', { conversationId: String(group._id), kind });
+    return (await incoming).callId;
+  };
+
+  const join = async (name, callId) => {
+    const joined = waitFor(sockets[name], 'group_call:joined');
+    sockets[name].emit('group_call:join', { callId });
+    return joined;
+  };
+
+  it('rings the other members and announces joiners', async () => {
+    const started = waitFor(sockets.alice, 'group_call:started');
+    const carolRung = waitFor(sockets.carol, 'group_call:incoming');
+    const outsider = collect(sockets.dave, 'group_call:incoming');
+    const callId = await start('video');
+
+    const call = await started;
+    assert.equal(call.callId, callId);
+    assert.equal(call.conversationId, String(group._id));
+    assert.equal(call.kind, 'video');
+    assert.deepEqual(call.participants, [alice.id]);
+    const invitation = await carolRung;
+    assert.equal(invitation.from, alice.id);
+    assert.equal(invitation.state, 'ringing');
+    assert.deepEqual(await outsider, []);
+
+    const aliceSees = waitFor(sockets.alice, 'group_call:participant_joined');
+    const joined = await join('bob', callId);
+    assert.deepEqual(joined.participants, [alice.id, bob.id]);
+    assert.equal(joined.state, 'answered');
+    assert.deepEqual(await aliceSees, { callId, userId: bob.id, participants: [alice.id, bob.id] });
+
+    const others = ['alice', 'bob'].map(name => waitFor(sockets[name], 'group_call:participant_joined'));
+    assert.deepEqual((await join('carol', callId)).participants, [alice.id, bob.id, carol.id]);
+    for (const seen of await Promise.all(others)) {
+      assert.equal(seen.userId, carol.id);
+    }
+
+    const refused = waitFor(sockets.dave, 'group_call:error');
+    sockets.dave.emit('group_call:join', { callId });
+    assert.equal((await refused).error, 'not_found');
+  });
+
+  it('routes offers, answers and candidates to one participant', async () => {
+    const callId = await start();
+    await join('bob', callId);
+    await join('carol', callId);
+
+    // Carol joined last, so she offers to everyone already in the call
+    const aliceOffer = waitFor(sockets.alice, 'group_call:offer');
+    const bobOffers = collect(sockets.bob, 'group_call:offer', 300);
+    sockets.carol.emit('group_call:offer', { callId, to: alice.id, sdp: offer });
+    assert.deepEqual(await aliceOffer, { callId, from: carol.id, sdp: offer });
+    assert.deepEqual(await bobOffers, []);
+
+    const carolAnswer = waitFor(sockets.carol, 'group_call:answer');
+    sockets.alice.emit('group_call:answer', { callId, to: carol.id, sdp: answer });
+    assert.deepEqual(await carolAnswer, { callId, from: alice.id, sdp: answer });
+
+    const bobCandidate = waitFor(sockets.bob, 'group_call:candidate');
+    sockets.carol.emit('group_call:candidate', { callId, to: bob.id, candidate: { candidate: 'c1' } });
+    assert.deepEqual(await bobCandidate, { callId, from: carol.id, candidate: { candidate: 'c1' } });
+
+    // Only participants can be addressed
+    const refused = waitFor(sockets.carol, 'group_call:error');
+    sockets.carol.emit('group_call:offer', { callId, to: dave.id, sdp: offer });
+    assert.deepEqual(await refused, { callId, to: dave.id, error: 'not_found' });
+  });
+
+  it('keeps going while two participants remain', async () => {
+    const callId = await start();
+    await join('bob', callId);
+    await join('carol', callId);
+
+    const left = ['bob', 'carol'].map(name => waitFor(sockets[name], 'group_call:participant_left'));
+    sockets.alice.emit('group_call:leave', { callId });
+    for (const event of await Promise.all(left)) {
+      assert.deepEqual(event, { callId, userId: alice.id, reason: 'hangup', participants: [bob.id, carol.id] });
+    }
+    assert.deepEqual((await app.get('callService').getGroupCall(String(group._id), bob.id)).participants, [bob.id, carol.id]);
+
+    const ended = waitFor(sockets.carol, 'group_call:ended');
+    const aliceEnded = waitFor(sockets.alice, 'group_call:ended');
+    sockets.bob.disconnect();
+    assert.deepEqual(await ended, { callId, conversationId: String(group._id), reason: 'disconnect' });
+    await aliceEnded;
+    assert.equal(await app.get('callService').isUserInCall(carol.id), false);
+
+    const record = await Call.findOne({ callId }).lean();
+    assert.equal(record.status, 'ended');
+    assert.equal(record.endReason, 'disconnect');
+    assert.equal(String(record.endedBy), bob.id);
+    assert.deepEqual(record.participants.map(String), [alice.id, bob.id, carol.id]);
+    assert.ok(record.answeredAt);
+
+    const history = await request(app).get('/api/calls').set(carol.auth);
+    assert.equal(history.body.calls.length, 1);
+    assert.equal(history.body.calls[0].isGroup, true);
+    assert.equal(history.body.calls[0].conversationId, String(group._id));
+    assert.equal(history.body.calls[0].direction, 'incoming');
+    assert.equal(history.body.calls[0].peer, null);
+    assert.equal(history.body.calls[0].missed, false);
+  });
+
+  it('ends a call nobody joined when the starter leaves', async () => {
+    const callId = await start();
+    const ended = waitFor(sockets.carol, 'group_call:ended');
+    sockets.alice.emit('group_call:leave', { callId });
+    assert.equal((await ended).reason, 'hangup');
+
+    const record = await Call.findOne({ callId }).lean();
+    assert.equal(record.duration, 0);
+    assert.equal(record.answeredAt, undefined);
+
+    // Members who never joined do not see it in their history
+    assert.deepEqual((await request(app).get('/api/calls').set(bob.auth)).body.calls, []);
+  });
+
+  it('stops ringing on the joiner\'s other devices', async () => {
+    const laptop = await connectClient(bob);
+    const callId = await start();
+
+    const laptopCancelled = waitFor(laptop, 'group_call:joined_elsewhere');
+    await join('bob', callId);
+    assert.deepEqual(await laptopCancelled, { callId });
+
+    // Offers reach the device in the call only
+    const laptopOffers = collect(laptop, 'group_call:offer');
+    const offered = waitFor(sockets.bob, 'group_call:offer');
+    sockets.alice.emit('group_call:offer', { callId, to: bob.id, sdp: offer });
+    assert.equal((await offered).from, alice.id);
+    assert.deepEqual(await laptopOffers, []);
+
+    const stillIn = collect(sockets.alice, 'group_call:participant_left');
+    laptop.disconnect();
+    assert.deepEqual(await stillIn, []);
+  });
+
+  it('limits the number of participants', async () => {
+    app.get('callService').maxGroupCallParticipants = 2;
+    const callId = await start();
+    await join('bob', callId);
+
+    const full = waitFor(sockets.carol, 'group_call:error');
+    sockets.carol.emit('group_call:join', { callId });
+    assert.equal((await full).error, 'call_full');
+  });
+
+  it('allows one call per conversation and refuses busy users', async () => {
+    const callId = await start();
+
+    const inProgress = waitFor(sockets.bob, 'group_call:error');
+    sockets.bob.emit('group_call:start', { conversationId: String(group._id) });
+    assert.deepEqual(await inProgress, {
+      conversationId: String(group._id),
+      error: 'in_progress',
+      message: 'A call is already in progress in this conversation',
+      callId
+    });
+
+    // Carol is in a 1:1 call with Dave
+    const ringing = waitFor(sockets.dave, 'call:incoming');
+    sockets.carol.emit('call:invite', { to: dave.id, sdp: offer });
+    await ringing;
+    const busy = waitFor(sockets.carol, 'group_call:error');
+    sockets.carol.emit('group_call:join', { callId });
+    assert.equal((await busy).error, 'busy');
+
+    // Group participants are busy for 1:1 calls too
+    const refused = waitFor(sockets.dave, 'call:busy');
+    sockets.dave.emit('call:invite', { to: alice.id, sdp: offer });
+    assert.equal((await refused).error, 'busy');
+
+    const direct = await createConversation(alice, bob);
+    const notGroup = waitFor(sockets.bob, 'group_call:error');
+    sockets.bob.emit('group_call:start', { conversationId: String(direct._id) });
+    assert.equal((await notGroup).error, 'not_found');
+  });
+
+  it('reports the call in progress over REST', async () => {
+    const url = `/api/calls/group/${group._id}`;
+    assert.equal((await request(app).get(url).set(alice.auth)).body.call, null);
+
+    const callId = await start('video');
+    await join('bob', callId);
+
+    const res = await request(app).get(url).set(carol.auth);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.call.callId, callId);
+    assert.equal(res.body.call.startedBy, alice.id);
+    assert.equal(res.body.call.kind, 'video');
+    assert.deepEqual(res.body.call.participants, [alice.id, bob.id]);
+    assert.equal(res.body.call.maxParticipants, 8);
+
+    assert.equal((await request(app).get(url).set(dave.auth)).status, 404);
+  });
+});
@@ -0,0 +1,217 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  missingId
+} from './helpers/testServer.js';
+
+describe('/api/groups', () => {
+  let app;
+  let alice;
+  let bob;
+  let carol;
+
+  before(async () => {
+    ({ app } = await startTestServer());
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    carol = await createUser({ name: 'Carol' });
+  });
+
+  const createGroup = (admin, body) => request(app).post('/api/groups').set(admin.auth).send(body);
+
+  it('requires authentication', async () => {
+    const res = await request(app).get('/api/groups');
+    assert.equal(res.status, 401);
+  });
+
+  describe('POST /', () => {
+    it('creates a group with its conversation', async () => {
+      const res = await createGroup(alice, { name: 'Hikers', participants: [bob.id] });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.group.name, 'Hikers');
+      assert.equal(res.body.group.memberCount, 2);
+      assert.ok(res.body.conversation._id);
+      assert.equal(res.body.conversation.isGroup, true);
+    });
+
+    it('allows several groups per admin', async () => {
+      await createGroup(alice, { name: 'One' }).expect(201);
+      await createGroup(alice, { name: 'Two' }).expect(201);
+
+      const res = await request(app).get('/api/groups').set(alice.auth);
+      assert.equal(res.body.groups.length, 2);
+    });
+
+    it('requires a name', async () => {
+      const res = await createGroup(alice, { name: '  ' });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('GET /:groupId', () => {
+    it('returns details to members', async () => {
+      const created = await createGroup(alice, { name: 'Hikers', participants: [bob.id] });
+      const res = await request(app).get(`/api/groups/${created.body.group._id}`).set(bob.auth);
+      assert.equal(res.status, 200);
+    });
+
+    it('returns 403 to non-members', async () => {
+      const created = await createGroup(alice, { name: 'Hikers' });
+      const res = await request(app).get(`/api/groups/${created.body.group._id}`).set(carol.auth);
+      assert.equal(res.status, 403);
+    });
+
+    it('returns 404 for an unknown group', async () => {
+      const res = await request(app).get(`/api/groups/${missingId()}`).set(alice.auth);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PUT /:groupId', () => {
+    it('lets admins rename the group', async () => {
+      const created = await createGroup(alice, { name: 'Hikers', participants: [bob.id] });
+      const res = await request(app)
+        .put(`/api/groups/${created.body.group._id}`)
+        .set(alice.auth)
+        .send({ name: 'Climbers' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.group.name, 'Climbers');
+    });
+
+    it('returns 403 to regular members', async () => {
+      const created = await createGroup(alice, { name: 'Hikers', participants: [bob.id] });
+      const res = await request(app)
+        .put(`/api/groups/${created.body.group._id}`)
+        .set(bob.auth)
+        .send({ name: 'Mine now' });
+      assert.equal(res.status, 403);
+    });
+
+    it('returns 404 for an unknown group', async () => {
+      const res = await request(app).put(`/api/groups/${missingId()}`).set(alice.auth).send({ name: 'x' });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('membership', () => {
+    it('adds and removes participants in the group and its conversation', async () => {
+      const created = await createGroup(alice, { name: 'Hikers', participants: [bob.id] });
+      const groupId = created.body.group._id;
+      const conversationId = created.body.conversation._id;
+
+      const added = await request(app)
+        .post('/api/groups/add-participant')
+        .set(alice.auth)
+        .send({ groupId, userId: carol.id });
+      assert.equal(added.status, 200);
+
+      const visible = await request(app).get(`/api/conversations/${conversationId}`).set(carol.auth);
+      assert.equal(visible.status, 200);
+
+      const removed = await request(app)
+        .post('/api/groups/remove-participant')
+        .set(alice.auth)
+        .send({ groupId, userId: carol.id });
+      assert.equal(removed.status, 200);
+
+      const hidden = await request(app).get(`/api/conversations/${conversationId}`).set(carol.auth);
+      assert.equal(hidden.status, 403);
+    });
+
+    it('requires groupId and userId', async () => {
+      const res = await request(app).post('/api/groups/add-participant').set(alice.auth).send({});
+      assert.equal(res.status, 400);
+    });
+
+    it('will not remove the admin', async () => {
+      const created = await createGroup(alice, { name: 'Hikers', participants: [bob.id] });
+      const res = await request(app)
+        .post('/api/groups/remove-participant')
+        .set(bob.auth)
+        .send({ groupId: created.body.group._id, userId: alice.id });
+      assert.equal(res.status, 400);
+    });
+
+    it('lets members leave', async () => {
+      const created = await createGroup(alice, { name: 'Hikers', participants: [bob.id] });
+      const res = await request(app).delete(`/api/groups/${created.body.group._id}/leave`).set(bob.auth);
+      assert.equal(res.status, 200);
+
+      const details = await request(app).get(`/api/groups/${created.body.group._id}`).set(bob.auth);
+      assert.equal(details.status, 403);
+    });
+
+    it('stops the only admin from leaving', async () => {
+      const created = await createGroup(alice, { name: 'Hikers', participants: [bob.id] });
+      const res = await request(app).delete(`/api/groups/${created.body.group._id}/leave`).set(alice.auth);
+      assert.equal(res.status, 400);
+    });
+
+    it('returns 404 when leaving an unknown group', async () => {
+      const res = await request(app).delete(`/api/groups/${missingId()}/leave`).set(alice.auth);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('admins', () => {
+    it('promotes and demotes members', async () => {
+      const created = await createGroup(alice, { name: 'Hikers', participants: [bob.id] });
+      const groupId = created.body.group._id;
+
+      const promoted = await request(app)
+        .post('/api/groups/promote-admin')
+        .set(alice.auth)
+        .send({ groupId, userId: bob.id });
+      assert.equal(promoted.status, 200);
+      assert.ok(promoted.body.group.admins.some(a => String(a._id) === bob.id));
+
+      const demoted = await request(app)
+        .post('/api/groups/demote-admin')
+        .set(alice.auth)
+        .send({ groupId, userId: bob.id });
+      assert.equal(demoted.status, 200);
+      assert.ok(!demoted.body.group.admins.some(a => String(a._id) === bob.id));
+    });
+  });
+
+  describe('invite links', () => {
+    it('lets users join through a generated link', async () => {
+      const created = await createGroup(alice, { name: 'Hikers' });
+      const link = await request(app).get(`/api/groups/${created.body.group._id}/invite-link`).set(alice.auth);
+      assert.equal(link.status, 200);
+
+      const joined = await request(app).post('/api/groups/join').set(carol.auth).send({ inviteLink: link.body.inviteLink });
+      assert.equal(joined.status, 200);
+
+      const details = await request(app).get(`/api/groups/${created.body.group._id}`).set(carol.auth);
+      assert.equal(details.status, 200);
+    });
+
+    it('rejects unknown links', async () => {
+      const res = await request(app).post('/api/groups/join').set(carol.auth).send({ inviteLink: 'nope' });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('GET /search', () => {
+    it('searches the caller\'s groups by name', async () => {
+      await createGroup(alice, { name: 'Weekend hikers' });
+      await createGroup(bob, { name: 'Hiking club' });
+
+      const res = await request(app).get('/api/groups/search?query=hik').set(alice.auth);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.groups.map(g => g.name), ['Weekend hikers']);
+    });
+  });
+});
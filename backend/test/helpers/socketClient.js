@@ -0,0 +1,105 @@
+import { io as ioClient } from 'socket.io-client';
+import { startTestServer } from './testServer.js';
+
+/**
+ * Socket.IO test clients
+ * Connects test users to the server started by testServer.js
+ */
+
+const DEFAULT_TIMEOUT = 2000;
+const clients = new Set();
+
+/**
+ * Create a client for a test user without connecting it
+ * Lets a test subscribe to events the server emits during the handshake
+ */
+export const createClient = async (testUser, options = {}) => {
+  const { baseUrl } = await startTestServer();
+  const socket = ioClient(baseUrl, {
+    auth: testUser ? { token: testUser.token } : {},
+    transports: ['websocket'],
+    reconnection: false,
+    forceNew: true,
+    autoConnect: false,
+    ...options
+  });
+  clients.add(socket);
+  return socket;
+};
+
+/**
+ * Connect a client and wait for the server's 'connected' event
+ * The event is emitted after every handler is registered, so the socket is safe to use
+ */
+export const connectClient = async (testUserOrSocket, options = {}) => {
+  const socket = testUserOrSocket?.io
+    ? testUserOrSocket
+    : await createClient(testUserOrSocket, options);
+
+  const connected = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Timed out connecting socket')), DEFAULT_TIMEOUT);
+    socket.once('connected', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    socket.once('connect_error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+  socket.connect();
+  await connected;
+
+  return socket;
+};
+
+/**
+ * Resolve with the next payload of an event (optionally matching a predicate)
+ */
+export const waitFor = (socket, event, { filter = () => true, timeout = DEFAULT_TIMEOUT } = {}) =>
+  new Promise((resolve, reject) => {
+    const onEvent = (payload) => {
+      if (!filter(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, onEvent);
+      resolve(payload);
+    };
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`Timed out waiting for '${event}'`));
+    }, timeout);
+    socket.on(event, onEvent);
+  });
+
+/**
+ * Collect every payload of an event for a short window
+ */
+export const collect = (socket, event, window = 300) =>
+  new Promise((resolve) => {
+    const received = [];
+    const onEvent = (payload) => received.push(payload);
+    socket.on(event, onEvent);
+    setTimeout(() => {
+      socket.off(event, onEvent);
+      resolve(received);
+    }, window);
+  });
+
+/**
+ * Disconnect every client opened by connectClient
+ * Waits until the server has run its disconnect handlers (presence, call cleanup)
+ */
+export const disconnectAll = async () => {
+  for (const socket of clients) {
+    socket.disconnect();
+  }
+  clients.clear();
+
+  const { io } = await startTestServer();
+  const deadline = Date.now() + DEFAULT_TIMEOUT;
+  while (io.of('/').sockets.size > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  // Presence cleanup is awaited inside the disconnect handler
+  await new Promise(resolve => setTimeout(resolve, 20));
+};
@@ -0,0 +1,157 @@
+import { once } from 'events';
+import crypto from 'crypto';
+import { format } from 'util';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+/**
+ * Integration test harness
+ * Boots src/index.js against an in-memory MongoDB (or TEST_MONGODB_URI if set)
+ */
+
+let mongod = null;
+let context = null;
+
+// The app logs heavily; keep test output readable unless TEST_VERBOSE is set.
+// Warnings and errors are held back and printed if a test in this file fails
+if (!process.env.TEST_VERBOSE) {
+  const held = [];
+  const hold = (...args) => held.push(format(...args));
+  console.log = () => {};
+  console.warn = hold;
+  console.error = hold;
+
+  process.on('exit', (code) => {
+    if ((code || process.exitCode) && held.length) {
+      process.stderr.write(`${held.join('\n')}\n`);
+    }
+  });
+}
+
+/**
+ * Start the app once per test file
+ */
+export const startTestServer = async () => {
+  if (context) return context;
+
+  const dbName = `messenger-test-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  let mongodbUri;
+  if (process.env.TEST_MONGODB_URI) {
+    mongodbUri = `${process.env.TEST_MONGODB_URI.replace(/\/+$/, '')}/${dbName}`;
+  } else {
+    mongod = await MongoMemoryServer.create();
+    mongodbUri = mongod.getUri(dbName);
+  }
+
+  // config/index.js reads these on import; dotenv never overrides them
+  process.env.MONGODB_URI = mongodbUri;
+  process.env.PORT = '0';
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+  const { default: app, server, io } = await import('../../src/index.js');
+  const { default: config } = await import('../../src/config/index.js');
+
+  await mongoose.connection.asPromise();
+  if (!server.listening) {
+    await once(server, 'listening');
+  }
+
+  // Make sure unique indexes exist before tests rely on them
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+
+  context = {
+    app,
+    server,
+    io,
+    config,
+    baseUrl: `http://127.0.0.1:${server.address().port}`
+  };
+  return context;
+};
+
+/**
+ * Stop the app and the database
+ */
+export const stopTestServer = async () => {
+  if (!context) return;
+
+  await new Promise(resolve => context.io.close(() => resolve()));
+  await mongoose.disconnect();
+  if (mongod) {
+    await mongod.stop();
+    mongod = null;
+  }
+  context = null;
+};
+
+/**
+ * Remove all documents between tests
+ */
+export const clearDatabase = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+let phoneCounter = 0;
+
+/**
+ * Unique, valid phone number
+ */
+export const nextPhone = () => {
+  phoneCounter += 1;
+  return `+1555${String(process.pid % 1000).padStart(3, '0')}${String(phoneCounter).padStart(4, '0')}`;
+};
+
+/**
+ * Create another logged-in device (session + token pair) for an existing user
+ * Goes through SessionService like the login endpoints, so tokens are real ones
+ */
+export const createSession = async (user, device = 'test') => {
+  const { token, refreshToken, sessionId } = await context.app.get('sessionService')
+    .createSession(user._id, { device, ip: '127.0.0.1', userAgent: 'node:test' });
+
+  return {
+    user,
+    id: String(user._id),
+    token,
+    refreshToken,
+    sessionId,
+    auth: { Authorization: `Bearer ${token}` }
+  };
+};
+
+/**
+ * Create a user and an authenticated session for it
+ */
+export const createUser = async (overrides = {}) => {
+  const { default: User } = await import('../../src/models/User.js');
+
+  const user = await User.create({
+    name: overrides.name || `User ${phoneCounter + 1}`,
+    phone: overrides.phone || nextPhone(),
+    ...overrides
+  });
+
+  return createSession(user);
+};
+
+/**
+ * Create an active conversation between the given test users
+ */
+export const createConversation = async (...members) => {
+  const { default: Conversation } = await import('../../src/models/Conversation.js');
+  const ids = members.map(m => m.id);
+  return Conversation.create({
+    participants: ids,
+    members: ids,
+    isGroup: ids.length > 2,
+    status: 'active',
+    createdBy: ids[0]
+  });
+};
+
+/**
+ * ObjectId that does not exist in any collection
+ */
+export const missingId = () => String(new mongoose.Types.ObjectId());
@@ -0,0 +1,190 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  missingId
+} from './helpers/testServer.js';
+
+const bundleFor = (deviceId, overrides = {}) => ({
+  deviceId,
+  registrationId: 42,
+  identityKey: `identity-${deviceId}`,
+  signedPreKey: { keyId: 1, publicKey: `spk-${deviceId}`, signature: `sig-${deviceId}` },
+  oneTimePreKeys: [
+    { keyId: 10, publicKey: `otk-${deviceId}-10` },
+    { keyId: 11, publicKey: `otk-${deviceId}-11` }
+  ],
+  ...overrides
+});
+
+describe('/api/keys', () => {
+  let app;
+  let alice;
+  let bob;
+
+  before(async () => {
+    ({ app } = await startTestServer());
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+  });
+
+  const publish = (user, body) => request(app).put('/api/keys').set(user.auth).send(body);
+
+  it('requires authentication', async () => {
+    const res = await request(app).get('/api/keys/me');
+    assert.equal(res.status, 401);
+  });
+
+  describe('PUT /', () => {
+    it('publishes and then replaces a device bundle', async () => {
+      const created = await publish(alice, bundleFor('phone'));
+      assert.equal(created.status, 201);
+      assert.equal(created.body.device.oneTimePreKeyCount, 2);
+
+      const replaced = await publish(alice, bundleFor('phone', { oneTimePreKeys: [{ keyId: 20, publicKey: 'otk-20' }] }));
+      assert.equal(replaced.status, 200);
+      assert.equal(replaced.body.device.oneTimePreKeyCount, 1);
+
+      const mine = await request(app).get('/api/keys/me').set(alice.auth);
+      assert.equal(mine.body.devices.length, 1);
+    });
+
+    it('drops old prekeys when the identity key changes', async () => {
+      await publish(alice, bundleFor('phone')).expect(201);
+      const rotated = bundleFor('phone', { identityKey: 'rotated' });
+      delete rotated.oneTimePreKeys;
+      const res = await publish(alice, rotated);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.device.identityKey, 'rotated');
+      assert.equal(res.body.device.oneTimePreKeyCount, 0);
+    });
+
+    it('validates the bundle', async () => {
+      const noDevice = await publish(alice, bundleFor(''));
+      assert.equal(noDevice.status, 400);
+
+      const noSignature = await publish(alice, bundleFor('phone', { signedPreKey: { keyId: 1, publicKey: 'spk' } }));
+      assert.equal(noSignature.status, 400);
+
+      const badPreKeys = await publish(alice, bundleFor('phone', { oneTimePreKeys: [{ publicKey: 'x' }] }));
+      assert.equal(badPreKeys.status, 400);
+    });
+  });
+
+  describe('POST /prekeys', () => {
+    it('tops up prekeys for a published device', async () => {
+      await publish(alice, bundleFor('phone')).expect(201);
+      const res = await request(app)
+        .post('/api/keys/prekeys')
+        .set(alice.auth)
+        .send({ deviceId: 'phone', oneTimePreKeys: [{ keyId: 12, publicKey: 'otk-12' }] });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.device.oneTimePreKeyCount, 3);
+    });
+
+    it('returns 404 for an unpublished device', async () => {
+      const res = await request(app)
+        .post('/api/keys/prekeys')
+        .set(alice.auth)
+        .send({ deviceId: 'tablet', oneTimePreKeys: [{ keyId: 1, publicKey: 'otk' }] });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('GET /:userId', () => {
+    it('returns every device and hands out each prekey once', async () => {
+      await publish(bob, bundleFor('phone')).expect(201);
+      await publish(bob, bundleFor('laptop', { oneTimePreKeys: [] })).expect(201);
+
+      const first = await request(app).get(`/api/keys/${bob.id}`).set(alice.auth);
+      assert.equal(first.status, 200);
+      assert.equal(first.body.devices.length, 2);
+      const phone = first.body.devices.find(d => d.deviceId === 'phone');
+      assert.equal(phone.identityKey, 'identity-phone');
+      assert.deepEqual(phone.signedPreKey, { keyId: 1, publicKey: 'spk-phone', signature: 'sig-phone' });
+      assert.deepEqual(phone.oneTimePreKey, { keyId: 10, publicKey: 'otk-phone-10' });
+      assert.equal(first.body.devices.find(d => d.deviceId === 'laptop').oneTimePreKey, null);
+
+      const second = await request(app).get(`/api/keys/${bob.id}?deviceId=phone`).set(alice.auth);
+      assert.deepEqual(second.body.devices.map(d => d.oneTimePreKey.keyId), [11]);
+
+      const third = await request(app).get(`/api/keys/${bob.id}?deviceId=phone`).set(alice.auth);
+      assert.equal(third.body.devices[0].oneTimePreKey, null);
+
+      const mine = await request(app).get('/api/keys/me').set(bob.auth);
+      assert.equal(mine.body.devices.find(d => d.deviceId === 'phone').oneTimePreKeyCount, 0);
+    });
+
+    it('returns 404 when the user has no keys or does not exist', async () => {
+      const noKeys = await request(app).get(`/api/keys/${bob.id}`).set(alice.auth);
+      assert.equal(noKeys.status, 404);
+      assert.equal(noKeys.body.error, 'keys_not_found');
+
+      const unknown = await request(app).get(`/api/keys/${missingId()}`).set(alice.auth);
+      assert.equal(unknown.status, 404);
+      assert.equal(unknown.body.error, 'user_not_found');
+    });
+
+    it('stops handing out prekeys to one requester past the hourly allowance', async () => {
+      const preKeys = Array.from({ length: 20 }, (_, i) => ({ keyId: 100 + i, publicKey: `otk-${i}` }));
+      await publish(bob, bundleFor('phone', { oneTimePreKeys: preKeys })).expect(201);
+
+      for (let i = 0; i < 10; i++) {
+        const res = await request(app).get(`/api/keys/${bob.id}`).set(alice.auth).expect(200);
+        assert.equal(res.body.devices[0].oneTimePreKey.keyId, 100 + i);
+      }
+
+      const over = await request(app).get(`/api/keys/${bob.id}`).set(alice.auth);
+      assert.equal(over.status, 200);
+      assert.equal(over.body.devices[0].identityKey, 'identity-phone');
+      assert.equal(over.body.devices[0].signedPreKey.keyId, 1);
+      assert.equal(over.body.devices[0].oneTimePreKey, null);
+
+      // Other requesters have their own allowance
+      const carol = await createUser({ name: 'Carol' });
+      const other = await request(app).get(`/api/keys/${bob.id}`).set(carol.auth);
+      assert.equal(other.body.devices[0].oneTimePreKey.keyId, 110);
+
+      const mine = await request(app).get('/api/keys/me').set(bob.auth);
+      assert.equal(mine.body.devices[0].oneTimePreKeyCount, 9);
+    });
+
+    it('refuses keys between users who blocked each other', async () => {
+      await publish(bob, bundleFor('phone')).expect(201);
+      await request(app).post(`/api/users/${alice.id}/block`).set(bob.auth).expect(201);
+
+      const res = await request(app).get(`/api/keys/${bob.id}`).set(alice.auth);
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, 'blocked');
+
+      const mine = await request(app).get('/api/keys/me').set(bob.auth);
+      assert.equal(mine.body.devices[0].oneTimePreKeyCount, 2);
+    });
+
+    it('rejects malformed user ids', async () => {
+      const res = await request(app).get('/api/keys/nope').set(alice.auth);
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('DELETE /devices/:deviceId', () => {
+    it('removes a device from the directory', async () => {
+      await publish(alice, bundleFor('phone')).expect(201);
+      const res = await request(app).delete('/api/keys/devices/phone').set(alice.auth);
+      assert.equal(res.status, 200);
+
+      const again = await request(app).delete('/api/keys/devices/phone').set(alice.auth);
+      assert.equal(again.status, 404);
+    });
+  });
+});
@@ -0,0 +1,546 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  createConversation,
+  missingId
+} from './helpers/testServer.js';
+
+describe('/api/messages', () => {
+  let app;
+  let alice;
+  let bob;
+  let mallory;
+  let conversation;
+
+  before(async () => {
+    ({ app } = await startTestServer());
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    mallory = await createUser({ name: 'Mallory' });
+    conversation = await createConversation(alice, bob);
+  });
+
+  const send = (user, body) => request(app).post('/api/messages').set(user.auth).send(body);
+
+  it('requires authentication', async () => {
+    const res = await request(app).get(`/api/messages/conversation/${conversation._id}`);
+    assert.equal(res.status, 401);
+  });
+
+  describe('POST /', () => {
+    it('sends a message into a conversation', async () => {
+      const res = await send(alice, { conversationId: String(conversation._id), content: 'hello' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message.content, 'hello');
+      assert.equal(res.body.message.from, alice.id);
+      assert.equal(res.body.message.to, bob.id);
+    });
+
+    it('requires content, a file or call activity', async () => {
+      const res = await send(alice, { conversationId: String(conversation._id) });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'validation_error');
+    });
+
+    it('rejects an overlong message', async () => {
+      const res = await send(alice, { conversationId: String(conversation._id), content: 'x'.repeat(4001) });
+      assert.equal(res.status, 413);
+    });
+
+    it('rejects a malformed conversation id', async () => {
+      const res = await send(alice, { conversationId: 'nope', content: 'hi' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'invalid_conversation_id');
+    });
+
+    it('returns 404 for an unknown conversation', async () => {
+      const res = await send(alice, { conversationId: missingId(), content: 'hi' });
+      assert.equal(res.status, 404);
+      assert.equal(res.body.error, 'conversation_not_found');
+    });
+
+    it('refuses to send on behalf of someone else', async () => {
+      const res = await send(alice, { conversationId: String(conversation._id), from: bob.id, content: 'hi' });
+      assert.equal(res.status, 403);
+    });
+
+    it('creates a direct conversation from toId', async () => {
+      const res = await send(alice, { toId: mallory.id, content: 'new chat' });
+      assert.equal(res.status, 200);
+      assert.notEqual(res.body.message.conversationId, String(conversation._id));
+    });
+
+    it('returns 404 for an unknown recipient', async () => {
+      const byId = await send(alice, { toId: missingId(), content: 'hi' });
+      assert.equal(byId.status, 404);
+
+      const byPhone = await send(alice, { toPhone: '+19999999999', content: 'hi' });
+      assert.equal(byPhone.status, 404);
+      assert.equal(byPhone.body.error, 'user_not_found');
+    });
+  });
+
+  describe('POST /forward', () => {
+    let other;
+
+    beforeEach(async () => {
+      other = await createConversation(alice, mallory);
+    });
+
+    const forward = (user, body) => request(app).post('/api/messages/forward').set(user.auth).send(body);
+
+    it('copies messages into each target with provenance', async () => {
+      const first = (await send(bob, { conversationId: String(conversation._id), content: 'first' })).body.message;
+      const second = (await send(bob, {
+        conversationId: String(conversation._id),
+        content: 'photo',
+        fileUrl: 'http://localhost/uploads/a.png',
+        fileName: 'a.png',
+        fileType: 'image'
+      })).body.message;
+
+      const group = await createConversation(alice, bob, mallory);
+      const res = await forward(alice, {
+        messageIds: [second._id, first._id],
+        conversationIds: [String(other._id), String(group._id)]
+      });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.messages.length, 4);
+      assert.deepEqual(res.body.messages.map(m => m.content), ['first', 'photo', 'first', 'photo']);
+      assert.ok(res.body.messages.every(m => m.forwarded && m.from === alice.id));
+      assert.equal(res.body.messages[0].forwardedFrom, first._id);
+      assert.equal(res.body.messages[1].fileUrl, 'http://localhost/uploads/a.png');
+
+      const list = await request(app).get(`/api/messages/conversation/${other._id}`).set(mallory.auth);
+      assert.deepEqual(list.body.messages.map(m => [m.content, m.forwarded]), [['first', true], ['photo', true]]);
+    });
+
+    it('points forwards of forwards at the original', async () => {
+      const original = (await send(bob, { conversationId: String(conversation._id), content: 'chain' })).body.message;
+      const once = await forward(alice, { messageId: original._id, conversationId: String(other._id) });
+      const twice = await forward(mallory, { messageId: once.body.messages[0]._id, conversationId: String(other._id) });
+      assert.equal(twice.body.messages[0].forwardedFrom, original._id);
+    });
+
+    it('requires membership of the source and target conversations', async () => {
+      const message = (await send(alice, { conversationId: String(conversation._id), content: 'mine' })).body.message;
+
+      const fromOutside = await forward(mallory, { messageId: message._id, conversationId: String(other._id) });
+      assert.equal(fromOutside.status, 403);
+
+      const stranger = await createConversation(bob, mallory);
+      const intoOutside = await forward(alice, { messageId: message._id, conversationId: String(stranger._id) });
+      assert.equal(intoOutside.status, 403);
+    });
+
+    it('respects admin-only groups', async () => {
+      const created = await request(app)
+        .post('/api/groups')
+        .set(bob.auth)
+        .send({ name: 'Announcements', participants: [alice.id] })
+        .expect(201);
+      await request(app)
+        .patch(`/api/groups/${created.body.group._id}`)
+        .set(bob.auth)
+        .send({ settings: { onlyAdminsCanSendMessages: true } })
+        .expect(200);
+
+      const message = (await send(alice, { conversationId: String(conversation._id), content: 'news' })).body.message;
+      const res = await forward(alice, { messageId: message._id, conversationId: created.body.conversation._id });
+      assert.equal(res.status, 403);
+
+      const direct = await send(alice, { conversationId: created.body.conversation._id, content: 'hi' });
+      assert.equal(direct.status, 403);
+
+      const byAdmin = await forward(bob, { messageId: message._id, conversationId: created.body.conversation._id });
+      assert.equal(byAdmin.status, 201);
+    });
+
+    it('refuses encrypted and deleted messages', async () => {
+      const ciphertext = (await send(alice, {
+        conversationId: String(conversation._id),
+        type: 'ciphertext',
+        encrypted: { senderDeviceId: 'alice-phone', envelopes: [{ userId: bob.id, deviceId: 'bob-phone', body: 'x' }] }
+      })).body.message;
+      assert.equal((await forward(alice, { messageId: ciphertext._id, conversationId: String(other._id) })).status, 400);
+
+      const removed = (await send(alice, { conversationId: String(conversation._id), content: 'gone' })).body.message;
+      await request(app).delete(`/api/messages/${removed._id}`).set(alice.auth).send({ deleteForBoth: true }).expect(200);
+      assert.equal((await forward(alice, { messageId: removed._id, conversationId: String(other._id) })).status, 400);
+    });
+
+    it('validates the request', async () => {
+      assert.equal((await forward(alice, { conversationId: String(other._id) })).status, 400);
+      assert.equal((await forward(alice, { messageId: missingId(), conversationId: String(other._id) })).status, 404);
+
+      const message = (await send(alice, { conversationId: String(conversation._id), content: 'x' })).body.message;
+      assert.equal((await forward(alice, { messageId: message._id })).status, 400);
+      assert.equal((await forward(alice, { messageId: message._id, conversationId: missingId() })).status, 404);
+    });
+  });
+
+  describe('GET /conversation/:conversationId', () => {
+    it('returns messages oldest first with pagination', async () => {
+      await send(alice, { conversationId: String(conversation._id), content: 'one' });
+      await send(bob, { conversationId: String(conversation._id), content: 'two' });
+
+      const res = await request(app).get(`/api/messages/conversation/${conversation._id}`).set(alice.auth);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.messages.map(m => m.content), ['one', 'two']);
+      assert.deepEqual(res.body.messages.map(m => m.from), [alice.id, bob.id]);
+      assert.equal(res.body.pagination.hasMore, false);
+      assert.equal(res.body.pagination.total, undefined);
+    });
+
+    describe('cursor pagination', () => {
+      let sent;
+
+      beforeEach(async () => {
+        sent = [];
+        for (let i = 1; i <= 7; i++) {
+          sent.push((await send(alice, { conversationId: String(conversation._id), content: `m${i}` })).body.message);
+        }
+      });
+
+      const list = (query) => request(app)
+        .get(`/api/messages/conversation/${conversation._id}`)
+        .query(query)
+        .set(bob.auth);
+      const contents = (res) => res.body.messages.map(m => m.content);
+
+      it('pages back from the newest messages', async () => {
+        const latest = await list({ limit: 3 });
+        assert.deepEqual(contents(latest), ['m5', 'm6', 'm7']);
+        assert.equal(latest.body.pagination.hasOlder, true);
+        assert.equal(latest.body.pagination.hasNewer, false);
+
+        const middle = await list({ limit: 3, cursor: latest.body.pagination.prevCursor });
+        assert.deepEqual(contents(middle), ['m2', 'm3', 'm4']);
+
+        const oldest = await list({ limit: 3, cursor: middle.body.pagination.prevCursor });
+        assert.deepEqual(contents(oldest), ['m1']);
+        assert.equal(oldest.body.pagination.hasMore, false);
+        assert.equal(oldest.body.pagination.hasOlder, false);
+        assert.equal(oldest.body.pagination.hasNewer, true);
+      });
+
+      it('pages forward with direction=newer', async () => {
+        const start = await list({ limit: 2, after: sent[1]._id });
+        assert.deepEqual(contents(start), ['m3', 'm4']);
+        assert.equal(start.body.pagination.hasOlder, true);
+        assert.equal(start.body.pagination.hasNewer, true);
+
+        const next = await list({ limit: 5, cursor: start.body.pagination.nextCursor, direction: 'newer' });
+        assert.deepEqual(contents(next), ['m5', 'm6', 'm7']);
+        assert.equal(next.body.pagination.hasNewer, false);
+      });
+
+      it('does not shift pages when new messages arrive', async () => {
+        const latest = await list({ limit: 3 });
+        await send(bob, { conversationId: String(conversation._id), content: 'late' });
+
+        const older = await list({ limit: 3, cursor: latest.body.pagination.prevCursor });
+        assert.deepEqual(contents(older), ['m2', 'm3', 'm4']);
+      });
+
+      it('pages back from a message id or a timestamp', async () => {
+        const byId = await list({ limit: 2, before: sent[3]._id });
+        assert.deepEqual(contents(byId), ['m2', 'm3']);
+
+        const byTime = await list({ limit: 10, before: new Date(Date.now() + 60000).toISOString() });
+        assert.equal(byTime.body.messages.length, 7);
+      });
+
+      it('jumps to a message with surrounding context', async () => {
+        const res = await list({ limit: 3, around: sent[3]._id });
+        assert.deepEqual(contents(res), ['m3', 'm4', 'm5']);
+        assert.equal(res.body.pagination.hasOlder, true);
+        assert.equal(res.body.pagination.hasNewer, true);
+
+        const edge = await list({ limit: 5, around: sent[0]._id });
+        assert.deepEqual(contents(edge), ['m1', 'm2', 'm3']);
+        assert.equal(edge.body.pagination.hasOlder, false);
+      });
+
+      it('rejects unknown anchors and malformed cursors', async () => {
+        assert.equal((await list({ around: missingId() })).status, 404);
+        assert.equal((await list({ after: missingId() })).status, 404);
+
+        const bad = await list({ cursor: 'garbage' });
+        assert.equal(bad.status, 400);
+        assert.equal(bad.body.error, 'invalid_cursor');
+      });
+    });
+
+    it('hides messages deleted for the requesting user', async () => {
+      const sent = await send(alice, { conversationId: String(conversation._id), content: 'secret' });
+      await request(app).delete(`/api/messages/${sent.body.message._id}`).set(bob.auth).send({}).expect(200);
+
+      const forBob = await request(app).get(`/api/messages/conversation/${conversation._id}`).set(bob.auth);
+      assert.equal(forBob.body.messages.length, 0);
+
+      const forAlice = await request(app).get(`/api/messages/conversation/${conversation._id}`).set(alice.auth);
+      assert.equal(forAlice.body.messages.length, 1);
+    });
+
+    it('returns 403 for non-members', async () => {
+      const res = await request(app).get(`/api/messages/conversation/${conversation._id}`).set(mallory.auth);
+      assert.equal(res.status, 403);
+    });
+
+    it('returns 404 for an unknown conversation', async () => {
+      const res = await request(app).get(`/api/messages/conversation/${missingId()}`).set(alice.auth);
+      assert.equal(res.status, 404);
+    });
+
+    it('requires a conversation id on the query route', async () => {
+      const res = await request(app).get('/api/messages').set(alice.auth);
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('PATCH /:id', () => {
+    it('lets the sender edit', async () => {
+      const sent = await send(alice, { conversationId: String(conversation._id), content: 'typo' });
+      const res = await request(app)
+        .patch(`/api/messages/${sent.body.message._id}`)
+        .set(alice.auth)
+        .send({ content: 'fixed' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message.content, 'fixed');
+      assert.equal(res.body.message.edited, true);
+    });
+
+    it('returns 403 for anyone but the sender', async () => {
+      const sent = await send(alice, { conversationId: String(conversation._id), content: 'mine' });
+      const res = await request(app)
+        .patch(`/api/messages/${sent.body.message._id}`)
+        .set(bob.auth)
+        .send({ content: 'yours' });
+      assert.equal(res.status, 403);
+    });
+
+    it('returns 404 for an unknown message', async () => {
+      const res = await request(app).patch(`/api/messages/${missingId()}`).set(alice.auth).send({ content: 'x' });
+      assert.equal(res.status, 404);
+    });
+
+    it('requires new content', async () => {
+      const sent = await send(alice, { conversationId: String(conversation._id), content: 'typo' });
+      const res = await request(app).patch(`/api/messages/${sent.body.message._id}`).set(alice.auth).send({});
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('DELETE /:id', () => {
+    it('deletes for everyone when the sender asks', async () => {
+      const sent = await send(alice, { conversationId: String(conversation._id), content: 'oops' });
+      const res = await request(app)
+        .delete(`/api/messages/${sent.body.message._id}`)
+        .set(alice.auth)
+        .send({ deleteForBoth: true });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message.deleted, true);
+
+      const list = await request(app).get(`/api/messages/conversation/${conversation._id}`).set(bob.auth);
+      assert.equal(list.body.messages.length, 0);
+    });
+
+    it('returns 404 for an unknown message', async () => {
+      const res = await request(app).delete(`/api/messages/${missingId()}`).set(alice.auth).send({});
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('PATCH /:id/read', () => {
+    it('marks a message as read', async () => {
+      const sent = await send(alice, { conversationId: String(conversation._id), content: 'read me' });
+      const res = await request(app).patch(`/api/messages/${sent.body.message._id}/read`).set(bob.auth);
+      assert.equal(res.status, 200);
+    });
+
+    it('returns 404 for an unknown message', async () => {
+      const res = await request(app).patch(`/api/messages/${missingId()}/read`).set(bob.auth);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('/:id/reactions', () => {
+    let message;
+
+    beforeEach(async () => {
+      message = (await send(alice, { conversationId: String(conversation._id), content: 'react to me' })).body.message;
+    });
+
+    const react = (user, reaction, id = message._id) =>
+      request(app).post(`/api/messages/${id}/reactions`).set(user.auth).send({ reaction });
+    const unreact = (user, id = message._id) => request(app).delete(`/api/messages/${id}/reactions`).set(user.auth);
+
+    it('aggregates reactions in the message list', async () => {
+      await react(alice, '👍').expect(200);
+      const res = await react(bob, '👍');
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.reactions, [{ reaction: '👍', count: 2, userIds: [alice.id, bob.id] }]);
+
+      const list = await request(app).get(`/api/messages/conversation/${conversation._id}`).set(bob.auth);
+      assert.deepEqual(list.body.messages[0].reactions, [{ reaction: '👍', count: 2, userIds: [alice.id, bob.id] }]);
+    });
+
+    it('keeps one reaction per user and replaces it on change', async () => {
+      await react(bob, '👍').expect(200);
+      const res = await react(bob, '❤️');
+      assert.deepEqual(res.body.reactions, [{ reaction: '❤️', count: 1, userIds: [bob.id] }]);
+    });
+
+    it('keeps one reaction per user when reactions arrive at the same time', async () => {
+      await Promise.all(['👍', '❤️', '😂', '🎉'].map(reaction => react(bob, reaction).expect(200)));
+
+      const { default: Message } = await import('../src/models/Message.js');
+      const stored = await Message.findById(message._id).lean();
+      assert.equal(stored.reactions.length, 1);
+      assert.equal(String(stored.reactions[0].userId), bob.id);
+    });
+
+    it('removes the user reaction', async () => {
+      await react(alice, '😂').expect(200);
+      await react(bob, '😂').expect(200);
+
+      const res = await unreact(bob);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.reactions, [{ reaction: '😂', count: 1, userIds: [alice.id] }]);
+
+      const again = await unreact(bob);
+      assert.equal(again.status, 404);
+    });
+
+    it('notifies the author but not the reactor', async () => {
+      await react(bob, '❤️').expect(200);
+      await react(alice, '👍').expect(200);
+
+      const forAlice = await request(app).get('/api/notifications').query({ type: 'message_reaction' }).set(alice.auth);
+      assert.equal(forAlice.body.notifications.length, 1);
+      assert.equal(forAlice.body.notifications[0].data.reaction, '❤️');
+      assert.equal(forAlice.body.notifications[0].body, 'react to me');
+
+      const forBob = await request(app).get('/api/notifications').query({ type: 'message_reaction' }).set(bob.auth);
+      assert.equal(forBob.body.notifications.length, 0);
+    });
+
+    it('validates the reaction', async () => {
+      assert.equal((await react(bob, '')).status, 400);
+      assert.equal((await react(bob, 'x'.repeat(33))).status, 400);
+    });
+
+    it('returns 403 for non-members', async () => {
+      const res = await react(mallory, '👍');
+      assert.equal(res.status, 403);
+    });
+
+    it('returns 404 for an unknown message', async () => {
+      assert.equal((await react(bob, '👍', missingId())).status, 404);
+      assert.equal((await unreact(bob, 'not-an-id')).status, 404);
+    });
+
+    it('rejects reactions to deleted messages', async () => {
+      await request(app).delete(`/api/messages/${message._id}`).set(alice.auth).send({ deleteForBoth: true }).expect(200);
+      const res = await react(bob, '👍');
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('ciphertext messages', () => {
+    const encrypted = () => ({
+      senderDeviceId: 'alice-phone',
+      envelopes: [{ userId: bob.id, deviceId: 'bob-phone', type: 3, body: 'b64-ciphertext' }]
+    });
+
+    it('stores and returns the envelope without plaintext', async () => {
+      const res = await send(alice, { conversationId: String(conversation._id), type: 'ciphertext', encrypted: encrypted() });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message.type, 'ciphertext');
+      assert.equal(res.body.message.content, '');
+      assert.deepEqual(res.body.message.encrypted, encrypted());
+
+      const list = await request(app).get(`/api/messages/conversation/${conversation._id}`).set(bob.auth);
+      assert.equal(list.body.messages[0].encrypted.envelopes[0].body, 'b64-ciphertext');
+    });
+
+    it('uses a generic preview in notifications and the conversation list', async () => {
+      await send(alice, { conversationId: String(conversation._id), type: 'ciphertext', encrypted: encrypted() }).expect(200);
+
+      const notifications = await request(app).get('/api/notifications').set(bob.auth);
+      assert.equal(notifications.body.notifications[0].body, '🔒 Encrypted message');
+      assert.equal(notifications.body.notifications[0].data.content, '');
+
+      const conversations = await request(app).get('/api/conversations').set(bob.auth);
+      assert.equal(conversations.body.conversations[0].lastPreview, '🔒 Encrypted message');
+    });
+
+    it('rejects plaintext alongside ciphertext', async () => {
+      const res = await send(alice, {
+        conversationId: String(conversation._id),
+        type: 'ciphertext',
+        content: 'leak',
+        encrypted: encrypted()
+      });
+      assert.equal(res.status, 400);
+    });
+
+    it('rejects malformed envelopes', async () => {
+      const missing = await send(alice, { conversationId: String(conversation._id), type: 'ciphertext' });
+      assert.equal(missing.status, 400);
+
+      const empty = await send(alice, {
+        conversationId: String(conversation._id),
+        type: 'ciphertext',
+        encrypted: { senderDeviceId: 'alice-phone', envelopes: [] }
+      });
+      assert.equal(empty.status, 400);
+
+      const noBody = await send(alice, {
+        conversationId: String(conversation._id),
+        type: 'ciphertext',
+        encrypted: { senderDeviceId: 'alice-phone', envelopes: [{ userId: bob.id, deviceId: 'bob-phone' }] }
+      });
+      assert.equal(noBody.status, 400);
+    });
+
+    it('cannot be edited', async () => {
+      const sent = await send(alice, { conversationId: String(conversation._id), type: 'ciphertext', encrypted: encrypted() });
+      const res = await request(app)
+        .patch(`/api/messages/${sent.body.message._id}`)
+        .set(alice.auth)
+        .send({ content: 'plaintext' });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('GET /search', () => {
+    it('ignores queries shorter than two characters', async () => {
+      const res = await request(app).get('/api/messages/search?query=a').set(alice.auth);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.messages, []);
+    });
+
+    it('finds messages by content', async () => {
+      await send(alice, { conversationId: String(conversation._id), content: 'meet at the harbour' });
+      await send(alice, { conversationId: String(conversation._id), content: 'something else' });
+
+      const res = await request(app).get('/api/messages/search?query=harbour').set(bob.auth);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.messages.length, 1);
+      assert.equal(res.body.messages[0].content, 'meet at the harbour');
+    });
+  });
+});
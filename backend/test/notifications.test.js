@@ -0,0 +1,82 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  createConversation,
+  missingId
+} from './helpers/testServer.js';
+
+describe('/api/notifications', () => {
+  let app;
+  let alice;
+  let bob;
+
+  before(async () => {
+    ({ app } = await startTestServer());
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    const conversation = await createConversation(alice, bob);
+    await request(app)
+      .post('/api/messages')
+      .set(alice.auth)
+      .send({ conversationId: String(conversation._id), content: 'hello bob' })
+      .expect(200);
+  });
+
+  it('requires authentication', async () => {
+    const res = await request(app).get('/api/notifications');
+    assert.equal(res.status, 401);
+  });
+
+  it('lists notifications created for new messages', async () => {
+    const res = await request(app).get('/api/notifications').set(bob.auth);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.notifications.length, 1);
+    assert.equal(res.body.notifications[0].type, 'new_message');
+    assert.equal(res.body.notifications[0].body, 'hello bob');
+
+    const mine = await request(app).get('/api/notifications').set(alice.auth);
+    assert.equal(mine.body.notifications.length, 0);
+  });
+
+  it('counts and clears unread notifications', async () => {
+    const unread = await request(app).get('/api/notifications/unread/count').set(bob.auth);
+    assert.equal(unread.body.count, 1);
+
+    const list = await request(app).get('/api/notifications').set(bob.auth);
+    const id = list.body.notifications[0]._id;
+    const read = await request(app).patch(`/api/notifications/${id}/read`).set(bob.auth);
+    assert.equal(read.status, 200);
+    assert.equal(read.body.notification.isRead, true);
+
+    const after = await request(app).get('/api/notifications/unread/count').set(bob.auth);
+    assert.equal(after.body.count, 0);
+  });
+
+  it('marks everything as read', async () => {
+    const res = await request(app).patch('/api/notifications/read-all').set(bob.auth);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, 1);
+  });
+
+  it('returns 404 for unknown or foreign notifications', async () => {
+    const unknown = await request(app).patch(`/api/notifications/${missingId()}/read`).set(bob.auth);
+    assert.equal(unknown.status, 404);
+
+    const list = await request(app).get('/api/notifications').set(bob.auth);
+    const foreign = await request(app)
+      .patch(`/api/notifications/${list.body.notifications[0]._id}/read`)
+      .set(alice.auth);
+    assert.equal(foreign.status, 404);
+  });
+});
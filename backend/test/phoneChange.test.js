@@ -0,0 +1,171 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  createSession,
+  createConversation,
+  nextPhone
+} from './helpers/testServer.js';
+import { connectClient, waitFor, collect, disconnectAll } from './helpers/socketClient.js';
+import User from '../src/models/User.js';
+import Conversation from '../src/models/Conversation.js';
+
+describe('/api/auth/phone', () => {
+  let app;
+  let alice;
+  let bob;
+
+  before(async () => {
+    ({ app } = await startTestServer());
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+  });
+
+  afterEach(disconnectAll);
+
+  const start = (account, newPhone) =>
+    request(app).post('/api/auth/phone/otp').set(account.auth).send({ newPhone });
+  const confirm = (account, body) =>
+    request(app).put('/api/auth/phone').set(account.auth).send(body);
+  const codes = ({ body }) => ({ sessionId: body.sessionId, oldOtp: body.oldOtp, newOtp: body.newOtp });
+  const storedPhone = async (account) => (await User.findById(account.id).lean()).phone;
+
+  it('moves the account to the new number once both numbers are verified', async () => {
+    const oldPhone = alice.user.phone;
+    const newPhone = nextPhone();
+
+    const sent = await start(alice, newPhone);
+    assert.equal(sent.status, 200);
+    assert.equal(sent.body.newPhone, newPhone);
+    assert.match(sent.body.oldOtp, /^\d{6}$/);
+    assert.match(sent.body.newOtp, /^\d{6}$/);
+
+    const res = await confirm(alice, codes(sent));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.phone, newPhone);
+    assert.equal(res.body.previousPhone, oldPhone);
+    assert.equal(await storedPhone(alice), newPhone);
+
+    // The account keeps working and is found under the new number only
+    assert.equal((await request(app).get('/api/auth/me').set(alice.auth)).body.user.phone, newPhone);
+    const matches = await request(app)
+      .post('/api/conversations/contacts/sync')
+      .set(bob.auth)
+      .send({ contacts: [oldPhone, newPhone] });
+    assert.deepEqual(matches.body.matches.map((m) => m.id), [alice.id]);
+
+    const login = await request(app).post('/api/auth/send-otp-login').send({ phone: newPhone });
+    const loggedIn = await request(app)
+      .post('/api/auth/verify-otp-login')
+      .send({ otp: login.body.otp, sessionId: login.body.sessionId });
+    assert.equal(loggedIn.body.user.id, alice.id);
+
+    // The old number is free to register again
+    assert.equal((await request(app).post('/api/auth/send-otp').send({ phone: oldPhone })).status, 200);
+  });
+
+  it('tells contacts and the user\'s other devices', async () => {
+    const carol = await createUser({ name: 'Carol' });
+    await createConversation(alice, bob);
+    const laptop = await createSession(alice.user, 'laptop');
+
+    const bobSocket = await connectClient(bob);
+    const laptopSocket = await connectClient(laptop);
+    const carolSocket = await connectClient(carol);
+    const carolEvents = collect(carolSocket, 'user_phone_changed');
+
+    const newPhone = nextPhone();
+    const sent = await start(alice, newPhone);
+    const bobEvent = waitFor(bobSocket, 'user_phone_changed');
+    const bobDashEvent = waitFor(bobSocket, 'user-phone-changed');
+    const laptopEvent = waitFor(laptopSocket, 'user_phone_changed');
+    await confirm(alice, codes(sent)).expect(200);
+
+    const change = await bobEvent;
+    assert.equal(change.userId, alice.id);
+    assert.equal(change.phone, newPhone);
+    assert.equal(change.previousPhone, alice.user.phone);
+    assert.equal((await bobDashEvent).phone, newPhone);
+    assert.equal((await laptopEvent).phone, newPhone);
+    assert.deepEqual(await carolEvents, []);
+  });
+
+  it('does not tell blocked users or people with only a pending chat request', async () => {
+    const carol = await createUser({ name: 'Carol' });
+    const dave = await createUser({ name: 'Dave' });
+    await createConversation(alice, bob, carol);
+    const chatRequest = await createConversation(dave, alice);
+    await Conversation.updateOne({ _id: chatRequest._id }, { status: 'pending' });
+    await request(app).post(`/api/users/${carol.id}/block`).set(alice.auth).expect(201);
+
+    const bobSocket = await connectClient(bob);
+    const carolEvents = collect(await connectClient(carol), 'user_phone_changed');
+    const daveEvents = collect(await connectClient(dave), 'user_phone_changed');
+
+    const sent = await start(alice, nextPhone());
+    const bobEvent = waitFor(bobSocket, 'user_phone_changed');
+    await confirm(alice, codes(sent)).expect(200);
+
+    await bobEvent;
+    assert.deepEqual(await carolEvents, []);
+    assert.deepEqual(await daveEvents, []);
+  });
+
+  it('needs both codes', async () => {
+    const sent = await start(alice, nextPhone());
+    const { sessionId, oldOtp, newOtp } = codes(sent);
+
+    const swapped = await confirm(alice, { sessionId, oldOtp: newOtp, newOtp: oldOtp });
+    assert.equal(swapped.status, 400);
+    assert.equal(swapped.body.error, 'invalid_otp');
+
+    const wrongNew = await confirm(alice, { sessionId, oldOtp, newOtp: newOtp === '000000' ? '111111' : '000000' });
+    assert.equal(wrongNew.status, 400);
+    assert.equal(wrongNew.body.error, 'invalid_otp');
+
+    assert.equal(await storedPhone(alice), alice.user.phone);
+  });
+
+  it('refuses numbers that are already registered', async () => {
+    const res = await start(alice, bob.user.phone);
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, 'phone_taken');
+  });
+
+  it('refuses a number registered while the change was pending', async () => {
+    const newPhone = nextPhone();
+    const sent = await start(alice, newPhone);
+    await User.create({ name: 'Mallory', phone: newPhone });
+
+    const res = await confirm(alice, codes(sent));
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, 'phone_taken');
+    assert.equal(await storedPhone(alice), alice.user.phone);
+  });
+
+  it('only completes changes started by the same account', async () => {
+    const sent = await start(alice, nextPhone());
+
+    const res = await confirm(bob, codes(sent));
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'invalid_otp');
+    assert.equal(await storedPhone(bob), bob.user.phone);
+    assert.equal(await storedPhone(alice), alice.user.phone);
+  });
+
+  it('validates the new number', async () => {
+    assert.equal((await start(alice, undefined)).body.error, 'missing');
+    assert.equal((await start(alice, '12-34')).body.error, 'invalid_phone');
+    assert.equal((await start(alice, alice.user.phone)).body.error, 'same_phone');
+  });
+});
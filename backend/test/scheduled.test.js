@@ -0,0 +1,160 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  createConversation,
+  missingId
+} from './helpers/testServer.js';
+
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60000).toISOString();
+
+describe('/api/scheduled-messages', () => {
+  let app;
+  let alice;
+  let bob;
+  let mallory;
+  let conversation;
+  let ScheduledMessage;
+
+  before(async () => {
+    ({ app } = await startTestServer());
+    ({ default: ScheduledMessage } = await import('../src/models/ScheduledMessage.js'));
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    mallory = await createUser({ name: 'Mallory' });
+    conversation = await createConversation(alice, bob);
+  });
+
+  const schedule = (user, body) => request(app)
+    .post('/api/scheduled-messages')
+    .set(user.auth)
+    .send({ conversationId: String(conversation._id), ...body });
+
+  // Pretend the send time has passed, then run the scheduler once
+  const makeDue = (id) => ScheduledMessage.updateOne({ _id: id }, { sendAt: new Date(Date.now() - 1000) });
+  const runScheduler = () => app.get('scheduledMessageService').runDue();
+
+  it('requires authentication', async () => {
+    const res = await request(app).get('/api/scheduled-messages');
+    assert.equal(res.status, 401);
+  });
+
+  it('schedules and lists pending messages per conversation', async () => {
+    const other = await createConversation(alice, mallory);
+    await schedule(alice, { content: 'later', sendAt: inMinutes(30) }).expect(201);
+    await schedule(alice, { content: 'sooner', sendAt: inMinutes(10) }).expect(201);
+    await schedule(alice, { conversationId: String(other._id), content: 'elsewhere', sendAt: inMinutes(5) }).expect(201);
+
+    const res = await request(app)
+      .get('/api/scheduled-messages')
+      .query({ conversationId: String(conversation._id) })
+      .set(alice.auth);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.scheduledMessages.map(s => [s.content, s.status]), [['sooner', 'pending'], ['later', 'pending']]);
+
+    const forBob = await request(app).get('/api/scheduled-messages').set(bob.auth);
+    assert.equal(forBob.body.scheduledMessages.length, 0);
+  });
+
+  it('validates the message and send time', async () => {
+    assert.equal((await schedule(alice, { content: 'x', sendAt: inMinutes(-1) })).status, 400);
+    assert.equal((await schedule(alice, { content: 'x', sendAt: 'someday' })).status, 400);
+    assert.equal((await schedule(alice, { content: 'x', sendAt: inMinutes(60 * 24 * 400) })).status, 400);
+    assert.equal((await schedule(alice, { content: '  ', sendAt: inMinutes(5) })).status, 400);
+    assert.equal((await schedule(alice, { content: 'x'.repeat(4001), sendAt: inMinutes(5) })).status, 413);
+    assert.equal((await schedule(alice, { type: 'ciphertext', sendAt: inMinutes(5) })).status, 400);
+    for (const type of ['system', 'call_activity', 'nonsense']) {
+      const res = await schedule(alice, { type, content: 'x', sendAt: inMinutes(5) });
+      assert.equal(res.status, 400, type);
+      assert.equal(res.body.message, 'Invalid message type');
+    }
+    assert.equal((await schedule(mallory, { content: 'x', sendAt: inMinutes(5) })).status, 403);
+    assert.equal((await schedule(alice, { conversationId: missingId(), content: 'x', sendAt: inMinutes(5) })).status, 404);
+  });
+
+  it('edits and cancels pending messages only', async () => {
+    const created = await schedule(alice, { content: 'draft', sendAt: inMinutes(5) });
+    const id = created.body.scheduledMessage._id;
+
+    const sendAt = inMinutes(20);
+    const edited = await request(app).patch(`/api/scheduled-messages/${id}`).set(alice.auth).send({ content: 'final', sendAt });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.scheduledMessage.content, 'final');
+    assert.equal(edited.body.scheduledMessage.sendAt, sendAt);
+
+    const retyped = await request(app).patch(`/api/scheduled-messages/${id}`).set(alice.auth).send({ type: 'system' });
+    assert.equal(retyped.status, 400);
+    const located = await request(app).patch(`/api/scheduled-messages/${id}`).set(alice.auth).send({ type: 'location' });
+    assert.equal(located.body.scheduledMessage.type, 'location');
+
+    const notMine = await request(app).delete(`/api/scheduled-messages/${id}`).set(bob.auth);
+    assert.equal(notMine.status, 404);
+
+    const cancelled = await request(app).delete(`/api/scheduled-messages/${id}`).set(alice.auth);
+    assert.equal(cancelled.body.scheduledMessage.status, 'cancelled');
+
+    const again = await request(app).patch(`/api/scheduled-messages/${id}`).set(alice.auth).send({ content: 'too late' });
+    assert.equal(again.status, 409);
+  });
+
+  it('sends due messages through the normal message path', async () => {
+    const due = await schedule(alice, { content: 'good morning', sendAt: inMinutes(5) });
+    await schedule(alice, { content: 'not yet', sendAt: inMinutes(5) }).expect(201);
+    const cancelled = await schedule(alice, { content: 'never', sendAt: inMinutes(5) });
+    await request(app).delete(`/api/scheduled-messages/${cancelled.body.scheduledMessage._id}`).set(alice.auth).expect(200);
+
+    await makeDue(due.body.scheduledMessage._id);
+    await makeDue(cancelled.body.scheduledMessage._id);
+    assert.equal(await runScheduler(), 1);
+
+    const messages = await request(app).get(`/api/messages/conversation/${conversation._id}`).set(bob.auth);
+    assert.deepEqual(messages.body.messages.map(m => [m.content, m.from]), [['good morning', alice.id]]);
+
+    const entry = await ScheduledMessage.findById(due.body.scheduledMessage._id).lean();
+    assert.equal(entry.status, 'sent');
+    assert.equal(String(entry.sentMessage), messages.body.messages[0]._id);
+
+    // Already sent; nothing left to do
+    assert.equal(await runScheduler(), 0);
+  });
+
+  it('picks up sends interrupted by a restart', async () => {
+    const created = await schedule(alice, { content: 'resumed', sendAt: inMinutes(5) });
+    await ScheduledMessage.updateOne(
+      { _id: created.body.scheduledMessage._id },
+      { sendAt: new Date(Date.now() - 3600000), status: 'processing', lockedAt: new Date(Date.now() - 3600000) }
+    );
+
+    assert.equal(await runScheduler(), 1);
+    const entry = await ScheduledMessage.findById(created.body.scheduledMessage._id).lean();
+    assert.equal(entry.status, 'sent');
+  });
+
+  it('fails and notifies the author after losing membership', async () => {
+    const group = await createConversation(alice, bob, mallory);
+    const created = await schedule(alice, { conversationId: String(group._id), content: 'see you all', sendAt: inMinutes(5) });
+
+    const { default: Conversation } = await import('../src/models/Conversation.js');
+    await Conversation.updateOne({ _id: group._id }, { $pull: { participants: alice.user._id, members: alice.user._id } });
+    await makeDue(created.body.scheduledMessage._id);
+    await runScheduler();
+
+    const failed = await request(app).get('/api/scheduled-messages').query({ status: 'failed' }).set(alice.auth);
+    assert.equal(failed.body.scheduledMessages.length, 1);
+    assert.equal(failed.body.scheduledMessages[0].failureReason, 'User is not a member of this conversation');
+
+    const notifications = await request(app).get('/api/notifications').query({ type: 'scheduled_message_failed' }).set(alice.auth);
+    assert.equal(notifications.body.notifications.length, 1);
+    assert.equal(notifications.body.notifications[0].data.scheduledMessageId, created.body.scheduledMessage._id);
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  createConversation,
+  missingId
+} from './helpers/testServer.js';
+
+describe('/api/messages/search', () => {
+  let app;
+  let alice;
+  let bob;
+  let mallory;
+  let conversation;
+  let other;
+
+  before(async () => {
+    ({ app } = await startTestServer());
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    mallory = await createUser({ name: 'Mallory' });
+    conversation = await createConversation(alice, bob);
+    other = await createConversation(alice, mallory);
+  });
+
+  const send = async (user, content, conv = conversation, extra = {}) => {
+    const res = await request(app)
+      .post('/api/messages')
+      .set(user.auth)
+      .send({ conversationId: String(conv._id), content, ...extra })
+      .expect(200);
+    return res.body.message;
+  };
+
+  const search = (user, query) => request(app).get('/api/messages/search').query(query).set(user.auth);
+
+  it('ranks whole words and phrases above prefixes', async () => {
+    await send(alice, 'the harbourmaster called');
+    await send(bob, 'meet at the harbour gate');
+    await send(alice, 'harbour');
+
+    const res = await search(alice, { q: 'harbour gate' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.messages.map(m => m.content), ['meet at the harbour gate']);
+
+    const prefix = await search(alice, { q: 'harbour' });
+    assert.equal(prefix.body.messages.length, 3);
+    assert.equal(prefix.body.messages[2].content, 'the harbourmaster called');
+  });
+
+  it('matches regardless of case and accents', async () => {
+    await send(bob, 'Café Münster at noon');
+
+    const res = await search(alice, { query: 'cafe munster' });
+    assert.equal(res.body.messages.length, 1);
+    assert.deepEqual(res.body.messages[0].highlights, [[0, 4], [5, 12]]);
+  });
+
+  it('treats regex characters as plain text', async () => {
+    await send(bob, 'price is $5 (maybe)');
+
+    const res = await search(alice, { q: '(maybe' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.messages.length, 1);
+  });
+
+  it('returns a highlighted snippet around the first match', async () => {
+    const long = `${'filler words '.repeat(20)}the secret rendezvous point ${'more filler '.repeat(20)}`;
+    await send(bob, long);
+
+    const [hit] = (await search(alice, { q: 'rendezvous' })).body.messages;
+    assert.ok(hit.snippet.startsWith('…') && hit.snippet.endsWith('…'));
+    assert.ok(hit.snippet.length < long.length);
+    const [[start, end]] = hit.highlights;
+    assert.equal(hit.snippet.slice(start, end), 'rendezvous');
+  });
+
+  it('filters by conversation, sender, date and type', async () => {
+    await send(alice, 'report draft');
+    await send(bob, 'report final');
+    await send(alice, 'report for mallory', other);
+    await send(bob, 'report.pdf', conversation, { fileUrl: 'http://localhost/uploads/report.pdf', fileName: 'report.pdf', type: 'file' });
+
+    const inConversation = await search(alice, { q: 'report', conversationId: String(other._id) });
+    assert.deepEqual(inConversation.body.messages.map(m => m.content), ['report for mallory']);
+
+    const bySender = await search(alice, { q: 'report', senderId: bob.id, type: 'text' });
+    assert.deepEqual(bySender.body.messages.map(m => m.content), ['report final']);
+
+    const files = await search(alice, { q: 'report', types: 'file,image' });
+    assert.deepEqual(files.body.messages.map(m => m.content), ['report.pdf']);
+
+    const future = await search(alice, { q: 'report', since: new Date(Date.now() + 60000).toISOString() });
+    assert.equal(future.body.messages.length, 0);
+
+    const past = await search(alice, { q: 'report', until: new Date(Date.now() + 60000).toISOString() });
+    assert.equal(past.body.messages.length, 4);
+  });
+
+  it('only searches conversations the user belongs to', async () => {
+    await send(alice, 'private plans', other);
+
+    const res = await search(bob, { q: 'private' });
+    assert.equal(res.body.messages.length, 0);
+
+    const scoped = await search(bob, { q: 'private', conversationId: String(other._id) });
+    assert.equal(scoped.status, 403);
+  });
+
+  it('respects deletions and never indexes ciphertext', async () => {
+    const hidden = await send(bob, 'hidden treasure');
+    await send(bob, 'visible treasure');
+    await request(app).delete(`/api/messages/${hidden._id}`).set(alice.auth).send({}).expect(200);
+    await send(alice, '', conversation, {
+      type: 'ciphertext',
+      encrypted: { senderDeviceId: 'a', envelopes: [{ userId: bob.id, deviceId: 'b', body: 'treasure' }] }
+    });
+
+    const forAlice = await search(alice, { q: 'treasure' });
+    assert.deepEqual(forAlice.body.messages.map(m => m.content), ['visible treasure']);
+
+    const forBob = await search(bob, { q: 'treasure' });
+    assert.equal(forBob.body.messages.length, 2);
+  });
+
+  it('finds edited content and forgets the old text', async () => {
+    const message = await send(bob, 'see you tuesday');
+    await request(app).patch(`/api/messages/${message._id}`).set(bob.auth).send({ content: 'see you wednesday' }).expect(200);
+
+    assert.equal((await search(alice, { q: 'tuesday' })).body.messages.length, 0);
+    assert.equal((await search(alice, { q: 'wednesday' })).body.messages.length, 1);
+  });
+
+  it('paginates results', async () => {
+    for (let i = 0; i < 5; i++) {
+      await send(bob, `update number ${i}`);
+    }
+
+    const first = await search(alice, { q: 'update', limit: 2 });
+    assert.equal(first.body.messages.length, 2);
+    assert.equal(first.body.pagination.hasMore, true);
+
+    const last = await search(alice, { q: 'update', limit: 2, page: 3 });
+    assert.equal(last.body.messages.length, 1);
+    assert.equal(last.body.pagination.hasMore, false);
+  });
+
+  it('rejects invalid filters', async () => {
+    assert.equal((await search(alice, { q: 'hello', senderId: 'nope' })).status, 400);
+    assert.equal((await search(alice, { q: 'hello', since: 'yesterday-ish' })).status, 400);
+    assert.equal((await search(alice, { q: 'hello', type: 'ciphertext' })).status, 400);
+    assert.equal((await search(alice, { q: 'hello', conversationId: missingId() })).status, 403);
+  });
+
+  it('backfills tokens for messages stored before search existed', async () => {
+    const { default: Message } = await import('../src/models/Message.js');
+    const message = await send(bob, 'legacy lighthouse');
+    await Message.updateOne({ _id: message._id }, { $unset: { searchTokens: 1 } });
+    assert.equal((await search(alice, { q: 'lighthouse' })).body.messages.length, 0);
+
+    const indexed = await app.get('searchService').backfillSearchTokens();
+    assert.equal(indexed, 1);
+    assert.equal((await search(alice, { q: 'lighthouse' })).body.messages.length, 1);
+  });
+});
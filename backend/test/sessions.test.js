@@ -0,0 +1,103 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  createSession
+} from './helpers/testServer.js';
+import { connectClient, waitFor, disconnectAll } from './helpers/socketClient.js';
+
+describe('/api/auth/sessions', () => {
+  let app;
+  let alice;
+  let phone;
+  let laptop;
+  let bob;
+
+  before(async () => {
+    ({ app } = await startTestServer());
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    phone = await createSession(alice.user, 'phone');
+    laptop = await createSession(alice.user, 'laptop');
+    bob = await createUser({ name: 'Bob' });
+  });
+
+  afterEach(disconnectAll);
+
+  const me = (device) => request(app).get('/api/auth/me').set(device.auth);
+
+  it('lists active sessions and marks the current one', async () => {
+    const res = await request(app).get('/api/auth/sessions').set(phone.auth);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.sessions.length, 3);
+    assert.deepEqual(
+      res.body.sessions.filter(s => s.current).map(s => s.device),
+      ['phone']
+    );
+    assert.ok(res.body.sessions.every(s => s.token === undefined));
+  });
+
+  it('revokes another session so its token stops working', async () => {
+    const res = await request(app).delete(`/api/auth/sessions/${laptop.sessionId}`).set(phone.auth);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.current, false);
+
+    const rejected = await me(laptop);
+    assert.equal(rejected.status, 401);
+    assert.equal(rejected.body.error, 'invalid_session');
+    assert.equal((await me(phone)).status, 200);
+
+    const list = await request(app).get('/api/auth/sessions').set(phone.auth);
+    assert.equal(list.body.sessions.length, 2);
+  });
+
+  it('signs out when the current session is revoked', async () => {
+    const res = await request(app).delete(`/api/auth/sessions/${phone.sessionId}`).set(phone.auth);
+    assert.equal(res.body.current, true);
+    assert.equal((await me(phone)).status, 401);
+  });
+
+  it('returns 404 for sessions of other users', async () => {
+    const res = await request(app).delete(`/api/auth/sessions/${bob.sessionId}`).set(phone.auth);
+    assert.equal(res.status, 404);
+    assert.equal((await me(bob)).status, 200);
+  });
+
+  it('revokes every other session', async () => {
+    const res = await request(app).delete('/api/auth/sessions/others').set(phone.auth);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.revoked, 2);
+
+    assert.equal((await me(phone)).status, 200);
+    assert.equal((await me(laptop)).status, 401);
+    assert.equal((await me(alice)).status, 401);
+    assert.equal((await me(bob)).status, 200);
+  });
+
+  it('rejects socket connections for revoked sessions', async () => {
+    await request(app).delete(`/api/auth/sessions/${laptop.sessionId}`).set(phone.auth).expect(200);
+    await assert.rejects(connectClient(laptop), { message: 'session_revoked' });
+  });
+
+  it('disconnects the live sockets of a revoked session', async () => {
+    const laptopSocket = await connectClient(laptop);
+    const phoneSocket = await connectClient(phone);
+
+    const revoked = waitFor(laptopSocket, 'session_revoked');
+    const disconnected = new Promise(resolve => laptopSocket.once('disconnect', resolve));
+    await request(app).delete('/api/auth/sessions/others').set(phone.auth).expect(200);
+
+    assert.equal((await revoked).sessionId, laptop.sessionId);
+    assert.equal(await disconnected, 'io server disconnect');
+    assert.ok(phoneSocket.connected);
+  });
+});
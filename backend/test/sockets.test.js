@@ -0,0 +1,456 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  createConversation
+} from './helpers/testServer.js';
+import { createClient, connectClient, waitFor, collect, disconnectAll } from './helpers/socketClient.js';
+
+const offer = { type: 'offer', sdp: 'v=0 offer' };
+const answer = { type: 'answer', sdp: 'v=0 answer' };
+
+describe('Socket.IO events', () => {
+  let config;
+  let alice;
+  let bob;
+  let mallory;
+  let conversation;
+
+  before(async () => {
+    ({ config } = await startTestServer());
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    mallory = await createUser({ name: 'Mallory' });
+    conversation = await createConversation(alice, bob);
+  });
+
+  afterEach(disconnectAll);
+
+  describe('authentication', () => {
+    it('rejects connections without a token', async () => {
+      await assert.rejects(connectClient(null), { message: 'unauthorized' });
+    });
+
+    it('rejects tokens signed with another secret', async () => {
+      const token = jwt.sign({ uid: alice.id }, 'not-the-secret');
+      await assert.rejects(connectClient({ token }), { message: 'unauthorized' });
+    });
+
+    it('accepts a valid token and joins the user room', async () => {
+      const socket = await connectClient(alice);
+      assert.ok(socket.connected);
+      const { io } = await startTestServer();
+      assert.equal(io.of('/').adapter.rooms.get(alice.id)?.size, 1);
+    });
+
+    it('accepts tokens carrying only a userId claim', async () => {
+      const token = jwt.sign({ userId: bob.id }, config.jwtSecret, { algorithm: 'HS256' });
+      const socket = await connectClient({ token });
+      assert.ok(socket.connected);
+    });
+  });
+
+  describe('presence', () => {
+    it('tells a new client who is already online', async () => {
+      await connectClient(bob);
+      const socket = await createClient(alice);
+      const initial = waitFor(socket, 'presence:initial');
+      await connectClient(socket);
+
+      const { users } = await initial;
+      assert.equal(users[bob.id].online, true);
+      assert.equal(users[alice.id].online, true);
+      assert.equal(users[mallory.id].online, false);
+    });
+
+    it('broadcasts presence changes', async () => {
+      const watcher = await connectClient(alice);
+      const online = waitFor(watcher, 'presence', { filter: p => p.uid === bob.id || p.userId === bob.id });
+      const bobSocket = await connectClient(bob);
+      assert.ok(await online);
+
+      const offline = waitFor(watcher, 'presence', {
+        filter: p => (p.uid === bob.id || p.userId === bob.id) && p.online === false
+      });
+      bobSocket.disconnect();
+      assert.ok(await offline);
+    });
+  });
+
+  describe('send-message', () => {
+    it('confirms to the sender and delivers to the recipient', async () => {
+      const sender = await connectClient(alice);
+      const recipient = await connectClient(bob);
+
+      const sent = waitFor(sender, 'message-sent');
+      const received = waitFor(recipient, 'receive-message');
+      const legacy = waitFor(recipient, 'message');
+      sender.emit('send-message', { conversationId: String(conversation._id), content: 'hi bob', clientId: 'c-1' });
+
+      const confirmation = await sent;
+      assert.equal(confirmation.clientId, 'c-1');
+      assert.equal(confirmation.from, alice.id);
+      assert.equal(confirmation.conversationId, String(conversation._id));
+      assert.equal(confirmation.content, 'hi bob');
+
+      const message = await received;
+      assert.equal(message._id, confirmation._id);
+      assert.equal(message.from, alice.id);
+      assert.equal(message.sender, alice.id);
+      assert.equal(message.to, bob.id);
+      assert.equal(message.text, 'hi bob');
+      assert.equal(message.type, 'text');
+      assert.equal(message.deleted, false);
+      assert.ok(!Number.isNaN(Date.parse(message.createdAt)));
+
+      assert.equal((await legacy)._id, confirmation._id);
+    });
+
+    it('confirms exactly once per sender socket', async () => {
+      const sender = await connectClient(alice);
+      const confirmations = collect(sender, 'message-sent');
+      sender.emit('send-message', { conversationId: String(conversation._id), content: 'once' });
+      assert.equal((await confirmations).length, 1);
+    });
+
+    it('reaches every device of both users', async () => {
+      const aliceSockets = [await connectClient(alice), await connectClient(alice)];
+      const bobSockets = [await connectClient(bob), await connectClient(bob)];
+
+      const confirmations = aliceSockets.map(s => waitFor(s, 'message-sent'));
+      const deliveries = bobSockets.map(s => waitFor(s, 'receive-message'));
+      aliceSockets[0].emit('send-message', { conversationId: String(conversation._id), content: 'sync' });
+
+      await Promise.all([...confirmations, ...deliveries]);
+    });
+
+    it('relays ciphertext envelopes opaquely', async () => {
+      const sender = await connectClient(alice);
+      const recipient = await connectClient(bob);
+      const encrypted = {
+        senderDeviceId: 'alice-phone',
+        envelopes: [{ userId: bob.id, deviceId: 'bob-phone', type: 1, body: 'opaque' }]
+      };
+
+      const received = waitFor(recipient, 'receive-message');
+      sender.emit('send-message', { conversationId: String(conversation._id), type: 'ciphertext', encrypted });
+      const message = await received;
+      assert.equal(message.type, 'ciphertext');
+      assert.equal(message.content, '');
+      assert.deepEqual(message.encrypted, encrypted);
+    });
+
+    it('emits an error for ciphertext without envelopes', async () => {
+      const socket = await connectClient(alice);
+      const error = waitFor(socket, 'error');
+      socket.emit('send-message', { conversationId: String(conversation._id), type: 'ciphertext' });
+      assert.equal((await error).message, 'Encrypted payload is required for ciphertext messages');
+    });
+
+    it('emits an error when fields are missing', async () => {
+      const socket = await connectClient(alice);
+      const error = waitFor(socket, 'error');
+      socket.emit('send-message', { conversationId: String(conversation._id) });
+      assert.equal((await error).message, 'Conversation ID and content are required');
+    });
+
+    it('emits an error for non-members', async () => {
+      const socket = await connectClient(mallory);
+      const recipient = await connectClient(bob);
+      const error = waitFor(socket, 'error');
+      const leaked = collect(recipient, 'receive-message');
+      socket.emit('send-message', { conversationId: String(conversation._id), content: 'let me in' });
+      assert.equal((await error).message, 'User is not a member of this conversation');
+      assert.equal((await leaked).length, 0);
+    });
+  });
+
+  describe('receipts', () => {
+    const sendAs = async (socket, content) => {
+      const sent = waitFor(socket, 'message-sent', { filter: m => m.content === content });
+      socket.emit('send-message', { conversationId: String(conversation._id), content });
+      return sent;
+    };
+
+    it('relays delivered receipts to the sender', async () => {
+      const sender = await connectClient(alice);
+      const recipient = await connectClient(bob);
+      const message = await sendAs(sender, 'did you get this');
+
+      const receipt = waitFor(sender, 'delivered');
+      recipient.emit('delivered', { messageId: message._id });
+      const payload = await receipt;
+      assert.equal(payload.messageId, message._id);
+      assert.equal(payload.conversationId, String(conversation._id));
+      assert.equal(payload.by, bob.id);
+      assert.equal(payload.at, message.createdAt);
+    });
+
+    it('catches up delivered receipts when the recipient connects', async () => {
+      const sender = await connectClient(alice);
+      const message = await sendAs(sender, 'while you were away');
+
+      const receipt = waitFor(sender, 'delivered');
+      await connectClient(bob);
+      const payload = await receipt;
+      assert.equal(payload.messageId, message._id);
+      assert.equal(payload.by, bob.id);
+    });
+
+    it('does not catch up conversations the user is not in', async () => {
+      const sender = await connectClient(alice);
+      await sendAs(sender, 'private');
+
+      const receipts = collect(sender, 'delivered');
+      await connectClient(mallory);
+      assert.deepEqual(await receipts, []);
+    });
+
+    it('relays read_up_to to the other members only', async () => {
+      const sender = await connectClient(alice);
+      const reader = await connectClient(bob);
+      await sendAs(sender, 'read me');
+
+      const relayed = waitFor(sender, 'read_up_to');
+      const echoed = collect(reader, 'read_up_to');
+      const at = new Date().toISOString();
+      reader.emit('read_up_to', { conversationId: String(conversation._id), by: bob.id, at });
+
+      assert.deepEqual(await relayed, { conversationId: String(conversation._id), by: bob.id, at });
+      assert.deepEqual(await echoed, []);
+    });
+
+    it('marks a conversation read and notifies the sender', async () => {
+      const other = await createConversation(alice, bob, mallory);
+      const sender = await connectClient(alice);
+      const reader = await connectClient(bob);
+      const message = await sendAs(sender, 'mark me');
+
+      const receipt = waitFor(sender, 'messages:read-receipt');
+      const ack = waitFor(reader, 'messages-read');
+      reader.emit('mark-read', { conversationId: String(conversation._id) });
+
+      assert.deepEqual(await ack, { conversationId: String(conversation._id) });
+      const payload = await receipt;
+      assert.deepEqual(payload.messageIds, [message._id]);
+      assert.equal(payload.readBy, bob.id);
+
+      // Messages in other conversations stay unread
+      const { default: Message } = await import('../src/models/Message.js');
+      await Message.create({
+        from: alice.id, sender: alice.id, to: bob.id,
+        conversation: other._id, conversationId: other._id,
+        content: 'elsewhere', text: 'elsewhere'
+      });
+      const secondAck = waitFor(reader, 'messages-read');
+      reader.emit('mark-read', { conversationId: String(conversation._id) });
+      await secondAck;
+      const elsewhere = await Message.findOne({ conversation: other._id }).lean();
+      assert.notEqual(elsewhere.status, 'read');
+    });
+
+    it('emits an error when mark-read has no conversation', async () => {
+      const socket = await connectClient(bob);
+      const error = waitFor(socket, 'error');
+      socket.emit('mark-read', {});
+      assert.equal((await error).message, 'Conversation ID is required');
+    });
+  });
+
+  describe('reactions', () => {
+    const sendAs = async (socket, content) => {
+      const sent = waitFor(socket, 'message-sent', { filter: m => m.content === content });
+      socket.emit('send-message', { conversationId: String(conversation._id), content });
+      return sent;
+    };
+
+    it('broadcasts reaction changes to every member', async () => {
+      const author = await connectClient(alice);
+      const reactor = await connectClient(bob);
+      const message = await sendAs(author, 'nice');
+
+      const seen = waitFor(author, 'message_reaction');
+      const echoed = waitFor(reactor, 'message_reaction');
+      const notified = waitFor(author, 'notification:new', { filter: n => n.type === 'message_reaction' });
+      reactor.emit('add-reaction', { messageId: message._id, reaction: '🎉' });
+
+      const payload = await seen;
+      assert.equal(payload.messageId, message._id);
+      assert.equal(payload.conversationId, String(conversation._id));
+      assert.equal(payload.userId, bob.id);
+      assert.equal(payload.reaction, '🎉');
+      assert.deepEqual(payload.reactions, [{ reaction: '🎉', count: 1, userIds: [bob.id] }]);
+      assert.equal((await echoed).reaction, '🎉');
+      assert.equal((await notified).data.reaction, '🎉');
+
+      const removed = waitFor(author, 'message_reaction', { filter: p => p.reaction === null });
+      reactor.emit('remove-reaction', { messageId: message._id });
+      assert.deepEqual((await removed).reactions, []);
+    });
+
+    it('emits an error for non-members', async () => {
+      const author = await connectClient(alice);
+      const outsider = await connectClient(mallory);
+      const message = await sendAs(author, 'members only');
+
+      const error = waitFor(outsider, 'error');
+      outsider.emit('add-reaction', { messageId: message._id, reaction: '👍' });
+      assert.equal((await error).message, 'User is not a member of this conversation');
+    });
+  });
+
+  describe('typing', () => {
+    it('relays typing start and stop to the other members', async () => {
+      const typist = await connectClient(alice);
+      const watcher = await connectClient(bob);
+      const echoed = collect(typist, 'typing');
+
+      const started = waitFor(watcher, 'typing');
+      typist.emit('typing', { conversationId: String(conversation._id), typing: true });
+      const payload = await started;
+      assert.equal(payload.from, alice.id);
+      assert.equal(payload.conversationId, String(conversation._id));
+      assert.equal(payload.typing, true);
+
+      const stopped = waitFor(watcher, 'typing-stopped');
+      typist.emit('typing', { conversationId: String(conversation._id), typing: false });
+      assert.equal((await stopped).typing, false);
+
+      assert.deepEqual(await echoed, []);
+    });
+
+    it('ignores invalid conversation ids', async () => {
+      const typist = await connectClient(alice);
+      const watcher = await connectClient(bob);
+      const received = collect(watcher, 'typing');
+      typist.emit('typing', { conversationId: 'null' });
+      typist.emit('typing', { conversationId: 'not-an-id' });
+      assert.deepEqual(await received, []);
+    });
+  });
+
+  describe('calls', () => {
+    const invite = async (caller, callee, kind = 'audio') => {
+      const incoming = waitFor(callee, 'call:incoming');
+      const ringing = waitFor(caller, 'call:ringing');
+      caller.emit('call:invite', { to: bob.id, sdp: offer, kind });
+      return { incoming: await incoming, ringing: await ringing };
+    };
+
+    it('runs invite, answer, candidates and hangup', async () => {
+      const caller = await connectClient(alice);
+      const callee = await connectClient(bob);
+
+      const { incoming, ringing } = await invite(caller, callee, 'video');
+      assert.equal(incoming.from, alice.id);
+      assert.equal(incoming.kind, 'video');
+      assert.deepEqual(incoming.sdp, offer);
+      assert.equal(ringing.callId, incoming.callId);
+      assert.equal(ringing.to, bob.id);
+      const { callId } = incoming;
+
+      const answered = waitFor(caller, 'call:answer');
+      callee.emit('call:answer', { callId, accept: true, sdp: answer });
+      assert.deepEqual(await answered, { callId, from: bob.id, sdp: answer, kind: 'video' });
+
+      const candidate = { candidate: 'candidate:1 1 udp 1 10.0.0.1 9 typ host', sdpMid: '0' };
+      const relayed = waitFor(callee, 'call:candidate');
+      caller.emit('call:candidate', { callId, candidate });
+      assert.deepEqual(await relayed, { callId, from: alice.id, candidate });
+
+      const endedForCaller = waitFor(caller, 'call:ended');
+      const endedForCallee = waitFor(callee, 'call:ended');
+      callee.emit('call:hangup', { callId });
+      assert.deepEqual(await endedForCaller, { callId, by: bob.id });
+      assert.deepEqual(await endedForCallee, { callId, by: bob.id });
+    });
+
+    it('notifies both sides when a call is declined', async () => {
+      const caller = await connectClient(alice);
+      const callee = await connectClient(bob);
+      const { incoming } = await invite(caller, callee);
+
+      const declined = waitFor(caller, 'call:declined');
+      callee.emit('call:answer', { callId: incoming.callId, accept: false });
+      assert.deepEqual(await declined, { callId: incoming.callId, from: bob.id });
+    });
+
+    it('reports busy when the callee is already in a call', async () => {
+      const caller = await connectClient(alice);
+      const callee = await connectClient(bob);
+      const third = await connectClient(mallory);
+      await invite(caller, callee);
+
+      const busy = waitFor(third, 'call:busy');
+      third.emit('call:invite', { to: bob.id, sdp: offer });
+      assert.deepEqual(await busy, { to: bob.id, error: 'busy' });
+    });
+
+    it('validates invites and answers', async () => {
+      const caller = await connectClient(alice);
+
+      const missingSdp = waitFor(caller, 'call:error');
+      caller.emit('call:invite', { to: bob.id });
+      assert.equal((await missingSdp).message, 'Missing required fields');
+
+      const missingId = waitFor(caller, 'call:error');
+      caller.emit('call:answer', { accept: true, sdp: answer });
+      assert.equal((await missingId).message, 'Call ID is required');
+    });
+
+    it('ends the call for the peer when a participant disconnects', async () => {
+      const caller = await connectClient(alice);
+      const callee = await connectClient(bob);
+      const { incoming } = await invite(caller, callee);
+
+      const ended = waitFor(caller, 'call:ended');
+      callee.disconnect();
+      assert.deepEqual(await ended, { callId: incoming.callId, by: 'disconnect' });
+    });
+
+    describe('legacy events', () => {
+      it('maps call_offer, call_answer, ice_candidate and call_end onto the call flow', async () => {
+        const caller = await connectClient(alice);
+        const callee = await connectClient(bob);
+
+        const incoming = waitFor(callee, 'call:incoming');
+        caller.emit('call_offer', { to: bob.id, sdp: offer });
+        const { callId, kind } = await incoming;
+        assert.equal(kind, 'audio');
+
+        const answered = waitFor(caller, 'call:answer');
+        callee.emit('call_answer', { callId, sdp: answer });
+        assert.equal((await answered).from, bob.id);
+
+        const relayed = waitFor(caller, 'call:candidate');
+        callee.emit('ice_candidate', { callId, candidate: { candidate: 'c' } });
+        assert.deepEqual((await relayed).candidate, { candidate: 'c' });
+
+        const ended = waitFor(callee, 'call:ended');
+        caller.emit('call_end', { callId });
+        assert.deepEqual(await ended, { callId, by: alice.id });
+      });
+
+      it('emits call_error when the callee is busy', async () => {
+        const caller = await connectClient(alice);
+        const callee = await connectClient(bob);
+        const third = await connectClient(mallory);
+        await invite(caller, callee);
+
+        const error = waitFor(third, 'call_error');
+        third.emit('call_offer', { to: bob.id, sdp: offer });
+        assert.deepEqual(await error, { error: 'busy' });
+      });
+    });
+  });
+});
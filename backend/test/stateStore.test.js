@@ -0,0 +1,227 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser
+} from './helpers/testServer.js';
+import { MemoryStateStore, createStateStore } from '../src/utils/stateStore.js';
+import Call from '../src/models/Call.js';
+
+const offer = { type: 'offer', sdp: 'v=0 offer' };
+
+/**
+ * Socket.IO server stand-in recording what one instance emits
+ */
+const fakeIo = () => {
+  const emitted = [];
+  const target = (room) => ({
+    emit: (event, data) => emitted.push({ room, event, data }),
+    except: () => target(room)
+  });
+  return {
+    emitted,
+    to: target,
+    except: () => target('*'),
+    emit: (event, data) => emitted.push({ room: '*', event, data })
+  };
+};
+
+// Same behavior from both stores; Redis runs when TEST_REDIS_URL points at a server
+const stores = [
+  ['MemoryStateStore', () => createStateStore({})],
+  ['RedisStateStore', () => createStateStore({ redisUrl: process.env.TEST_REDIS_URL, redisKeyPrefix: `test:${Date.now()}:` })]
+];
+
+for (const [name, create] of stores) {
+  describe(name, { skip: name === 'RedisStateStore' && !process.env.TEST_REDIS_URL }, () => {
+    let store;
+
+    before(async () => {
+      store = await create();
+    });
+
+    after(async () => {
+      await store.del('string', 'hash', 'set');
+      await store.close();
+    });
+
+    it('stores strings', async () => {
+      assert.equal(await store.get('string'), null);
+      await store.set('string', 42);
+      assert.equal(await store.get('string'), '42');
+      assert.equal(await store.del('string', 'missing'), 1);
+      assert.equal(await store.get('string'), null);
+    });
+
+    it('stores hashes', async () => {
+      assert.equal(await store.hsetnx('hash', 'a', 1), true);
+      assert.equal(await store.hsetnx('hash', 'a', 2), false);
+      await store.hset('hash', 'b', 'two');
+      assert.equal(await store.hget('hash', 'a'), '1');
+      assert.equal(await store.hget('hash', 'missing'), null);
+      assert.deepEqual(await store.hgetall('hash'), { a: '1', b: 'two' });
+      assert.equal(await store.hlen('hash'), 2);
+
+      assert.equal(await store.hincrby('hash', 'count', 2), 2);
+      assert.equal(await store.hincrby('hash', 'count', -3), -1);
+
+      assert.equal(await store.hdel('hash', 'b'), 1);
+      assert.equal(await store.hdel('hash', 'b'), 0);
+      await store.hdel('hash', 'a');
+      await store.hdel('hash', 'count');
+      assert.deepEqual(await store.hgetall('hash'), {});
+      assert.equal(await store.hlen('hash'), 0);
+    });
+
+    it('stores sets', async () => {
+      assert.equal(await store.sadd('set', 'a', 'b', 'a'), 2);
+      assert.deepEqual((await store.smembers('set')).sort(), ['a', 'b']);
+      assert.equal(await store.srem('set', 'a'), 1);
+      assert.equal(await store.srem('set', 'a'), 0);
+      assert.deepEqual(await store.smembers('set'), ['b']);
+      assert.deepEqual(await store.smembers('missing'), []);
+    });
+  });
+}
+
+describe('Services sharing a state store', () => {
+  let alice;
+  let bob;
+  let carol;
+  let store;
+  let PresenceService;
+  let CallService;
+  let InstanceService;
+
+  before(async () => {
+    await startTestServer();
+    // The services read config, which must load after the test server sets the environment
+    ({ default: PresenceService } = await import('../src/services/presenceService.js'));
+    ({ default: CallService } = await import('../src/services/callService.js'));
+    ({ default: InstanceService } = await import('../src/services/instanceService.js'));
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    carol = await createUser({ name: 'Carol' });
+    store = new MemoryStateStore();
+  });
+
+  it('tracks presence across instances', async () => {
+    const first = new PresenceService(fakeIo(), store);
+    const second = new PresenceService(fakeIo(), store);
+
+    await first.userConnected(alice.id, 'socket-1');
+    await second.userConnected(alice.id, 'socket-2');
+    assert.equal(await second.isUserOnline(alice.id), true);
+    assert.deepEqual(await first.getOnlineUsers(), [alice.id]);
+
+    // Still connected through the other instance
+    await first.userDisconnected('socket-1');
+    assert.equal(await first.isUserOnline(alice.id), true);
+    assert.equal(second.io.emitted.filter(e => e.event === 'presence').length, 0);
+
+    await second.userDisconnected('socket-2');
+    assert.equal(await first.isUserOnline(alice.id), false);
+    assert.equal(await first.getOnlineCount(), 0);
+    const [offline] = second.io.emitted.filter(e => e.event === 'presence');
+    assert.equal(offline.data.online, false);
+    assert.equal((await first.getUserStatus(alice.id)).at, offline.data.at);
+
+    // A repeated disconnect for the same socket changes nothing
+    assert.equal(await second.userDisconnected('socket-2'), false);
+  });
+
+  it('detects busy users and finishes calls from either instance', async () => {
+    const first = new CallService(fakeIo(), store);
+    const second = new CallService(fakeIo(), store);
+
+    const { callId } = await first.inviteCall(alice.id, bob.id, offer);
+    assert.equal(await second.isUserInCall(bob.id), true);
+
+    const busy = await second.inviteCall(carol.id, bob.id, offer);
+    assert.equal(busy.error, 'busy');
+    assert.equal(await second.isUserInCall(carol.id), false);
+
+    // Bob answers and hangs up through the other instance
+    assert.equal((await second.answerCall(callId, bob.id, true, offer)).accepted, true);
+    assert.equal((await first.getCall(callId)).state, 'answered');
+    await second.hangupCall(callId, bob.id);
+    assert.equal(await first.getCall(callId), null);
+    assert.equal(await first.isUserInCall(alice.id), false);
+    assert.deepEqual(second.io.emitted.find(e => e.event === 'call:ended' && e.room === alice.id).data, {
+      callId,
+      by: bob.id
+    });
+
+    // The ring timer left on the first instance finds nothing left to end
+    await first.clearRingTimer(callId);
+    await first.finishCall(callId, 'timeout');
+    assert.equal((await Call.findOne({ callId }).lean()).endReason, 'hangup');
+  });
+
+  it('cleans up the sockets and calls of an instance that stopped heartbeating', async () => {
+    const firstPresence = new PresenceService(fakeIo(), store, 'instance-1');
+    const secondPresence = new PresenceService(fakeIo(), store, 'instance-2');
+    const firstCalls = new CallService(fakeIo(), store);
+    const secondCalls = new CallService(fakeIo(), store);
+    const second = new InstanceService(secondPresence, secondCalls);
+
+    await firstPresence.heartbeat();
+    await firstPresence.userConnected(alice.id, 'socket-1');
+    await secondPresence.userConnected(bob.id, 'socket-2');
+    const { callId } = await firstCalls.inviteCall(alice.id, bob.id, offer, 'audio', 'socket-1');
+    await secondCalls.answerCall(callId, bob.id, true, offer, 'socket-2');
+
+    // Still heartbeating: nothing to clean up
+    await second.tick();
+    assert.equal(await secondPresence.isUserOnline(alice.id), true);
+
+    // The first instance dies without disconnecting its sockets
+    await firstCalls.clearRingTimer(callId);
+    await store.hset('presence:instances', 'instance-1', Date.now() - second.timeoutMs - 1000);
+    await second.tick();
+
+    assert.equal(await secondPresence.isUserOnline(alice.id), false);
+    assert.equal(await secondPresence.isUserOnline(bob.id), true);
+    assert.equal(await secondCalls.isUserInCall(alice.id), false);
+    assert.equal(await secondCalls.isUserInCall(bob.id), false);
+    const record = await Call.findOne({ callId }).lean();
+    assert.equal(record.endReason, 'disconnect');
+    assert.equal(String(record.endedBy), alice.id);
+    assert.deepEqual(await secondPresence.deadInstances(second.timeoutMs), []);
+
+    // Shutting down releases an instance's own sockets right away
+    await second.stop();
+    assert.equal(await firstPresence.getOnlineCount(), 0);
+  });
+
+  it('expires a ringing call whose timer was lost with its instance', async () => {
+    const first = new CallService(fakeIo(), store);
+    const second = new CallService(fakeIo(), store);
+
+    const { callId } = await first.inviteCall(alice.id, bob.id, offer);
+    assert.equal(await second.expireDueCalls(), 0);
+
+    // The first instance goes away with the timer, and the deadline passes
+    clearTimeout(first.timers.get(callId));
+    await store.hset('calls:deadlines', callId, Date.now() - 1);
+    assert.equal(await second.expireDueCalls(), 1);
+
+    assert.equal(await second.getCall(callId), null);
+    assert.equal(await second.isUserInCall(alice.id), false);
+    assert.equal(await second.isUserInCall(bob.id), false);
+    assert.equal((await Call.findOne({ callId }).lean()).endReason, 'timeout');
+    assert.deepEqual(
+      second.io.emitted.filter(e => e.event === 'call:ended').map(e => e.room).sort(),
+      [alice.id, bob.id].sort()
+    );
+    assert.equal(await first.expireDueCalls(), 0);
+  });
+});
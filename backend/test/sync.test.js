@@ -0,0 +1,240 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  createSession,
+  createConversation
+} from './helpers/testServer.js';
+import { encodeCursor, MIN_OBJECT_ID } from '../src/utils/cursor.js';
+
+// Keeps successive writes on distinct millisecond timestamps
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('/api/sync', () => {
+  let app;
+  let config;
+  let alice;
+  let phone;
+  let bob;
+  let mallory;
+  let conversation;
+
+  before(async () => {
+    ({ app, config } = await startTestServer());
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    phone = await createSession(alice.user, 'phone');
+    bob = await createUser({ name: 'Bob' });
+    mallory = await createUser({ name: 'Mallory' });
+    conversation = await createConversation(alice, bob);
+    // Most tests check exact pages; the overlap window has its own test
+    app.get('syncService').overlapMs = 0;
+    await tick();
+  });
+
+  const send = async (user, content, conv = conversation) => {
+    const res = await request(app)
+      .post('/api/messages')
+      .set(user.auth)
+      .send({ conversationId: String(conv._id), content })
+      .expect(200);
+    await tick();
+    return res.body.message;
+  };
+
+  const sync = (device, query = {}) => request(app).get('/api/sync').query(query).set(device.auth);
+  const ack = (device, cursor) => request(app).post('/api/sync/ack').set(device.auth).send({ cursor });
+
+  it('requires authentication', async () => {
+    const res = await request(app).get('/api/sync');
+    assert.equal(res.status, 401);
+  });
+
+  it('returns messages created since the device logged in', async () => {
+    await send(bob, 'one');
+    await send(alice, 'two');
+
+    const res = await sync(phone);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.changes.map(c => [c.change, c.message.content]), [['created', 'one'], ['created', 'two']]);
+    assert.equal(res.body.hasMore, false);
+    assert.ok(res.body.cursor);
+  });
+
+  it('only returns what the device missed after acknowledging', async () => {
+    const first = await send(bob, 'seen');
+    const initial = await sync(phone);
+    await ack(phone, initial.body.cursor).expect(200);
+
+    assert.equal((await sync(phone)).body.changes.length, 0);
+
+    await request(app).patch(`/api/messages/${first._id}`).set(bob.auth).send({ content: 'seen (edited)' }).expect(200);
+    await tick();
+    const removed = await send(bob, 'oops');
+    await request(app).delete(`/api/messages/${removed._id}`).set(bob.auth).send({ deleteForBoth: true }).expect(200);
+    await tick();
+    await send(bob, 'new');
+
+    const res = await sync(phone);
+    assert.deepEqual(
+      res.body.changes.map(c => [c.change, c.message._id]),
+      [['edited', first._id], ['deleted', removed._id], ['created', res.body.changes[2].message._id]]
+    );
+    assert.equal(res.body.changes[0].message.content, 'seen (edited)');
+    assert.equal(res.body.changes[1].message.content, '');
+    assert.equal(res.body.changes[2].message.content, 'new');
+  });
+
+  it('reports messages deleted only for this user as deleted', async () => {
+    const message = await send(bob, 'hide me');
+    const initial = await sync(phone);
+    await ack(phone, initial.body.cursor).expect(200);
+
+    await request(app).delete(`/api/messages/${message._id}`).set(alice.auth).send({}).expect(200);
+
+    const forAlice = await sync(phone);
+    assert.deepEqual(forAlice.body.changes.map(c => c.change), ['deleted']);
+    assert.equal(forAlice.body.changes[0].message.content, '');
+  });
+
+  it('reports messages removed by the disappearing-messages sweep as purged', async () => {
+    const { default: Message } = await import('../src/models/Message.js');
+    const { default: Conversation } = await import('../src/models/Conversation.js');
+    const expiring = await send(bob, 'expires');
+    const kept = await send(bob, 'stays');
+    const initial = await sync(phone);
+    await ack(phone, initial.body.cursor).expect(200);
+
+    await request(app)
+      .put(`/api/conversations/${conversation._id}/disappearing`)
+      .set(alice.auth)
+      .send({ ttlSeconds: 3600 })
+      .expect(200);
+    const past = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    await Conversation.collection.updateOne({ _id: conversation._id }, { $set: { 'disappearingMessages.enabledAt': past } });
+    await Message.collection.updateOne({ _id: new mongoose.Types.ObjectId(expiring._id) }, { $set: { createdAt: past } });
+    assert.equal(await app.get('disappearingMessageService').sweep(), 1);
+
+    const res = await sync(phone);
+    const purged = res.body.changes.filter(c => c.change === 'purged');
+    assert.deepEqual(purged.map(c => c.message._id), [expiring._id]);
+    assert.equal(purged[0].message.conversationId, String(conversation._id));
+    assert.ok(!res.body.changes.some(c => c.message._id === kept._id));
+    assert.equal(res.body.resyncRequired, false);
+
+    await ack(phone, res.body.cursor).expect(200);
+    assert.equal((await sync(phone)).body.changes.length, 0);
+  });
+
+  it('asks devices to resync when their position is older than deletions are kept', async () => {
+    const longAgo = new Date(Date.now() - 120 * 24 * 60 * 60 * 1000);
+    const res = await sync(phone, { cursor: encodeCursor(longAgo, MIN_OBJECT_ID) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.resyncRequired, true);
+  });
+
+  it('keeps an independent cursor per device', async () => {
+    await send(bob, 'one');
+    const laptop = await createSession(alice.user, 'laptop');
+    await send(bob, 'two');
+
+    const phoneChanges = await sync(phone);
+    await ack(phone, phoneChanges.body.cursor).expect(200);
+
+    const laptopChanges = await sync(laptop);
+    assert.deepEqual(laptopChanges.body.changes.map(c => c.message.content), ['two']);
+    assert.equal((await sync(phone)).body.changes.length, 0);
+  });
+
+  it('pages with an explicit cursor', async () => {
+    await send(bob, 'one');
+    await send(bob, 'two');
+    await send(bob, 'three');
+
+    const first = await sync(phone, { limit: 2 });
+    assert.deepEqual(first.body.changes.map(c => c.message.content), ['one', 'two']);
+    assert.equal(first.body.hasMore, true);
+
+    const second = await sync(phone, { limit: 2, cursor: first.body.cursor });
+    assert.deepEqual(second.body.changes.map(c => c.message.content), ['three']);
+    assert.equal(second.body.hasMore, false);
+  });
+
+  it('never moves an acknowledged cursor backwards', async () => {
+    await send(bob, 'one');
+    const early = (await sync(phone, { limit: 1 })).body.cursor;
+    await send(bob, 'two');
+    const late = (await sync(phone)).body.cursor;
+
+    await ack(phone, late).expect(200);
+    const res = await ack(phone, early);
+    assert.equal(res.body.cursor, late);
+  });
+
+  it('re-sends the window before the cursor so late-committing writes are not skipped', async () => {
+    const { default: Message } = await import('../src/models/Message.js');
+    app.get('syncService').overlapMs = 5000;
+    const seen = await send(bob, 'seen');
+    const initial = await sync(phone);
+    await ack(phone, initial.body.cursor).expect(200);
+
+    // Stamped before the acknowledged position but committed after it was read
+    const late = await send(bob, 'late');
+    const stamp = new Date(new Date(seen.createdAt).getTime() - 1000);
+    await Message.collection.updateOne(
+      { _id: new mongoose.Types.ObjectId(late._id) },
+      { $set: { createdAt: stamp, updatedAt: stamp } }
+    );
+
+    const res = await sync(phone);
+    assert.deepEqual(
+      res.body.changes.map(c => [c.change, c.message.content]),
+      [['created', 'late'], ['created', 'seen']]
+    );
+    assert.equal(res.body.cursor, initial.body.cursor);
+    assert.equal(res.body.hasMore, false);
+  });
+
+  it('ignores conversations the user is not in', async () => {
+    const other = await createConversation(bob, mallory);
+    await send(bob, 'private', other);
+
+    const res = await sync(phone);
+    assert.equal(res.body.changes.length, 0);
+  });
+
+  it('rejects malformed cursors', async () => {
+    const res = await sync(phone, { cursor: 'garbage' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'invalid_cursor');
+
+    const badAck = await ack(phone, 'garbage');
+    assert.equal(badAck.status, 400);
+  });
+
+  it('requires a session-bound token', async () => {
+    const token = jwt.sign({ uid: alice.id }, config.jwtSecret, { algorithm: 'HS256' });
+    const res = await request(app).get('/api/sync').set({ Authorization: `Bearer ${token}` });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'session_required');
+  });
+
+  it('rejects revoked sessions', async () => {
+    const { default: Session } = await import('../src/models/Session.js');
+    await Session.updateOne({ sessionId: phone.sessionId }, { valid: false });
+
+    const res = await sync(phone);
+    assert.equal(res.status, 401);
+  });
+});
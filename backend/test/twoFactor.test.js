@@ -0,0 +1,322 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  createSession
+} from './helpers/testServer.js';
+import { totpCode, totpStep, matchTotp, base32Encode } from '../src/utils/totp.js';
+import User from '../src/models/User.js';
+import TwoFactorChallenge from '../src/models/TwoFactorChallenge.js';
+import TwoFactorLockout from '../src/models/TwoFactorLockout.js';
+import { hashPassword } from '../src/utils/password.js';
+
+const PASSWORD = 'harbor42light';
+
+// Codes are relative to the current step so each use lands after the last one accepted
+const codeAt = (secret, offset = 0) => totpCode(secret, totpStep() + offset);
+
+describe('Two-factor authentication', () => {
+  let app;
+
+  before(async () => {
+    ({ app } = await startTestServer());
+  });
+
+  after(stopTestServer);
+
+  beforeEach(clearDatabase);
+
+  const login = (phone, password = PASSWORD) =>
+    request(app).post('/api/auth/login').send({ name: phone, password });
+  const verify = (body) => request(app).post('/api/auth/2fa/verify').send(body);
+  const me = (token) => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+  /**
+   * User with a password and 2FA turned on through the API
+   */
+  const createTwoFactorUser = async (name = 'Alice') => {
+    const account = await createUser({ name });
+    await User.updateOne({ _id: account.id }, { passwordHash: await hashPassword(PASSWORD) });
+
+    const setup = await request(app).post('/api/auth/2fa/setup').set(account.auth).expect(200);
+    const enabled = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set(account.auth)
+      .send({ code: codeAt(setup.body.secret, -1) })
+      .expect(200);
+
+    return { ...account, secret: setup.body.secret, backupCodes: enabled.body.backupCodes };
+  };
+
+  describe('TOTP', () => {
+    it('matches the RFC 6238 test vectors', () => {
+      const secret = base32Encode(Buffer.from('12345678901234567890'));
+      assert.equal(totpCode(secret, totpStep(59 * 1000)), '287082');
+      assert.equal(totpCode(secret, totpStep(1111111109 * 1000)), '081804');
+      assert.equal(matchTotp(secret, '081804', { at: 1111111109 * 1000 + 30 * 1000 }), totpStep(1111111109 * 1000));
+      assert.equal(matchTotp(secret, '081804', { at: 1111111109 * 1000 + 90 * 1000 }), null);
+    });
+  });
+
+  describe('enrollment', () => {
+    it('enables 2FA once a code from the app confirms the secret', async () => {
+      const alice = await createUser({ name: 'Alice' });
+
+      const setup = await request(app).post('/api/auth/2fa/setup').set(alice.auth);
+      assert.equal(setup.status, 200);
+      assert.match(setup.body.secret, /^[A-Z2-7]{32}$/);
+      assert.match(setup.body.otpauthUri, /^otpauth:\/\/totp\/Messenger%3A/);
+      assert.ok(setup.body.otpauthUri.includes(`secret=${setup.body.secret}`));
+
+      let status = await request(app).get('/api/auth/2fa').set(alice.auth);
+      assert.equal(status.body.enabled, false);
+
+      const wrong = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set(alice.auth)
+        .send({ code: codeAt(setup.body.secret, 5) });
+      assert.equal(wrong.status, 401);
+      assert.equal(wrong.body.error, 'invalid_2fa_code');
+
+      const res = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set(alice.auth)
+        .send({ code: codeAt(setup.body.secret) });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.backupCodes.length, 10);
+      assert.match(res.body.backupCodes[0], /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+
+      status = await request(app).get('/api/auth/2fa').set(alice.auth);
+      assert.equal(status.body.enabled, true);
+      assert.equal(status.body.backupCodesRemaining, 10);
+
+      const again = await request(app).post('/api/auth/2fa/setup').set(alice.auth);
+      assert.equal(again.status, 409);
+      assert.equal(again.body.error, 'two_factor_enabled');
+    });
+
+    it('requires setup before enabling', async () => {
+      const alice = await createUser({ name: 'Alice' });
+      const res = await request(app).post('/api/auth/2fa/enable').set(alice.auth).send({ code: '123456' });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'two_factor_setup_required');
+    });
+
+    it('never exposes the secret or backup codes', async () => {
+      const alice = await createTwoFactorUser();
+      const res = await me(alice.token);
+      assert.equal(res.status, 200);
+      assert.ok(!JSON.stringify(res.body).includes(alice.secret));
+
+      const stored = await User.findById(alice.id).lean();
+      assert.equal(stored.twoFactor.secret, undefined);
+      assert.equal(stored.twoFactor.backupCodes, undefined);
+    });
+  });
+
+  describe('login', () => {
+    it('answers a correct password with a challenge instead of a token', async () => {
+      const alice = await createTwoFactorUser();
+
+      const res = await login(alice.user.phone);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.twoFactorRequired, true);
+      assert.equal(res.body.token, undefined);
+      assert.equal(res.body.refreshToken, undefined);
+      assert.ok(res.body.challengeToken);
+      assert.equal(res.body.expiresIn, 300);
+      assert.deepEqual(res.body.methods, ['totp', 'backup_code']);
+
+      // The challenge token is not an access token
+      assert.equal((await me(res.body.challengeToken)).status, 401);
+
+      const verified = await verify({ challengeToken: res.body.challengeToken, code: codeAt(alice.secret) });
+      assert.equal(verified.status, 200);
+      assert.equal(verified.body.method, 'totp');
+      assert.equal(verified.body.user.id, alice.id);
+      assert.ok(verified.body.refreshToken);
+      assert.equal((await me(verified.body.token)).status, 200);
+
+      // Completed challenges cannot be used again
+      const reused = await verify({ challengeToken: res.body.challengeToken, code: codeAt(alice.secret, 1) });
+      assert.equal(reused.status, 401);
+      assert.equal(reused.body.error, 'invalid_challenge');
+    });
+
+    it('does not accept the same code twice', async () => {
+      const alice = await createTwoFactorUser();
+      const code = codeAt(alice.secret);
+
+      const first = await login(alice.user.phone);
+      await verify({ challengeToken: first.body.challengeToken, code }).expect(200);
+
+      const second = await login(alice.user.phone);
+      const res = await verify({ challengeToken: second.body.challengeToken, code });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, 'invalid_2fa_code');
+    });
+
+    it('challenges OTP logins too', async () => {
+      const alice = await createTwoFactorUser();
+      const sent = await request(app).post('/api/auth/send-otp-login').send({ phone: alice.user.phone });
+
+      const res = await request(app)
+        .post('/api/auth/verify-otp-login')
+        .send({ otp: sent.body.otp, sessionId: sent.body.sessionId });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.twoFactorRequired, true);
+      assert.equal(res.body.token, undefined);
+
+      const verified = await verify({ challengeToken: res.body.challengeToken, code: codeAt(alice.secret) });
+      assert.equal(verified.status, 200);
+    });
+
+    it('challenges password resets', async () => {
+      const alice = await createTwoFactorUser();
+      const sent = await request(app).post('/api/auth/password/otp').send({ phone: alice.user.phone });
+
+      const res = await request(app)
+        .post('/api/auth/password/reset')
+        .send({ phone: alice.user.phone, sessionId: sent.body.sessionId, otp: sent.body.otp, newPassword: 'compass77north' });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.twoFactorRequired, true);
+      assert.equal(res.body.token, undefined);
+      assert.equal((await me(alice.token)).status, 401);
+    });
+
+    it('asks for a second factor when changing the password', async () => {
+      const alice = await createTwoFactorUser();
+      const change = (body) => request(app).put('/api/auth/password').set(alice.auth)
+        .send({ currentPassword: PASSWORD, newPassword: 'compass77north', ...body });
+
+      const withoutCode = await change({});
+      assert.equal(withoutCode.status, 401);
+      assert.equal(withoutCode.body.error, 'two_factor_required');
+
+      const res = await change({ twoFactorCode: codeAt(alice.secret) });
+      assert.equal(res.status, 200);
+      assert.equal((await login(alice.user.phone, 'compass77north')).status, 200);
+    });
+
+    it('accepts each backup code once', async () => {
+      const alice = await createTwoFactorUser();
+      const [backupCode] = alice.backupCodes;
+
+      const first = await login(alice.user.phone);
+      const res = await verify({ challengeToken: first.body.challengeToken, backupCode: backupCode.toUpperCase() });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.method, 'backup_code');
+
+      const second = await login(alice.user.phone);
+      const reused = await verify({ challengeToken: second.body.challengeToken, backupCode });
+      assert.equal(reused.status, 401);
+      assert.equal(reused.body.error, 'invalid_2fa_code');
+
+      const status = await request(app).get('/api/auth/2fa').set(alice.auth);
+      assert.equal(status.body.backupCodesRemaining, 9);
+    });
+
+    it('discards a challenge after five wrong codes', async () => {
+      const alice = await createTwoFactorUser();
+      const { body } = await login(alice.user.phone);
+      const wrong = codeAt(alice.secret, 5);
+
+      for (let attemptsLeft = 4; attemptsLeft >= 0; attemptsLeft--) {
+        const res = await verify({ challengeToken: body.challengeToken, code: wrong });
+        assert.equal(res.status, 401);
+        assert.equal(res.body.attemptsLeft, attemptsLeft);
+      }
+
+      const res = await verify({ challengeToken: body.challengeToken, code: codeAt(alice.secret) });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, 'invalid_challenge');
+    });
+
+    it('locks the second factor after too many wrong codes across challenges', async () => {
+      const alice = await createTwoFactorUser();
+      const wrong = codeAt(alice.secret, 5);
+
+      // New challenges do not reset the count
+      let res;
+      for (let failure = 1; failure <= 10; failure++) {
+        const { body } = await login(alice.user.phone);
+        res = await verify({ challengeToken: body.challengeToken, code: wrong });
+        if (failure < 10) assert.equal(res.status, 401);
+      }
+      assert.equal(res.status, 429);
+      assert.equal(res.body.error, 'two_factor_locked');
+      assert.ok(Number(res.headers['retry-after']) > 0);
+
+      // Even the right code is refused while locked
+      const locked = await login(alice.user.phone);
+      const refused = await verify({ challengeToken: locked.body.challengeToken, code: codeAt(alice.secret) });
+      assert.equal(refused.status, 429);
+
+      await TwoFactorLockout.updateOne({ userId: alice.id }, { lockedUntil: new Date(Date.now() - 1000) });
+      const retry = await login(alice.user.phone);
+      const passed = await verify({ challengeToken: retry.body.challengeToken, code: codeAt(alice.secret) });
+      assert.equal(passed.status, 200);
+      const entry = await TwoFactorLockout.findOne({ userId: alice.id }).lean();
+      assert.equal(entry.failures, 0);
+      // Signing in does not undo the escalation; the next lockout is longer
+      assert.equal(entry.level, 1);
+    });
+
+    it('rejects expired and unknown challenges', async () => {
+      const alice = await createTwoFactorUser();
+      const { body } = await login(alice.user.phone);
+      await TwoFactorChallenge.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+      const expired = await verify({ challengeToken: body.challengeToken, code: codeAt(alice.secret) });
+      assert.equal(expired.status, 401);
+      assert.equal(expired.body.error, 'invalid_challenge');
+
+      const unknown = await verify({ challengeToken: 'nope', code: '123456' });
+      assert.equal(unknown.status, 401);
+
+      const missing = await verify({ challengeToken: body.challengeToken });
+      assert.equal(missing.status, 400);
+    });
+  });
+
+  describe('management', () => {
+    it('disables 2FA with a valid code only', async () => {
+      const alice = await createTwoFactorUser();
+
+      const wrong = await request(app).post('/api/auth/2fa/disable').set(alice.auth).send({ code: codeAt(alice.secret, 5) });
+      assert.equal(wrong.status, 401);
+
+      const res = await request(app).post('/api/auth/2fa/disable').set(alice.auth).send({ code: codeAt(alice.secret) });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.enabled, false);
+
+      const loggedIn = await login(alice.user.phone);
+      assert.equal(loggedIn.status, 200);
+      assert.ok(loggedIn.body.token);
+      assert.equal(loggedIn.body.twoFactorRequired, undefined);
+    });
+
+    it('replaces the backup codes', async () => {
+      const alice = await createTwoFactorUser();
+      const laptop = await createSession(alice.user, 'laptop');
+
+      const res = await request(app)
+        .post('/api/auth/2fa/backup-codes')
+        .set(laptop.auth)
+        .send({ backupCode: alice.backupCodes[0] });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.backupCodes.length, 10);
+
+      const { body } = await login(alice.user.phone);
+      const old = await verify({ challengeToken: body.challengeToken, backupCode: alice.backupCodes[1] });
+      assert.equal(old.status, 401);
+
+      const fresh = await verify({ challengeToken: body.challengeToken, backupCode: res.body.backupCodes[0] });
+      assert.equal(fresh.status, 200);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import {
+  startTestServer,
+  stopTestServer,
+  clearDatabase,
+  createUser,
+  missingId
+} from './helpers/testServer.js';
+
+describe('/api/users', () => {
+  let app;
+  let alice;
+  let bob;
+
+  before(async () => {
+    ({ app } = await startTestServer());
+  });
+
+  after(stopTestServer);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+  });
+
+  it('requires authentication', async () => {
+    const res = await request(app).get('/api/users');
+    assert.equal(res.status, 401);
+  });
+
+  it('lists other users', async () => {
+    const res = await request(app).get('/api/users').set(alice.auth);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.users.map(u => u.id), [bob.id]);
+    assert.equal(res.body.users[0].passwordHash, undefined);
+  });
+
+  it('searches by name', async () => {
+    const res = await request(app).get('/api/users/search?q=bo').set(alice.auth);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.users.map(u => u.name), ['Bob']);
+  });
+
+  it('returns the current profile', async () => {
+    const res = await request(app).get('/api/users/profile').set(alice.auth);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.id, alice.id);
+  });
+
+  it('returns another profile by id', async () => {
+    const res = await request(app).get(`/api/users/profile/${bob.id}`).set(alice.auth);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.name, 'Bob');
+  });
+
+  it('returns 404 for an unknown profile', async () => {
+    const res = await request(app).get(`/api/users/profile/${missingId()}`).set(alice.auth);
+    assert.equal(res.status, 404);
+  });
+
+  it('updates the current profile', async () => {
+    const res = await request(app).patch('/api/users/me').set(alice.auth).send({ name: 'Alicia', bio: 'hi' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.name, 'Alicia');
+    assert.equal(res.body.user.bio, 'hi');
+  });
+
+  it('looks users up by ids', async () => {
+    const res = await request(app).get(`/api/users/by-ids?ids=${bob.id},garbage`).set(alice.auth);
+    assert.equal(res.status, 200);
+    assert.deepEqual(Object.keys(res.body.users), [bob.id]);
+  });
+
+  it('reports presence and online count', async () => {
+    const presence = await request(app).get(`/api/users/presence?ids=${bob.id}`).set(alice.auth);
+    assert.equal(presence.status, 200);
+    assert.equal(presence.body.presence[bob.id], false);
+
+    const count = await request(app).get('/api/users/online/count').set(alice.auth);
+    assert.equal(count.status, 200);
+    assert.equal(count.body.onlineCount, 0);
+  });
+});